@@ -1,80 +1,171 @@
 /**
  * API Module
- * Gemini API calls with retry logic
+ * Gemini API / Vertex AI calls with retry logic
  */
 
-import { MAX_RETRIES, RETRY_DELAYS } from './config.js';
-import { $, updatePlaceholder } from './ui.js';
+import { MAX_RETRIES, GEMINI_DEFAULT_BASE_URL } from './config.js';
+import { updatePlaceholder } from './ui.js';
+import { getAccessToken, getVertexConfig, getVertexHost } from './auth.js';
+import { RetryKind, classifyError, createRetryBudget, getServerRetryDelayMs, planRetry } from './retry.js';
+import { ErrorClass, GenerationError, createApiError, createHttpError, toGenerationError } from './errors.js';
 
-// Check if error should trigger retry
-export function shouldRetry(err, status) {
-    if (err.name === 'AbortError') return false;
-    if (status === 400 || status === 401 || status === 403) return false;
-    return true;
-}
-
-// Parse API errors for user-friendly messages
-export function parseApiError(error, status) {
+// Parse API errors for user-friendly messages (provider supplies the auth hint)
+// type is the error class from errors.js
+export function parseApiError(error, status = null, provider = null) {
     const msg = error.message || error.toString();
+    const typed = error instanceof GenerationError || !status
+        ? toGenerationError(error)
+        : toGenerationError({ name: error.name, message: msg, status, details: error.details, retryAfterMs: error.retryAfterMs });
 
-    if (status === 429) {
-        const match = msg.match(/(\d+)\s*seconds?/i);
-        const seconds = match ? parseInt(match[1]) : 60;
-        return { type: 'rate_limit', message: 'Rate limited. Try again in ' + seconds + 's', countdown: seconds };
-    }
+    switch (typed.errorClass) {
+        case ErrorClass.QUOTA:
+            return { type: typed.errorClass, message: 'Quota exhausted. ' + (provider?.authHint || '') };
 
-    if (msg.toLowerCase().includes('safety') || msg.toLowerCase().includes('policy') || msg.toLowerCase().includes('blocked')) {
-        return { type: 'content_policy', message: 'Prompt may contain restricted content. Try rephrasing.' };
-    }
+        case ErrorClass.RATE_LIMIT: {
+            const delayMs = getServerRetryDelayMs(typed);
+            const seconds = delayMs !== null ? Math.ceil(delayMs / 1000) : 60;
+            return { type: typed.errorClass, message: 'Rate limited. Try again in ' + seconds + 's', countdown: seconds };
+        }
+
+        case ErrorClass.SAFETY:
+            return {
+                type: typed.errorClass,
+                message: 'Prompt may contain restricted content' + (typed.category ? ' (' + typed.category + ')' : '') + '. Try rephrasing.'
+            };
+
+        case ErrorClass.RECITATION:
+            return { type: typed.errorClass, message: 'Output resembled copyrighted material. Try rephrasing.' };
+
+        case ErrorClass.AUTH:
+            return { type: typed.errorClass, message: 'Authentication failed. ' + (provider?.authHint || 'Check your credentials.') };
+
+        case ErrorClass.NETWORK:
+            return { type: typed.errorClass, message: 'Network error. Check your connection.' };
 
-    if (status === 401 || status === 403) {
-        return { type: 'auth', message: 'Authentication failed. Check your API key.' };
+        case ErrorClass.TIMEOUT:
+            return { type: typed.errorClass, message: 'Request timed out. Try again.' };
+
+        default:
+            return { type: typed.errorClass, message: msg };
     }
+}
 
-    return { type: 'generic', message: msg };
+// Read a response body as JSON; anything else (HTML error pages from proxies or Google's
+// front end) becomes a typed error with the HTTP status and Retry-After instead of a SyntaxError
+async function readJsonResponse(response) {
+    const text = await response.text();
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) { /* not JSON */ }
+    if (!data || typeof data !== 'object') {
+        throw createHttpError(response, text);
+    }
+    return data;
 }
 
-// API Key generate content
-export async function apiKeyGenerateContent(model, body, apiKey, signal) {
+// API Key generate content (base URL is configurable for proxies and stand-in servers)
+export async function apiKeyGenerateContent(model, body, apiKey, signal, baseUrl = GEMINI_DEFAULT_BASE_URL) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['x-goog-api-key'] = apiKey;
+
     const response = await fetch(
-        'https://generativelanguage.googleapis.com/v1beta/models/' + model + ':generateContent',
+        baseUrl + '/models/' + model + ':generateContent',
         {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+            headers,
             body: JSON.stringify(body),
             signal: signal
         }
     );
 
-    const data = await response.json();
+    const data = await readJsonResponse(response);
     if (data.error) {
-        const err = new Error(data.error.message);
-        err.status = response.status;
-        throw err;
+        throw createApiError(data.error, response);
+    }
+    if (!response.ok) {
+        throw createHttpError(response, data);
     }
     return data;
 }
 
-// Generate content with retry logic
-export async function generateWithRetry(model, body, signal) {
-    const apiKey = $('apiKey').value;
-    let data;
+// Vertex AI generate content (service account bearer token, regional endpoint)
+export async function vertexGenerateContent(model, body, signal) {
+    const { projectId, location } = getVertexConfig();
+    const token = await getAccessToken();
+    const url = getVertexHost(location) + '/v1/projects/' + encodeURIComponent(projectId) +
+        '/locations/' + location + '/publishers/google/models/' + model + ':generateContent';
 
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + token },
+        body: JSON.stringify(body),
+        signal: signal
+    });
+
+    const data = await readJsonResponse(response);
+    // Vertex returns errors as { error: {...} } or [{ error: {...} }]
+    const error = Array.isArray(data) ? data[0]?.error : data.error;
+    if (error) {
+        throw createApiError(error, response);
+    }
+    if (!response.ok) {
+        throw createHttpError(response, data);
+    }
+    return data;
+}
+
+function isAuthFailure(err) {
+    return err.status === 401 || err.status === 403;
+}
+
+// Abortable sleep (rejects with AbortError like fetch does)
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// Generate content with retry logic through the given provider (see providers.js)
+// context collects per-request details from the provider (e.g. keyAlias) and may carry
+// onRetryWait(delayMs, kind), called before each retry wait (see retry.js for the policy)
+export async function generateWithRetry(model, body, signal, provider, context = {}) {
+    const budget = createRetryBudget();
+    let authRetried = false;
+
+    while (true) {
         try {
-            updatePlaceholder('Generating... (Attempt ' + attempt + '/' + MAX_RETRIES + ')');
-            data = await apiKeyGenerateContent(model, body, apiKey, signal);
-            break;
+            updatePlaceholder('Generating... (Attempt ' + (budget.attempts + 1) + '/' + MAX_RETRIES + ')');
+            return await provider.generateContent(model, body, signal, context);
         } catch (e) {
-            if (!shouldRetry(e, e.status) || attempt === MAX_RETRIES) {
-                throw e;
+            const { kind } = classifyError(e);
+
+            // Rate limited on one credential: rotate to the next one immediately
+            // (each 429 puts a key on cooldown, so this ends once every key is cooling)
+            if ((kind === RetryKind.RATE_LIMIT || kind === RetryKind.QUOTA_EXHAUSTED) && provider.hasAvailableCredential?.()) {
+                continue;
+            }
+
+            // Expired/revoked credentials: let the provider refresh once without consuming a retry attempt
+            if (isAuthFailure(e) && !authRetried && provider.onAuthFailure?.(e)) {
+                authRetried = true;
+                continue;
             }
 
-            const delay = RETRY_DELAYS[attempt - 1];
-            updatePlaceholder('Retry in ' + (delay / 1000) + 's...');
-            await new Promise(resolve => setTimeout(resolve, delay));
+            const plan = planRetry(e, budget);
+            if (!plan.retry) throw toGenerationError(e);
+
+            updatePlaceholder('Retry in ' + Math.ceil(plan.delayMs / 1000) + 's...');
+            context.onRetryWait?.(plan.delayMs, plan.kind);
+            await sleep(plan.delayMs, signal);
         }
     }
-
-    return data;
 }
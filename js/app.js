@@ -8,12 +8,26 @@ import { restoreAllInputs, setupInputPersistence, updateThinkingNote, saveLastMo
 import { refreshModels } from './models.js';
 import { loadRefImages, setupRefDragDrop, setupClipboardPaste, setupRefPreviewSwipe } from './references.js';
 import { initDB } from './history.js';
+import { syncBlobStore } from './blobs.js';
 import { setupZoomHandlers } from './zoom.js';
 import { generate } from './generation.js';
 import { loadSavedPrompts, isDropdownOpen, closePromptsDropdown, saveCurrentPrompt } from './prompts.js';
 import { isFileSystemSupported, restoreDirectoryHandle, updateFileSystemSupportUI } from './filesystem.js';
 import { restoreQueueState, hasResumableQueue } from './queue.js';
 import { initQueueUI, handleBatchButtonClick, toggleQueuePanel, closeQueueSetup } from './queueUI.js';
+import { setupAuthUI, API_KEY_STORAGE_KEY } from './auth.js';
+import { setupProviderUI, getActiveProvider } from './providers.js';
+import { setupMockUI } from './mock.js';
+import { setupKeyPoolUI } from './keyPool.js';
+import { setupSessionUI, toggleSessionPanel } from './sessions.js';
+import { setupInpaintUI } from './inpaint.js';
+import { closeExtendDialog } from './outpaint.js';
+import { loadWildcards, closeWildcardManager } from './wildcards.js';
+import { closeMatrixGrid } from './matrix.js';
+import { closeCompareDialog } from './compare.js';
+import { closeEnhanceSettings } from './enhance.js';
+import { closeDescribeDialog } from './describe.js';
+import { loadPresets, setupPresetUI, closePresetManager } from './presets.js';
 import { initProfiles, saveProfile, loadProfile, listProfiles, deleteProfile, exportProfile, importProfile, getActiveProfile } from './profiles.js';
 
 // Initialize application
@@ -21,8 +35,14 @@ async function init() {
     // Restore theme first (before any rendering)
     restoreTheme();
 
-    // Restore credentials from localStorage
-    $('apiKey').value = localStorage.getItem('gemini_api_key') || '';
+    // Restore credentials/backend from localStorage and wire up the auth section
+    const onCredentialsChange = debounce(() => {
+        if (getActiveProvider().isConfigured()) refreshModels(true);
+    }, 500);
+    setupAuthUI(onCredentialsChange);
+    setupProviderUI(onCredentialsChange);
+    setupKeyPoolUI(onCredentialsChange);
+    setupMockUI();
 
     // Restore all inputs and UI state
     restoreAllInputs();
@@ -32,10 +52,19 @@ async function init() {
     // Initialize database before any IndexedDB-backed restore paths
     await initDB();
     await initProfiles();
+    // Move inline refs into the blob store, recount references and collect garbage
+    try {
+        await syncBlobStore();
+    } catch (e) {
+        console.error('[Blobs] Startup sync failed:', e);
+    }
 
     // Load reference images
     await loadRefImages();
     await loadSavedPrompts();
+    await loadWildcards();
+    await loadPresets();
+    setupPresetUI();
 
     // Initialize UI elements
     updateCharCounter();
@@ -43,8 +72,8 @@ async function init() {
 
     // API key change handler
     $('apiKey').addEventListener('input', debounce(() => {
-        localStorage.setItem('gemini_api_key', $('apiKey').value);
-        if ($('apiKey').value.length > 20) refreshModels();
+        localStorage.setItem(API_KEY_STORAGE_KEY, $('apiKey').value);
+        if (getActiveProvider().isConfigured()) refreshModels();
     }, 500));
 
     // Thinking toggle handler
@@ -118,6 +147,8 @@ async function init() {
 
     // Initialize queue UI
     initQueueUI();
+    setupSessionUI();
+    setupInpaintUI();
 
     // Initialize profile UI
     await updateProfileDropdown();
@@ -186,8 +217,8 @@ async function init() {
     // Prompt editor textarea input handler
     $('promptEditorTextarea')?.addEventListener('input', updatePromptEditorCounter);
 
-    // Load models if API key exists
-    if ($('apiKey').value.length > 20) {
+    // Load models if credentials exist
+    if (getActiveProvider().isConfigured()) {
         refreshModels();
     }
 
@@ -306,6 +337,48 @@ window.importProfileFile = async function(event) {
  * Close all open modals and panels
  */
 function closeAllModals() {
+    // Close extend canvas dialog
+    if ($('extendDialogOverlay')) {
+        closeExtendDialog();
+        return;
+    }
+
+    // Close style preset manager
+    if ($('presetManagerOverlay')) {
+        closePresetManager();
+        return;
+    }
+
+    // Close describe dialog
+    if ($('describeOverlay')) {
+        closeDescribeDialog();
+        return;
+    }
+
+    // Close enhancement settings
+    if ($('enhanceSettingsOverlay')) {
+        closeEnhanceSettings();
+        return;
+    }
+
+    // Close compare dialog
+    if ($('compareOverlay')) {
+        closeCompareDialog();
+        return;
+    }
+
+    // Close matrix grid viewer
+    if ($('matrixGridOverlay')) {
+        closeMatrixGrid();
+        return;
+    }
+
+    // Close wildcard manager
+    if ($('wildcardManagerOverlay')) {
+        closeWildcardManager();
+        return;
+    }
+
     // Close queue setup modal
     const queueSetupModal = $('queueSetupModal');
     if (queueSetupModal?.classList.contains('open')) {
@@ -320,6 +393,13 @@ function closeAllModals() {
         return;
     }
 
+    // Close edit session panel
+    const sessionPanel = $('sessionPanel');
+    if (sessionPanel?.classList.contains('open')) {
+        toggleSessionPanel(false);
+        return;
+    }
+
     // Close prompt editor
     const promptEditor = $('promptEditorModal');
     if (promptEditor?.classList.contains('open')) {
@@ -0,0 +1,91 @@
+/**
+ * Avoid List Module
+ * Things the image should not contain, kept apart from the prompt and merged into each request
+ */
+
+import { AVOID_DEFAULT_TEMPLATE } from './config.js';
+import { $ } from './ui.js';
+
+export const AvoidMode = {
+    PROMPT: 'prompt',   // Sentence appended to the prompt
+    SYSTEM: 'system'    // Sentence appended to the system instruction
+};
+
+/**
+ * Split an avoid field into items (commas, semicolons or new lines; duplicates dropped)
+ * @returns {string[]}
+ */
+export function parseAvoidList(text) {
+    return mergeAvoidLists(String(text || '').split(/[,;\n]/));
+}
+
+/**
+ * Combine avoid lists in order, dropping blanks and case-insensitive duplicates
+ * @param {...string[]} lists
+ * @returns {string[]}
+ */
+export function mergeAvoidLists(...lists) {
+    const seen = new Set();
+    const items = [];
+    lists.flat().forEach(item => {
+        const text = String(item || '').trim();
+        if (text && !seen.has(text.toLowerCase())) {
+            seen.add(text.toLowerCase());
+            items.push(text);
+        }
+    });
+    return items;
+}
+
+/**
+ * How avoid lists are merged into requests (Advanced Options)
+ * @returns {{mode: string, template: string}}
+ */
+export function getAvoidSettings() {
+    const mode = $('avoidMode')?.value;
+    return {
+        mode: Object.values(AvoidMode).includes(mode) ? mode : AvoidMode.PROMPT,
+        template: $('avoidTemplate')?.value.trim() || AVOID_DEFAULT_TEMPLATE
+    };
+}
+
+/**
+ * Avoid record for queue items and history, with the merge settings at queue time
+ * @param {string[]} items
+ * @returns {{items: string[], mode: string, template: string}|null} null when there is nothing to avoid
+ */
+export function createAvoid(items, settings = getAvoidSettings()) {
+    return items.length > 0 ? { items: [...items], mode: settings.mode, template: settings.template } : null;
+}
+
+/**
+ * The main form's avoid list
+ */
+export function getFormAvoidList() {
+    return parseAvoidList($('avoidList')?.value);
+}
+
+/**
+ * Sentence an avoid record adds to the request
+ */
+export function formatAvoidText(avoid) {
+    if (!avoid?.items?.length) return '';
+    const template = avoid.template || AVOID_DEFAULT_TEMPLATE;
+    const list = avoid.items.join(', ');
+    return template.includes('{list}') ? template.split('{list}').join(list) : `${template} ${list}`;
+}
+
+/**
+ * Merge an avoid record into the prompt or the system instruction of a request
+ * @returns {{prompt: string, config: Object}} The prompt and config to send (inputs are not modified)
+ */
+export function applyAvoid(prompt, config, avoid) {
+    const text = formatAvoidText(avoid);
+    if (!text) return { prompt, config };
+
+    if (avoid.mode === AvoidMode.SYSTEM) {
+        const systemInstruction = [config.systemInstruction, text].filter(Boolean).join('\n\n');
+        return { prompt, config: { ...config, systemInstruction } };
+    }
+    return { prompt: `${prompt}\n\n${text}`, config };
+}
@@ -0,0 +1,307 @@
+/**
+ * Blob Store Module
+ * Reference images stored once per content hash, with reference counts and garbage collection
+ *
+ * Records that hold refs keep {id, hash, ...} instead of {id, data, ...}; storeRefs() turns data
+ * refs into hash refs (counting one reference each) and resolveRefs() turns them back.
+ */
+
+import { BLOB_GC_DELAY_MS } from './config.js';
+
+// Stores whose records hold a ref list, and the field holding it.
+// Profile snapshots keep copies of these stores under profile.stores.
+export const REF_LIST_FIELDS = {
+    refImages: 'images',
+    queueRefs: 'refImages',
+    stylePresets: 'refImages',
+    generationHistory: 'refImages',
+    queueItems: 'outputRefs' // Results kept for items that use them as refs
+};
+
+let db = null;
+let gcTimer = null;
+const hashCache = new WeakMap(); // ref object -> hash (variations share ref objects, so each image is hashed once)
+
+/**
+ * Share the database with this module (called by initDB)
+ */
+export function setBlobDB(database) {
+    db = database;
+}
+
+/**
+ * SHA-256 of a data URL, hex encoded
+ */
+export async function hashDataUrl(data) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function getRefHash(ref) {
+    if (ref.hash) return ref.hash;
+    if (!hashCache.has(ref)) hashCache.set(ref, await hashDataUrl(ref.data));
+    return hashCache.get(ref);
+}
+
+/**
+ * Add delta references per hash in one transaction; missing blobs are created when data is known
+ * @param {Map<string, {data: string|null, delta: number}>} changes
+ */
+function updateRefCounts(changes) {
+    if (!db || changes.size === 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('blobs', 'readwrite');
+        const store = tx.objectStore('blobs');
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+
+        changes.forEach(({ data, delta }, hash) => {
+            store.get(hash).onsuccess = e => {
+                const blob = e.target.result;
+                if (blob) {
+                    blob.refCount = Math.max(0, (blob.refCount || 0) + delta);
+                    store.put(blob);
+                } else if (data && delta > 0) {
+                    store.put({ hash, data, refCount: delta, createdAt: Date.now() });
+                }
+            };
+        });
+    });
+}
+
+/**
+ * Store refs by hash, counting one reference per ref
+ * Refs that already carry a hash (e.g. copied from another record) just gain a reference
+ * @param {Object[]} refs - {id, data, ...} or {id, hash, ...}
+ * @returns {Promise<Object[]>} Refs to persist: {id, hash, ...} without data
+ */
+export async function storeRefs(refs) {
+    const list = (Array.isArray(refs) ? refs : []).filter(ref => ref?.hash || ref?.data);
+    if (!db || list.length === 0) return list;
+
+    const changes = new Map();
+    const stored = [];
+    for (const ref of list) {
+        const hash = await getRefHash(ref);
+        const { data, ...rest } = ref;
+        stored.push({ ...rest, hash });
+
+        const change = changes.get(hash) || { data: null, delta: 0 };
+        change.data = change.data || data || null;
+        change.delta++;
+        changes.set(hash, change);
+    }
+
+    await updateRefCounts(changes);
+    return stored;
+}
+
+/**
+ * Drop one reference per ref; blobs left without references are collected shortly after
+ * @param {Object[]} refs - Persisted refs (refs without a hash are ignored)
+ */
+export async function releaseRefs(refs) {
+    const changes = new Map();
+    (Array.isArray(refs) ? refs : []).forEach(ref => {
+        if (!ref?.hash) return;
+        const change = changes.get(ref.hash) || { data: null, delta: 0 };
+        change.delta--;
+        changes.set(ref.hash, change);
+    });
+    if (changes.size === 0) return;
+
+    await updateRefCounts(changes);
+    scheduleGarbageCollection();
+}
+
+function loadBlobData(hashes) {
+    if (!db || hashes.length === 0) return Promise.resolve(new Map());
+
+    return new Promise((resolve) => {
+        const found = new Map();
+        const tx = db.transaction('blobs', 'readonly');
+        const store = tx.objectStore('blobs');
+        hashes.forEach(hash => {
+            store.get(hash).onsuccess = e => {
+                if (e.target.result) found.set(hash, e.target.result.data);
+            };
+        });
+        tx.oncomplete = () => resolve(found);
+        tx.onerror = () => resolve(found);
+    });
+}
+
+/**
+ * Resolve several ref lists at once (each image is read once however many lists share it)
+ * Refs that still carry data pass through; refs whose blob is missing are dropped
+ * @param {Array<Object[]>} lists
+ * @returns {Promise<Array<Object[]>>} Lists of {id, hash, data, ...}
+ */
+export async function resolveRefLists(lists) {
+    const hashes = new Set();
+    lists.forEach(list => (list || []).forEach(ref => {
+        if (ref && !ref.data && ref.hash) hashes.add(ref.hash);
+    }));
+    const blobs = await loadBlobData([...hashes]);
+
+    return lists.map(list => (list || []).flatMap(ref => {
+        if (!ref) return [];
+        if (ref.data) return [ref];
+        if (!blobs.has(ref.hash)) {
+            console.warn('[Blobs] Missing image for hash', ref.hash);
+            return [];
+        }
+        return [{ ...ref, data: blobs.get(ref.hash) }];
+    }));
+}
+
+/**
+ * Resolve one ref list (see resolveRefLists)
+ */
+export async function resolveRefs(refs) {
+    return (await resolveRefLists([refs]))[0];
+}
+
+/**
+ * Map every ref list in a profile snapshot's stores
+ * @param {Object} stores - profile.stores
+ * @param {(refs: Object[]) => Promise<Object[]>} transform
+ * @returns {Promise<Object>} New stores object (records with ref lists are copied)
+ */
+export async function mapSnapshotRefs(stores, transform) {
+    const mapped = { ...stores };
+    for (const [storeName, field] of Object.entries(REF_LIST_FIELDS)) {
+        if (!Array.isArray(stores?.[storeName])) continue;
+        mapped[storeName] = [];
+        for (const record of stores[storeName]) {
+            mapped[storeName].push(Array.isArray(record?.[field])
+                ? { ...record, [field]: await transform(record[field]) }
+                : record);
+        }
+    }
+    return mapped;
+}
+
+/**
+ * All refs in a profile snapshot's stores, as one list
+ */
+export function listSnapshotRefs(stores) {
+    return Object.entries(REF_LIST_FIELDS).flatMap(([storeName, field]) =>
+        (Array.isArray(stores?.[storeName]) ? stores[storeName] : []).flatMap(record => record?.[field] || [])
+    );
+}
+
+// ============================================
+// Garbage collection
+// ============================================
+
+/**
+ * Collect unreferenced blobs after a quiet period (releases come in bursts)
+ */
+export function scheduleGarbageCollection() {
+    clearTimeout(gcTimer);
+    gcTimer = setTimeout(() => {
+        collectGarbage().catch(e => console.error('[Blobs] Garbage collection failed:', e));
+    }, BLOB_GC_DELAY_MS);
+}
+
+/**
+ * Delete blobs no record references any more
+ * @returns {Promise<number>} Blobs deleted
+ */
+export function collectGarbage() {
+    if (!db) return Promise.resolve(0);
+
+    return new Promise((resolve, reject) => {
+        let deleted = 0;
+        const tx = db.transaction('blobs', 'readwrite');
+        tx.objectStore('blobs').openCursor().onsuccess = e => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (!(cursor.value.refCount > 0)) {
+                cursor.delete();
+                deleted++;
+            }
+            cursor.continue();
+        };
+        tx.oncomplete = () => {
+            if (deleted > 0) console.log(`[Blobs] Collected ${deleted} unreferenced images`);
+            resolve(deleted);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function readAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+        const req = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function putRecords(storeName, records) {
+    if (records.length === 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Startup pass over every record that holds refs:
+ * moves refs still stored inline (saved before the blob store) into it, recounts each blob's
+ * references from scratch (counts drift when a profile load replaces whole stores), then collects garbage.
+ * Run after initDB and before anything else reads or writes refs.
+ */
+export async function syncBlobStore() {
+    if (!db) return;
+
+    const counts = new Map();
+    const tally = refs => (refs || []).forEach(ref => {
+        if (ref?.hash) counts.set(ref.hash, (counts.get(ref.hash) || 0) + 1);
+    });
+    const hasInlineRefs = refs => Array.isArray(refs) && refs.some(ref => ref?.data);
+
+    for (const [storeName, field] of Object.entries(REF_LIST_FIELDS)) {
+        const migrated = [];
+        for (const record of await readAllRecords(storeName)) {
+            if (hasInlineRefs(record[field])) {
+                record[field] = await storeRefs(record[field]);
+                migrated.push(record);
+            }
+            tally(record[field]);
+        }
+        await putRecords(storeName, migrated);
+    }
+
+    const migratedProfiles = [];
+    for (const profile of await readAllRecords('profiles')) {
+        if (listSnapshotRefs(profile.stores).some(ref => ref?.data)) {
+            profile.stores = await mapSnapshotRefs(profile.stores, storeRefs);
+            migratedProfiles.push(profile);
+        }
+        tally(listSnapshotRefs(profile.stores));
+    }
+    await putRecords('profiles', migratedProfiles);
+
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('blobs', 'readwrite');
+        tx.objectStore('blobs').openCursor().onsuccess = e => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const refCount = counts.get(cursor.key) || 0;
+            if (cursor.value.refCount !== refCount) cursor.update({ ...cursor.value, refCount });
+            cursor.continue();
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+
+    await collectGarbage();
+}
@@ -0,0 +1,384 @@
+/**
+ * Budget Module
+ * Daily/monthly image, token and cost limits per profile or API key
+ */
+
+import { $, showToast, escapeHtml } from './ui.js';
+import { getDB, requestToPromise } from './history.js';
+import { getProvider, getActiveProviderId } from './providers.js';
+import { getActiveProfile } from './profiles.js';
+import { estimateCost, formatCost, formatTokens } from './usage.js';
+
+export const BudgetPeriod = {
+    DAILY: 'daily',
+    MONTHLY: 'monthly'
+};
+
+const METRICS = ['images', 'tokens', 'cost'];
+const METRIC_LABELS = { images: 'Images', tokens: 'Tokens', cost: 'Cost ($)' };
+
+// Fallback estimates before any usage has been recorded for a model
+const DEFAULT_IMAGE_TOKENS = 1290;
+const DEFAULT_TEXT_OUTPUT_TOKENS = 256;
+const TOKENS_PER_REF_IMAGE = 258;
+
+// Last observed usage per model, used to estimate the next item
+const lastUsageByModel = new Map();
+
+let selectedScope = null;
+
+/**
+ * A request refused up front because it would exceed a budget
+ */
+export class BudgetExceededError extends Error {
+    constructor(block) {
+        super(block.message);
+        this.name = 'BudgetExceededError';
+        this.scope = block.scope;
+    }
+}
+
+function emptyTotals() {
+    return { images: 0, tokens: 0, cost: 0 };
+}
+
+function emptyLimits() {
+    return {
+        [BudgetPeriod.DAILY]: { images: null, tokens: null, cost: null },
+        [BudgetPeriod.MONTHLY]: { images: null, tokens: null, cost: null }
+    };
+}
+
+// Local calendar keys ("2026-10-19", "2026-10")
+function getDayKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getMonthKey(date = new Date()) {
+    return getDayKey(date).slice(0, 7);
+}
+
+/**
+ * Zero counters that belong to a past day/month
+ */
+function applyRollover(record) {
+    const day = getDayKey();
+    const month = getMonthKey();
+    if (record.counters.day !== day) {
+        record.counters.day = day;
+        record.counters[BudgetPeriod.DAILY] = emptyTotals();
+    }
+    if (record.counters.month !== month) {
+        record.counters.month = month;
+        record.counters[BudgetPeriod.MONTHLY] = emptyTotals();
+    }
+    return record;
+}
+
+function hasLimits(record) {
+    return Object.values(record.limits).some(period => METRICS.some(m => period[m] !== null));
+}
+
+// ============================================
+// Scopes
+// ============================================
+
+/**
+ * Budget scopes that apply to a generation through the given provider
+ * @returns {Promise<Array<{scope: string, label: string}>>}
+ */
+export async function getBudgetScopes(providerId) {
+    const scopes = [];
+
+    const profile = getActiveProfile();
+    if (profile) {
+        scopes.push({ scope: 'profile:' + profile, label: `Profile "${profile}"` });
+    }
+
+    const provider = getProvider(providerId);
+    try {
+        const identity = await provider.getCredentialIdentity?.();
+        if (identity) {
+            scopes.push({ scope: `key:${provider.id}:${identity.id}`, label: identity.label });
+        }
+    } catch (e) {
+        console.error('[Budget] Failed to resolve credential identity:', e);
+    }
+
+    return scopes;
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function newBudgetRecord(scope, label) {
+    return {
+        scope,
+        label,
+        limits: emptyLimits(),
+        counters: {
+            day: getDayKey(),
+            month: getMonthKey(),
+            [BudgetPeriod.DAILY]: emptyTotals(),
+            [BudgetPeriod.MONTHLY]: emptyTotals()
+        },
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Load a budget record (counters rolled over to the current day/month)
+ */
+export async function loadBudget(scope, label = '') {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const tx = db.transaction('budgets', 'readonly');
+    const record = await requestToPromise(tx.objectStore('budgets').get(scope));
+
+    return applyRollover(record || newBudgetRecord(scope, label));
+}
+
+/**
+ * Read, roll over, change and write a budget record in one transaction,
+ * so parallel workers recording usage at the same time don't overwrite each other's counts
+ * @param {(record: Object) => void} update
+ * @returns {Promise<Object>} The saved record
+ */
+function updateBudget(scope, label, update) {
+    const db = getDB();
+    if (!db) return Promise.reject(new Error('Database not ready'));
+
+    return new Promise((resolve, reject) => {
+        let record = null;
+        const tx = db.transaction('budgets', 'readwrite');
+        const store = tx.objectStore('budgets');
+        store.get(scope).onsuccess = e => {
+            record = applyRollover(e.target.result || newBudgetRecord(scope, label));
+            update(record);
+            record.updatedAt = Date.now();
+            store.put(record);
+        };
+        tx.oncomplete = () => resolve(record);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save limits for a scope (null = unlimited)
+ */
+export function saveBudgetLimits(scope, label, limits) {
+    return updateBudget(scope, label, record => {
+        record.label = label || record.label;
+        record.limits = limits;
+    });
+}
+
+/**
+ * Add a completed generation to the counters of every applicable scope
+ * @param {number} images - Images it produced (0 for text requests such as prompt rewrites)
+ */
+export async function recordBudgetUsage(config, usage, cost, images = 1) {
+    if (usage && config?.model) {
+        lastUsageByModel.set(config.model, usage);
+    }
+
+    const scopes = await getBudgetScopes(config?.provider);
+    for (const { scope, label } of scopes) {
+        try {
+            await updateBudget(scope, label, record => {
+                record.label = label;
+                [BudgetPeriod.DAILY, BudgetPeriod.MONTHLY].forEach(period => {
+                    const totals = record.counters[period];
+                    totals.images += images;
+                    totals.tokens += usage?.totalTokens || 0;
+                    totals.cost += cost || 0;
+                });
+            });
+        } catch (e) {
+            console.error('[Budget] Failed to record usage:', e);
+        }
+    }
+}
+
+// ============================================
+// Checks
+// ============================================
+
+/**
+ * Estimate what the next generation of a queue item will consume
+ */
+function estimateItemUsage(item, images) {
+    const last = lastUsageByModel.get(item.config?.model);
+    const usage = last || {
+        promptTokens: Math.ceil((item.prompt?.length || 0) / 4) + (item.refImages?.length || 0) * TOKENS_PER_REF_IMAGE,
+        candidatesTokens: images > 0 ? DEFAULT_IMAGE_TOKENS : DEFAULT_TEXT_OUTPUT_TOKENS,
+        thoughtsTokens: 0,
+        imageTokens: images > 0 ? DEFAULT_IMAGE_TOKENS : 0,
+        cachedTokens: 0,
+        totalTokens: 0
+    };
+    if (!last) usage.totalTokens = usage.promptTokens + usage.candidatesTokens;
+
+    return {
+        images,
+        tokens: usage.totalTokens,
+        cost: estimateCost(item.config?.model, usage) || 0
+    };
+}
+
+function formatMetric(metric, value) {
+    if (metric === 'cost') return formatCost(value);
+    if (metric === 'tokens') return formatTokens(value);
+    return String(value);
+}
+
+/**
+ * Check whether generating this item would exceed any budget
+ * @param {Object} item - Queue item about to start
+ * @param {number} inFlight - Items already generating (not yet counted), assumed to cost the same
+ * @param {number} images - Images the request produces (0 for text requests such as prompt rewrites)
+ * @returns {Promise<{scope: string, message: string}|null>} The first exceeded limit, or null
+ */
+export async function checkBudget(item, inFlight = 0, images = 1) {
+    const scopes = await getBudgetScopes(item.config?.provider);
+    const estimate = estimateItemUsage(item, images);
+    METRICS.forEach(metric => {
+        estimate[metric] *= 1 + inFlight;
+    });
+
+    for (const { scope, label } of scopes) {
+        let record;
+        try {
+            record = await loadBudget(scope, label);
+        } catch (e) {
+            console.error('[Budget] Failed to load budget:', e);
+            continue;
+        }
+        if (!hasLimits(record)) continue;
+
+        for (const period of [BudgetPeriod.DAILY, BudgetPeriod.MONTHLY]) {
+            for (const metric of METRICS) {
+                const limit = record.limits[period][metric];
+                if (limit === null) continue;
+
+                const used = record.counters[period][metric];
+                if (used + estimate[metric] > limit) {
+                    const periodName = period === BudgetPeriod.DAILY ? 'Daily' : 'Monthly';
+                    return {
+                        scope,
+                        message: `${periodName} ${metric === 'cost' ? 'cost' : metric} budget reached for ${label} ` +
+                            `(${formatMetric(metric, used)} of ${formatMetric(metric, limit)})`
+                    };
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+// ============================================
+// Budget Panel UI
+// ============================================
+
+/**
+ * Toggle the budget panel in the queue panel
+ */
+export function toggleBudgetPanel(forceOpen = null) {
+    const panel = $('queueBudgetPanel');
+    if (!panel) return;
+
+    const open = forceOpen !== null ? forceOpen : panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !open);
+    if (open) renderBudgetPanel(selectedScope);
+}
+
+/**
+ * Render limits and current counters for a scope
+ */
+export async function renderBudgetPanel(scope = null) {
+    const panel = $('queueBudgetPanel');
+    if (!panel) return;
+
+    const scopes = await getBudgetScopes(getActiveProviderId());
+    if (scopes.length === 0) {
+        panel.innerHTML = '<div class="budget-empty">Enter credentials or load a profile to set budgets</div>';
+        return;
+    }
+
+    const current = scopes.find(s => s.scope === scope) || scopes[0];
+    selectedScope = current.scope;
+
+    let record;
+    try {
+        record = await loadBudget(current.scope, current.label);
+    } catch (e) {
+        panel.innerHTML = '<div class="budget-empty">Budgets unavailable</div>';
+        return;
+    }
+
+    const cell = (period, metric) => {
+        const used = record.counters[period][metric];
+        const limit = record.limits[period][metric];
+        const over = limit !== null && used >= limit;
+        return `
+            <div class="budget-cell">
+                <span class="budget-used${over ? ' over' : ''}">${formatMetric(metric, used)} /</span>
+                <input type="number" min="0" step="${metric === 'cost' ? '0.01' : '1'}"
+                    data-period="${period}" data-metric="${metric}"
+                    value="${limit ?? ''}" placeholder="∞">
+            </div>
+        `;
+    };
+
+    panel.innerHTML = `
+        <div class="queue-settings-row">
+            <label>Budget for</label>
+            <select id="budgetScopeSelect" onchange="renderBudgetPanel(this.value)">
+                ${scopes.map(s => `<option value="${escapeHtml(s.scope)}" ${s.scope === current.scope ? 'selected' : ''}>${escapeHtml(s.label)}</option>`).join('')}
+            </select>
+        </div>
+        <div class="budget-grid">
+            <span></span>
+            <span class="budget-period">Today</span>
+            <span class="budget-period">This month</span>
+            ${METRICS.map(metric => `
+                <span class="budget-metric">${METRIC_LABELS[metric]}</span>
+                ${cell(BudgetPeriod.DAILY, metric)}
+                ${cell(BudgetPeriod.MONTHLY, metric)}
+            `).join('')}
+        </div>
+        <button class="btn-primary" onclick="saveBudgetFromPanel()" style="width:100%;margin-top:8px;">Save Budget</button>
+    `;
+}
+
+/**
+ * Save the limits entered in the budget panel
+ */
+async function saveBudgetFromPanel() {
+    const panel = $('queueBudgetPanel');
+    if (!panel || !selectedScope) return;
+
+    const limits = emptyLimits();
+    panel.querySelectorAll('input[data-period]').forEach(input => {
+        const value = parseFloat(input.value);
+        limits[input.dataset.period][input.dataset.metric] = isNaN(value) || value < 0 ? null : value;
+    });
+
+    const label = $('budgetScopeSelect')?.selectedOptions[0]?.textContent || '';
+    try {
+        await saveBudgetLimits(selectedScope, label, limits);
+        showToast('Budget saved');
+        renderBudgetPanel(selectedScope);
+    } catch (e) {
+        console.error('[Budget] Failed to save budget:', e);
+        showToast('Failed to save budget');
+    }
+}
+
+// Make functions globally available for HTML onclick handlers
+window.toggleBudgetPanel = toggleBudgetPanel;
+window.renderBudgetPanel = renderBudgetPanel;
+window.saveBudgetFromPanel = saveBudgetFromPanel;
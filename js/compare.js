@@ -0,0 +1,595 @@
+/**
+ * Compare Module
+ * Side-by-side A/B runs — the same prompt and refs go to several models or configs at once,
+ * with an optional blind mode and per-pair win-rate stats
+ */
+
+import { MAX_COMPARE_CONTESTANTS } from './config.js';
+import { $, showToast, showConfirmDialog, escapeHtml } from './ui.js';
+import { generateSingleImage, getCurrentConfig, showImageResult, setCurrentHistoryId } from './generation.js';
+import { refImages } from './references.js';
+import { getDB, saveHistoryEntry, requestToPromise } from './history.js';
+import { checkBudget, recordBudgetUsage } from './budget.js';
+import { estimateCost } from './usage.js';
+import { saveImageToFilesystem, getDirectoryInfo } from './filesystem.js';
+import { getActiveProvider } from './providers.js';
+import { getActiveProfile } from './profiles.js';
+import { getAxisOptions, formatAxisValue } from './matrix.js';
+import { isTemplate, openTemplateForm } from './templates.js';
+import { hasWildcards, expandWildcards, createWildcardSeed } from './wildcards.js';
+import { applyAvoid, createAvoid, getFormAvoidList } from './avoid.js';
+import { getSelectedPreset, applyPresetText } from './presets.js';
+
+// localStorage key for the last contestant setup ({contestants: [{model, resolution, thinkingBudget}], blind})
+const COMPARE_SETUP_KEY = 'compare_setup';
+
+// Config fields each contestant can set; the rest comes from the main form
+const CONTESTANT_FIELDS = ['model', 'resolution', 'thinkingBudget'];
+
+export const ComparePhase = {
+    SETUP: 'setup',
+    RUNNING: 'running',
+    VOTING: 'voting',
+    VOTED: 'voted'
+};
+
+let compareState = null; // {phase, contestants, prompt, refs, results, order, blind, winner, statsOpen, abortController}
+
+function loadSetup() {
+    try {
+        return JSON.parse(localStorage.getItem(COMPARE_SETUP_KEY) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+function saveSetup() {
+    localStorage.setItem(COMPARE_SETUP_KEY, JSON.stringify({
+        contestants: compareState.contestants,
+        blind: compareState.blind
+    }));
+}
+
+// Two contestants to start with: the selected model against the next one in the list
+function getDefaultContestants() {
+    const config = getCurrentConfig();
+    const models = getAxisOptions('model').map(o => o.value);
+    const other = models.find(model => model !== config.model) || config.model;
+    return [config.model, other].map(model => ({
+        model,
+        resolution: config.resolution,
+        thinkingBudget: config.thinkingBudget
+    }));
+}
+
+/**
+ * Label per contestant: the model, plus whichever settings differ between contestants.
+ * Labels double as the keys votes are stored under.
+ */
+export function getContestantLabels(contestants) {
+    const varying = CONTESTANT_FIELDS.filter(field =>
+        field !== 'model' && new Set(contestants.map(c => JSON.stringify(c[field]))).size > 1);
+    return contestants.map(c => [
+        formatAxisValue('model', c.model),
+        ...varying.map(field => field === 'thinkingBudget'
+            ? `Thinking ${formatAxisValue(field, c[field])}`
+            : formatAxisValue(field, c[field]))
+    ].join(' · '));
+}
+
+// ============================================
+// Vote storage
+// ============================================
+
+function getPairKey(a, b) {
+    return [a, b].sort().join(' vs ');
+}
+
+/**
+ * Record the outcome for one pair of contestants
+ * @param {string} a - Contestant label
+ * @param {string} b - Contestant label
+ * @param {string|null} winner - a, b, or null for a tie
+ */
+async function recordPairVote(a, b, winner) {
+    const db = getDB();
+    if (!db) return;
+
+    const [first, second] = [a, b].sort();
+    const profile = getActiveProfile() || '';
+    const id = profile + '|' + getPairKey(a, b);
+
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('compareVotes', 'readwrite');
+        const store = tx.objectStore('compareVotes');
+        store.get(id).onsuccess = e => {
+            const record = e.target.result || { id, profile, a: first, b: second, aWins: 0, bWins: 0, ties: 0 };
+            if (winner === record.a) record.aWins++;
+            else if (winner === record.b) record.bWins++;
+            else record.ties++;
+            record.updatedAt = Date.now();
+            store.put(record);
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Vote records of the active profile
+ * @returns {Promise<{a, b, aWins, bWins, ties}[]>}
+ */
+export async function loadCompareVotes() {
+    const db = getDB();
+    if (!db) return [];
+
+    const tx = db.transaction('compareVotes', 'readonly');
+    return requestToPromise(tx.objectStore('compareVotes').index('profile').getAll(getActiveProfile() || ''));
+}
+
+/**
+ * Win rate per contestant across all its pairs (ties count as half a win)
+ * @returns {{label: string, wins: number, losses: number, ties: number, winRate: number}[]} Best first
+ */
+export function getWinRates(votes) {
+    const totals = new Map();
+    const add = (label, wins, losses, ties) => {
+        const t = totals.get(label) || { label, wins: 0, losses: 0, ties: 0 };
+        t.wins += wins;
+        t.losses += losses;
+        t.ties += ties;
+        totals.set(label, t);
+    };
+    votes.forEach(v => {
+        add(v.a, v.aWins, v.bWins, v.ties);
+        add(v.b, v.bWins, v.aWins, v.ties);
+    });
+    return [...totals.values()]
+        .map(t => {
+            const games = t.wins + t.losses + t.ties;
+            return { ...t, winRate: games > 0 ? (t.wins + t.ties / 2) / games : 0 };
+        })
+        .sort((x, y) => y.winRate - x.winRate);
+}
+
+async function clearCompareVotes() {
+    const db = getDB();
+    if (!db) return;
+
+    const votes = await loadCompareVotes();
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('compareVotes', 'readwrite');
+        const store = tx.objectStore('compareVotes');
+        votes.forEach(v => store.delete(v.id));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============================================
+// Compare dialog
+// ============================================
+
+/**
+ * Open the compare dialog for the main prompt and refs
+ */
+export async function openCompareDialog() {
+    const missingCredential = getActiveProvider().getMissingConfigMessage();
+    if (missingCredential) return showToast(missingCredential);
+
+    let prompt = $('prompt')?.value.trim() || '';
+    if (!prompt) return showToast('Enter prompt');
+
+    // Every contestant gets the same text: templates are filled and wildcards rolled once up front
+    if (isTemplate(prompt)) {
+        const filled = await openTemplateForm(prompt, { submitLabel: 'Compare' });
+        if (!filled) return;
+        if (filled.length > 1) return showToast('Compare runs one prompt — use one value per variable');
+        prompt = filled[0].prompt;
+    }
+    if (hasWildcards(prompt)) {
+        prompt = expandWildcards(prompt, createWildcardSeed()).prompt.trim();
+    }
+
+    const setup = loadSetup();
+    const models = getAxisOptions('model').map(o => o.value);
+    const saved = (setup?.contestants || []).filter(c => models.includes(c.model));
+
+    closeCompareDialog();
+    compareState = {
+        phase: ComparePhase.SETUP,
+        contestants: saved.length >= 2 ? saved : getDefaultContestants(),
+        prompt,
+        refs: [...refImages],
+        results: [],
+        order: [],
+        blind: setup?.blind ?? true,
+        winner: null,
+        statsOpen: false,
+        abortController: null
+    };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'compareOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeCompareDialog(); };
+    overlay.innerHTML = `
+        <div class="confirm-dialog compare-dialog">
+            <div class="compare-header">
+                <div class="confirm-dialog-title">Compare</div>
+                <div class="compare-header-actions">
+                    <label class="compare-blind" title="Hide which model made which image until you vote">
+                        <input type="checkbox" id="compareBlind"> Blind
+                    </label>
+                    <button class="btn-secondary btn-sm" onclick="toggleCompareStats()">Stats</button>
+                    <button class="close-btn" onclick="closeCompareDialog()">&times;</button>
+                </div>
+            </div>
+            <div class="compare-prompt" title="${escapeHtml(prompt)}">${escapeHtml(prompt)}${compareState.refs.length > 0 ? ` <span class="compare-refs">+ ${compareState.refs.length} ref${compareState.refs.length > 1 ? 's' : ''}</span>` : ''}</div>
+            <div class="compare-stats hidden" id="compareStats"></div>
+            <div id="compareBody"></div>
+            <div class="confirm-dialog-actions" id="compareActions"></div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    $('compareBlind').checked = compareState.blind;
+    $('compareBlind').onchange = e => {
+        compareState.blind = e.target.checked;
+        saveSetup();
+        renderCompare();
+    };
+
+    renderCompare();
+}
+
+/**
+ * Close the compare dialog (stops generations still running)
+ */
+export function closeCompareDialog() {
+    compareState?.abortController?.abort();
+    $('compareOverlay')?.remove();
+    compareState = null;
+}
+
+function renderCompare() {
+    if (!compareState) return;
+    if (compareState.phase === ComparePhase.SETUP) {
+        renderCompareSetup();
+    } else {
+        renderCompareResults();
+    }
+}
+
+function renderCompareSetup() {
+    const body = $('compareBody');
+    const actions = $('compareActions');
+    if (!body || !actions) return;
+    $('compareBlind').disabled = false;
+
+    const { contestants } = compareState;
+    const selectHtml = (field, index) => {
+        const options = getAxisOptions(field);
+        return `
+            <select data-field="${field}" data-index="${index}">
+                ${options.map((o, i) => `<option value="${i}" ${o.value === contestants[index][field] ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+            </select>
+        `;
+    };
+
+    body.innerHTML = `
+        <div class="compare-contestants">
+            ${contestants.map((c, i) => `
+                <div class="compare-contestant">
+                    <span class="compare-slot">${String.fromCharCode(65 + i)}</span>
+                    ${selectHtml('model', i)}
+                    ${selectHtml('resolution', i)}
+                    ${selectHtml('thinkingBudget', i)}
+                    <button class="compare-remove" onclick="removeCompareContestant(${i})" title="Remove" ${contestants.length <= 2 ? 'disabled' : ''}>&times;</button>
+                </div>
+            `).join('')}
+        </div>
+        ${contestants.length < MAX_COMPARE_CONTESTANTS ? '<button class="btn-secondary btn-sm" onclick="addCompareContestant()">+ Add contestant</button>' : ''}
+    `;
+    body.querySelectorAll('select[data-field]').forEach(select => {
+        select.onchange = () => {
+            const { field, index } = select.dataset;
+            compareState.contestants[index][field] = getAxisOptions(field)[select.value].value;
+            saveSetup();
+        };
+    });
+
+    actions.innerHTML = `
+        <button class="btn-secondary" onclick="closeCompareDialog()">Cancel</button>
+        <button class="btn-primary" onclick="runCompare()">Run ${contestants.length} at once</button>
+    `;
+}
+
+function addCompareContestant() {
+    if (!compareState || compareState.contestants.length >= MAX_COMPARE_CONTESTANTS) return;
+    compareState.contestants.push({ ...compareState.contestants[compareState.contestants.length - 1] });
+    saveSetup();
+    renderCompare();
+}
+
+function removeCompareContestant(index) {
+    if (!compareState || compareState.contestants.length <= 2) return;
+    compareState.contestants.splice(index, 1);
+    saveSetup();
+    renderCompare();
+}
+
+/**
+ * Generate every contestant in parallel
+ */
+async function runCompare() {
+    if (!compareState || compareState.phase === ComparePhase.RUNNING) return;
+    const state = compareState;
+    const base = getCurrentConfig();
+    const labels = getContestantLabels(state.contestants);
+    // The main form's style preset and avoid list go to every contestant alike, as Generate would send them
+    const selectedPreset = getSelectedPreset();
+    const preset = selectedPreset
+        ? { name: selectedPreset.name, prefix: selectedPreset.prefix || '', suffix: selectedPreset.suffix || '', prompt: state.prompt }
+        : null;
+    const prompt = applyPresetText(state.prompt, selectedPreset);
+    const configs = state.contestants.map(c => selectedPreset?.systemInstruction
+        ? { ...base, ...c, systemInstruction: selectedPreset.systemInstruction }
+        : { ...base, ...c });
+    const avoid = createAvoid(getFormAvoidList());
+
+    if (new Set(labels).size < labels.length) {
+        return showToast('Two contestants have the same settings');
+    }
+
+    // Budgets: all contestants start together, so each one counts the others as in flight
+    for (let i = 0; i < configs.length; i++) {
+        const block = await checkBudget({ prompt, refImages: state.refs, config: configs[i] }, i);
+        if (block) return showToast(block.message);
+    }
+
+    state.phase = ComparePhase.RUNNING;
+    state.winner = null;
+    state.abortController = new AbortController();
+    state.results = configs.map((config, i) => ({ label: labels[i], config, status: 'generating' }));
+    // Blind mode shuffles the columns so position gives nothing away
+    state.order = configs.map((_, i) => i);
+    if (state.blind) {
+        for (let i = state.order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [state.order[i], state.order[j]] = [state.order[j], state.order[i]];
+        }
+    }
+    renderCompare();
+
+    const compareId = 'cmp_' + Date.now();
+    await Promise.all(state.results.map(async result => {
+        const startedAt = Date.now();
+        try {
+            const request = applyAvoid(prompt, result.config, avoid);
+            const output = await generateSingleImage(request.prompt, request.config, state.refs, state.abortController.signal);
+            result.status = 'done';
+            result.imageData = output.imageData;
+            result.usage = output.usage || null;
+            result.cost = estimateCost(result.config.model, result.usage);
+            await recordBudgetUsage(result.config, result.usage, result.cost);
+
+            result.historyId = 'gh_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+            await saveHistoryEntry({
+                id: result.historyId,
+                prompt,
+                config: {
+                    provider: result.config.provider,
+                    model: result.config.model,
+                    ratio: result.config.ratio,
+                    resolution: result.config.resolution,
+                    thinkingBudget: result.config.thinkingBudget,
+                    searchEnabled: result.config.searchEnabled,
+                    systemInstruction: result.config.systemInstruction || ''
+                },
+                refImages: state.refs,
+                filename: null,
+                batchName: '',
+                name: '',
+                createdAt: Date.now(),
+                generationTimeMs: Date.now() - startedAt,
+                usage: result.usage,
+                cost: result.cost,
+                keyAlias: output.keyAlias,
+                compare: { id: compareId, label: result.label },
+                preset,
+                avoid
+            }).catch(e => console.error('[Compare] Failed to save history entry:', e));
+        } catch (e) {
+            result.status = e.name === 'AbortError' ? 'cancelled' : 'failed';
+            result.error = e.message;
+        }
+        if (compareState === state) renderCompare();
+    }));
+
+    if (compareState !== state) return;
+    state.abortController = null;
+    state.phase = state.results.filter(r => r.status === 'done').length >= 2 ? ComparePhase.VOTING : ComparePhase.VOTED;
+    renderCompare();
+}
+
+function renderCompareResults() {
+    const body = $('compareBody');
+    const actions = $('compareActions');
+    if (!body || !actions) return;
+
+    const { results, order, blind, phase, winner } = compareState;
+    const hideLabels = blind && phase !== ComparePhase.VOTED;
+    // Switching blind mode off mid-vote would give the answer away
+    $('compareBlind').disabled = phase === ComparePhase.RUNNING || phase === ComparePhase.VOTING;
+
+    body.innerHTML = `
+        <div class="compare-results" style="grid-template-columns: repeat(${order.length}, minmax(0, 1fr));">
+            ${order.map((index, position) => {
+                const result = results[index];
+                const slot = String.fromCharCode(65 + position);
+                const content = result.status === 'done'
+                    ? `<img src="${result.imageData}" alt="">`
+                    : result.status === 'generating'
+                        ? '<div class="mini-spinner"></div>'
+                        : `<div class="compare-error">${escapeHtml(result.error || result.status)}</div>`;
+                return `
+                    <div class="compare-card ${winner === index ? 'winner' : ''}">
+                        <div class="compare-card-label">${hideLabels ? slot : `${slot} · ${escapeHtml(result.label)}`}</div>
+                        <div class="compare-card-image">${content}</div>
+                        ${phase === ComparePhase.VOTING && result.status === 'done' ? `<button class="btn-primary btn-sm" onclick="voteCompare(${index})">Pick ${slot}</button>` : ''}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    if (phase === ComparePhase.RUNNING) {
+        actions.innerHTML = '<button class="btn-secondary" onclick="closeCompareDialog()">Cancel</button>';
+    } else if (phase === ComparePhase.VOTING) {
+        actions.innerHTML = '<button class="btn-secondary" onclick="voteCompare(null)">Tie</button>';
+    } else {
+        actions.innerHTML = `
+            <button class="btn-secondary" onclick="editCompareSetup()">Change contestants</button>
+            <button class="btn-primary" onclick="runCompare()">Run again</button>
+        `;
+    }
+}
+
+/**
+ * Record a vote: the winner beats every other finished contestant; a tie counts for every pair
+ * @param {number|null} winnerIndex - Index into the results, or null for a tie
+ */
+async function voteCompare(winnerIndex) {
+    if (compareState?.phase !== ComparePhase.VOTING) return;
+    const state = compareState;
+    const done = state.results.map((r, i) => ({ ...r, index: i })).filter(r => r.status === 'done');
+
+    try {
+        if (winnerIndex === null) {
+            for (let i = 0; i < done.length; i++) {
+                for (let j = i + 1; j < done.length; j++) {
+                    await recordPairVote(done[i].label, done[j].label, null);
+                }
+            }
+        } else {
+            const winner = state.results[winnerIndex];
+            for (const other of done.filter(r => r.index !== winnerIndex)) {
+                await recordPairVote(winner.label, other.label, winner.label);
+            }
+        }
+    } catch (e) {
+        console.error('[Compare] Failed to record vote:', e);
+        showToast('Failed to save vote');
+    }
+
+    state.phase = ComparePhase.VOTED;
+    state.winner = winnerIndex;
+    renderCompare();
+    if (state.statsOpen) renderCompareStats();
+
+    if (winnerIndex === null) {
+        showToast('Tie recorded');
+        return;
+    }
+
+    // The winner becomes the current image, ready to iterate on
+    const winner = state.results[winnerIndex];
+    let filename = null;
+    if (getDirectoryInfo().isSet) {
+        try {
+            filename = (await saveImageToFilesystem(winner.imageData, state.prompt, 0, 'compare')).filename;
+        } catch (e) {
+            console.error('[Compare] Filesystem save failed:', e);
+        }
+    }
+    showImageResult(winner.imageData, filename);
+    setCurrentHistoryId(winner.historyId || null);
+    showToast(`${winner.label} wins`);
+}
+
+function editCompareSetup() {
+    if (!compareState) return;
+    compareState.phase = ComparePhase.SETUP;
+    renderCompare();
+}
+
+// ============================================
+// Stats
+// ============================================
+
+async function toggleCompareStats() {
+    if (!compareState) return;
+    compareState.statsOpen = !compareState.statsOpen;
+    $('compareStats')?.classList.toggle('hidden', !compareState.statsOpen);
+    if (compareState.statsOpen) await renderCompareStats();
+}
+
+async function renderCompareStats() {
+    const container = $('compareStats');
+    if (!container) return;
+
+    const votes = await loadCompareVotes();
+    if (votes.length === 0) {
+        container.innerHTML = '<div class="compare-stats-empty">No votes yet</div>';
+        return;
+    }
+
+    const percent = (n, total) => total > 0 ? Math.round(n / total * 100) + '%' : '—';
+    const profile = getActiveProfile();
+    container.innerHTML = `
+        <div class="compare-stats-title">Win rate${profile ? ` — ${escapeHtml(profile)}` : ''}</div>
+        <table class="compare-stats-table">
+            ${getWinRates(votes).map(t => `
+                <tr>
+                    <td>${escapeHtml(t.label)}</td>
+                    <td><strong>${Math.round(t.winRate * 100)}%</strong></td>
+                    <td class="compare-stats-muted">${t.wins}W ${t.losses}L ${t.ties}T</td>
+                </tr>
+            `).join('')}
+        </table>
+        <div class="compare-stats-title">Pairs</div>
+        <table class="compare-stats-table">
+            ${votes.map(v => {
+                const total = v.aWins + v.bWins + v.ties;
+                return `
+                    <tr>
+                        <td>${escapeHtml(v.a)} <span class="compare-stats-muted">vs</span> ${escapeHtml(v.b)}</td>
+                        <td>${percent(v.aWins, total)} / ${percent(v.bWins, total)}</td>
+                        <td class="compare-stats-muted">${v.aWins}–${v.bWins}${v.ties ? `, ${v.ties} tie${v.ties > 1 ? 's' : ''}` : ''}</td>
+                    </tr>
+                `;
+            }).join('')}
+        </table>
+        <button class="btn-secondary btn-sm" onclick="resetCompareStats()">Reset stats</button>
+    `;
+}
+
+async function resetCompareStats() {
+    const confirmed = await showConfirmDialog({
+        title: 'Reset Compare Stats',
+        message: 'Delete every vote for this profile?',
+        confirmText: 'Reset',
+        danger: true
+    });
+    if (!confirmed) return;
+
+    try {
+        await clearCompareVotes();
+        await renderCompareStats();
+    } catch (e) {
+        console.error('[Compare] Failed to reset stats:', e);
+        showToast('Failed to reset stats');
+    }
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openCompareDialog = openCompareDialog;
+window.closeCompareDialog = closeCompareDialog;
+window.addCompareContestant = addCompareContestant;
+window.removeCompareContestant = removeCompareContestant;
+window.runCompare = runCompare;
+window.voteCompare = voteCompare;
+window.editCompareSetup = editCompareSetup;
+window.toggleCompareStats = toggleCompareStats;
+window.resetCompareStats = resetCompareStats;
@@ -5,7 +5,37 @@
 
 // API Configuration
 export const MAX_RETRIES = 3;
-export const RETRY_DELAYS = [2000, 4000, 8000];
+export const RETRY_BASE_DELAY_MS = 2000; // Backoff doubles per attempt (with jitter) when the server gives no hint
+export const RETRY_MAX_DELAY_MS = 30000;
+export const RETRY_BUDGET_MS = 45000; // Max total wait inside one request; longer waits go back to the queue
+export const QUOTA_EXHAUSTED_COOLDOWN_MS = 3600000; // Key cooldown after a daily quota 429
+export const GEMINI_DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+export const DEFAULT_PROVIDER_ID = 'gemini';
+
+// Key Pool Configuration
+export const KEY_COOLDOWN_DEFAULT_MS = 60000; // Used when a 429 carries no retry delay
+export const MAX_POOL_KEYS = 10;
+
+// Mock Backend Configuration
+export const MOCK_DEFAULT_LATENCY_MS = 1500;
+export const MOCK_DEFAULT_RETRY_SECONDS = 5;
+
+// Auth Configuration
+export const OAUTH_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+export const VERTEX_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+export const TOKEN_LIFETIME_SECONDS = 3600;
+export const TOKEN_REFRESH_BUFFER_MS = 60000; // Refresh 60s before expiry
+export const VERTEX_DEFAULT_LOCATION = 'global';
+
+// Text Model Configuration (prompt enhancement, image descriptions)
+export const ENHANCE_DEFAULT_MODEL = 'gemini-2.5-flash';
+export const ENHANCE_DEFAULT_INSTRUCTION = 'You rewrite prompts for an image generation model. Expand the user\'s prompt into one ' +
+    'detailed paragraph covering subject, composition, lighting, style and mood. Keep every element the user asked for, ' +
+    'do not add text to the image unless asked, and reply with the rewritten prompt only.';
+export const DESCRIBE_CACHE_LIMIT = 200; // Image descriptions kept in localStorage (oldest dropped first)
+
+// Avoid List Configuration ({list} is replaced by the comma-separated items)
+export const AVOID_DEFAULT_TEMPLATE = 'Avoid: {list}.';
 
 // Image Configuration
 export const MAX_REF_IMAGE_SIZE = 2560;
@@ -13,12 +43,43 @@ export const MAX_REFS = 14;
 
 // Queue Configuration
 export const DEFAULT_QUEUE_DELAY_MS = 3000;
-export const MAX_QUEUE_ITEMS = 100;
+export const DEFAULT_MAX_QUEUE_ITEMS = 1000; // Queue size cap until changed in batch setup
+export const MAX_QUEUE_ITEMS_LIMIT = 20000; // Highest cap batch setup accepts
+export const MAX_TEMPLATE_EXPANSION = 100; // Max prompts one template fill can expand into
+export const WILDCARD_MAX_DEPTH = 10; // Max rounds of nested __wildcard__ / {a|b} expansion
+export const MATRIX_THINKING_BUDGETS = [0, -1, 1024, 4096, 8192, 24576]; // Thinking budget choices in the matrix builder (0 = off, -1 = auto)
+export const MATRIX_THUMBNAIL_SIZE = 256; // Longest edge of grid viewer thumbnails
+export const MAX_COMPARE_CONTESTANTS = 4; // Models/configs one compare run can send the prompt to
 export const MAX_VARIATIONS_PER_PROMPT = 10;
-export const QUEUE_STORAGE_KEY = 'queue_state';
+export const QUEUE_STORAGE_KEY = 'queue_state'; // Main queue's settings; other queues use QUEUE_STORAGE_KEY + '_' + id
+export const QUEUE_LIST_STORAGE_KEY = 'queue_list'; // Named queues in switcher order, and the one the panel shows
+export const QUEUE_SCHEDULER_STORAGE_KEY = 'queue_scheduler'; // Worker pool and scheduling settings shared by all queues
+export const DEFAULT_QUEUE_ID = 'main';
+export const MAX_QUEUE_CONCURRENCY = 8;
+export const CONCURRENCY_RECOVERY_SUCCESSES = 5; // Successes before a rate-limited queue adds a worker back
+export const WORKER_IDLE_POLL_MS = 500;
+export const QUEUE_ROW_HEIGHT = 58; // px per queue list row, incl. gap (matches .queue-item in components.css)
+export const QUEUE_ROW_OVERSCAN = 6; // Rows built above and below the visible ones
 
 // History Configuration
 export const MAX_HISTORY_ITEMS = 500;
+export const BLOB_GC_DELAY_MS = 5000; // Quiet period after refs are released before unreferenced images are deleted
+
+// Pricing (USD per 1M tokens, matched by longest model id prefix) — estimates only, check current Google pricing
+export const MODEL_PRICING = {
+    'gemini-3-pro-image': { input: 2.00, output: 12.00, imageOutput: 120.00 },
+    'gemini-2.5-flash-image': { input: 0.30, output: 2.50, imageOutput: 30.00 },
+    'gemini-2.0-flash-preview-image-generation': { input: 0.10, output: 0.40, imageOutput: 30.00 },
+    // Text models used for prompt enhancement and image descriptions
+    'gemini-2.5-flash': { input: 0.30, output: 2.50, imageOutput: 0 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00, imageOutput: 0 }
+};
+
+// Inpaint Configuration
+export const MASK_DEFAULT_BRUSH_SIZE = 40; // Screen pixels, so the brush feels the same at any zoom
+export const MASK_DEFAULT_FEATHER = 8; // Image pixels of edge blur
+export const MASK_MAX_FEATHER = 64;
+export const EXTEND_OVERLAP_PX = 16; // Image pixels along each seam the model may repaint when extending the canvas
 
 // Zoom Configuration
 export const FS_MAX_ZOOM = 10;
@@ -0,0 +1,70 @@
+/**
+ * Dependencies Module
+ * Prompts that take another prompt's output as a reference: run order, stages and cycle checks
+ */
+
+/**
+ * Order nodes so each one comes after the nodes whose output it uses
+ * @param {Object[]} nodes - {id, inputs: string[]} (inputs naming ids that aren't in the list are ignored)
+ * @returns {{order: Object[], stages: Object[][], cycle: Object[]|null}}
+ *   stages group nodes by depth (the first stage uses no outputs) and keep the list order within a stage;
+ *   cycle holds the nodes of a dependency cycle, in which case order and stages are empty
+ */
+export function resolveDependencies(nodes) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const depths = new Map();
+    const path = [];
+    let cycle = null;
+
+    const visit = node => {
+        if (depths.has(node.id)) return depths.get(node.id);
+        const index = path.indexOf(node);
+        if (index !== -1) {
+            cycle = path.slice(index);
+            return 0;
+        }
+
+        path.push(node);
+        let depth = 0;
+        for (const id of node.inputs || []) {
+            const upstream = byId.get(id);
+            if (upstream) depth = Math.max(depth, visit(upstream) + 1);
+            if (cycle) return 0;
+        }
+        path.pop();
+        depths.set(node.id, depth);
+        return depth;
+    };
+
+    for (const node of nodes) {
+        visit(node);
+        if (cycle) return { order: [], stages: [], cycle };
+    }
+
+    const stages = [];
+    nodes.forEach(node => {
+        const depth = depths.get(node.id);
+        (stages[depth] = stages[depth] || []).push(node);
+    });
+    return { order: stages.flat(), stages, cycle: null };
+}
+
+/**
+ * Ids of every node that uses the given node's output, directly or through other nodes
+ * @param {Object[]} nodes - {id, inputs: string[]}
+ * @returns {Set<string>}
+ */
+export function getDownstreamIds(nodes, id) {
+    const downstream = new Set();
+    const pending = [id];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        nodes.forEach(node => {
+            if ((node.inputs || []).includes(current) && !downstream.has(node.id)) {
+                downstream.add(node.id);
+                pending.push(node.id);
+            }
+        });
+    }
+    return downstream;
+}
@@ -0,0 +1,257 @@
+/**
+ * Describe Module
+ * Reverse an image into a generation prompt with a multimodal text model, cached per image hash
+ */
+
+import { DESCRIBE_CACHE_LIMIT } from './config.js';
+import { $, showToast } from './ui.js';
+import { generateWithRetry } from './api.js';
+import { getActiveProvider, parseGeminiText } from './providers.js';
+import { compressImage, refImages } from './references.js';
+import { getCurrentImg } from './zoom.js';
+import { getEnhanceSettings } from './enhance.js';
+import { hashDataUrl } from './blobs.js';
+import { extractUsage, estimateCost } from './usage.js';
+import { checkBudget, recordBudgetUsage, BudgetExceededError } from './budget.js';
+
+export const DescribeStyle = {
+    CAPTION: 'caption',
+    TAGS: 'tags',
+    CINEMATIC: 'cinematic'
+};
+
+const STYLE_LABELS = {
+    [DescribeStyle.CAPTION]: 'Caption',
+    [DescribeStyle.TAGS]: 'Tag list',
+    [DescribeStyle.CINEMATIC]: 'Cinematic'
+};
+
+const STYLE_INSTRUCTIONS = {
+    [DescribeStyle.CAPTION]: 'Describe this image as a prompt for an image generation model: one or two plain sentences ' +
+        'naming the subject, setting, composition and style. Reply with the prompt only.',
+    [DescribeStyle.TAGS]: 'Describe this image as a comma-separated list of short tags for an image generation model: ' +
+        'subject, attributes, setting, composition, lighting, colors, medium and style, most important first. Reply with the tags only.',
+    [DescribeStyle.CINEMATIC]: 'Describe this image as a detailed prompt for an image generation model, written like a film ' +
+        'shot description: subject and action, framing and lens, lighting, color grade, mood and setting, in one paragraph. ' +
+        'Reply with the prompt only.'
+};
+
+// localStorage keys
+const DESCRIBE_CACHE_KEY = 'describe_cache'; // {[hash|style|model]: text}, oldest first
+const DESCRIBE_STYLE_KEY = 'describe_style';
+
+// Requests in flight, so a second click waits for the first instead of billing again
+const pendingDescriptions = new Map();
+
+let describeRequestId = 0; // Latest dialog request; older results are dropped
+
+function loadCache() {
+    try {
+        return JSON.parse(localStorage.getItem(DESCRIBE_CACHE_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function saveToCache(key, text) {
+    const cache = loadCache();
+    delete cache[key];
+    cache[key] = text;
+    const keys = Object.keys(cache);
+    keys.slice(0, Math.max(0, keys.length - DESCRIBE_CACHE_LIMIT)).forEach(k => delete cache[k]);
+    localStorage.setItem(DESCRIBE_CACHE_KEY, JSON.stringify(cache));
+}
+
+function toInlineDataPart(imageData) {
+    const match = imageData.match(/^data:(.+);base64,(.+)$/);
+    if (!match) throw new Error('Unsupported image format');
+    return { inlineData: { mimeType: match[1], data: match[2] } };
+}
+
+async function requestDescription(imageData, style, model) {
+    // Refused once a budget limit is reached (cached descriptions never get here, so they skip the check and the count)
+    const provider = getActiveProvider();
+    const block = await checkBudget({ prompt: '', refImages: [imageData], config: { provider: provider.id, model } }, 0, 0);
+    if (block) throw new BudgetExceededError(block);
+
+    // Large outputs are shrunk to reference size first; the model doesn't need 4K to describe them
+    const image = await compressImage(imageData);
+    const body = {
+        systemInstruction: { parts: [{ text: STYLE_INSTRUCTIONS[style] }] },
+        contents: [{ role: 'user', parts: [toInlineDataPart(image)] }],
+        generationConfig: { responseModalities: ['TEXT'] }
+    };
+    const data = await generateWithRetry(model, body, null, provider);
+
+    const usage = extractUsage(data.usageMetadata);
+    await recordBudgetUsage({ provider: provider.id, model }, usage, estimateCost(model, usage), 0);
+    return parseGeminiText(data);
+}
+
+/**
+ * Describe an image as a prompt (cached per image hash, style and model)
+ * @param {string} imageData - Data URL
+ * @param {string} style - DescribeStyle
+ * @returns {Promise<{text: string, model: string, cached: boolean}>}
+ */
+export async function describeImage(imageData, style = DescribeStyle.CAPTION) {
+    if (!STYLE_INSTRUCTIONS[style]) style = DescribeStyle.CAPTION;
+    const { model } = getEnhanceSettings();
+    const key = [await hashDataUrl(imageData), style, model].join('|');
+
+    const cached = loadCache()[key];
+    if (cached) return { text: cached, model, cached: true };
+
+    if (!pendingDescriptions.has(key)) {
+        const request = requestDescription(imageData, style, model)
+            .then(text => {
+                saveToCache(key, text);
+                return text;
+            })
+            .finally(() => pendingDescriptions.delete(key));
+        pendingDescriptions.set(key, request);
+    }
+    return { text: await pendingDescriptions.get(key), model, cached: false };
+}
+
+// ============================================
+// Describe dialog
+// ============================================
+
+function getSavedStyle() {
+    const style = localStorage.getItem(DESCRIBE_STYLE_KEY);
+    return STYLE_INSTRUCTIONS[style] ? style : DescribeStyle.CAPTION;
+}
+
+/**
+ * Open the describe dialog for an image
+ * @param {string} imageData - Data URL
+ */
+export function openDescribeDialog(imageData) {
+    if (!imageData) return;
+    const missingCredential = getActiveProvider().getMissingConfigMessage();
+    if (missingCredential) return showToast(missingCredential);
+
+    closeDescribeDialog();
+    const style = getSavedStyle();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'describeOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeDescribeDialog(); };
+    overlay.innerHTML = `
+        <div class="confirm-dialog describe-dialog">
+            <div class="confirm-dialog-title">Describe Image</div>
+            <div class="describe-body">
+                <img class="describe-image" src="${imageData}" alt="">
+                <div class="describe-main">
+                    <div class="describe-styles">
+                        ${Object.values(DescribeStyle).map(s => `
+                            <label><input type="radio" name="describeStyle" value="${s}" ${s === style ? 'checked' : ''}> ${STYLE_LABELS[s]}</label>
+                        `).join('')}
+                    </div>
+                    <textarea id="describeResult" rows="7" placeholder="Describing..."></textarea>
+                    <div class="describe-status" id="describeStatus"></div>
+                </div>
+            </div>
+            <div class="confirm-dialog-actions">
+                <button class="btn-secondary" onclick="closeDescribeDialog()">Cancel</button>
+                <button class="btn-secondary describe-use" onclick="useDescription(true)" disabled>New prompt box</button>
+                <button class="btn-primary describe-use" onclick="useDescription(false)" disabled>Use as prompt</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.querySelectorAll('input[name="describeStyle"]').forEach(radio => {
+        radio.onchange = () => {
+            localStorage.setItem(DESCRIBE_STYLE_KEY, radio.value);
+            runDescribe(imageData, radio.value);
+        };
+    });
+
+    runDescribe(imageData, style);
+}
+
+/**
+ * Close the describe dialog
+ */
+export function closeDescribeDialog() {
+    describeRequestId++;
+    $('describeOverlay')?.remove();
+}
+
+async function runDescribe(imageData, style) {
+    const requestId = ++describeRequestId;
+    const result = $('describeResult');
+    const status = $('describeStatus');
+    const useButtons = document.querySelectorAll('#describeOverlay .describe-use');
+
+    result.value = '';
+    result.disabled = true;
+    status.classList.remove('error');
+    status.textContent = 'Describing...';
+    useButtons.forEach(btn => { btn.disabled = true; });
+
+    try {
+        const description = await describeImage(imageData, style);
+        if (requestId !== describeRequestId) return;
+        result.value = description.text;
+        status.textContent = description.cached
+            ? `${description.model} · cached`
+            : description.model;
+        useButtons.forEach(btn => { btn.disabled = false; });
+    } catch (e) {
+        if (requestId !== describeRequestId) return;
+        console.error('[Describe] Failed:', e);
+        status.classList.add('error');
+        status.textContent = e.message;
+    } finally {
+        if (requestId === describeRequestId) result.disabled = false;
+    }
+}
+
+/**
+ * Put the (possibly edited) description into the main prompt or a new prompt box
+ * @param {boolean} asNewBox - Add a batch prompt box instead of replacing the main prompt
+ */
+async function useDescription(asNewBox) {
+    const text = $('describeResult')?.value.trim();
+    if (!text) return;
+    closeDescribeDialog();
+
+    if (asNewBox) {
+        const { openQueueSetupWithPrompt } = await import('./queueUI.js');
+        openQueueSetupWithPrompt(text);
+        return;
+    }
+
+    const promptEl = $('prompt');
+    promptEl.value = text;
+    promptEl.dispatchEvent(new Event('input'));
+    showToast('Description inserted into the prompt');
+}
+
+/**
+ * Describe a reference image by id
+ */
+function describeRef(id) {
+    const ref = refImages.find(img => img.id === id);
+    if (ref) openDescribeDialog(ref.data);
+}
+
+/**
+ * Describe the image shown in the result panel
+ */
+function describeCurrentImage() {
+    const imageData = getCurrentImg();
+    if (!imageData) return showToast('Generate or select an image first');
+    openDescribeDialog(imageData);
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openDescribeDialog = openDescribeDialog;
+window.closeDescribeDialog = closeDescribeDialog;
+window.useDescription = useDescription;
+window.describeRef = describeRef;
+window.describeCurrentImage = describeCurrentImage;
@@ -0,0 +1,206 @@
+/**
+ * Enhance Module
+ * Optional prompt rewrite by a text model before image generation
+ */
+
+import { ENHANCE_DEFAULT_MODEL, ENHANCE_DEFAULT_INSTRUCTION } from './config.js';
+import { $, showToast, escapeHtml } from './ui.js';
+import { generateWithRetry } from './api.js';
+import { getProvider, parseGeminiText } from './providers.js';
+import { extractUsage, estimateCost } from './usage.js';
+
+// localStorage keys (also snapshotted by profiles.js)
+export const ENHANCE_MODEL_KEY = 'enhance_model';
+export const ENHANCE_INSTRUCTION_KEY = 'enhance_instruction';
+
+// Rewrites in flight or done, keyed by backend + model + instruction + prompt,
+// so the variations of one prompt share a single text request
+const enhanceCache = new Map();
+const MAX_CACHED_REWRITES = 100;
+
+/**
+ * Text model and system instruction used for enhancement (defaults when unset)
+ * @returns {{model: string, instruction: string}}
+ */
+export function getEnhanceSettings() {
+    return {
+        model: (localStorage.getItem(ENHANCE_MODEL_KEY) || '').trim() || ENHANCE_DEFAULT_MODEL,
+        instruction: (localStorage.getItem(ENHANCE_INSTRUCTION_KEY) || '').trim() || ENHANCE_DEFAULT_INSTRUCTION
+    };
+}
+
+/**
+ * Whether the main form's Enhance toggle is on
+ */
+export function isEnhanceEnabled() {
+    return !!$('enhanceToggle')?.checked;
+}
+
+async function requestEnhancement(prompt, model, instruction, options) {
+    const body = {
+        systemInstruction: { parts: [{ text: instruction }] },
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { responseModalities: ['TEXT'] }
+    };
+    const provider = getProvider(options.provider);
+
+    // Text tokens count against the budgets like image generations do, so a reached limit refuses the rewrite
+    // (imported here because budget.js → profiles.js imports this module)
+    const { checkBudget, recordBudgetUsage, BudgetExceededError } = await import('./budget.js');
+    const block = await checkBudget({ prompt, config: { provider: provider.id, model } }, 0, 0);
+    if (block) throw new BudgetExceededError(block);
+
+    const data = await generateWithRetry(model, body, options.signal || null, provider, {
+        onRetryWait: options.onRetryWait
+    });
+
+    const usage = extractUsage(data.usageMetadata);
+    const cost = estimateCost(model, usage);
+    await recordBudgetUsage({ provider: provider.id, model }, usage, cost, 0);
+    return { prompt: parseGeminiText(data), model, usage, cost };
+}
+
+/**
+ * Rewrite a prompt with the enhancement model
+ * @param {string} prompt - Raw prompt
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Backend to send the request to (defaults to the active one)
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onRetryWait] - Called before a retry wait, like generateSingleImage's
+ * @param {string} [options.model] - Overrides the stored text model
+ * @param {string} [options.instruction] - Overrides the stored system instruction
+ * @returns {Promise<{prompt: string, model: string, usage: Object|null, cost: number|null}>}
+ *   Rewritten prompt, the model that wrote it and the text request's usage
+ *   (usage is null for callers that got a rewrite already requested by another call)
+ */
+export function enhancePrompt(prompt, options = {}) {
+    const settings = getEnhanceSettings();
+    const model = options.model || settings.model;
+    const instruction = options.instruction || settings.instruction;
+    const key = [options.provider || '', model, instruction, prompt].join('\n');
+
+    // Only the call that made the request reports its usage, so shared rewrites aren't counted twice
+    if (enhanceCache.has(key)) {
+        return enhanceCache.get(key).then(result => ({ ...result, usage: null, cost: null }));
+    }
+
+    const request = requestEnhancement(prompt, model, instruction, options).catch(e => {
+        enhanceCache.delete(key);
+        throw e;
+    });
+    enhanceCache.set(key, request);
+    if (enhanceCache.size > MAX_CACHED_REWRITES) {
+        enhanceCache.delete(enhanceCache.keys().next().value);
+    }
+    return request;
+}
+
+// ============================================
+// Settings dialog
+// ============================================
+
+/**
+ * Open the enhancement settings (text model, system instruction, try-out on the current prompt)
+ */
+export function openEnhanceSettings() {
+    closeEnhanceSettings();
+    const { model, instruction } = getEnhanceSettings();
+    const models = [...($('modelSelect')?.options || [])].map(o => o.value);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'enhanceSettingsOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeEnhanceSettings(); };
+    overlay.innerHTML = `
+        <div class="confirm-dialog enhance-dialog">
+            <div class="confirm-dialog-title">Prompt Enhancement</div>
+            <label class="enhance-field">
+                <span>Text model (also used by Describe)</span>
+                <input type="text" id="enhanceModelInput" list="enhanceModelList" placeholder="${escapeHtml(ENHANCE_DEFAULT_MODEL)}">
+                <datalist id="enhanceModelList">
+                    ${models.map(id => `<option value="${escapeHtml(id)}"></option>`).join('')}
+                </datalist>
+            </label>
+            <label class="enhance-field">
+                <span>System instruction</span>
+                <textarea id="enhanceInstructionInput" rows="6"></textarea>
+            </label>
+            <div class="enhance-preview hidden" id="enhancePreview"></div>
+            <div class="confirm-dialog-actions">
+                <button class="btn-secondary" onclick="resetEnhanceSettings()">Reset</button>
+                <button class="btn-secondary" id="enhanceTryBtn" onclick="tryEnhancePrompt()" title="Rewrite the current prompt without generating">Try</button>
+                <button class="btn-secondary" onclick="closeEnhanceSettings()">Cancel</button>
+                <button class="btn-primary" onclick="saveEnhanceSettings()">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    // Set as values rather than markup so quotes and newlines survive
+    $('enhanceModelInput').value = model;
+    $('enhanceInstructionInput').value = instruction;
+}
+
+/**
+ * Close the enhancement settings dialog
+ */
+export function closeEnhanceSettings() {
+    $('enhanceSettingsOverlay')?.remove();
+}
+
+function readDialogValues() {
+    return {
+        model: $('enhanceModelInput')?.value.trim() || '',
+        instruction: $('enhanceInstructionInput')?.value.trim() || ''
+    };
+}
+
+function storeSettings({ model, instruction }) {
+    // Defaults are stored as unset, so later default changes still apply
+    if (model && model !== ENHANCE_DEFAULT_MODEL) localStorage.setItem(ENHANCE_MODEL_KEY, model);
+    else localStorage.removeItem(ENHANCE_MODEL_KEY);
+    if (instruction && instruction !== ENHANCE_DEFAULT_INSTRUCTION) localStorage.setItem(ENHANCE_INSTRUCTION_KEY, instruction);
+    else localStorage.removeItem(ENHANCE_INSTRUCTION_KEY);
+}
+
+function saveEnhanceSettings() {
+    storeSettings(readDialogValues());
+    closeEnhanceSettings();
+    showToast('Enhancement settings saved');
+}
+
+function resetEnhanceSettings() {
+    $('enhanceModelInput').value = ENHANCE_DEFAULT_MODEL;
+    $('enhanceInstructionInput').value = ENHANCE_DEFAULT_INSTRUCTION;
+}
+
+/**
+ * Rewrite the main prompt with the values in the dialog and show the result
+ */
+async function tryEnhancePrompt() {
+    const prompt = $('prompt')?.value.trim();
+    if (!prompt) return showToast('Enter prompt');
+
+    const preview = $('enhancePreview');
+    const tryBtn = $('enhanceTryBtn');
+    preview.classList.remove('hidden', 'error');
+    preview.textContent = 'Enhancing...';
+    tryBtn.disabled = true;
+
+    try {
+        const result = await enhancePrompt(prompt, readDialogValues());
+        preview.textContent = result.prompt;
+    } catch (e) {
+        preview.classList.add('error');
+        preview.textContent = e.message;
+    } finally {
+        tryBtn.disabled = false;
+    }
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openEnhanceSettings = openEnhanceSettings;
+window.closeEnhanceSettings = closeEnhanceSettings;
+window.saveEnhanceSettings = saveEnhanceSettings;
+window.resetEnhanceSettings = resetEnhanceSettings;
+window.tryEnhancePrompt = tryEnhancePrompt;
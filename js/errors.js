@@ -0,0 +1,302 @@
+/**
+ * Errors Module
+ * Typed generation errors — each carries its class, HTTP status, finishReason and raw payload
+ */
+
+export const ErrorClass = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    QUOTA: 'quota',
+    SAFETY: 'safety',
+    RECITATION: 'recitation',
+    NO_IMAGE: 'no_image',
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    SERVER: 'server',
+    ABORTED: 'aborted',
+    DEPENDENCY: 'dependency',
+    UNKNOWN: 'unknown'
+};
+
+export const ERROR_CLASS_LABELS = {
+    [ErrorClass.AUTH]: 'Auth',
+    [ErrorClass.RATE_LIMIT]: 'Rate limit',
+    [ErrorClass.QUOTA]: 'Quota',
+    [ErrorClass.SAFETY]: 'Safety block',
+    [ErrorClass.RECITATION]: 'Recitation',
+    [ErrorClass.NO_IMAGE]: 'No image',
+    [ErrorClass.NETWORK]: 'Network',
+    [ErrorClass.TIMEOUT]: 'Timeout',
+    [ErrorClass.SERVER]: 'Server',
+    [ErrorClass.ABORTED]: 'Cancelled',
+    [ErrorClass.DEPENDENCY]: 'Upstream',
+    [ErrorClass.UNKNOWN]: 'Other'
+};
+
+const QUOTA_FAILURE_TYPE = 'type.googleapis.com/google.rpc.QuotaFailure';
+
+// Raw payloads larger than this are dropped when serializing (queue state lives in localStorage)
+const MAX_PAYLOAD_CHARS = 8000;
+
+/**
+ * Base class for all generation failures
+ */
+export class GenerationError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [info]
+     * @param {number|null} [info.status] - HTTP status
+     * @param {string|null} [info.apiStatus] - Google RPC status (e.g. RESOURCE_EXHAUSTED)
+     * @param {string|null} [info.finishReason] - Candidate finishReason / prompt blockReason
+     * @param {Array} [info.details] - google.rpc error details
+     * @param {number|null} [info.retryAfterMs] - Retry-After header value
+     * @param {*} [info.payload] - Raw error body or response
+     */
+    constructor(message, info = {}) {
+        super(message);
+        this.name = 'GenerationError';
+        this.errorClass = ErrorClass.UNKNOWN;
+        this.status = info.status ?? null;
+        this.apiStatus = info.apiStatus ?? null;
+        this.finishReason = info.finishReason ?? null;
+        this.details = info.details || [];
+        this.retryAfterMs = info.retryAfterMs ?? null;
+        this.payload = info.payload ?? null;
+    }
+}
+
+export class AuthError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'AuthError';
+        this.errorClass = ErrorClass.AUTH;
+    }
+}
+
+export class RateLimitError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'RateLimitError';
+        this.errorClass = ErrorClass.RATE_LIMIT;
+    }
+}
+
+export class QuotaError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'QuotaError';
+        this.errorClass = ErrorClass.QUOTA;
+    }
+}
+
+export class SafetyError extends GenerationError {
+    /**
+     * @param {Object} [info.category] - Blocking harm category (e.g. HARM_CATEGORY_SEXUALLY_EXPLICIT), if reported
+     */
+    constructor(message, info = {}) {
+        super(message, info);
+        this.name = 'SafetyError';
+        this.errorClass = ErrorClass.SAFETY;
+        this.category = info.category ?? null;
+    }
+}
+
+export class RecitationError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'RecitationError';
+        this.errorClass = ErrorClass.RECITATION;
+    }
+}
+
+export class NoImageError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'NoImageError';
+        this.errorClass = ErrorClass.NO_IMAGE;
+    }
+}
+
+export class NetworkError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'NetworkError';
+        this.errorClass = ErrorClass.NETWORK;
+    }
+}
+
+export class TimeoutError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'TimeoutError';
+        this.errorClass = ErrorClass.TIMEOUT;
+    }
+}
+
+export class ServerError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'ServerError';
+        this.errorClass = ErrorClass.SERVER;
+    }
+}
+
+export class AbortedError extends GenerationError {
+    constructor(message = 'Cancelled', info) {
+        super(message, info);
+        // Keep the DOM name so existing `e.name === 'AbortError'` checks still match
+        this.name = 'AbortError';
+        this.errorClass = ErrorClass.ABORTED;
+    }
+}
+
+/**
+ * An item's upstream item (whose output it uses as a reference) failed or has no output
+ */
+export class DependencyError extends GenerationError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'DependencyError';
+        this.errorClass = ErrorClass.DEPENDENCY;
+    }
+}
+
+/**
+ * Whether a 429 means the quota is used up for the day rather than for the minute
+ */
+function isQuotaExhausted(details, message) {
+    const violations = (details || [])
+        .filter(d => d['@type'] === QUOTA_FAILURE_TYPE)
+        .flatMap(d => d.violations || []);
+    if (violations.length > 0) {
+        return violations.some(v => /per ?day/i.test((v.quotaId || '') + ' ' + (v.quotaMetric || '')));
+    }
+    return /per day|daily/i.test(message || '');
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @returns {number|null} Milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfterHeader(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Pick the error class for an HTTP failure
+ */
+function classForHttp(status, apiStatus, details, message) {
+    if (status === 401 || status === 403 || apiStatus === 'UNAUTHENTICATED' || apiStatus === 'PERMISSION_DENIED') {
+        return AuthError;
+    }
+    if (status === 429 || apiStatus === 'RESOURCE_EXHAUSTED') {
+        return isQuotaExhausted(details, message) ? QuotaError : RateLimitError;
+    }
+    if (status === 408 || status === 504 || apiStatus === 'DEADLINE_EXCEEDED') return TimeoutError;
+    if (status >= 500) return ServerError;
+    return GenerationError;
+}
+
+/**
+ * Build a typed error from a failed generateContent response
+ * @param {Object} error - The `error` object from the response body
+ * @param {Response} response - fetch response (for status and Retry-After)
+ */
+export function createApiError(error, response) {
+    const details = Array.isArray(error.details) ? error.details : [];
+    const ErrorType = classForHttp(response.status, error.status, details, error.message);
+    return new ErrorType(error.message, {
+        status: response.status,
+        apiStatus: error.status || null,
+        details,
+        retryAfterMs: parseRetryAfterHeader(response.headers?.get?.('Retry-After')),
+        payload: error
+    });
+}
+
+/**
+ * Build a typed error from a response without a JSON error body (e.g. a proxy's HTML 502 page)
+ * @param {Response} response - fetch response (for status and Retry-After)
+ * @param {*} body - Response body as far as it could be read
+ */
+export function createHttpError(response, body = null) {
+    const label = `HTTP ${response.status}${response.statusText ? ' ' + response.statusText : ''}`;
+    // A success status with an unreadable body is a broken response, not a request the caller got wrong
+    const ErrorType = response.ok ? ServerError : classForHttp(response.status, null, [], '');
+    return new ErrorType(response.ok ? `Unreadable response from server (${label})` : `Server returned ${label}`, {
+        status: response.status,
+        retryAfterMs: parseRetryAfterHeader(response.headers?.get?.('Retry-After')),
+        payload: typeof body === 'string' ? body.slice(0, 500) : body
+    });
+}
+
+/**
+ * Normalize any thrown value into a GenerationError subclass (existing ones pass through)
+ */
+export function toGenerationError(err) {
+    if (err instanceof GenerationError) return err;
+
+    const message = err?.message || String(err);
+    const info = {
+        status: err?.status ?? null,
+        apiStatus: err?.apiStatus ?? null,
+        details: err?.details,
+        retryAfterMs: err?.retryAfterMs ?? null
+    };
+    let typed;
+
+    if (err?.name === 'AbortError') {
+        typed = new AbortedError(message, info);
+    } else if (err?.name === 'TimeoutError') {
+        typed = new TimeoutError(message, info);
+    } else if (err instanceof TypeError && /fetch|network|load failed/i.test(message)) {
+        // fetch rejects with a TypeError ("Failed to fetch", "NetworkError...", "Load failed")
+        typed = new NetworkError(message, info);
+    } else if (info.status || info.apiStatus) {
+        const ErrorType = classForHttp(info.status, info.apiStatus, info.details, message);
+        typed = new ErrorType(message, info);
+    } else if (/\b429\b|rate limit/i.test(message)) {
+        // Errors from older code paths that only say so in the message
+        typed = isQuotaExhausted(info.details, message) ? new QuotaError(message, info) : new RateLimitError(message, info);
+    } else {
+        typed = new GenerationError(message, info);
+    }
+
+    if (err?.keyAlias) typed.keyAlias = err.keyAlias;
+    return typed;
+}
+
+/**
+ * Plain-object form stored on queue items and history entries
+ */
+export function serializeError(err) {
+    const typed = toGenerationError(err);
+    let payload = typed.payload;
+    try {
+        if (payload && JSON.stringify(payload).length > MAX_PAYLOAD_CHARS) payload = null;
+    } catch {
+        payload = null;
+    }
+
+    return {
+        class: typed.errorClass,
+        message: typed.message,
+        status: typed.status,
+        apiStatus: typed.apiStatus,
+        finishReason: typed.finishReason,
+        category: typed.category ?? null,
+        payload
+    };
+}
+
+/**
+ * Error class of a queue item (items saved before typed errors count as unknown)
+ */
+export function getItemErrorClass(item) {
+    if (item.errorInfo?.class) return item.errorInfo.class;
+    return item.status === 'cancelled' ? ErrorClass.ABORTED : ErrorClass.UNKNOWN;
+}
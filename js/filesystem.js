@@ -8,6 +8,7 @@ import { showToast } from './ui.js';
 // State
 let directoryHandle = null;
 let db = null;
+const queueDirectoryHandles = new Map(); // queueId -> folder of queues that don't save to the main one
 
 function isLoopbackHost(hostname) {
     return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1';
@@ -58,11 +59,17 @@ export function setFilesystemDB(database) {
 
 /**
  * Get current directory info
+ * @param {string} queueId - Optional: the folder a queue saves to (its own, else the main one)
  */
-export function getDirectoryInfo() {
+export function getDirectoryInfo(queueId = null) {
+    const queueHandle = queueId ? queueDirectoryHandles.get(queueId) : null;
+    if (queueHandle) {
+        return { name: queueHandle.name, isSet: true, isQueueFolder: true };
+    }
     return {
         name: directoryHandle?.name || null,
-        isSet: directoryHandle !== null
+        isSet: directoryHandle !== null,
+        isQueueFolder: false
     };
 }
 
@@ -172,14 +179,105 @@ export async function clearDirectorySelection() {
     updateDirectoryUI();
 }
 
+// ============================================
+// Queue output folders
+// ============================================
+
+function queueDirectorySettingId(queueId) {
+    return 'outputDirectory_' + queueId;
+}
+
+/**
+ * Pick a folder for one queue's results (instead of the main output folder)
+ */
+export async function selectQueueOutputDirectory(queueId) {
+    const support = getFileSystemSupportDetails();
+    if (!support.supported) {
+        showToast(support.message);
+        return false;
+    }
+
+    try {
+        const handle = await window.showDirectoryPicker({
+            mode: 'readwrite',
+            startIn: 'pictures'
+        });
+        queueDirectoryHandles.set(queueId, handle);
+
+        if (db) {
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction('settings', 'readwrite');
+                tx.objectStore('settings').put({
+                    id: queueDirectorySettingId(queueId),
+                    handle,
+                    name: handle.name,
+                    savedAt: Date.now()
+                });
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+        showToast(`Queue output folder: ${handle.name}`);
+        return true;
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error('Queue folder selection failed:', e);
+            showToast('Failed to select folder');
+        }
+        return false;
+    }
+}
+
+/**
+ * Send a queue's results back to the main output folder
+ */
+export async function clearQueueOutputDirectory(queueId) {
+    queueDirectoryHandles.delete(queueId);
+    if (!db) return;
+
+    return new Promise((resolve) => {
+        const tx = db.transaction('settings', 'readwrite');
+        tx.objectStore('settings').delete(queueDirectorySettingId(queueId));
+        tx.oncomplete = resolve;
+        tx.onerror = resolve;
+    });
+}
+
+/**
+ * Restore the folders of the given queues from IndexedDB
+ * Permission is checked when saving; a queue folder that needs it re-granted falls back to the main folder
+ */
+export async function restoreQueueDirectoryHandles(queueIds) {
+    if (!db || !isFileSystemSupported()) return;
+
+    try {
+        const records = await new Promise((resolve, reject) => {
+            const tx = db.transaction('settings', 'readonly');
+            const store = tx.objectStore('settings');
+            const found = [];
+            queueIds.forEach(queueId => {
+                store.get(queueDirectorySettingId(queueId)).onsuccess = e => {
+                    if (e.target.result?.handle) found.push([queueId, e.target.result.handle]);
+                };
+            });
+            tx.oncomplete = () => resolve(found);
+            tx.onerror = () => reject(tx.error);
+        });
+        records.forEach(([queueId, handle]) => queueDirectoryHandles.set(queueId, handle));
+    } catch (e) {
+        console.error('Failed to restore queue folders:', e);
+    }
+}
+
 /**
  * Check if we have write permission
+ * @param {FileSystemDirectoryHandle} handle - Folder to check (default: the main output folder)
  */
-export async function hasWritePermission() {
-    if (!directoryHandle) return false;
+export async function hasWritePermission(handle = directoryHandle) {
+    if (!handle) return false;
 
     try {
-        const permission = await directoryHandle.queryPermission({ mode: 'readwrite' });
+        const permission = await handle.queryPermission({ mode: 'readwrite' });
         return permission === 'granted';
     } catch {
         return false;
@@ -262,18 +360,23 @@ export function generateFilename(prompt, variationIndex = 0, batchName = '', mim
  * @param {number} variationIndex - Variation index (0-based)
  * @param {string} batchName - Optional batch name prefix
  * @param {string} name - Optional per-prompt name (replaces prompt snippet)
+ * @param {string} queueId - Optional: save to this queue's own folder when it has one
  */
-export async function saveImageToFilesystem(imageDataUrl, prompt, variationIndex = 0, batchName = '', name = '') {
+export async function saveImageToFilesystem(imageDataUrl, prompt, variationIndex = 0, batchName = '', name = '', queueId = null) {
     const mimeType = 'image/png'; // API returns PNG
 
+    // A queue folder without permission (e.g. after a reload) falls back to the main folder
+    const queueHandle = queueId ? queueDirectoryHandles.get(queueId) : null;
+    const targetHandle = queueHandle && await hasWritePermission(queueHandle) ? queueHandle : directoryHandle;
+
     // Fallback: trigger browser download
-    if (!directoryHandle || !await hasWritePermission()) {
+    if (!targetHandle || !await hasWritePermission(targetHandle)) {
         return triggerDownload(imageDataUrl, prompt, variationIndex, batchName, mimeType, name);
     }
 
     try {
         const filename = generateFilename(prompt, variationIndex, batchName, mimeType, name);
-        const fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+        const fileHandle = await targetHandle.getFileHandle(filename, { create: true });
 
         // Convert data URL to blob
         const response = await fetch(imageDataUrl);
@@ -288,7 +391,7 @@ export async function saveImageToFilesystem(imageDataUrl, prompt, variationIndex
             filename,
             success: true,
             method: 'filesystem',
-            directory: directoryHandle.name
+            directory: targetHandle.name
         };
     } catch (e) {
         console.error('Filesystem save failed:', e);
@@ -296,8 +399,12 @@ export async function saveImageToFilesystem(imageDataUrl, prompt, variationIndex
         // Check for specific errors
         if (e.name === 'NotAllowedError') {
             showToast('Permission denied. Please re-select folder.');
-            directoryHandle = null;
-            updateDirectoryUI();
+            if (targetHandle === queueHandle) {
+                queueDirectoryHandles.delete(queueId);
+            } else {
+                directoryHandle = null;
+                updateDirectoryUI();
+            }
         } else if (e.name === 'QuotaExceededError') {
             showToast('Disk full. Cannot save image.');
         }
@@ -345,6 +452,25 @@ export async function deleteFromFilesystem(filename) {
     }
 }
 
+/**
+ * Read every file with the given extension in a picked folder, subfolders included
+ * @param {FileSystemDirectoryHandle} dirHandle - Folder from showDirectoryPicker()
+ * @param {string} extension - Lowercase extension with the dot (".txt")
+ * @returns {Promise<{path: string, text: string}[]>} Paths relative to the folder, without the extension
+ */
+export async function readTextFilesFromDirectory(dirHandle, extension, prefix = '') {
+    const files = [];
+    for await (const [entryName, handle] of dirHandle.entries()) {
+        if (handle.kind === 'directory') {
+            files.push(...await readTextFilesFromDirectory(handle, extension, prefix + entryName + '/'));
+        } else if (entryName.toLowerCase().endsWith(extension)) {
+            const file = await handle.getFile();
+            files.push({ path: prefix + entryName.slice(0, -extension.length), text: await file.text() });
+        }
+    }
+    return files;
+}
+
 /**
  * Update directory UI elements
  */
@@ -10,6 +10,11 @@ import { saveLastModel, persistAllInputs } from './persistence.js';
 import { resetZoom, setCurrentImgRef } from './zoom.js';
 import { MAX_REFS } from './config.js';
 import { saveImageToFilesystem, getDirectoryInfo } from './filesystem.js';
+import { getProvider, getActiveProviderId, getActiveProvider } from './providers.js';
+import { isTemplate, openTemplateForm } from './templates.js';
+import { isEnhanceEnabled } from './enhance.js';
+import { getSelectedPreset } from './presets.js';
+import { createAvoid, getFormAvoidList } from './avoid.js';
 
 // Generation state
 let currentImg = null;
@@ -22,7 +27,6 @@ let cachedElements = null;
 function getCachedElements() {
     if (!cachedElements) {
         cachedElements = {
-            apiKey: $('apiKey'),
             modelSelect: $('modelSelect'),
             prompt: $('prompt'),
             ratio: $('ratio'),
@@ -30,6 +34,7 @@ function getCachedElements() {
             searchToggle: $('searchToggle'),
             thinkingToggle: $('thinkingToggle'),
             thinkingBudget: $('thinkingBudget'),
+            systemInstruction: $('systemInstruction'),
             variations: $('variations'),
             generateBtn: $('generateBtn'),
             error: $('error'),
@@ -39,7 +44,10 @@ function getCachedElements() {
             placeholder: $('placeholder'),
             iterateBtn: $('iterateBtn'),
             deleteBtn: $('deleteBtn'),
-            infoBtn: $('infoBtn')
+            infoBtn: $('infoBtn'),
+            inpaintBtn: $('inpaintBtn'),
+            extendBtn: $('extendBtn'),
+            describeBtn: $('describeBtn')
         };
     }
     return cachedElements;
@@ -76,26 +84,53 @@ export function showImageResult(imageData, filename) {
     el.iterateBtn.disabled = false;
     el.deleteBtn.disabled = false;
     if (el.infoBtn) el.infoBtn.disabled = !currentHistoryId;
+    if (el.inpaintBtn) el.inpaintBtn.disabled = false;
+    if (el.extendBtn) el.extendBtn.disabled = false;
+    if (el.describeBtn) el.describeBtn.disabled = false;
     resetZoom();
 }
 
+// Sent ahead of the instruction when a ref is an inpaint mask (ref.role === 'mask')
+const MASKED_EDIT_INSTRUCTION = 'Edit the first image. The last image is a black-and-white mask of the same size: ' +
+    'change only the areas that are white in the mask and keep everything in the black areas exactly as it is. ' +
+    'Return the full edited image without the mask. Edit: ';
+
+function toInlineDataPart(img) {
+    const match = img.data?.match(/^data:(.+);base64,(.+)$/);
+    return match ? { inlineData: { mimeType: match[1], data: match[2] } } : null;
+}
+
 /**
- * Generate a single image - reusable core function for queue processing
+ * Build the user turn for a prompt: reference images first, then the text.
+ * A mask ref goes last, after the image it applies to, and the prompt is worded as a masked edit.
  */
-export async function generateSingleImage(prompt, config, refImagesData = [], signal = null) {
-    // Build user message parts
-    const userParts = [];
-    if (refImagesData && refImagesData.length > 0) {
-        refImagesData.forEach((img) => {
-            const match = img.data?.match(/^data:(.+);base64,(.+)$/);
-            if (match) {
-                userParts.push({ inlineData: { mimeType: match[1], data: match[2] } });
-            }
-        });
+export function buildUserContent(prompt, refImagesData = []) {
+    const refs = refImagesData || [];
+    const mask = refs.find(img => img.role === 'mask');
+    const userParts = refs
+        .filter(img => img !== mask)
+        .map(toInlineDataPart)
+        .filter(Boolean);
+
+    if (mask) {
+        const maskPart = toInlineDataPart(mask);
+        if (maskPart) userParts.push(maskPart);
+        userParts.push({ text: MASKED_EDIT_INSTRUCTION + prompt });
+    } else {
+        userParts.push({ text: prompt });
     }
-    userParts.push({ text: prompt });
 
-    const userContent = { role: 'user', parts: userParts };
+    return { role: 'user', parts: userParts };
+}
+
+/**
+ * Generate a single image - reusable core function for queue processing
+ * @param {Object} options - Optional extras:
+ *   onRetryWait(delayMs, kind) — called before a retry wait;
+ *   history — earlier user/model turns sent ahead of this prompt (edit sessions)
+ */
+export async function generateSingleImage(prompt, config, refImagesData = [], signal = null, options = {}) {
+    const userContent = buildUserContent(prompt, refImagesData);
 
     // Build generation config
     const genConfig = { responseModalities: ['TEXT', 'IMAGE'] };
@@ -112,7 +147,11 @@ export async function generateSingleImage(prompt, config, refImagesData = [], si
         }
     }
 
-    const body = { contents: [userContent], generationConfig: genConfig };
+    const body = { contents: [...(options.history || []), userContent], generationConfig: genConfig };
+
+    if (config.systemInstruction) {
+        body.systemInstruction = { parts: [{ text: config.systemInstruction }] };
+    }
 
     if (config.searchEnabled) {
         body.tools = [{ google_search: {} }];
@@ -122,22 +161,16 @@ export async function generateSingleImage(prompt, config, refImagesData = [], si
         body.safetySettings = config.safetySettings;
     }
 
-    const data = await generateWithRetry(config.model, body, signal);
-
-    const candidate = data.candidates?.[0];
-    const contentParts = candidate?.content?.parts;
-    const imgPart = contentParts?.find(p => p.inlineData && !p.thought);
-
-    if (!imgPart) {
-        const txtPart = contentParts?.find(p => p.text);
-        throw new Error(txtPart?.text || 'No image returned');
-    }
-
-    const imageData = 'data:' + (imgPart.inlineData.mimeType || 'image/png') + ';base64,' + imgPart.inlineData.data;
+    // Use the provider recorded on the config (older items fall back to the active one)
+    const provider = getProvider(config.provider);
+    const context = { onRetryWait: options.onRetryWait };
+    const data = await generateWithRetry(config.model, body, signal, provider, context);
 
     return {
-        imageData,
-        grounding: candidate?.groundingMetadata
+        ...provider.parseResponse(data),
+        keyAlias: context.keyAlias || null,
+        // Model turn as returned (image parts and thought signatures), for multi-turn edits
+        modelContent: data.candidates?.[0]?.content || null
     };
 }
 
@@ -147,6 +180,7 @@ export async function generateSingleImage(prompt, config, refImagesData = [], si
 export function getCurrentConfig() {
     const el = getCachedElements();
     return {
+        provider: getActiveProviderId(),
         model: el.modelSelect.value,
         ratio: el.ratio.value,
         resolution: el.resolution.value,
@@ -154,6 +188,7 @@ export function getCurrentConfig() {
             ? parseInt(el.thinkingBudget.value)
             : 0,
         searchEnabled: el.searchToggle.checked,
+        systemInstruction: el.systemInstruction?.value.trim() || '',
         safetySettings: getSafetySettings()
     };
 }
@@ -178,7 +213,8 @@ function getSafetySettings() {
 export async function generate() {
     const el = getCachedElements();
 
-    if (!el.apiKey.value) return showToast('Enter API key');
+    const missingCredential = getActiveProvider().getMissingConfigMessage();
+    if (missingCredential) return showToast(missingCredential);
     if (!el.modelSelect.value) return showToast('Select model');
     if (!el.prompt.value.trim()) return showToast('Enter prompt');
 
@@ -186,13 +222,33 @@ export async function generate() {
     const config = getCurrentConfig();
     const prefix = $('filenamePrefix')?.value?.trim() || '';
     const { addToQueue, startQueue } = await import('./queue.js');
-    const { toggleQueuePanel } = await import('./queueUI.js');
-
-    addToQueue([el.prompt.value], variations, config, refImages, prefix);
+    const { toggleQueuePanel, expandTemplateToBoxes } = await import('./queueUI.js');
+
+    // {{variable}} prompts go through the fill form; value lists become prompt boxes
+    const source = el.prompt.value;
+    const enhance = isEnhanceEnabled();
+    const preset = getSelectedPreset();
+    const avoid = createAvoid(getFormAvoidList());
+    if (isTemplate(source)) {
+        const filled = await openTemplateForm(source);
+        if (!filled) return;
+        if (filled.length > 1) {
+            expandTemplateToBoxes(source, filled, variations);
+            return;
+        }
+        addToQueue([filled[0].prompt], variations, config, refImages, prefix, [], {
+            template: { source, values: filled[0].values },
+            enhance,
+            preset,
+            avoid
+        });
+    } else {
+        addToQueue([source], variations, config, refImages, prefix, [], { enhance, preset, avoid });
+    }
     startQueue();
     toggleQueuePanel(true);
     saveLastModel();
-    showToast(`Generating ${variations} image${variations > 1 ? 's' : ''}...`);
+    showToast(`${enhance ? 'Enhancing prompt and generating' : 'Generating'} ${variations} image${variations > 1 ? 's' : ''}...`);
 }
 
 // Iterate (add current image to references)
@@ -241,6 +297,9 @@ export function deleteCurrentImage() {
     el.iterateBtn.disabled = true;
     el.deleteBtn.disabled = true;
     if (el.infoBtn) el.infoBtn.disabled = true;
+    if (el.inpaintBtn) el.inpaintBtn.disabled = true;
+    if (el.extendBtn) el.extendBtn.disabled = true;
+    if (el.describeBtn) el.describeBtn.disabled = true;
     resetZoom();
     showToast('Cleared');
 }
@@ -271,6 +330,9 @@ export function clearAll() {
         el.iterateBtn.disabled = true;
         el.deleteBtn.disabled = true;
         if (el.infoBtn) el.infoBtn.disabled = true;
+        if (el.inpaintBtn) el.inpaintBtn.disabled = true;
+        if (el.extendBtn) el.extendBtn.disabled = true;
+        if (el.describeBtn) el.describeBtn.disabled = true;
         resetZoom();
     }
 
@@ -4,11 +4,12 @@
  */
 
 import { setFilesystemDB } from './filesystem.js';
+import { setBlobDB, storeRefs, releaseRefs, resolveRefs, resolveRefLists } from './blobs.js';
 import { MAX_HISTORY_ITEMS } from './config.js';
 
 // Database state
 let db = null;
-const DB_VERSION = 7;
+const DB_VERSION = 14;
 
 // Initialize IndexedDB
 export function initDB() {
@@ -17,8 +18,9 @@ export function initDB() {
         req.onerror = () => reject(req.error);
         req.onsuccess = () => {
             db = req.result;
-            // Share db with filesystem module
+            // Share db with filesystem and blob store modules
             setFilesystemDB(db);
+            setBlobDB(db);
             resolve();
         };
         req.onupgradeneeded = e => {
@@ -75,6 +77,36 @@ export function initDB() {
                     profilesStore.createIndex('updatedAt', 'updatedAt');
                 }
             }
+            // Budgets store (v8) - spend/request limits and calendar counters per profile or API key
+            if (!database.objectStoreNames.contains('budgets')) {
+                database.createObjectStore('budgets', { keyPath: 'scope' });
+            }
+            // Edit sessions store (v9) - multi-turn edit conversations as turn trees
+            if (!database.objectStoreNames.contains('editSessions')) {
+                const sessionsStore = database.createObjectStore('editSessions', { keyPath: 'id' });
+                sessionsStore.createIndex('updatedAt', 'updatedAt');
+            }
+            // Wildcards store (v10) - __name__ value lists for prompt wildcards
+            if (!database.objectStoreNames.contains('wildcards')) {
+                database.createObjectStore('wildcards', { keyPath: 'name' });
+            }
+            // Compare votes store (v11) - A/B win counts per contestant pair and profile
+            if (!database.objectStoreNames.contains('compareVotes')) {
+                const votesStore = database.createObjectStore('compareVotes', { keyPath: 'id' });
+                votesStore.createIndex('profile', 'profile');
+            }
+            // Style presets store (v12) - system instruction, prompt prefix/suffix and default settings
+            if (!database.objectStoreNames.contains('stylePresets')) {
+                database.createObjectStore('stylePresets', { keyPath: 'name' });
+            }
+            // Queue items store (v13) - one record per queue item (refs live in queueRefs)
+            if (!database.objectStoreNames.contains('queueItems')) {
+                database.createObjectStore('queueItems', { keyPath: 'id' });
+            }
+            // Blobs store (v14) - reference images by content hash, with reference counts
+            if (!database.objectStoreNames.contains('blobs')) {
+                database.createObjectStore('blobs', { keyPath: 'hash' });
+            }
         };
     });
 }
@@ -84,55 +116,69 @@ export function getDB() {
     return db;
 }
 
+/**
+ * Resolve with an IndexedDB request's result (reject with its error)
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ============================================
 // Queue Reference Images Storage (IndexedDB)
 // ============================================
 
 /**
  * Save refs for multiple queue items at once
+ * Refs are stored by hash, so variations of one prompt share their images
  */
-export function saveQueueRefsMultiple(items) {
-    if (!db || !items || items.length === 0) return Promise.resolve();
+export async function saveQueueRefsMultiple(items) {
+    if (!db || !items || items.length === 0) return;
+
+    const records = [];
+    for (const { itemId, refImages } of items) {
+        if (refImages && refImages.length > 0) {
+            records.push({ itemId, refImages: await storeRefs(refImages) });
+        }
+    }
 
     return new Promise((resolve, reject) => {
         const tx = db.transaction('queueRefs', 'readwrite');
         const store = tx.objectStore('queueRefs');
         tx.onerror = () => reject(tx.error);
         tx.oncomplete = () => resolve();
-
-        items.forEach(({ itemId, refImages }) => {
-            if (refImages && refImages.length > 0) {
-                store.put({ itemId, refImages });
-            }
-        });
+        records.forEach(record => store.put(record));
     });
 }
 
 /**
  * Load refs for multiple queue items at once
  */
-export function loadQueueRefsMultiple(itemIds) {
-    if (!db || !itemIds || itemIds.length === 0) return Promise.resolve(new Map());
+export async function loadQueueRefsMultiple(itemIds) {
+    if (!db || !itemIds || itemIds.length === 0) return new Map();
 
-    return new Promise((resolve) => {
+    const stored = await new Promise((resolve) => {
         const refsMap = new Map();
         const tx = db.transaction('queueRefs', 'readonly');
         const store = tx.objectStore('queueRefs');
 
-        let pending = itemIds.length;
         itemIds.forEach(itemId => {
             store.get(itemId).onsuccess = e => {
                 const result = e.target.result;
                 if (result && result.refImages) {
                     refsMap.set(itemId, result.refImages);
                 }
-                pending--;
-                if (pending === 0) resolve(refsMap);
             };
         });
 
+        tx.oncomplete = () => resolve(refsMap);
         tx.onerror = () => resolve(refsMap);
     });
+
+    const resolved = await resolveRefLists([...stored.values()]);
+    return new Map([...stored.keys()].map((itemId, i) => [itemId, resolved[i]]));
 }
 
 /**
@@ -142,10 +188,16 @@ export function deleteQueueRefsMultiple(itemIds) {
     if (!db || !itemIds || itemIds.length === 0) return Promise.resolve();
 
     return new Promise((resolve) => {
+        const released = [];
         const tx = db.transaction('queueRefs', 'readwrite');
         const store = tx.objectStore('queueRefs');
-        itemIds.forEach(id => store.delete(id));
-        tx.oncomplete = () => resolve();
+        itemIds.forEach(id => {
+            store.get(id).onsuccess = e => {
+                if (e.target.result) released.push(...e.target.result.refImages);
+                store.delete(id);
+            };
+        });
+        tx.oncomplete = () => releaseRefs(released).then(resolve, resolve);
         tx.onerror = () => resolve();
     });
 }
@@ -157,54 +209,133 @@ export function clearAllQueueRefs() {
     if (!db) return Promise.resolve();
 
     return new Promise((resolve) => {
+        let released = [];
         const tx = db.transaction('queueRefs', 'readwrite');
-        tx.objectStore('queueRefs').clear();
+        const store = tx.objectStore('queueRefs');
+        store.getAll().onsuccess = e => {
+            released = e.target.result.flatMap(record => record.refImages || []);
+            store.clear();
+        };
+        tx.oncomplete = () => releaseRefs(released).then(resolve, resolve);
+        tx.onerror = () => resolve();
+    });
+}
+
+// ============================================
+// Queue Items Storage (IndexedDB)
+// ============================================
+
+/**
+ * Write queue item records (refImages are expected to be stripped already)
+ */
+export function saveQueueItems(records) {
+    if (!db || !records || records.length === 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('queueItems', 'readwrite');
+        const store = tx.objectStore('queueItems');
+        tx.onerror = () => reject(tx.error);
+        tx.oncomplete = () => resolve();
+        records.forEach(record => store.put(record));
+    });
+}
+
+/**
+ * Load all queue item records in queue order (by seq)
+ */
+export function loadQueueItems() {
+    if (!db) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+        const tx = db.transaction('queueItems', 'readonly');
+        const req = tx.objectStore('queueItems').getAll();
+        req.onsuccess = () => resolve((req.result || []).sort((a, b) => (a.seq || 0) - (b.seq || 0)));
+        req.onerror = () => resolve([]);
+    });
+}
+
+/**
+ * Delete queue item records
+ */
+export function deleteQueueItems(itemIds) {
+    if (!db || !itemIds || itemIds.length === 0) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const tx = db.transaction('queueItems', 'readwrite');
+        const store = tx.objectStore('queueItems');
+        itemIds.forEach(id => store.delete(id));
         tx.oncomplete = () => resolve();
         tx.onerror = () => resolve();
     });
 }
 
+/**
+ * Replace all queue item records (clear, then write records if any)
+ */
+export function replaceQueueItems(records = []) {
+    if (!db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('queueItems', 'readwrite');
+        const store = tx.objectStore('queueItems');
+        tx.onerror = () => reject(tx.error);
+        tx.oncomplete = () => resolve();
+        store.clear();
+        records.forEach(record => store.put(record));
+    });
+}
+
 // ============================================
 // Generation History Storage (IndexedDB)
 // ============================================
 
 /**
- * Save a generation history entry
+ * Save a generation history entry (refs are stored by hash)
  */
-export function saveHistoryEntry(entry) {
-    if (!db) return Promise.resolve();
+export async function saveHistoryEntry(entry) {
+    if (!db) return;
 
+    const record = { ...entry, refImages: await storeRefs(entry.refImages) };
     return new Promise((resolve, reject) => {
         const tx = db.transaction('generationHistory', 'readwrite');
         const store = tx.objectStore('generationHistory');
-        store.put(entry);
+        store.put(record);
         tx.oncomplete = () => resolve(entry);
         tx.onerror = () => reject(tx.error);
     });
 }
 
+/**
+ * History entries with their refs resolved to data
+ */
+async function resolveEntryRefs(entries) {
+    const refLists = await resolveRefLists(entries.map(entry => entry.refImages));
+    return entries.map((entry, i) => ({ ...entry, refImages: refLists[i] }));
+}
+
 /**
  * Load a single history entry by ID
  */
-export function loadHistoryEntry(id) {
-    if (!db) return Promise.resolve(null);
+export async function loadHistoryEntry(id) {
+    if (!db) return null;
 
-    return new Promise((resolve) => {
+    const entry = await new Promise((resolve) => {
         const tx = db.transaction('generationHistory', 'readonly');
         const store = tx.objectStore('generationHistory');
         const req = store.get(id);
         req.onsuccess = () => resolve(req.result || null);
         req.onerror = () => resolve(null);
     });
+    return entry ? { ...entry, refImages: await resolveRefs(entry.refImages) } : null;
 }
 
 /**
  * Load N most recent history entries
  */
-export function loadRecentHistory(limit = 50) {
-    if (!db) return Promise.resolve([]);
+export async function loadRecentHistory(limit = 50) {
+    if (!db) return [];
 
-    return new Promise((resolve) => {
+    const entries = await new Promise((resolve) => {
         const tx = db.transaction('generationHistory', 'readonly');
         const store = tx.objectStore('generationHistory');
         const index = store.index('createdAt');
@@ -222,21 +353,23 @@ export function loadRecentHistory(limit = 50) {
         };
         req.onerror = () => resolve(results);
     });
+    return resolveEntryRefs(entries);
 }
 
 /**
  * Look up a history entry by output filename
  */
-export function getHistoryEntryByFilename(filename) {
-    if (!db || !filename) return Promise.resolve(null);
+export async function getHistoryEntryByFilename(filename) {
+    if (!db || !filename) return null;
 
-    return new Promise((resolve) => {
+    const entry = await new Promise((resolve) => {
         const tx = db.transaction('generationHistory', 'readonly');
         const index = tx.objectStore('generationHistory').index('filename');
         const req = index.get(filename);
         req.onsuccess = () => resolve(req.result || null);
         req.onerror = () => resolve(null);
     });
+    return entry ? { ...entry, refImages: await resolveRefs(entry.refImages) } : null;
 }
 
 /**
@@ -246,13 +379,37 @@ export function deleteHistoryEntry(id) {
     if (!db) return Promise.resolve();
 
     return new Promise((resolve) => {
+        let released = [];
         const tx = db.transaction('generationHistory', 'readwrite');
-        tx.objectStore('generationHistory').delete(id);
-        tx.oncomplete = () => resolve();
+        const store = tx.objectStore('generationHistory');
+        store.get(id).onsuccess = e => {
+            released = e.target.result?.refImages || [];
+            store.delete(id);
+        };
+        tx.oncomplete = () => releaseRefs(released).then(resolve, resolve);
         tx.onerror = () => resolve();
     });
 }
 
+/**
+ * Delete all generation history entries
+ */
+export function clearGenerationHistory() {
+    if (!db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        let released = [];
+        const tx = db.transaction('generationHistory', 'readwrite');
+        const store = tx.objectStore('generationHistory');
+        store.getAll().onsuccess = e => {
+            released = e.target.result.flatMap(entry => entry.refImages || []);
+            store.clear();
+        };
+        tx.oncomplete = () => releaseRefs(released).then(resolve, resolve);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
 /**
  * Prune history to MAX_HISTORY_ITEMS, deleting oldest entries
  */
@@ -260,6 +417,7 @@ export function pruneHistory() {
     if (!db) return Promise.resolve();
 
     return new Promise((resolve) => {
+        const released = [];
         const tx = db.transaction('generationHistory', 'readwrite');
         const store = tx.objectStore('generationHistory');
         const index = store.index('createdAt');
@@ -277,6 +435,7 @@ export function pruneHistory() {
             index.openCursor().onsuccess = e => {
                 const cursor = e.target.result;
                 if (cursor && deleted < toDelete) {
+                    released.push(...(cursor.value.refImages || []));
                     cursor.delete();
                     deleted++;
                     cursor.continue();
@@ -284,7 +443,7 @@ export function pruneHistory() {
             };
         };
 
-        tx.oncomplete = () => resolve();
+        tx.oncomplete = () => releaseRefs(released).then(resolve, resolve);
         tx.onerror = () => resolve();
     });
 }
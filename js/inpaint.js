@@ -0,0 +1,587 @@
+/**
+ * Inpaint Module
+ * Mask editor on the fullscreen image (brush, eraser, rectangle, lasso, feathering) and masked edit requests
+ */
+
+import { MAX_REF_IMAGE_SIZE, MASK_DEFAULT_BRUSH_SIZE, MASK_DEFAULT_FEATHER, MASK_MAX_FEATHER } from './config.js';
+import { $, showToast } from './ui.js';
+import { addToQueue, startQueue } from './queue.js';
+import { getCurrentConfig, getCurrentHistoryId } from './generation.js';
+import { compressImage } from './references.js';
+import { getCurrentImg, openFullscreen, closeFullscreen, setFullscreenOverlay, setFullscreenPanEnabled } from './zoom.js';
+import { getActiveProvider } from './providers.js';
+
+export const MaskTool = {
+    BRUSH: 'brush',
+    ERASER: 'eraser',
+    RECT: 'rect',
+    LASSO: 'lasso',
+    PAN: 'pan'
+};
+
+const TOOL_SHORTCUTS = { b: MaskTool.BRUSH, e: MaskTool.ERASER, r: MaskTool.RECT, l: MaskTool.LASSO, h: MaskTool.PAN };
+
+// Painted mask pixels are shown in this color; only their alpha ends up in the exported mask
+const MASK_DISPLAY_RGB = [255, 59, 92];
+const MASK_DISPLAY_COLOR = `rgb(${MASK_DISPLAY_RGB.join(',')})`;
+
+// Open editor state: {source, canvas, ctx, tool, brushSize, feather, blend, derivedFrom}
+let editor = null;
+// Gesture in progress: {pointerId, tool, last, start, points, snapshot, erase}
+let stroke = null;
+const activePointers = new Set();
+
+async function loadBitmap(dataUrl) {
+    const blob = await fetch(dataUrl).then(r => r.blob());
+    return createImageBitmap(blob);
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Image sent with the mask: the original if it fits the ref size limit, otherwise compressed
+ */
+async function prepareSource(dataUrl) {
+    let data = dataUrl;
+    let bitmap = await loadBitmap(data);
+    if (Math.max(bitmap.width, bitmap.height) > MAX_REF_IMAGE_SIZE) {
+        bitmap.close();
+        data = await compressImage(dataUrl);
+        bitmap = await loadBitmap(data);
+    }
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return { data, ...size };
+}
+
+// ============================================
+// Editor lifecycle
+// ============================================
+
+/**
+ * Open the mask editor over the current image (or a history entry being redone)
+ * @param {Object|null} preset - {source, mask, prompt, feather, blend, derivedFrom} to restore a previous edit
+ */
+export async function openMaskEditor(preset = null) {
+    const imageData = preset?.source || getCurrentImg();
+    if (!imageData) return showToast('Generate or select an image first');
+
+    let source;
+    try {
+        source = await prepareSource(imageData);
+    } catch (e) {
+        console.error('[Inpaint] Failed to load image:', e);
+        return showToast('Failed to load image');
+    }
+
+    const canvas = $('maskCanvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+
+    editor = {
+        source: source.data,
+        canvas,
+        ctx: canvas.getContext('2d'),
+        tool: MaskTool.BRUSH,
+        brushSize: MASK_DEFAULT_BRUSH_SIZE,
+        feather: preset?.feather ?? MASK_DEFAULT_FEATHER,
+        blend: preset?.blend ?? true,
+        derivedFrom: preset
+            ? preset.derivedFrom || null
+            : (getCurrentHistoryId() ? { historyId: getCurrentHistoryId(), operation: 'inpaint' } : null)
+    };
+
+    if (preset?.mask) {
+        try {
+            await loadMask(preset.mask);
+        } catch (e) {
+            console.error('[Inpaint] Failed to load mask:', e);
+        }
+    }
+
+    $('maskBrushSize').value = editor.brushSize;
+    $('maskFeather').value = editor.feather;
+    $('maskBlend').checked = editor.blend;
+    $('maskInstruction').value = preset?.prompt || '';
+    updateFeatherLabel();
+
+    canvas.classList.remove('hidden');
+    $('maskToolbar').classList.remove('hidden');
+    $('fullscreenModal').classList.add('mask-mode');
+    openFullscreen(source.data);
+    setFullscreenOverlay(canvas, teardownMaskEditor);
+    setMaskTool(MaskTool.BRUSH);
+}
+
+/**
+ * Close the editor (the fullscreen close callback does the cleanup)
+ */
+export function closeMaskEditor() {
+    closeFullscreen();
+}
+
+function teardownMaskEditor() {
+    setFullscreenOverlay(null);
+    $('maskCanvas')?.classList.add('hidden');
+    $('maskToolbar')?.classList.add('hidden');
+    $('fullscreenModal')?.classList.remove('mask-mode');
+    editor = null;
+    stroke = null;
+    activePointers.clear();
+}
+
+/**
+ * Switch tool; the pan tool hands single-pointer drags back to the zoom handlers
+ */
+function setMaskTool(tool) {
+    if (!editor || !Object.values(MaskTool).includes(tool)) return;
+    editor.tool = tool;
+    setFullscreenPanEnabled(tool === MaskTool.PAN);
+    editor.canvas.dataset.tool = tool;
+    document.querySelectorAll('#maskToolbar .mask-tool').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+}
+
+function updateFeatherLabel() {
+    const label = $('maskFeatherValue');
+    if (label && editor) label.textContent = editor.feather + 'px';
+    updateFeatherPreview();
+}
+
+// Approximate the exported edge blur on screen (CSS blur is in the canvas's layout pixels)
+function updateFeatherPreview() {
+    if (!editor) return;
+    const { canvas, feather } = editor;
+    const layoutScale = canvas.offsetWidth / canvas.width || 0;
+    canvas.style.filter = feather > 0 && layoutScale > 0 ? `blur(${(feather / 2) * layoutScale}px)` : '';
+}
+
+// ============================================
+// Painting
+// ============================================
+
+function toCanvasPoint(e) {
+    const rect = editor.canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * editor.canvas.width / rect.width,
+        y: (e.clientY - rect.top) * editor.canvas.height / rect.height
+    };
+}
+
+// Brush size is in screen pixels; convert to mask pixels at the current zoom
+function getBrushRadius() {
+    const rect = editor.canvas.getBoundingClientRect();
+    return Math.max(0.5, editor.brushSize / 2 * editor.canvas.width / rect.width);
+}
+
+function paint(erase, draw) {
+    const ctx = editor.ctx;
+    ctx.save();
+    ctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+    ctx.fillStyle = MASK_DISPLAY_COLOR;
+    ctx.strokeStyle = MASK_DISPLAY_COLOR;
+    draw(ctx);
+    ctx.restore();
+}
+
+function paintSegment(from, to, erase) {
+    const radius = getBrushRadius();
+    paint(erase, ctx => {
+        ctx.lineWidth = radius * 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+function restoreSnapshot() {
+    if (stroke?.snapshot) editor.ctx.putImageData(stroke.snapshot, 0, 0);
+}
+
+function handlePointerDown(e) {
+    activePointers.add(e.pointerId);
+    if (!editor) return;
+
+    // A second finger means pinch-zoom: drop the shape in progress
+    if (activePointers.size > 1) {
+        if (stroke && stroke.tool !== MaskTool.BRUSH && stroke.tool !== MaskTool.ERASER) restoreSnapshot();
+        stroke = null;
+        return;
+    }
+    if (editor.tool === MaskTool.PAN || e.button !== 0) return;
+
+    e.preventDefault();
+    editor.canvas.setPointerCapture?.(e.pointerId);
+    const point = toCanvasPoint(e);
+    stroke = { pointerId: e.pointerId, tool: editor.tool, erase: editor.tool === MaskTool.ERASER || e.altKey };
+
+    if (stroke.tool === MaskTool.BRUSH || stroke.tool === MaskTool.ERASER) {
+        stroke.last = point;
+        paintSegment(point, point, stroke.erase);
+    } else {
+        stroke.start = point;
+        stroke.points = [point];
+        stroke.snapshot = editor.ctx.getImageData(0, 0, editor.canvas.width, editor.canvas.height);
+    }
+}
+
+function handlePointerMove(e) {
+    if (!editor || !stroke || e.pointerId !== stroke.pointerId) return;
+    const point = toCanvasPoint(e);
+
+    if (stroke.tool === MaskTool.BRUSH || stroke.tool === MaskTool.ERASER) {
+        paintSegment(stroke.last, point, stroke.erase);
+        stroke.last = point;
+    } else if (stroke.tool === MaskTool.RECT) {
+        restoreSnapshot();
+        const { start } = stroke;
+        paint(stroke.erase, ctx => ctx.fillRect(start.x, start.y, point.x - start.x, point.y - start.y));
+    } else if (stroke.tool === MaskTool.LASSO) {
+        stroke.points.push(point);
+        restoreSnapshot();
+        const lineWidth = 2 * editor.canvas.width / editor.canvas.getBoundingClientRect().width;
+        paint(false, ctx => {
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            stroke.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        });
+    }
+}
+
+function handlePointerUp(e) {
+    activePointers.delete(e.pointerId);
+    if (!editor || !stroke || e.pointerId !== stroke.pointerId) return;
+
+    if (stroke.tool === MaskTool.LASSO) {
+        restoreSnapshot();
+        const { points } = stroke;
+        if (points.length >= 3) {
+            paint(stroke.erase, ctx => {
+                ctx.beginPath();
+                points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.closePath();
+                ctx.fill();
+            });
+        }
+    }
+    stroke = null;
+}
+
+function clearMask() {
+    if (!editor) return;
+    editor.ctx.clearRect(0, 0, editor.canvas.width, editor.canvas.height);
+}
+
+/**
+ * Swap painted and unpainted areas (e.g. select the subject, then edit the background)
+ */
+function invertMask() {
+    if (!editor) return;
+    const { ctx, canvas } = editor;
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) {
+        d[i] = MASK_DISPLAY_RGB[0];
+        d[i + 1] = MASK_DISPLAY_RGB[1];
+        d[i + 2] = MASK_DISPLAY_RGB[2];
+        d[i + 3] = 255 - d[i + 3];
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+function hasMask() {
+    const d = editor.ctx.getImageData(0, 0, editor.canvas.width, editor.canvas.height).data;
+    for (let i = 3; i < d.length; i += 4) {
+        if (d[i] > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Load a saved black-and-white mask back into the editor (thresholded; feathering is reapplied on export)
+ */
+async function loadMask(maskUrl) {
+    const { canvas, ctx } = editor;
+    const bitmap = await loadBitmap(maskUrl);
+    const temp = createCanvas(canvas.width, canvas.height);
+    const tctx = temp.getContext('2d');
+    tctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const image = tctx.getImageData(0, 0, canvas.width, canvas.height);
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) {
+        const on = d[i] >= 128;
+        d[i] = MASK_DISPLAY_RGB[0];
+        d[i + 1] = MASK_DISPLAY_RGB[1];
+        d[i + 2] = MASK_DISPLAY_RGB[2];
+        d[i + 3] = on ? 255 : 0;
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+// ============================================
+// Mask export & blending
+// ============================================
+
+/**
+ * Three box-blur passes on a grayscale image (≈ Gaussian); used where canvas filters are unsupported
+ */
+function boxBlurGray(image, radius) {
+    const { width: w, height: h, data } = image;
+    const size = radius * 2 + 1;
+    const src = new Float32Array(w * h);
+    const tmp = new Float32Array(w * h);
+    for (let i = 0; i < w * h; i++) src[i] = data[i * 4];
+
+    for (let pass = 0; pass < 3; pass++) {
+        for (let y = 0; y < h; y++) {
+            const row = y * w;
+            let sum = 0;
+            for (let x = -radius; x <= radius; x++) sum += src[row + Math.min(w - 1, Math.max(0, x))];
+            for (let x = 0; x < w; x++) {
+                tmp[row + x] = sum / size;
+                sum += src[row + Math.min(w - 1, x + radius + 1)] - src[row + Math.max(0, x - radius)];
+            }
+        }
+        for (let x = 0; x < w; x++) {
+            let sum = 0;
+            for (let y = -radius; y <= radius; y++) sum += tmp[Math.min(h - 1, Math.max(0, y)) * w + x];
+            for (let y = 0; y < h; y++) {
+                src[y * w + x] = sum / size;
+                sum += tmp[Math.min(h - 1, y + radius + 1) * w + x] - tmp[Math.max(0, y - radius) * w + x];
+            }
+        }
+    }
+
+    for (let i = 0; i < w * h; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = src[i];
+        data[i * 4 + 3] = 255;
+    }
+}
+
+/**
+ * Mask as a PNG data URL: white = change, black = keep, edges blurred by the feather radius
+ * @param {HTMLCanvasElement} canvas - Mask layer; any pixel with alpha counts as painted
+ * @param {number} feather - Edge blur in mask pixels
+ */
+export function maskToPng(canvas, feather) {
+    const w = canvas.width;
+    const h = canvas.height;
+
+    const white = createCanvas(w, h);
+    const wctx = white.getContext('2d');
+    wctx.drawImage(canvas, 0, 0);
+    wctx.globalCompositeOperation = 'source-in';
+    wctx.fillStyle = '#fff';
+    wctx.fillRect(0, 0, w, h);
+
+    const out = createCanvas(w, h);
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+
+    const canFilter = typeof ctx.filter === 'string';
+    if (feather > 0 && canFilter) ctx.filter = `blur(${feather / 2}px)`;
+    ctx.drawImage(white, 0, 0);
+    ctx.filter = 'none';
+
+    if (feather > 0 && !canFilter) {
+        const image = ctx.getImageData(0, 0, w, h);
+        boxBlurGray(image, Math.max(1, Math.round(feather / 2)));
+        ctx.putImageData(image, 0, 0);
+    }
+
+    return out.toDataURL('image/png');
+}
+
+/**
+ * Paste the edited result into the source image through the mask, so pixels outside it stay as they were
+ * @param {string} resultUrl - Image returned by the model
+ * @param {Array} refs - Queue item refs: the source image and the mask (role 'mask')
+ * @returns {Promise<string>} Blended PNG, or the result unchanged if it can't be blended
+ */
+export async function blendMaskedResult(resultUrl, refs) {
+    const mask = refs?.find(ref => ref.role === 'mask');
+    const source = refs?.find(ref => ref.role !== 'mask');
+    if (!mask || !source) return resultUrl;
+
+    const loaded = await Promise.allSettled([source.data, resultUrl, mask.data].map(loadBitmap));
+    const failed = loaded.find(entry => entry.status === 'rejected');
+    if (failed) {
+        // Don't leak the bitmaps that did decode
+        loaded.forEach(entry => entry.status === 'fulfilled' && entry.value.close());
+        throw failed.reason;
+    }
+    const [sourceBitmap, resultBitmap, maskBitmap] = loaded.map(entry => entry.value);
+    try {
+        const w = resultBitmap.width;
+        const h = resultBitmap.height;
+        // A different shape means the model reframed the image; pasting it back would distort it
+        if (Math.abs(w / h - sourceBitmap.width / sourceBitmap.height) > 0.02) {
+            console.warn('[Inpaint] Result aspect ratio differs from the source, skipping blend');
+            return resultUrl;
+        }
+
+        // Mask luminance becomes alpha
+        const maskCanvas = createCanvas(w, h);
+        const mctx = maskCanvas.getContext('2d');
+        mctx.drawImage(maskBitmap, 0, 0, w, h);
+        const maskImage = mctx.getImageData(0, 0, w, h);
+        for (let i = 0; i < maskImage.data.length; i += 4) {
+            maskImage.data[i + 3] = maskImage.data[i];
+        }
+        mctx.putImageData(maskImage, 0, 0);
+
+        const edited = createCanvas(w, h);
+        const ectx = edited.getContext('2d');
+        ectx.drawImage(resultBitmap, 0, 0);
+        ectx.globalCompositeOperation = 'destination-in';
+        ectx.drawImage(maskCanvas, 0, 0);
+
+        const out = createCanvas(w, h);
+        const octx = out.getContext('2d');
+        octx.drawImage(sourceBitmap, 0, 0, w, h);
+        octx.drawImage(edited, 0, 0);
+        return out.toDataURL('image/png');
+    } finally {
+        sourceBitmap.close();
+        resultBitmap.close();
+        maskBitmap.close();
+    }
+}
+
+// ============================================
+// Send
+// ============================================
+
+/**
+ * Queue an image + mask edit (shared by the mask editor and canvas extension)
+ * @param {Object} edit
+ * @param {string} edit.source - Image data URL
+ * @param {string} edit.mask - Mask PNG data URL (white = change)
+ * @param {string} edit.prompt - Instruction
+ * @param {string} [edit.ratio] - Aspect ratio to request; empty keeps the source's shape
+ * @param {Object} edit.inpaint - {feather, blend}
+ * @param {Object|null} [edit.derivedFrom] - {historyId, operation, ...} recorded on the history entry
+ * @returns {boolean} Whether the edit was queued
+ */
+export function queueMaskedEdit({ source, mask, prompt, ratio = '', inpaint, derivedFrom = null }) {
+    const missingCredential = getActiveProvider().getMissingConfigMessage();
+    if (missingCredential) {
+        showToast(missingCredential);
+        return false;
+    }
+
+    const config = getCurrentConfig();
+    if (!config.model) {
+        showToast('Select model');
+        return false;
+    }
+    config.ratio = ratio;
+
+    const refs = [
+        { id: Date.now() + Math.random(), data: source },
+        { id: Date.now() + Math.random(), data: mask, role: 'mask' }
+    ];
+    const prefix = $('filenamePrefix')?.value?.trim() || '';
+    const items = addToQueue([prompt], 1, config, refs, prefix, [], { inpaint, derivedFrom });
+    if (items.length === 0) return false;
+
+    startQueue();
+    return true;
+}
+
+/**
+ * Queue the source image, mask and instruction from the editor
+ */
+function sendMaskedEdit() {
+    if (!editor) return;
+
+    const prompt = $('maskInstruction').value.trim();
+    if (!prompt) return showToast('Describe the change');
+    if (!hasMask()) return showToast('Paint the area to change');
+
+    // No aspect ratio: the model keeps the source's shape, which blending needs
+    const queued = queueMaskedEdit({
+        source: editor.source,
+        mask: maskToPng(editor.canvas, editor.feather),
+        prompt,
+        inpaint: { feather: editor.feather, blend: editor.blend },
+        derivedFrom: editor.derivedFrom
+    });
+    if (!queued) return;
+
+    closeMaskEditor();
+    showToast('Masked edit queued');
+}
+
+/**
+ * Wire up mask canvas pointer input and toolbar controls
+ */
+export function setupInpaintUI() {
+    const canvas = $('maskCanvas');
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+
+    $('maskBrushSize')?.addEventListener('input', e => {
+        if (editor) editor.brushSize = parseInt(e.target.value) || MASK_DEFAULT_BRUSH_SIZE;
+    });
+
+    const featherInput = $('maskFeather');
+    if (featherInput) {
+        featherInput.max = MASK_MAX_FEATHER;
+        featherInput.addEventListener('input', e => {
+            if (!editor) return;
+            editor.feather = Math.min(MASK_MAX_FEATHER, Math.max(0, parseInt(e.target.value) || 0));
+            updateFeatherLabel();
+        });
+    }
+
+    $('maskBlend')?.addEventListener('change', e => {
+        if (editor) editor.blend = e.target.checked;
+    });
+
+    $('maskInstruction')?.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            sendMaskedEdit();
+        }
+    });
+
+    // Layout size changes once the image loads
+    $('fullscreenImg')?.addEventListener('load', updateFeatherPreview);
+
+    // Tool shortcuts while the editor is open
+    document.addEventListener('keydown', e => {
+        if (!editor || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.matches('input, textarea, [contenteditable]')) return;
+        const tool = TOOL_SHORTCUTS[e.key.toLowerCase()];
+        if (tool) setMaskTool(tool);
+    });
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openMaskEditor = () => openMaskEditor();
+window.closeMaskEditor = closeMaskEditor;
+window.setMaskTool = setMaskTool;
+window.clearMask = clearMask;
+window.invertMask = invertMask;
+window.sendMaskedEdit = sendMaskedEdit;
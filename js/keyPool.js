@@ -0,0 +1,206 @@
+/**
+ * Key Pool Module
+ * Named Gemini API keys with per-key cooldown and round-robin rotation on rate limits
+ */
+
+import { KEY_COOLDOWN_DEFAULT_MS, MAX_POOL_KEYS } from './config.js';
+import { $, showToast, escapeHtml } from './ui.js';
+import { getApiKey } from './auth.js';
+
+// localStorage key (also snapshotted by profiles.js, stripped on export)
+export const KEY_POOL_STORAGE_KEY = 'api_key_pool';
+
+// Alias used for the key in the main API key field
+export const PRIMARY_KEY_ALIAS = 'primary';
+
+// Cooldown deadlines per alias (in-memory: a reload starts with every key available)
+const cooldowns = new Map();
+let rotationIndex = 0;
+let poolChangeHandler = null;
+
+/**
+ * Get stored pool entries (excluding the primary key)
+ * @returns {Array<{alias: string, key: string}>}
+ */
+export function getPoolEntries() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(KEY_POOL_STORAGE_KEY) || '[]');
+        return Array.isArray(entries) ? entries.filter(e => e.alias && e.key) : [];
+    } catch {
+        return [];
+    }
+}
+
+function savePoolEntries(entries) {
+    localStorage.setItem(KEY_POOL_STORAGE_KEY, JSON.stringify(entries));
+}
+
+/**
+ * All usable keys: primary key first, then pool entries
+ */
+export function getAllKeys() {
+    const keys = [];
+    const primary = getApiKey();
+    if (primary) keys.push({ alias: PRIMARY_KEY_ALIAS, key: primary });
+    return keys.concat(getPoolEntries());
+}
+
+/**
+ * Whether rotation is active (more than one key available)
+ */
+export function isPoolActive() {
+    return getAllKeys().length > 1;
+}
+
+/**
+ * Add a named key to the pool
+ */
+export function addPoolKey(alias, key) {
+    alias = alias.trim();
+    key = key.trim();
+    if (!alias || !key) throw new Error('Enter an alias and a key');
+    if (alias === PRIMARY_KEY_ALIAS) throw new Error(`"${PRIMARY_KEY_ALIAS}" is reserved for the main API key`);
+
+    const entries = getPoolEntries();
+    if (entries.some(e => e.alias === alias)) throw new Error(`Alias "${alias}" already exists`);
+    if (entries.length >= MAX_POOL_KEYS) throw new Error(`Maximum ${MAX_POOL_KEYS} pool keys`);
+
+    entries.push({ alias, key });
+    savePoolEntries(entries);
+}
+
+/**
+ * Remove a key from the pool
+ */
+export function removePoolKey(alias) {
+    savePoolEntries(getPoolEntries().filter(e => e.alias !== alias));
+    cooldowns.delete(alias);
+}
+
+// ============================================
+// Cooldown & rotation
+// ============================================
+
+/**
+ * Milliseconds until an alias leaves cooldown (0 = available)
+ */
+export function getCooldownRemaining(alias) {
+    const until = cooldowns.get(alias) || 0;
+    return Math.max(0, until - Date.now());
+}
+
+/**
+ * Put a key on cooldown after a rate limit
+ */
+export function markKeyCooldown(alias, ms = KEY_COOLDOWN_DEFAULT_MS) {
+    cooldowns.set(alias, Date.now() + ms);
+    renderKeyPool();
+}
+
+/**
+ * Whether any key can take a request right now
+ */
+export function hasAvailableKey() {
+    return getAllKeys().some(k => getCooldownRemaining(k.alias) === 0);
+}
+
+/**
+ * Pick the next key round-robin, skipping keys on cooldown.
+ * With a single key, cooldown is ignored (the caller's retry/backoff handles it).
+ * @returns {{alias: string, key: string}}
+ */
+export function acquireApiKey() {
+    const keys = getAllKeys();
+    if (keys.length === 0) return { alias: PRIMARY_KEY_ALIAS, key: '' };
+    if (keys.length === 1) return keys[0];
+
+    for (let i = 0; i < keys.length; i++) {
+        const candidate = keys[(rotationIndex + i) % keys.length];
+        if (getCooldownRemaining(candidate.alias) === 0) {
+            rotationIndex = (rotationIndex + i + 1) % keys.length;
+            return candidate;
+        }
+    }
+
+    const soonest = Math.min(...keys.map(k => getCooldownRemaining(k.alias)));
+    const err = new Error(`Rate limited: all ${keys.length} API keys cooling down. Retry in ${Math.ceil(soonest / 1000)} seconds`);
+    err.status = 429;
+    err.retryAfterMs = soonest;
+    throw err;
+}
+
+// ============================================
+// Key Pool UI
+// ============================================
+
+/**
+ * Render the pool list with cooldown status
+ */
+export function renderKeyPool() {
+    const list = $('keyPoolList');
+    if (!list) return;
+
+    const entries = getPoolEntries();
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="key-pool-empty">No extra keys — 429s back off on the main key</div>';
+        return;
+    }
+
+    const primaryCooldown = getCooldownRemaining(PRIMARY_KEY_ALIAS);
+    list.innerHTML = (primaryCooldown > 0 ? `
+        <div class="key-pool-item">
+            <span class="key-pool-alias">${PRIMARY_KEY_ALIAS}</span>
+            <span class="key-pool-status cooling">cooling ${Math.ceil(primaryCooldown / 1000)}s</span>
+        </div>
+    ` : '') + entries.map(entry => {
+        const remaining = getCooldownRemaining(entry.alias);
+        return `
+            <div class="key-pool-item">
+                <span class="key-pool-alias">${escapeHtml(entry.alias)}</span>
+                <span class="key-pool-masked">…${escapeHtml(entry.key.slice(-4))}</span>
+                <span class="key-pool-status${remaining > 0 ? ' cooling' : ''}">${remaining > 0 ? `cooling ${Math.ceil(remaining / 1000)}s` : 'ready'}</span>
+                <button class="key-pool-remove" onclick="removePoolKeyByAlias(this.dataset.alias)" data-alias="${escapeHtml(entry.alias)}" title="Remove key">×</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Add a key from the pool form inputs
+ */
+function addPoolKeyFromInputs() {
+    const aliasInput = $('keyPoolAlias');
+    const keyInput = $('keyPoolKey');
+    try {
+        addPoolKey(aliasInput.value, keyInput.value);
+        aliasInput.value = '';
+        keyInput.value = '';
+        renderKeyPool();
+        showToast('Key added to pool');
+        poolChangeHandler?.();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function removePoolKeyByAlias(alias) {
+    removePoolKey(alias);
+    renderKeyPool();
+    showToast(`Removed "${alias}"`);
+    poolChangeHandler?.();
+}
+
+/**
+ * Wire up the key pool section
+ */
+export function setupKeyPoolUI(onPoolChange) {
+    poolChangeHandler = onPoolChange;
+    renderKeyPool();
+    $('keyPoolKey')?.addEventListener('keydown', e => {
+        if (e.key === 'Enter') addPoolKeyFromInputs();
+    });
+}
+
+// Make functions globally available for HTML onclick handlers
+window.addPoolKeyFromInputs = addPoolKeyFromInputs;
+window.removePoolKeyByAlias = removePoolKeyByAlias;
@@ -0,0 +1,407 @@
+/**
+ * Matrix Module
+ * Parameter sweeps — queue every prompt across several models, ratios, resolutions, thinking budgets
+ * and search settings, then compare the results in a grid laid out by axis
+ */
+
+import { MATRIX_THINKING_BUDGETS, MATRIX_THUMBNAIL_SIZE, MAX_HISTORY_ITEMS } from './config.js';
+import { $, debounce, escapeHtml } from './ui.js';
+import { getQueueState, getAllQueueItems, QueueStatus } from './queue.js';
+import { loadRecentHistory } from './history.js';
+
+// localStorage key for the builder ({enabled, axes: {key: values[]}})
+const MATRIX_STORAGE_KEY = 'matrix_axes';
+
+// Config keys that can be swept; each axis value is a plain config value
+export const MATRIX_AXES = [
+    { key: 'model', label: 'Model' },
+    { key: 'ratio', label: 'Ratio' },
+    { key: 'resolution', label: 'Resolution' },
+    { key: 'thinkingBudget', label: 'Thinking' },
+    { key: 'searchEnabled', label: 'Search' }
+];
+
+// Grid-only axes that aren't config values
+const PROMPT_AXIS = 'prompt';
+const VARIATION_AXIS = 'variation';
+
+let gridState = null; // {matrixId, rows, cols}
+
+function loadMatrixSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MATRIX_STORAGE_KEY) || '{}');
+        return { enabled: !!saved.enabled, axes: saved.axes || {} };
+    } catch {
+        return { enabled: false, axes: {} };
+    }
+}
+
+function saveMatrixSettings(settings) {
+    localStorage.setItem(MATRIX_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Values an axis can take, from the main form's selects where there is one
+ * @returns {{value: *, label: string}[]}
+ */
+export function getAxisOptions(key) {
+    const fromSelect = id => [...($(id)?.options || [])].map(o => ({ value: o.value, label: o.textContent.trim() }));
+    switch (key) {
+        case 'model':
+            return fromSelect('modelSelect').filter(o => o.value);
+        case 'ratio':
+            return fromSelect('ratio');
+        case 'resolution':
+            return fromSelect('resolution');
+        case 'thinkingBudget':
+            return MATRIX_THINKING_BUDGETS.map(value => ({
+                value,
+                label: value === 0 ? 'Off' : value === -1 ? 'Auto' : value.toLocaleString()
+            }));
+        case 'searchEnabled':
+            return [{ value: false, label: 'Off' }, { value: true, label: 'On' }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Display label for an axis value
+ */
+export function formatAxisValue(key, value) {
+    if (key === PROMPT_AXIS) return `Prompt ${value + 1}`;
+    if (key === VARIATION_AXIS) return `v${value + 1}`;
+    const option = getAxisOptions(key).find(o => o.value === value);
+    if (option) return option.label;
+    if (key === 'model') return String(value).replace('gemini-', '').replace('-image-preview', '');
+    return String(value);
+}
+
+/**
+ * One-line summary of a matrix item's axis values ("Flash · 16:9 · Thinking Off")
+ */
+export function formatMatrixAxes(axes) {
+    return MATRIX_AXES
+        .filter(axis => axes && axis.key in axes)
+        .map(axis => {
+            const label = formatAxisValue(axis.key, axes[axis.key]);
+            return axis.key === 'thinkingBudget' || axis.key === 'searchEnabled' ? `${axis.label} ${label}` : label;
+        })
+        .join(' · ');
+}
+
+// Selected values that still exist (models come and go with the provider)
+function getSelectedValues(key, settings = loadMatrixSettings()) {
+    const selected = settings.axes[key] || [];
+    return getAxisOptions(key).map(o => o.value).filter(value => selected.includes(value));
+}
+
+/**
+ * Cross product of the selected axis values on top of a base config
+ * @param {Object} baseConfig - Config from the main form
+ * @returns {{config: Object, axes: Object|null}[]} One entry per combination; axes is null when the matrix is off
+ */
+export function getMatrixCombinations(baseConfig) {
+    const settings = loadMatrixSettings();
+    const axes = settings.enabled
+        ? MATRIX_AXES
+            .map(axis => ({ key: axis.key, values: getSelectedValues(axis.key, settings) }))
+            .filter(axis => axis.values.length > 0)
+        : [];
+    if (axes.length === 0) return [{ config: { ...baseConfig }, axes: null }];
+
+    return axes
+        .reduce((combos, axis) => combos.flatMap(combo => axis.values.map(value => ({ ...combo, [axis.key]: value }))), [{}])
+        .map(tags => ({ config: { ...baseConfig, ...tags }, axes: tags }));
+}
+
+// ============================================
+// Matrix builder (Batch Setup)
+// ============================================
+
+/**
+ * Render the matrix builder into Batch Setup
+ * @param {Function} onChange - Called after the selection changes (to refresh image counts)
+ */
+export function renderMatrixBuilder(onChange) {
+    const container = $('matrixBuilder');
+    const toggle = $('matrixToggle');
+    if (!container || !toggle) return;
+
+    const settings = loadMatrixSettings();
+    toggle.checked = settings.enabled;
+    toggle.onchange = () => {
+        saveMatrixSettings({ ...loadMatrixSettings(), enabled: toggle.checked });
+        renderMatrixBuilder(onChange);
+        onChange?.();
+    };
+
+    container.classList.toggle('hidden', !settings.enabled);
+    container.innerHTML = MATRIX_AXES.map(axis => {
+        const selected = getSelectedValues(axis.key, settings);
+        const options = getAxisOptions(axis.key);
+        return `
+            <div class="matrix-axis">
+                <span class="matrix-axis-label">${axis.label}</span>
+                <div class="matrix-axis-values">
+                    ${options.length > 0 ? options.map((o, i) => `
+                        <button class="matrix-chip ${selected.includes(o.value) ? 'active' : ''}"
+                            data-axis="${axis.key}" data-index="${i}">${escapeHtml(o.label || 'Auto')}</button>
+                    `).join('') : '<span class="matrix-axis-empty">Load models first</span>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.matrix-chip').forEach(chip => {
+        chip.onclick = () => {
+            const current = loadMatrixSettings();
+            const value = getAxisOptions(chip.dataset.axis)[chip.dataset.index].value;
+            const values = current.axes[chip.dataset.axis] || [];
+            current.axes[chip.dataset.axis] = values.includes(value)
+                ? values.filter(v => v !== value)
+                : [...values, value];
+            saveMatrixSettings(current);
+            renderMatrixBuilder(onChange);
+            onChange?.();
+        };
+    });
+
+    const summary = $('matrixSummary');
+    if (summary) {
+        const counts = MATRIX_AXES.map(axis => getSelectedValues(axis.key, settings).length).filter(n => n > 0);
+        summary.textContent = settings.enabled && counts.length > 0
+            ? `${counts.join(' × ')} = ${counts.reduce((a, b) => a * b, 1)} per prompt`
+            : settings.enabled ? 'Pick values to sweep' : '';
+    }
+}
+
+// ============================================
+// Thumbnails
+// ============================================
+
+/**
+ * Small JPEG of a result for the grid viewer (stored on the history entry)
+ */
+export async function createThumbnail(dataUrl) {
+    const blob = await fetch(dataUrl).then(r => r.blob());
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, MATRIX_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+// ============================================
+// Grid viewer
+// ============================================
+
+/**
+ * ID of the newest matrix in the panel's queue (null if none)
+ */
+export function getLatestMatrixId() {
+    const items = getQueueState().items.filter(item => item.matrix);
+    return items.length > 0 ? items[items.length - 1].matrix.id : null;
+}
+
+/**
+ * Every result of a matrix: completed ones from history, the rest from the queue
+ * @returns {Promise<Object[]>} Cells {axes, promptIndex, variationIndex, status, historyId, thumbnail, prompt, name}
+ */
+async function collectMatrixCells(matrixId) {
+    const entries = (await loadRecentHistory(MAX_HISTORY_ITEMS)).filter(entry => entry.matrix?.id === matrixId);
+    const historyIds = new Set(entries.map(entry => entry.id));
+
+    const cells = entries.map(entry => ({
+        axes: entry.matrix.axes,
+        promptIndex: entry.matrix.promptIndex || 0,
+        variationIndex: entry.matrix.variationIndex || 0,
+        status: QueueStatus.COMPLETED,
+        historyId: entry.id,
+        thumbnail: entry.thumbnail || null,
+        prompt: entry.prompt,
+        name: entry.name || ''
+    }));
+
+    getAllQueueItems()
+        .filter(item => item.matrix?.id === matrixId && !historyIds.has(item.historyId))
+        .forEach(item => cells.push({
+            axes: item.matrix.axes,
+            promptIndex: item.matrix.promptIndex || 0,
+            variationIndex: item.variationIndex,
+            status: item.status,
+            historyId: item.historyId || null,
+            thumbnail: null,
+            prompt: item.prompt,
+            name: item.name || ''
+        }));
+
+    return cells;
+}
+
+function getCellValue(cell, key) {
+    if (key === PROMPT_AXIS) return cell.promptIndex;
+    if (key === VARIATION_AXIS) return cell.variationIndex;
+    return cell.axes?.[key];
+}
+
+// Distinct values of an axis in option order (numbers for prompt/variation)
+function getAxisValues(cells, key) {
+    const values = [...new Set(cells.map(cell => getCellValue(cell, key)))];
+    if (key === PROMPT_AXIS || key === VARIATION_AXIS) return values.sort((a, b) => a - b);
+    const order = getAxisOptions(key).map(o => o.value);
+    const rank = value => {
+        const index = order.indexOf(value);
+        return index === -1 ? order.length : index;
+    };
+    return values.sort((a, b) => rank(a) - rank(b));
+}
+
+function getAxisLabel(key) {
+    if (key === PROMPT_AXIS) return 'Prompt';
+    if (key === VARIATION_AXIS) return 'Variation';
+    return MATRIX_AXES.find(axis => axis.key === key)?.label || key;
+}
+
+/**
+ * Open the grid viewer for a matrix
+ * @param {string} [matrixId] - Defaults to the newest matrix in the queue
+ */
+export async function openMatrixGrid(matrixId = getLatestMatrixId()) {
+    if (!matrixId) return;
+    closeMatrixGrid();
+    gridState = { matrixId, rows: null, cols: null };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay matrix-grid-overlay';
+    overlay.id = 'matrixGridOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeMatrixGrid(); };
+    overlay.innerHTML = `
+        <div class="confirm-dialog matrix-grid-dialog">
+            <div class="matrix-grid-header">
+                <div class="confirm-dialog-title">Matrix Results</div>
+                <div class="matrix-grid-controls">
+                    <label>Rows <select id="matrixGridRows"></select></label>
+                    <label>Columns <select id="matrixGridCols"></select></label>
+                    <button class="close-btn" onclick="closeMatrixGrid()">&times;</button>
+                </div>
+            </div>
+            <div class="matrix-grid-status" id="matrixGridStatus"></div>
+            <div class="matrix-grid-scroll" id="matrixGridBody"></div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    $('matrixGridRows').onchange = e => { gridState.rows = e.target.value; renderMatrixGrid(); };
+    $('matrixGridCols').onchange = e => { gridState.cols = e.target.value; renderMatrixGrid(); };
+
+    await renderMatrixGrid();
+}
+
+/**
+ * Close the grid viewer
+ */
+export function closeMatrixGrid() {
+    $('matrixGridOverlay')?.remove();
+    gridState = null;
+}
+
+async function renderMatrixGrid() {
+    if (!gridState) return;
+    const { matrixId } = gridState;
+    const cells = await collectMatrixCells(matrixId);
+    const body = $('matrixGridBody');
+    if (!gridState || gridState.matrixId !== matrixId || !body) return;
+
+    // Axes that actually vary in this matrix can lay out rows and columns
+    const keys = [...MATRIX_AXES.map(axis => axis.key), PROMPT_AXIS, VARIATION_AXIS]
+        .filter(key => getAxisValues(cells, key).length > 1);
+    if (!keys.includes(gridState.rows)) gridState.rows = keys[0] || '';
+    if (!keys.includes(gridState.cols) || gridState.cols === gridState.rows) {
+        gridState.cols = keys.find(key => key !== gridState.rows) || '';
+    }
+
+    const fillSelect = (select, value) => {
+        select.innerHTML = `<option value="">—</option>` +
+            keys.map(key => `<option value="${key}" ${key === value ? 'selected' : ''}>${getAxisLabel(key)}</option>`).join('');
+    };
+    fillSelect($('matrixGridRows'), gridState.rows);
+    fillSelect($('matrixGridCols'), gridState.cols);
+
+    const done = cells.filter(cell => cell.status === QueueStatus.COMPLETED).length;
+    $('matrixGridStatus').textContent = `${done}/${cells.length} complete`;
+
+    const rowValues = gridState.rows ? getAxisValues(cells, gridState.rows) : [undefined];
+    const colValues = gridState.cols ? getAxisValues(cells, gridState.cols) : [undefined];
+    // Axes not on the grid are listed on each card
+    const stackedKeys = keys.filter(key => key !== gridState.rows && key !== gridState.cols);
+
+    const matches = (cell, key, value) => !key || getCellValue(cell, key) === value;
+    const headerLabel = (key, value) => {
+        if (!key) return '';
+        if (key === PROMPT_AXIS) {
+            const cell = cells.find(c => c.promptIndex === value);
+            const title = cell?.name || cell?.prompt || '';
+            return `<span title="${escapeHtml(cell?.prompt || '')}">${formatAxisValue(key, value)}${title ? ': ' + escapeHtml(title.slice(0, 40)) : ''}</span>`;
+        }
+        return escapeHtml(formatAxisValue(key, value));
+    };
+
+    const renderCard = cell => {
+        const caption = stackedKeys.map(key => formatAxisValue(key, getCellValue(cell, key))).join(' · ');
+        const open = cell.historyId ? `onclick="openGenerationDetails('${escapeHtml(cell.historyId)}')"` : '';
+        const content = cell.status === QueueStatus.COMPLETED
+            ? (cell.thumbnail ? `<img src="${cell.thumbnail}" alt="">` : '<span>Done</span>')
+            : `<span>${escapeHtml(cell.status)}</span>`;
+        return `
+            <div class="matrix-card matrix-card-${cell.status} ${cell.historyId ? 'clickable' : ''}" ${open} title="${escapeHtml(cell.prompt)}">
+                ${content}
+                ${caption ? `<div class="matrix-card-caption">${escapeHtml(caption)}</div>` : ''}
+            </div>
+        `;
+    };
+
+    body.innerHTML = `
+        <table class="matrix-grid">
+            ${gridState.cols ? `
+                <thead>
+                    <tr>
+                        ${gridState.rows ? '<th></th>' : ''}
+                        ${colValues.map(value => `<th>${headerLabel(gridState.cols, value)}</th>`).join('')}
+                    </tr>
+                </thead>
+            ` : ''}
+            <tbody>
+                ${rowValues.map(rowValue => `
+                    <tr>
+                        ${gridState.rows ? `<th>${headerLabel(gridState.rows, rowValue)}</th>` : ''}
+                        ${colValues.map(colValue => `
+                            <td>
+                                <div class="matrix-cell">
+                                    ${cells
+                                        .filter(cell => matches(cell, gridState.rows, rowValue) && matches(cell, gridState.cols, colValue))
+                                        .sort((a, b) => a.promptIndex - b.promptIndex || a.variationIndex - b.variationIndex)
+                                        .map(renderCard).join('')}
+                                </div>
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Re-render the open grid (queue progress calls this; debounced since it reads history)
+ */
+export const refreshMatrixGrid = debounce(() => {
+    if (gridState) renderMatrixGrid();
+}, 500);
+
+// Make functions globally available for HTML onclick handlers
+window.openMatrixGrid = openMatrixGrid;
+window.closeMatrixGrid = closeMatrixGrid;
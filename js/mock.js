@@ -0,0 +1,341 @@
+/**
+ * Mock Module
+ * Offline stand-in for the Gemini API — renders the prompt to a canvas PNG and simulates failures
+ */
+
+import { MOCK_DEFAULT_LATENCY_MS, MOCK_DEFAULT_RETRY_SECONDS } from './config.js';
+import { $ } from './ui.js';
+import { registerProvider, parseGeminiResponse } from './providers.js';
+import { createApiError } from './errors.js';
+
+export const MockScenario = {
+    OK: 'ok',
+    RATE_LIMIT: 'rate_limit',
+    QUOTA: 'quota',
+    SAFETY: 'safety',
+    NO_IMAGE: 'no_image',
+    CYCLE: 'cycle'
+};
+
+// localStorage keys (also snapshotted by profiles.js)
+export const MOCK_SCENARIO_KEY = 'mock_scenario';
+export const MOCK_LATENCY_KEY = 'mock_latency_ms';
+export const MOCK_RETRY_AFTER_KEY = 'mock_retry_after';
+
+// Deterministic sequence used by the "cycle" scenario
+const CYCLE_SEQUENCE = [
+    MockScenario.OK,
+    MockScenario.RATE_LIMIT,
+    MockScenario.OK,
+    MockScenario.SAFETY,
+    MockScenario.OK,
+    MockScenario.NO_IMAGE
+];
+
+const MOCK_MODELS = ['gemini-2.5-flash-image', 'gemini-3-pro-image-preview'];
+
+let cycleIndex = 0;
+
+/**
+ * Get mock backend settings
+ */
+export function getMockSettings() {
+    const scenario = localStorage.getItem(MOCK_SCENARIO_KEY);
+    const latency = parseInt(localStorage.getItem(MOCK_LATENCY_KEY));
+    const retryAfter = parseInt(localStorage.getItem(MOCK_RETRY_AFTER_KEY));
+    return {
+        scenario: Object.values(MockScenario).includes(scenario) ? scenario : MockScenario.OK,
+        latencyMs: latency >= 0 ? latency : MOCK_DEFAULT_LATENCY_MS,
+        retryAfterSeconds: retryAfter > 0 ? retryAfter : MOCK_DEFAULT_RETRY_SECONDS
+    };
+}
+
+/**
+ * Restart the "cycle" scenario from its first step
+ */
+export function resetMockCycle() {
+    cycleIndex = 0;
+}
+
+function nextScenario(scenario) {
+    if (scenario !== MockScenario.CYCLE) return scenario;
+    const step = CYCLE_SEQUENCE[cycleIndex % CYCLE_SEQUENCE.length];
+    cycleIndex++;
+    return step;
+}
+
+// Abortable sleep (rejects with AbortError like fetch does)
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+// Error built from a REST-style error body, like apiKeyGenerateContent's HTTP errors
+function httpError(status, error) {
+    return createApiError(error, { status, headers: null });
+}
+
+// ============================================
+// Response rendering
+// ============================================
+
+function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+// Canvas size for an aspect ratio like "16:9" (long edge 512px)
+function getCanvasSize(ratio) {
+    const [w, h] = (ratio || '1:1').split(':').map(Number);
+    if (!w || !h) return { width: 512, height: 512 };
+    return w >= h
+        ? { width: 512, height: Math.round(512 * h / w) }
+        : { width: Math.round(512 * w / h), height: 512 };
+}
+
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+        const test = line ? line + ' ' + word : word;
+        if (ctx.measureText(test).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = test;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Render the prompt into a PNG (base64, no data: prefix)
+ */
+function renderPromptImage(prompt, model, body) {
+    const { width, height } = getCanvasSize(body.generationConfig?.imageConfig?.aspectRatio);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const hue = hashString(prompt) % 360;
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, `hsl(${hue}, 45%, 22%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 45%, 12%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    const padding = 24;
+    ctx.fillStyle = '#fff';
+    ctx.font = '600 20px sans-serif';
+    ctx.textBaseline = 'top';
+    const lines = wrapText(ctx, prompt, width - padding * 2);
+    const maxLines = Math.floor((height - padding * 2 - 40) / 26);
+    lines.slice(0, maxLines).forEach((line, i) => {
+        ctx.fillText(i === maxLines - 1 && lines.length > maxLines ? line + '…' : line, padding, padding + i * 26);
+    });
+
+    const refCount = getLastUserParts(body).filter(p => p.inlineData).length;
+    const turn = getUserTurnCount(body);
+    const imageConfig = body.generationConfig?.imageConfig || {};
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '12px monospace';
+    ctx.fillText(
+        ['MOCK', model, imageConfig.aspectRatio, imageConfig.imageSize, refCount ? refCount + ' refs' : '', turn > 1 ? 'turn ' + turn : '']
+            .filter(Boolean).join(' · '),
+        padding,
+        height - padding - 12
+    );
+
+    return canvas.toDataURL('image/png').split(',')[1];
+}
+
+function getLastUserParts(body) {
+    return body.contents?.[body.contents.length - 1]?.parts || [];
+}
+
+// Edit sessions send earlier user/model turns ahead of the new instruction
+function getUserTurnCount(body) {
+    return (body.contents || []).filter(c => c.role === 'user').length;
+}
+
+function getPromptText(body) {
+    return getLastUserParts(body).filter(p => p.text).map(p => p.text).join('\n') || '(empty prompt)';
+}
+
+function getMockTextReply(body) {
+    const parts = getLastUserParts(body);
+    if (parts.some(p => p.text)) {
+        return `${getPromptText(body)}, highly detailed, soft cinematic lighting (mock rewrite)`;
+    }
+    const instruction = body.systemInstruction?.parts?.[0]?.text || '';
+    return `Mock description of ${parts.filter(p => p.inlineData).length} image(s) — ${instruction.split(':')[0]}`;
+}
+
+function buildUsage(body, imageTokens = 1290) {
+    const allParts = (body.contents || []).flatMap(c => c.parts || []);
+    const promptTokens = allParts.filter(p => p.text).reduce((sum, p) => sum + Math.ceil(p.text.length / 4), 0) +
+        allParts.filter(p => p.inlineData).length * 258;
+    return {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: imageTokens,
+        candidatesTokensDetails: imageTokens ? [{ modality: 'IMAGE', tokenCount: imageTokens }] : [],
+        totalTokenCount: promptTokens + imageTokens
+    };
+}
+
+/**
+ * Fulfil a generateContent request locally for the given scenario
+ */
+async function mockGenerateContent(model, body, signal) {
+    const settings = getMockSettings();
+    const scenario = nextScenario(settings.scenario);
+
+    await sleep(settings.latencyMs, signal);
+
+    switch (scenario) {
+        case MockScenario.RATE_LIMIT:
+            throw httpError(429, {
+                message: `Resource has been exhausted (e.g. check quota). Please retry in ${settings.retryAfterSeconds} seconds.`,
+                status: 'RESOURCE_EXHAUSTED',
+                details: [
+                    {
+                        '@type': 'type.googleapis.com/google.rpc.QuotaFailure',
+                        violations: [{ quotaMetric: 'generativelanguage.googleapis.com/generate_requests_per_model', quotaId: 'GenerateRequestsPerMinutePerProjectPerModel' }]
+                    },
+                    { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: `${settings.retryAfterSeconds}s` }
+                ]
+            });
+
+        case MockScenario.QUOTA:
+            throw httpError(429, {
+                message: 'You exceeded your current quota, please check your plan and billing details.',
+                status: 'RESOURCE_EXHAUSTED',
+                details: [{
+                    '@type': 'type.googleapis.com/google.rpc.QuotaFailure',
+                    violations: [{ quotaMetric: 'generativelanguage.googleapis.com/generate_requests_per_model_per_day', quotaId: 'GenerateRequestsPerDayPerProjectPerModel' }]
+                }]
+            });
+
+        case MockScenario.SAFETY:
+            return {
+                candidates: [{ finishReason: 'IMAGE_SAFETY', content: { role: 'model', parts: [] } }],
+                usageMetadata: buildUsage(body, 0)
+            };
+
+        case MockScenario.NO_IMAGE:
+            return {
+                candidates: [{
+                    finishReason: 'STOP',
+                    content: { role: 'model', parts: [{ text: 'Mock backend returned text only (no image).' }] }
+                }],
+                usageMetadata: buildUsage(body, 0)
+            };
+
+        default:
+            // Text-only requests get a canned rewrite (prompt enhancement) or description (image in, no text)
+            if (!body.generationConfig?.responseModalities?.includes('IMAGE')) {
+                return {
+                    candidates: [{
+                        finishReason: 'STOP',
+                        content: { role: 'model', parts: [{ text: getMockTextReply(body) }] }
+                    }],
+                    usageMetadata: buildUsage(body, 0)
+                };
+            }
+            return {
+                candidates: [{
+                    finishReason: 'STOP',
+                    content: {
+                        role: 'model',
+                        parts: [{
+                            inlineData: { mimeType: 'image/png', data: renderPromptImage(getPromptText(body), model, body) },
+                            // Opaque like the real thing; edit sessions must send it back unchanged
+                            thoughtSignature: btoa('mock-signature:' + getUserTurnCount(body))
+                        }]
+                    }
+                }],
+                usageMetadata: buildUsage(body)
+            };
+    }
+}
+
+registerProvider({
+    id: 'mock',
+    label: 'Mock (offline)',
+    section: 'mockSection',
+    authHint: 'The mock backend does not use credentials.',
+
+    getMissingConfigMessage() {
+        return null;
+    },
+
+    isConfigured() {
+        return true;
+    },
+
+    getCacheKey() {
+        return 'mock';
+    },
+
+    async getCredentialIdentity() {
+        return { id: 'mock', label: 'Mock backend' };
+    },
+
+    async listModels() {
+        return [...MOCK_MODELS];
+    },
+
+    generateContent: mockGenerateContent,
+
+    parseResponse: parseGeminiResponse
+});
+
+// ============================================
+// Mock UI
+// ============================================
+
+/**
+ * Restore mock settings and wire up the mock backend section
+ */
+export function setupMockUI() {
+    const settings = getMockSettings();
+    const scenarioSelect = $('mockScenario');
+    const latencyInput = $('mockLatency');
+    const retryInput = $('mockRetryAfter');
+
+    if (scenarioSelect) {
+        scenarioSelect.value = settings.scenario;
+        scenarioSelect.addEventListener('change', e => {
+            localStorage.setItem(MOCK_SCENARIO_KEY, e.target.value);
+            resetMockCycle();
+        });
+    }
+
+    if (latencyInput) {
+        latencyInput.value = settings.latencyMs;
+        latencyInput.addEventListener('change', e => {
+            localStorage.setItem(MOCK_LATENCY_KEY, Math.max(0, parseInt(e.target.value) || 0));
+        });
+    }
+
+    if (retryInput) {
+        retryInput.value = settings.retryAfterSeconds;
+        retryInput.addEventListener('change', e => {
+            localStorage.setItem(MOCK_RETRY_AFTER_KEY, Math.max(1, parseInt(e.target.value) || MOCK_DEFAULT_RETRY_SECONDS));
+        });
+    }
+}
@@ -5,6 +5,7 @@
 
 import { $ } from './ui.js';
 import { restoreLastModel } from './persistence.js';
+import { getActiveProvider } from './providers.js';
 
 // Model cache with TTL
 const MODEL_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -17,12 +18,13 @@ export async function refreshModels(forceRefresh = false) {
 
     const refreshBtn = $('refreshBtn');
     const modelStatus = $('modelStatus');
+    const provider = getActiveProvider();
+    const cacheKey = provider.id + ':' + provider.getCacheKey();
 
     // Check cache
     if (!forceRefresh) {
-        const apiKey = $('apiKey').value;
         if (modelCache.data &&
-            modelCache.key === apiKey &&
+            modelCache.key === cacheKey &&
             Date.now() - modelCache.timestamp < MODEL_CACHE_TTL) {
             renderModels(modelCache.data);
             modelStatus.textContent = modelCache.data.length + ' models (cached)';
@@ -32,13 +34,21 @@ export async function refreshModels(forceRefresh = false) {
         }
     }
 
+    const missing = provider.getMissingConfigMessage();
+    if (missing) {
+        modelStatus.textContent = missing;
+        modelStatus.className = 'model-status error';
+        return;
+    }
+
     refreshBtn.classList.add('loading');
     isRefreshing = true;
     modelStatus.textContent = 'Loading...';
     modelStatus.className = 'model-status';
 
     try {
-        await refreshModelsAPIKey();
+        const models = await provider.listModels();
+        applyModels(models, cacheKey);
     } catch (e) {
         modelStatus.textContent = e.message.slice(0, 50);
         modelStatus.className = 'model-status error';
@@ -55,32 +65,15 @@ function renderModels(models) {
     modelSelect.innerHTML = models.map(id => '<option value="' + id + '">' + id + '</option>').join('');
 }
 
-// Refresh models for API Key auth
-async function refreshModelsAPIKey() {
-    const apiKey = $('apiKey').value;
-    const modelStatus = $('modelStatus');
-
-    if (!apiKey) {
-        modelStatus.textContent = 'Enter API key';
-        modelStatus.className = 'model-status error';
-        return;
-    }
-
-    const res = await fetch('https://generativelanguage.googleapis.com/v1beta/models', {
-        headers: { 'x-goog-api-key': apiKey }
-    });
-    const data = await res.json();
-    if (data.error) throw new Error(data.error.message);
-
-    const models = (data.models || []).map(m => m.name.replace('models/', ''));
-
-    // Cache the results
+// Cache and render a fetched model list
+function applyModels(models, cacheKey) {
     modelCache = {
         data: models,
         timestamp: Date.now(),
-        key: apiKey
+        key: cacheKey
     };
 
+    const modelStatus = $('modelStatus');
     renderModels(models);
     modelStatus.textContent = models.length + ' models';
     modelStatus.className = 'model-status success';
@@ -0,0 +1,277 @@
+/**
+ * Outpaint Module
+ * Extend canvas — place the current image on a larger canvas at a new aspect ratio and have the model fill the rest
+ */
+
+import { MAX_REF_IMAGE_SIZE, MASK_DEFAULT_FEATHER, EXTEND_OVERLAP_PX } from './config.js';
+import { $, showToast, escapeHtml } from './ui.js';
+import { getCurrentHistoryId } from './generation.js';
+import { getCurrentImg } from './zoom.js';
+import { maskToPng, queueMaskedEdit } from './inpaint.js';
+
+export const ANCHORS = {
+    'top-left': { x: 0, y: 0 },
+    'top': { x: 0.5, y: 0 },
+    'top-right': { x: 1, y: 0 },
+    'left': { x: 0, y: 0.5 },
+    'center': { x: 0.5, y: 0.5 },
+    'right': { x: 1, y: 0.5 },
+    'bottom-left': { x: 0, y: 1 },
+    'bottom': { x: 0.5, y: 1 },
+    'bottom-right': { x: 1, y: 1 }
+};
+
+const EXTEND_INSTRUCTION = 'Fill the empty border by continuing the scene naturally, matching the lighting, perspective and style of the existing picture';
+
+// The new area starts out neutral gray so it reads as "nothing here" rather than as black or white content
+const EXTEND_FILL_COLOR = '#808080';
+
+let dialogState = null; // {source: {width, height}, imageData, historyId, ratio, anchor}
+
+function parseRatio(ratio) {
+    const [w, h] = String(ratio).split(':').map(Number);
+    return w > 0 && h > 0 ? w / h : null;
+}
+
+/**
+ * Where the image sits on the extended canvas
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {string} ratio - Target aspect ratio ("16:9")
+ * @param {string} anchor - Key of ANCHORS
+ * @returns {{canvasWidth, canvasHeight, x, y, imageWidth, imageHeight}|null} null if the ratio is invalid
+ */
+export function getExtendLayout(width, height, ratio, anchor) {
+    const target = parseRatio(ratio);
+    if (!target) return null;
+
+    let canvasWidth = width;
+    let canvasHeight = height;
+    if (target > width / height) {
+        canvasWidth = height * target;
+    } else {
+        canvasHeight = width / target;
+    }
+
+    // Keep the request inside the reference size limit
+    const scale = Math.min(1, MAX_REF_IMAGE_SIZE / Math.max(canvasWidth, canvasHeight));
+    const imageWidth = Math.round(width * scale);
+    const imageHeight = Math.round(height * scale);
+    canvasWidth = Math.max(imageWidth, Math.round(canvasWidth * scale));
+    canvasHeight = Math.max(imageHeight, Math.round(canvasHeight * scale));
+
+    const { x: ax, y: ay } = ANCHORS[anchor] || ANCHORS.center;
+    return {
+        canvasWidth,
+        canvasHeight,
+        imageWidth,
+        imageHeight,
+        x: Math.round((canvasWidth - imageWidth) * ax),
+        y: Math.round((canvasHeight - imageHeight) * ay)
+    };
+}
+
+/**
+ * Whether the ratio matches the image already (nothing to extend)
+ */
+function isSameRatio(width, height, ratio) {
+    const target = parseRatio(ratio);
+    return !target || Math.abs(target - width / height) / target < 0.01;
+}
+
+async function loadBitmap(dataUrl) {
+    const blob = await fetch(dataUrl).then(r => r.blob());
+    return createImageBitmap(blob);
+}
+
+/**
+ * Build the padded image and the mask of the area to fill
+ * @returns {Promise<{source: string, mask: string}>}
+ */
+async function buildExtendRequest(imageData, layout) {
+    const { canvasWidth, canvasHeight, imageWidth, imageHeight, x, y } = layout;
+
+    const bitmap = await loadBitmap(imageData);
+    const padded = document.createElement('canvas');
+    padded.width = canvasWidth;
+    padded.height = canvasHeight;
+    const pctx = padded.getContext('2d');
+    pctx.fillStyle = EXTEND_FILL_COLOR;
+    pctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    pctx.drawImage(bitmap, x, y, imageWidth, imageHeight);
+    bitmap.close();
+
+    // Mask everything but the image, reaching a little into it along each seam so the fill blends in
+    const maskLayer = document.createElement('canvas');
+    maskLayer.width = canvasWidth;
+    maskLayer.height = canvasHeight;
+    const mctx = maskLayer.getContext('2d');
+    mctx.fillStyle = '#fff';
+    mctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    const left = x > 0 ? EXTEND_OVERLAP_PX : 0;
+    const top = y > 0 ? EXTEND_OVERLAP_PX : 0;
+    const right = x + imageWidth < canvasWidth ? EXTEND_OVERLAP_PX : 0;
+    const bottom = y + imageHeight < canvasHeight ? EXTEND_OVERLAP_PX : 0;
+    mctx.clearRect(x + left, y + top, imageWidth - left - right, imageHeight - top - bottom);
+
+    return {
+        source: padded.toDataURL('image/png'),
+        mask: maskToPng(maskLayer, MASK_DEFAULT_FEATHER)
+    };
+}
+
+// ============================================
+// Extend dialog
+// ============================================
+
+/**
+ * Open the extend canvas dialog for the current image
+ */
+export async function openExtendDialog() {
+    const imageData = getCurrentImg();
+    if (!imageData) return showToast('Generate or select an image first');
+
+    let source;
+    try {
+        const bitmap = await loadBitmap(imageData);
+        source = { width: bitmap.width, height: bitmap.height };
+        bitmap.close();
+    } catch (e) {
+        console.error('[Outpaint] Failed to load image:', e);
+        return showToast('Failed to load image');
+    }
+
+    const ratios = [...($('ratio')?.options || [])].map(o => ({ value: o.value, label: o.textContent })).filter(o => o.value);
+    // Start from the ratio selected in the main form, else 16:9, else the first one that differs
+    const candidates = [$('ratio')?.value, '16:9', ...ratios.map(r => r.value)];
+    const initial = candidates.find(r => r && !isSameRatio(source.width, source.height, r)) || '16:9';
+
+    dialogState = { source, imageData, historyId: getCurrentHistoryId(), ratio: initial, anchor: 'center' };
+
+    closeExtendDialog();
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'extendDialogOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeExtendDialog(); };
+
+    overlay.innerHTML = `
+        <div class="confirm-dialog extend-dialog">
+            <div class="confirm-dialog-title">Extend Canvas</div>
+            <div class="confirm-dialog-message">Current image: ${source.width}×${source.height}</div>
+            <div class="extend-dialog-body">
+                <div class="extend-dialog-controls">
+                    <label>Aspect ratio</label>
+                    <select id="extendRatio">
+                        ${ratios.map(r => `<option value="${escapeHtml(r.value)}" ${r.value === initial ? 'selected' : ''} ${isSameRatio(source.width, source.height, r.value) ? 'disabled' : ''}>${escapeHtml(r.label)}</option>`).join('')}
+                    </select>
+                    <label>Anchor</label>
+                    <div class="extend-anchor-grid" id="extendAnchorGrid">
+                        ${Object.keys(ANCHORS).map(key => `<button class="extend-anchor ${key === 'center' ? 'active' : ''}" data-anchor="${key}" title="${key}"></button>`).join('')}
+                    </div>
+                </div>
+                <div class="extend-preview" id="extendPreview">
+                    <div class="extend-preview-image" id="extendPreviewImage"></div>
+                </div>
+            </div>
+            <input type="text" id="extendInstruction" placeholder="Optional: what should appear in the new area">
+            <div class="extend-dialog-size" id="extendSize"></div>
+            <div class="confirm-dialog-actions">
+                <button class="btn-secondary" onclick="closeExtendDialog()">Cancel</button>
+                <button class="btn-primary" onclick="submitExtend()">Extend</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    $('extendPreviewImage').style.backgroundImage = `url("${imageData}")`;
+    $('extendRatio').addEventListener('change', e => {
+        dialogState.ratio = e.target.value;
+        renderExtendPreview();
+    });
+    overlay.querySelectorAll('.extend-anchor').forEach(btn => {
+        btn.onclick = () => {
+            dialogState.anchor = btn.dataset.anchor;
+            overlay.querySelectorAll('.extend-anchor').forEach(b => b.classList.toggle('active', b === btn));
+            renderExtendPreview();
+        };
+    });
+    $('extendInstruction').addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            submitExtend();
+        } else if (e.key === 'Escape') {
+            closeExtendDialog();
+        }
+    });
+
+    renderExtendPreview();
+}
+
+/**
+ * Close the extend canvas dialog
+ */
+export function closeExtendDialog() {
+    $('extendDialogOverlay')?.remove();
+}
+
+// Scale the layout into the preview box (max 160px on the long edge)
+function renderExtendPreview() {
+    if (!dialogState) return;
+    const { source, ratio, anchor } = dialogState;
+    const layout = getExtendLayout(source.width, source.height, ratio, anchor);
+    const preview = $('extendPreview');
+    const image = $('extendPreviewImage');
+    if (!layout || !preview || !image) return;
+
+    const scale = 160 / Math.max(layout.canvasWidth, layout.canvasHeight);
+    preview.style.width = Math.round(layout.canvasWidth * scale) + 'px';
+    preview.style.height = Math.round(layout.canvasHeight * scale) + 'px';
+    image.style.left = Math.round(layout.x * scale) + 'px';
+    image.style.top = Math.round(layout.y * scale) + 'px';
+    image.style.width = Math.round(layout.imageWidth * scale) + 'px';
+    image.style.height = Math.round(layout.imageHeight * scale) + 'px';
+
+    const size = $('extendSize');
+    if (size) size.textContent = `Sent as ${layout.canvasWidth}×${layout.canvasHeight}`;
+}
+
+/**
+ * Build the padded image + mask and queue the extension as a masked edit
+ */
+async function submitExtend() {
+    if (!dialogState) return;
+    const { source, imageData, historyId, ratio, anchor } = dialogState;
+
+    if (isSameRatio(source.width, source.height, ratio)) {
+        return showToast('Image already has that aspect ratio');
+    }
+
+    const layout = getExtendLayout(source.width, source.height, ratio, anchor);
+    const extra = $('extendInstruction')?.value.trim() || '';
+
+    let request;
+    try {
+        request = await buildExtendRequest(imageData, layout);
+    } catch (e) {
+        console.error('[Outpaint] Failed to build extended canvas:', e);
+        return showToast('Failed to prepare image');
+    }
+
+    const queued = queueMaskedEdit({
+        ...request,
+        prompt: extra ? `${EXTEND_INSTRUCTION}. ${extra}` : EXTEND_INSTRUCTION,
+        ratio,
+        inpaint: { feather: MASK_DEFAULT_FEATHER, blend: true },
+        derivedFrom: { historyId, operation: 'extend', ratio, anchor }
+    });
+    if (!queued) return;
+
+    closeExtendDialog();
+    dialogState = null;
+    showToast(`Extending to ${ratio}`);
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openExtendDialog = openExtendDialog;
+window.closeExtendDialog = closeExtendDialog;
+window.submitExtend = submitExtend;
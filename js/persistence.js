@@ -25,8 +25,13 @@ export function persistAllInputs() {
     persistInput('resolution', $('resolution').value);
     persistInput('variations', $('variations')?.value || '1');
     persistInput('searchToggle', $('searchToggle').checked);
+    persistInput('enhanceToggle', $('enhanceToggle')?.checked);
     persistInput('thinkingToggle', $('thinkingToggle').checked);
     persistInput('thinkingBudget', $('thinkingBudget').value);
+    persistInput('systemInstruction', $('systemInstruction')?.value || '');
+    persistInput('avoidList', $('avoidList')?.value || '');
+    persistInput('avoidMode', $('avoidMode')?.value || 'prompt');
+    persistInput('avoidTemplate', $('avoidTemplate')?.value || '');
     persistInput('soundToggle', $('soundToggle')?.checked);
     persistInput('hapticToggle', $('hapticToggle')?.checked);
     // Safety settings
@@ -35,7 +40,7 @@ export function persistAllInputs() {
     persistInput('safetySexuallyExplicit', $('safetySexuallyExplicit')?.value);
     persistInput('safetyDangerous', $('safetyDangerous')?.value);
     persistInput('filenamePrefix', $('filenamePrefix')?.value || '');
-    // authMode and refImages are persisted by their respective modules
+    // Provider and refImages are persisted by their respective modules
 }
 
 // Restore all inputs
@@ -45,8 +50,13 @@ export function restoreAllInputs() {
     $('resolution').value = loadPersistedInput('resolution', '4K');
     if ($('variations')) $('variations').value = loadPersistedInput('variations', '1');
     $('searchToggle').checked = loadPersistedInput('searchToggle', false);
+    if ($('enhanceToggle')) $('enhanceToggle').checked = loadPersistedInput('enhanceToggle', false);
     $('thinkingToggle').checked = loadPersistedInput('thinkingToggle', true);
     $('thinkingBudget').value = loadPersistedInput('thinkingBudget', '-1');
+    if ($('systemInstruction')) $('systemInstruction').value = loadPersistedInput('systemInstruction', '');
+    if ($('avoidList')) $('avoidList').value = loadPersistedInput('avoidList', '');
+    if ($('avoidMode')) $('avoidMode').value = loadPersistedInput('avoidMode', 'prompt');
+    if ($('avoidTemplate')) $('avoidTemplate').value = loadPersistedInput('avoidTemplate', '');
 
     const savedSound = loadPersistedInput('soundToggle', false);
     const savedHaptic = loadPersistedInput('hapticToggle', true);
@@ -85,9 +95,14 @@ export function setupInputPersistence() {
     $('resolution').addEventListener('change', persist);
     if ($('variations')) $('variations').addEventListener('input', persist);
     $('searchToggle').addEventListener('change', persist);
+    $('enhanceToggle')?.addEventListener('change', persist);
     $('thinkingToggle').addEventListener('change', persist);
     $('thinkingBudget').addEventListener('input', persist);
     $('thinkingBudgetNum')?.addEventListener('input', persist);
+    $('systemInstruction')?.addEventListener('input', persist);
+    $('avoidList')?.addEventListener('input', persist);
+    $('avoidMode')?.addEventListener('change', persist);
+    $('avoidTemplate')?.addEventListener('input', persist);
     $('soundToggle')?.addEventListener('change', persist);
     $('hapticToggle')?.addEventListener('change', persist);
     // Safety settings
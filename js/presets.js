@@ -0,0 +1,461 @@
+/**
+ * Style Presets Module
+ * Named bundles of system instruction, prompt prefix/suffix and default ratio, resolution and refs
+ */
+
+import { MAX_REFS } from './config.js';
+import { $, showToast, showConfirmDialog, escapeHtml } from './ui.js';
+import { getDB, requestToPromise } from './history.js';
+import { refImages, setRefImages, renderRefs, saveRefImages } from './references.js';
+import { storeRefs, releaseRefs, resolveRefLists } from './blobs.js';
+
+// localStorage key for the main form's preset (also snapshotted by profiles.js)
+export const STYLE_PRESET_KEY = 'style_preset';
+
+// Presets by name, loaded from IndexedDB at startup
+const presetCache = new Map();
+
+let managerState = null; // {selected, refImages} while the manager is open
+
+/**
+ * Preset names end up in option values and data attributes, so quotes and brackets are dropped
+ */
+export function normalizePresetName(name) {
+    return String(name || '')
+        .replace(/["'<>`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Stored preset shape; ratio and resolution are null when the preset keeps the form's value
+ */
+function normalizePreset(preset) {
+    return {
+        name: normalizePresetName(preset.name),
+        systemInstruction: String(preset.systemInstruction || '').trim(),
+        prefix: String(preset.prefix || '').trim(),
+        suffix: String(preset.suffix || '').trim(),
+        ratio: typeof preset.ratio === 'string' ? preset.ratio : null,
+        resolution: preset.resolution ? String(preset.resolution) : null,
+        refImages: Array.isArray(preset.refImages)
+            ? preset.refImages.filter(ref => ref?.data).slice(0, MAX_REFS).map(ref => ({ id: ref.id, data: ref.data }))
+            : [],
+        updatedAt: preset.updatedAt || Date.now()
+    };
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/**
+ * Load all presets into memory and fill the main form's select (call after initDB)
+ */
+export async function loadPresets() {
+    const db = getDB();
+    if (!db) return;
+
+    try {
+        const tx = db.transaction('stylePresets', 'readonly');
+        const records = await requestToPromise(tx.objectStore('stylePresets').getAll());
+        const refLists = await resolveRefLists(records.map(record => record.refImages));
+        presetCache.clear();
+        records.forEach((record, i) => presetCache.set(record.name, { ...record, refImages: refLists[i] }));
+    } catch (e) {
+        console.error('[Presets] Failed to load:', e);
+    }
+    renderPresetSelect();
+}
+
+/**
+ * All presets, sorted by name
+ */
+export function listPresets() {
+    return [...presetCache.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Preset by name (null if it doesn't exist)
+ */
+export function getPreset(name) {
+    return presetCache.get(normalizePresetName(name)) || null;
+}
+
+/**
+ * Create or replace presets
+ * @param {Object[]} presets - {name, systemInstruction, prefix, suffix, ratio, resolution, refImages}
+ */
+export async function savePresets(presets) {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const records = presets.map(preset => normalizePreset({ ...preset, updatedAt: Date.now() }));
+    // Refs are stored by hash; the presets being replaced give up theirs
+    const stored = [];
+    for (const record of records) {
+        stored.push({ ...record, refImages: await storeRefs(record.refImages) });
+    }
+
+    const released = [];
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('stylePresets', 'readwrite');
+        const store = tx.objectStore('stylePresets');
+        stored.forEach(record => {
+            store.get(record.name).onsuccess = e => {
+                released.push(...(e.target.result?.refImages || []));
+                store.put(record);
+            };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+    releaseRefs(released).catch(e => console.error('[Presets] Failed to release refs:', e));
+    records.forEach(record => presetCache.set(record.name, record));
+    renderPresetSelect();
+}
+
+/**
+ * Delete a preset
+ */
+export async function deletePreset(name) {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const key = normalizePresetName(name);
+    let released = [];
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('stylePresets', 'readwrite');
+        const store = tx.objectStore('stylePresets');
+        store.get(key).onsuccess = e => {
+            released = e.target.result?.refImages || [];
+            store.delete(key);
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+    releaseRefs(released).catch(e => console.error('[Presets] Failed to release refs:', e));
+    presetCache.delete(key);
+    renderPresetSelect();
+}
+
+/**
+ * Preset definitions for batch.json (refs stay local, like prompt box refs)
+ */
+export function serializePresets(names) {
+    return [...new Set(names)]
+        .map(getPreset)
+        .filter(Boolean)
+        .map(({ name, systemInstruction, prefix, suffix, ratio, resolution }) =>
+            ({ name, systemInstruction, prefix, suffix, ratio, resolution }));
+}
+
+/**
+ * Add presets from batch.json; presets that already exist here keep their local definition
+ * @returns {Promise<number>} Number of presets added
+ */
+export async function importPresets(presets) {
+    if (!Array.isArray(presets)) return 0;
+    const added = presets.filter(preset => {
+        const name = normalizePresetName(preset?.name);
+        return name && !presetCache.has(name);
+    });
+    if (added.length > 0) await savePresets(added);
+    return added.length;
+}
+
+// ============================================
+// Applying presets
+// ============================================
+
+/**
+ * Wrap a prompt in a preset's prefix and suffix. A suffix starting with punctuation attaches directly.
+ */
+export function applyPresetText(prompt, preset) {
+    if (!preset) return prompt;
+    let text = [preset.prefix, prompt].filter(Boolean).join(' ');
+    if (preset.suffix) {
+        text += /^[,.;:!?]/.test(preset.suffix) ? preset.suffix : ' ' + preset.suffix;
+    }
+    return text;
+}
+
+/**
+ * Preset selected on the main form (null for none)
+ */
+export function getSelectedPreset() {
+    const select = $('presetSelect');
+    return getPreset(select ? select.value : localStorage.getItem(STYLE_PRESET_KEY) || '');
+}
+
+/**
+ * Select a preset on the main form
+ * @param {string} name - Preset name ('' for none)
+ * @param {boolean} applyDefaults - Also put the preset's ratio, resolution and refs into the form
+ */
+export function selectPreset(name, applyDefaults = true) {
+    const preset = getPreset(name);
+    if (preset) localStorage.setItem(STYLE_PRESET_KEY, preset.name);
+    else localStorage.removeItem(STYLE_PRESET_KEY);
+
+    const select = $('presetSelect');
+    if (select) select.value = preset ? preset.name : '';
+    if (preset && applyDefaults) applyPresetDefaults(preset);
+    return preset;
+}
+
+function applyPresetDefaults(preset) {
+    [['ratio', preset.ratio], ['resolution', preset.resolution]].forEach(([id, value]) => {
+        const el = $(id);
+        if (!el || value === null || value === undefined) return;
+        el.value = value;
+        el.dispatchEvent(new Event('change'));
+    });
+
+    if (preset.refImages?.length > 0) {
+        setRefImages(preset.refImages.map(ref => ({ id: Date.now() + Math.random(), data: ref.data })));
+        renderRefs();
+        saveRefImages().catch(e => console.error('[Presets] Failed to save refs:', e));
+    }
+}
+
+/**
+ * Option list for a preset select
+ * @param {string} emptyLabel - Label of the '' option
+ */
+export function renderPresetOptions(emptyLabel = 'None') {
+    return `<option value="">${escapeHtml(emptyLabel)}</option>` +
+        listPresets().map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+}
+
+function renderPresetSelect() {
+    const select = $('presetSelect');
+    if (!select) return;
+    const current = select.value || localStorage.getItem(STYLE_PRESET_KEY) || '';
+    select.innerHTML = renderPresetOptions();
+    select.value = presetCache.has(current) ? current : '';
+    select.title = describePreset(getPreset(select.value));
+}
+
+/**
+ * One-line summary of what a preset changes
+ */
+export function describePreset(preset) {
+    if (!preset) return 'No style preset';
+    const parts = [];
+    if (preset.systemInstruction) parts.push('system instruction');
+    if (preset.prefix || preset.suffix) parts.push('prompt ' + [preset.prefix && 'prefix', preset.suffix && 'suffix'].filter(Boolean).join(' + '));
+    if (preset.ratio !== null) parts.push(preset.ratio || 'Auto ratio');
+    if (preset.resolution) parts.push(preset.resolution);
+    if (preset.refImages?.length > 0) parts.push(`${preset.refImages.length} ref${preset.refImages.length > 1 ? 's' : ''}`);
+    return parts.length > 0 ? `${preset.name}: ${parts.join(', ')}` : preset.name;
+}
+
+/**
+ * Wire the main form's preset select (after loadPresets)
+ */
+export function setupPresetUI() {
+    const select = $('presetSelect');
+    if (!select) return;
+    select.addEventListener('change', () => {
+        const preset = selectPreset(select.value);
+        select.title = describePreset(preset);
+        if (preset) showToast(`Preset "${preset.name}" applied`);
+    });
+}
+
+// ============================================
+// Preset manager
+// ============================================
+
+/**
+ * Open the preset manager
+ */
+export function openPresetManager() {
+    closePresetManager();
+    const selected = getSelectedPreset() || listPresets()[0] || null;
+    managerState = { selected: selected?.name || null, refImages: [] };
+
+    // Ratio and resolution choices mirror the main form, plus "keep"
+    const optionsFrom = id => [...($(id)?.options || [])]
+        .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.textContent)}</option>`).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'presetManagerOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closePresetManager(); };
+    overlay.innerHTML = `
+        <div class="confirm-dialog preset-manager">
+            <div class="confirm-dialog-title">Style Presets</div>
+            <div class="confirm-dialog-message">
+                A preset sends its system instruction with every request and wraps the prompt in its prefix and suffix.
+                Ratio, resolution and refs are defaults that load into the form when the preset is picked.
+            </div>
+            <div class="wildcard-manager-body">
+                <div class="wildcard-list" id="presetList"></div>
+                <div class="wildcard-editor">
+                    <input type="text" id="presetName" placeholder="Name (e.g. Film still)">
+                    <textarea id="presetSystem" rows="4" placeholder="System instruction (optional)"></textarea>
+                    <input type="text" id="presetPrefix" placeholder="Prompt prefix (optional)">
+                    <input type="text" id="presetSuffix" placeholder="Prompt suffix (optional, e.g. , 35mm film grain)">
+                    <div class="preset-defaults">
+                        <label>Ratio
+                            <select id="presetRatio"><option value="keep">Keep current</option>${optionsFrom('ratio')}</select>
+                        </label>
+                        <label>Resolution
+                            <select id="presetResolution"><option value="keep">Keep current</option>${optionsFrom('resolution')}</select>
+                        </label>
+                    </div>
+                    <div class="preset-refs" id="presetRefs"></div>
+                </div>
+            </div>
+            <div class="confirm-dialog-actions">
+                <button class="btn-secondary" onclick="newPreset()">New</button>
+                <button class="btn-secondary" id="presetDeleteBtn" onclick="deleteSelectedPreset()">Delete</button>
+                <button class="btn-primary" onclick="savePresetFromManager()">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+    renderPresetManager();
+}
+
+/**
+ * Close the preset manager
+ */
+export function closePresetManager() {
+    $('presetManagerOverlay')?.remove();
+    managerState = null;
+}
+
+function renderPresetManager() {
+    const list = $('presetList');
+    if (!list || !managerState) return;
+
+    const presets = listPresets();
+    list.innerHTML = presets.length > 0
+        ? presets.map(p => `
+            <button class="wildcard-list-item ${p.name === managerState.selected ? 'active' : ''}" data-name="${escapeHtml(p.name)}" title="${escapeHtml(describePreset(p))}">
+                <span>${escapeHtml(p.name)}</span>
+            </button>
+        `).join('')
+        : '<div class="dropdown-empty">No presets yet</div>';
+    list.querySelectorAll('.wildcard-list-item').forEach(btn => {
+        btn.onclick = () => {
+            managerState.selected = btn.dataset.name;
+            renderPresetManager();
+        };
+    });
+
+    // Set as values rather than markup so quotes and newlines survive
+    const preset = managerState.selected ? getPreset(managerState.selected) : null;
+    $('presetName').value = preset?.name || '';
+    $('presetSystem').value = preset?.systemInstruction || '';
+    $('presetPrefix').value = preset?.prefix || '';
+    $('presetSuffix').value = preset?.suffix || '';
+    $('presetRatio').value = preset && preset.ratio !== null ? preset.ratio : 'keep';
+    $('presetResolution').value = preset?.resolution || 'keep';
+    $('presetDeleteBtn').disabled = !preset;
+    managerState.refImages = preset ? [...preset.refImages] : [];
+    renderPresetRefs();
+}
+
+function renderPresetRefs() {
+    const container = $('presetRefs');
+    if (!container || !managerState) return;
+
+    const refs = managerState.refImages;
+    container.innerHTML = `
+        ${refs.map(ref => `<img src="${ref.data}" alt="">`).join('')}
+        <span class="preset-refs-info">${refs.length > 0 ? `${refs.length} default ref${refs.length > 1 ? 's' : ''}` : 'No default refs'}</span>
+        <button class="btn-secondary btn-sm" onclick="capturePresetRefs()" ${refImages.length === 0 ? 'disabled' : ''}>Use current refs (${refImages.length})</button>
+        ${refs.length > 0 ? '<button class="btn-secondary btn-sm" onclick="clearPresetRefs()">Clear</button>' : ''}
+    `;
+}
+
+function capturePresetRefs() {
+    if (!managerState) return;
+    managerState.refImages = refImages.slice(0, MAX_REFS).map(ref => ({ id: ref.id, data: ref.data }));
+    renderPresetRefs();
+}
+
+function clearPresetRefs() {
+    if (!managerState) return;
+    managerState.refImages = [];
+    renderPresetRefs();
+}
+
+function newPreset() {
+    if (!managerState) return;
+    managerState.selected = null;
+    renderPresetManager();
+    $('presetName').focus();
+}
+
+async function savePresetFromManager() {
+    if (!managerState) return;
+    const name = normalizePresetName($('presetName').value);
+    if (!name) return showToast('Enter a name');
+
+    const ratio = $('presetRatio').value;
+    const resolution = $('presetResolution').value;
+    const preset = {
+        name,
+        systemInstruction: $('presetSystem').value,
+        prefix: $('presetPrefix').value,
+        suffix: $('presetSuffix').value,
+        ratio: ratio === 'keep' ? null : ratio,
+        resolution: resolution === 'keep' ? null : resolution,
+        refImages: managerState.refImages
+    };
+
+    try {
+        // Saving under a new name renames the preset
+        const previous = managerState.selected;
+        if (previous && previous !== name) {
+            await deletePreset(previous);
+            if (localStorage.getItem(STYLE_PRESET_KEY) === previous) selectPreset(name, false);
+        }
+        await savePresets([preset]);
+        if (!managerState) return;
+        managerState.selected = name;
+        renderPresetManager();
+        showToast(`Saved preset "${name}"`);
+    } catch (e) {
+        console.error('[Presets] Save failed:', e);
+        showToast('Failed to save preset');
+    }
+}
+
+async function deleteSelectedPreset() {
+    const name = managerState?.selected;
+    if (!name) return;
+
+    const confirmed = await showConfirmDialog({
+        title: 'Delete Preset',
+        message: `Delete preset "${name}"? Prompt boxes using it fall back to the main preset.`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+        danger: true
+    });
+    if (!confirmed || !managerState) return;
+
+    try {
+        await deletePreset(name);
+        if (localStorage.getItem(STYLE_PRESET_KEY) === name) selectPreset('', false);
+        managerState.selected = listPresets()[0]?.name || null;
+        renderPresetManager();
+    } catch (e) {
+        console.error('[Presets] Delete failed:', e);
+        showToast('Failed to delete preset');
+    }
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openPresetManager = openPresetManager;
+window.closePresetManager = closePresetManager;
+window.newPreset = newPreset;
+window.savePresetFromManager = savePresetFromManager;
+window.deleteSelectedPreset = deleteSelectedPreset;
+window.capturePresetRefs = capturePresetRefs;
+window.clearPresetRefs = clearPresetRefs;
@@ -3,8 +3,15 @@
  * Full workspace snapshots backed by IndexedDB with safe export/import
  */
 
-import { QUEUE_STORAGE_KEY } from './config.js';
-import { getDB } from './history.js';
+import { QUEUE_STORAGE_KEY, QUEUE_LIST_STORAGE_KEY, QUEUE_SCHEDULER_STORAGE_KEY } from './config.js';
+import { AUTH_MODE_KEY, API_KEY_STORAGE_KEY, VERTEX_SA_KEY, VERTEX_PROJECT_KEY, VERTEX_LOCATION_KEY } from './auth.js';
+import { PROVIDER_STORAGE_KEY, GEMINI_BASE_URL_KEY } from './providers.js';
+import { MOCK_SCENARIO_KEY, MOCK_LATENCY_KEY, MOCK_RETRY_AFTER_KEY } from './mock.js';
+import { KEY_POOL_STORAGE_KEY } from './keyPool.js';
+import { ENHANCE_MODEL_KEY, ENHANCE_INSTRUCTION_KEY } from './enhance.js';
+import { STYLE_PRESET_KEY } from './presets.js';
+import { getDB, requestToPromise } from './history.js';
+import { storeRefs, releaseRefs, resolveRefs, mapSnapshotRefs, listSnapshotRefs } from './blobs.js';
 import { persistAllInputs } from './persistence.js';
 import { showToast } from './ui.js';
 
@@ -12,25 +19,33 @@ const LEGACY_PROFILES_KEY = 'nbp_profiles';
 const ACTIVE_PROFILE_KEY = 'nbp_active_profile';
 const PROFILE_VERSION = '2.0';
 const MANAGED_LOCAL_STORAGE_KEYS = new Set([
-    'gemini_api_key',
+    API_KEY_STORAGE_KEY,
+    AUTH_MODE_KEY,
+    VERTEX_SA_KEY,
+    VERTEX_PROJECT_KEY,
+    VERTEX_LOCATION_KEY,
+    PROVIDER_STORAGE_KEY,
+    GEMINI_BASE_URL_KEY,
+    KEY_POOL_STORAGE_KEY,
+    MOCK_SCENARIO_KEY,
+    MOCK_LATENCY_KEY,
+    MOCK_RETRY_AFTER_KEY,
+    ENHANCE_MODEL_KEY,
+    ENHANCE_INSTRUCTION_KEY,
+    STYLE_PRESET_KEY,
     'last_model',
     'theme',
-    QUEUE_STORAGE_KEY
+    QUEUE_STORAGE_KEY,
+    QUEUE_LIST_STORAGE_KEY,
+    QUEUE_SCHEDULER_STORAGE_KEY
 ]);
-const MANAGED_LOCAL_STORAGE_PREFIXES = ['input_', 'collapsed_'];
+const MANAGED_LOCAL_STORAGE_PREFIXES = ['input_', 'collapsed_', QUEUE_STORAGE_KEY + '_'];
 
 function shouldSnapshotLocalStorageKey(key) {
     return MANAGED_LOCAL_STORAGE_KEYS.has(key) ||
         MANAGED_LOCAL_STORAGE_PREFIXES.some(prefix => key.startsWith(prefix));
 }
 
-function requestToPromise(req) {
-    return new Promise((resolve, reject) => {
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-    });
-}
-
 function transactionToPromise(tx) {
     return new Promise((resolve, reject) => {
         tx.oncomplete = () => resolve();
@@ -73,15 +88,24 @@ async function getProfileRecord(name) {
     return requestToPromise(tx.objectStore('profiles').get(name));
 }
 
+// Snapshot refs are stored by hash and hold a reference on their blobs, so a profile keeps
+// its images alive after the live stores drop them; a replaced or deleted profile releases them
 async function putProfileRecord(profile) {
     const db = getDB();
     if (!db) {
         throw new Error('Database not ready');
     }
 
+    const record = { ...profile, stores: await mapSnapshotRefs(profile.stores, storeRefs) };
+    let previous = null;
     const tx = db.transaction('profiles', 'readwrite');
-    tx.objectStore('profiles').put(profile);
+    const store = tx.objectStore('profiles');
+    store.get(record.name).onsuccess = e => {
+        previous = e.target.result;
+        store.put(record);
+    };
     await transactionToPromise(tx);
+    await releaseRefs(listSnapshotRefs(previous?.stores));
 }
 
 async function deleteProfileRecord(name) {
@@ -90,9 +114,15 @@ async function deleteProfileRecord(name) {
         throw new Error('Database not ready');
     }
 
+    let previous = null;
     const tx = db.transaction('profiles', 'readwrite');
-    tx.objectStore('profiles').delete(name);
+    const store = tx.objectStore('profiles');
+    store.get(name).onsuccess = e => {
+        previous = e.target.result;
+        store.delete(name);
+    };
     await transactionToPromise(tx);
+    await releaseRefs(listSnapshotRefs(previous?.stores));
 }
 
 async function getAllProfileRecords() {
@@ -121,7 +151,7 @@ function persistCurrentUiState() {
 
     const apiKeyInput = document.getElementById('apiKey');
     if (apiKeyInput) {
-        localStorage.setItem('gemini_api_key', apiKeyInput.value || '');
+        localStorage.setItem(API_KEY_STORAGE_KEY, apiKeyInput.value || '');
     }
 
     const modelSelect = document.getElementById('modelSelect');
@@ -167,7 +197,7 @@ function legacyProfileToSnapshot(profile, name) {
     const localState = {};
 
     if (profile.credentials?.apiKey !== undefined) {
-        localState.gemini_api_key = profile.credentials.apiKey || '';
+        localState[API_KEY_STORAGE_KEY] = profile.credentials.apiKey || '';
     }
     if (profile.credentials?.lastModel !== undefined) {
         localState.last_model = profile.credentials.lastModel || '';
@@ -196,7 +226,9 @@ function legacyProfileToSnapshot(profile, name) {
             savedPrompts: [],
             refImages: [],
             settings: [],
-            queueRefs: []
+            queueRefs: [],
+            queueItems: [],
+            stylePresets: []
         }
     };
 }
@@ -222,7 +254,9 @@ function normalizeProfileRecord(profile, fallbackName = '') {
             savedPrompts: shallowCloneArray(profile.stores?.savedPrompts),
             refImages: shallowCloneArray(profile.stores?.refImages),
             settings: shallowCloneArray(profile.stores?.settings),
-            queueRefs: shallowCloneArray(profile.stores?.queueRefs)
+            queueRefs: shallowCloneArray(profile.stores?.queueRefs),
+            queueItems: shallowCloneArray(profile.stores?.queueItems),
+            stylePresets: shallowCloneArray(profile.stores?.stylePresets)
         }
     };
 }
@@ -230,7 +264,10 @@ function normalizeProfileRecord(profile, fallbackName = '') {
 function sanitizeProfileForExport(profile) {
     const normalized = normalizeProfileRecord(profile);
     const localState = { ...normalized.localState };
-    delete localState.gemini_api_key;
+    // Never export secrets: API keys and service account private key stay local
+    delete localState[API_KEY_STORAGE_KEY];
+    delete localState[KEY_POOL_STORAGE_KEY];
+    delete localState[VERTEX_SA_KEY];
 
     return {
         ...normalized,
@@ -325,11 +362,13 @@ async function collectCurrentProfileSnapshot(name) {
 
     const existing = await getProfileRecord(name);
     const now = new Date().toISOString();
-    const [savedPrompts, refImages, settings, queueRefs] = await Promise.all([
+    const [savedPrompts, refImages, settings, queueRefs, queueItems, stylePresets] = await Promise.all([
         readAllFromStore('savedPrompts'),
         readAllFromStore('refImages'),
         readAllFromStore('settings'),
-        readAllFromStore('queueRefs')
+        readAllFromStore('queueRefs'),
+        readAllFromStore('queueItems'),
+        readAllFromStore('stylePresets')
     ]);
 
     return {
@@ -342,7 +381,9 @@ async function collectCurrentProfileSnapshot(name) {
             savedPrompts,
             refImages,
             settings,
-            queueRefs
+            queueRefs,
+            queueItems,
+            stylePresets
         }
     };
 }
@@ -384,11 +425,16 @@ export async function loadProfile(name) {
         const normalized = normalizeProfileRecord(profile, name);
         applyLocalStorageState(normalized.localState);
 
+        // Stores are replaced wholesale without adjusting blob reference counts;
+        // the reload that follows recounts them (syncBlobStore)
+
         await Promise.all([
             replaceStoreContents('savedPrompts', normalized.stores.savedPrompts),
             replaceStoreContents('refImages', normalized.stores.refImages),
             replaceStoreContents('settings', normalized.stores.settings),
-            replaceStoreContents('queueRefs', normalized.stores.queueRefs)
+            replaceStoreContents('queueRefs', normalized.stores.queueRefs),
+            replaceStoreContents('queueItems', normalized.stores.queueItems),
+            replaceStoreContents('stylePresets', normalized.stores.stylePresets)
         ]);
 
         setActiveProfile(name);
@@ -452,6 +498,10 @@ export async function exportProfile(name) {
         }
 
         const exportData = sanitizeProfileForExport(profile);
+        // Exported files carry the images themselves, not blob store hashes
+        exportData.stores = await mapSnapshotRefs(exportData.stores, async refs =>
+            (await resolveRefs(refs)).map(({ hash, ...ref }) => ref)
+        );
         const json = JSON.stringify(exportData, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -463,7 +513,7 @@ export async function exportProfile(name) {
         link.click();
 
         URL.revokeObjectURL(url);
-        showToast(`Profile "${name}" exported without API key`);
+        showToast(`Profile "${name}" exported without credentials`);
         return true;
     } catch (e) {
         console.error('Failed to export profile:', e);
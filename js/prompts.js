@@ -4,7 +4,8 @@
  */
 
 import { getDB } from './history.js';
-import { $, showToast, haptic } from './ui.js';
+import { $, showToast, haptic, escapeHtml } from './ui.js';
+import { isTemplate, parseTemplate } from './templates.js';
 
 let savedPrompts = [];
 let dropdownOpen = false;
@@ -186,9 +187,13 @@ function renderPromptsDropdown() {
     list.innerHTML = savedPrompts.map(p => {
         const displayName = escapeHtml(p.name || p.text.slice(0, 50));
         const subtitle = escapeHtml(p.text.length > 60 ? p.text.slice(0, 60) + '...' : p.text);
+        // Templates list their variables; they're filled when generating
+        const templateTag = isTemplate(p.text)
+            ? '<span class="template-tag" title="Template">' + escapeHtml(parseTemplate(p.text).map(v => v.name).join(', ')) + '</span>'
+            : '';
         return '<div class="dropdown-item" onclick="usePrompt(\'' + p.id + '\')">' +
             '<div class="dropdown-item-content">' +
-            '<span class="dropdown-item-name">' + displayName + '</span>' +
+            '<span class="dropdown-item-name">' + displayName + templateTag + '</span>' +
             (p.name ? '<span class="dropdown-item-subtitle">' + subtitle + '</span>' : '') +
             '</div>' +
             '<div class="dropdown-item-actions">' +
@@ -207,12 +212,6 @@ function updatePromptsCount() {
     }
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // Make functions globally available for HTML onclick handlers
 window.saveCurrentPrompt = saveCurrentPrompt;
 window.deletePrompt = deletePrompt;
@@ -0,0 +1,376 @@
+/**
+ * Providers Module
+ * Pluggable generation backends — each provider lists models, generates content and parses responses
+ */
+
+import { GEMINI_DEFAULT_BASE_URL, DEFAULT_PROVIDER_ID } from './config.js';
+import { $ } from './ui.js';
+import { apiKeyGenerateContent, vertexGenerateContent } from './api.js';
+import { extractUsage } from './usage.js';
+import { acquireApiKey, getAllKeys, hasAvailableKey, isPoolActive, markKeyCooldown } from './keyPool.js';
+import { RetryKind, classifyError, getCooldownMs } from './retry.js';
+import { GenerationError, SafetyError, RecitationError, NoImageError } from './errors.js';
+import {
+    AuthMode,
+    AUTH_MODE_KEY,
+    getApiKey,
+    getAuthCacheKey,
+    getAuthHeaders,
+    getCredentialIdentity,
+    getMissingCredentialMessage,
+    getVertexConfig,
+    getVertexHost,
+    invalidateAccessToken,
+    isAuthConfigured
+} from './auth.js';
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} id - Stable id recorded on queue items and history entries
+ * @property {string} label - Name shown in the backend select
+ * @property {string|null} section - Id of the settings section shown while this provider is active
+ * @property {string} authHint - Appended to authentication error messages
+ * @property {() => string|null} getMissingConfigMessage - User-facing message if unusable, else null
+ * @property {() => boolean} isConfigured - Whether model refresh should run automatically
+ * @property {() => string} getCacheKey - Identity of the current endpoint/credentials (model cache key)
+ * @property {() => Promise<{id: string, label: string}|null>} getCredentialIdentity - Non-secret credential id/label (budget scope)
+ * @property {() => Promise<string[]>} listModels - Available model ids
+ * @property {(model: string, body: Object, signal: AbortSignal, context: Object) => Promise<Object>} generateContent - Raw generateContent response; may set context.keyAlias
+ * @property {(data: Object) => {imageData: string, grounding: Object, usage: Object|null}} parseResponse - Extract the image (throws if none)
+ * @property {(err: Error) => boolean} [onAuthFailure] - Refresh credentials after a 401/403; return true to retry once
+ * @property {() => boolean} [hasAvailableCredential] - After a 429, whether another credential can be tried immediately
+ */
+
+// localStorage keys (also snapshotted by profiles.js)
+export const PROVIDER_STORAGE_KEY = 'provider';
+export const GEMINI_BASE_URL_KEY = 'gemini_base_url';
+
+const providers = new Map();
+
+/**
+ * Register a provider (later registrations with the same id replace earlier ones)
+ * @param {Provider} provider
+ */
+export function registerProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Get a provider by id, falling back to the active provider for unknown/missing ids
+ * @returns {Provider}
+ */
+export function getProvider(id) {
+    return providers.get(id) || getActiveProvider();
+}
+
+/**
+ * Check whether a provider id is registered
+ */
+export function hasProvider(id) {
+    return providers.has(id);
+}
+
+/**
+ * Get the active provider id (migrates the legacy auth mode setting)
+ */
+export function getActiveProviderId() {
+    const stored = localStorage.getItem(PROVIDER_STORAGE_KEY);
+    if (stored && providers.has(stored)) return stored;
+    return localStorage.getItem(AUTH_MODE_KEY) === AuthMode.VERTEX ? 'vertex' : DEFAULT_PROVIDER_ID;
+}
+
+/**
+ * Get the active provider
+ * @returns {Provider}
+ */
+export function getActiveProvider() {
+    return providers.get(getActiveProviderId());
+}
+
+/**
+ * Switch provider and refresh the model list for the new backend
+ */
+export function setActiveProvider(id) {
+    if (!providers.has(id)) return;
+    localStorage.setItem(PROVIDER_STORAGE_KEY, id);
+    updateProviderUI();
+    if (getActiveProvider().isConfigured()) {
+        import('./models.js').then(m => m.refreshModels(true));
+    }
+}
+
+/**
+ * Get the Gemini API base URL (no trailing slash)
+ */
+export function getGeminiBaseUrl() {
+    const stored = (localStorage.getItem(GEMINI_BASE_URL_KEY) || '').trim();
+    return (stored || GEMINI_DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// ============================================
+// Shared response parsing
+// ============================================
+
+// Finish reasons that mean the output was withheld by safety filters
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+// Harm category that caused a block, if the response reports one
+function getBlockedCategory(ratings) {
+    return ratings?.find(r => r.blocked)?.category ||
+        ratings?.find(r => r.probability === 'HIGH')?.category ||
+        null;
+}
+
+/**
+ * Parse a Gemini-style generateContent response into image data, grounding and token usage
+ * Throws SafetyError / RecitationError / NoImageError (see errors.js) when no image came back
+ */
+export function parseGeminiResponse(data) {
+    const candidate = data.candidates?.[0];
+    const contentParts = candidate?.content?.parts;
+    const imgPart = contentParts?.find(p => p.inlineData && !p.thought);
+
+    if (!imgPart) {
+        const blockReason = data.promptFeedback?.blockReason;
+        if (blockReason) {
+            throw new SafetyError('Prompt blocked by safety filters (' + blockReason + ')', {
+                finishReason: blockReason,
+                category: getBlockedCategory(data.promptFeedback.safetyRatings),
+                payload: data
+            });
+        }
+        if (SAFETY_FINISH_REASONS.includes(candidate?.finishReason)) {
+            throw new SafetyError('Image blocked by safety filters (' + candidate.finishReason + ')', {
+                finishReason: candidate.finishReason,
+                category: getBlockedCategory(candidate.safetyRatings),
+                payload: data
+            });
+        }
+        if (candidate?.finishReason === 'RECITATION') {
+            throw new RecitationError('Output blocked for reciting copyrighted material (RECITATION)', {
+                finishReason: candidate.finishReason,
+                payload: data
+            });
+        }
+        const txtPart = contentParts?.find(p => p.text);
+        throw new NoImageError(txtPart?.text || 'No image returned', {
+            finishReason: candidate?.finishReason || null,
+            payload: data
+        });
+    }
+
+    const imageData = 'data:' + (imgPart.inlineData.mimeType || 'image/png') + ';base64,' + imgPart.inlineData.data;
+
+    return {
+        imageData,
+        grounding: candidate?.groundingMetadata,
+        usage: extractUsage(data.usageMetadata)
+    };
+}
+
+/**
+ * Parse a text-only generateContent response (prompt enhancement, image descriptions)
+ * Thought parts are skipped; throws SafetyError when the prompt was blocked, GenerationError when no text came back
+ * @returns {string}
+ */
+export function parseGeminiText(data) {
+    const candidate = data.candidates?.[0];
+    const text = (candidate?.content?.parts || [])
+        .filter(p => p.text && !p.thought)
+        .map(p => p.text)
+        .join('')
+        .trim();
+
+    if (!text) {
+        const blockReason = data.promptFeedback?.blockReason;
+        if (blockReason) {
+            throw new SafetyError('Request blocked by safety filters (' + blockReason + ')', {
+                finishReason: blockReason,
+                category: getBlockedCategory(data.promptFeedback.safetyRatings),
+                payload: data
+            });
+        }
+        throw new GenerationError('No text returned', {
+            finishReason: candidate?.finishReason || null,
+            payload: data
+        });
+    }
+    return text;
+}
+
+// ============================================
+// Built-in providers
+// ============================================
+
+registerProvider({
+    id: 'gemini',
+    label: 'Gemini API',
+    section: 'apiKeySection',
+    authHint: 'Check your API key.',
+
+    getMissingConfigMessage() {
+        // Custom endpoints (proxies, local servers) may not need a key
+        if (getGeminiBaseUrl() !== GEMINI_DEFAULT_BASE_URL) return null;
+        if (getAllKeys().length > 0) return null;
+        return getMissingCredentialMessage(AuthMode.API_KEY);
+    },
+
+    isConfigured() {
+        return getGeminiBaseUrl() !== GEMINI_DEFAULT_BASE_URL || getAllKeys().length > 0;
+    },
+
+    getCacheKey() {
+        return getGeminiBaseUrl() + '|' + getAuthCacheKey(AuthMode.API_KEY);
+    },
+
+    async getCredentialIdentity() {
+        // Rotation spreads usage across keys, so budgets apply to the pool as a whole
+        if (isPoolActive()) {
+            return { id: 'pool', label: `Key pool (${getAllKeys().length} keys)` };
+        }
+        return getCredentialIdentity(AuthMode.API_KEY);
+    },
+
+    async listModels() {
+        const apiKey = getApiKey() || getAllKeys()[0]?.key;
+        const res = await fetch(getGeminiBaseUrl() + '/models', {
+            headers: apiKey ? { 'x-goog-api-key': apiKey } : {}
+        });
+        const data = await res.json();
+        if (data.error) throw new Error(data.error.message);
+
+        return (data.models || []).map(m => m.name.replace('models/', ''));
+    },
+
+    async generateContent(model, body, signal, context = {}) {
+        const { alias, key } = acquireApiKey();
+        context.keyAlias = alias;
+        try {
+            return await apiKeyGenerateContent(model, body, key, signal, getGeminiBaseUrl());
+        } catch (e) {
+            e.keyAlias = alias;
+            const { kind } = classifyError(e);
+            if ((kind === RetryKind.RATE_LIMIT || kind === RetryKind.QUOTA_EXHAUSTED) && isPoolActive()) {
+                markKeyCooldown(alias, getCooldownMs(e));
+            }
+            throw e;
+        }
+    },
+
+    parseResponse: parseGeminiResponse,
+
+    hasAvailableCredential() {
+        return isPoolActive() && hasAvailableKey();
+    }
+});
+
+registerProvider({
+    id: 'vertex',
+    label: 'Vertex AI (Service Account)',
+    section: 'vertexSection',
+    authHint: 'Check your service account roles and project ID.',
+
+    getMissingConfigMessage() {
+        return getMissingCredentialMessage(AuthMode.VERTEX);
+    },
+
+    isConfigured() {
+        return isAuthConfigured(AuthMode.VERTEX);
+    },
+
+    getCacheKey() {
+        return getAuthCacheKey(AuthMode.VERTEX);
+    },
+
+    getCredentialIdentity() {
+        return getCredentialIdentity(AuthMode.VERTEX);
+    },
+
+    // Google publisher models in the selected location
+    async listModels() {
+        const { projectId, location } = getVertexConfig();
+        const headers = { ...await getAuthHeaders(AuthMode.VERTEX), 'x-goog-user-project': projectId };
+        const models = [];
+        let pageToken = '';
+
+        do {
+            const url = getVertexHost(location) + '/v1beta1/publishers/google/models?pageSize=100' +
+                (pageToken ? '&pageToken=' + encodeURIComponent(pageToken) : '');
+            const res = await fetch(url, { headers });
+            const data = await res.json();
+            if (data.error) throw new Error(data.error.message);
+
+            (data.publisherModels || []).forEach(m => {
+                const id = m.name.split('/').pop();
+                if (id.startsWith('gemini') || id.startsWith('imagen')) models.push(id);
+            });
+            pageToken = data.nextPageToken || '';
+        } while (pageToken);
+
+        return models.sort();
+    },
+
+    generateContent(model, body, signal) {
+        return vertexGenerateContent(model, body, signal);
+    },
+
+    parseResponse: parseGeminiResponse,
+
+    onAuthFailure() {
+        invalidateAccessToken();
+        return true;
+    }
+});
+
+// ============================================
+// Provider UI
+// ============================================
+
+/**
+ * Sync the backend select and provider settings sections with stored state
+ */
+export function updateProviderUI() {
+    const activeId = getActiveProviderId();
+    const select = $('providerSelect');
+    if (select) select.value = activeId;
+
+    providers.forEach(provider => {
+        if (provider.section) {
+            $(provider.section)?.classList.toggle('hidden', provider.id !== activeId);
+        }
+    });
+
+    const baseUrlInput = $('geminiBaseUrl');
+    if (baseUrlInput && document.activeElement !== baseUrlInput) {
+        baseUrlInput.value = localStorage.getItem(GEMINI_BASE_URL_KEY) || '';
+    }
+}
+
+/**
+ * Populate the backend select and wire up provider settings
+ */
+export function setupProviderUI(onEndpointChange) {
+    const select = $('providerSelect');
+    if (select) {
+        select.innerHTML = [...providers.values()]
+            .map(p => `<option value="${p.id}">${p.label}</option>`)
+            .join('');
+        select.addEventListener('change', e => setActiveProvider(e.target.value));
+    }
+
+    const baseUrlInput = $('geminiBaseUrl');
+    if (baseUrlInput) {
+        baseUrlInput.placeholder = GEMINI_DEFAULT_BASE_URL;
+        baseUrlInput.addEventListener('change', e => {
+            const value = e.target.value.trim();
+            if (value) {
+                localStorage.setItem(GEMINI_BASE_URL_KEY, value);
+            } else {
+                localStorage.removeItem(GEMINI_BASE_URL_KEY);
+            }
+            onEndpointChange?.();
+        });
+    }
+
+    updateProviderUI();
+}
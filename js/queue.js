@@ -1,13 +1,46 @@
 /**
  * Queue Module
  * Multi-generation queue management with persistence
+ *
+ * Items live in named queues that start, pause and persist independently. One worker pool serves
+ * every running queue (concurrency, rate limits and the requests-per-minute ceiling are shared);
+ * the scheduler decides which queue's item starts next.
  */
 
-import { DEFAULT_QUEUE_DELAY_MS, MAX_QUEUE_ITEMS, QUEUE_STORAGE_KEY } from './config.js';
+import {
+    DEFAULT_QUEUE_DELAY_MS,
+    DEFAULT_MAX_QUEUE_ITEMS,
+    MAX_QUEUE_ITEMS_LIMIT,
+    QUEUE_STORAGE_KEY,
+    QUEUE_LIST_STORAGE_KEY,
+    QUEUE_SCHEDULER_STORAGE_KEY,
+    DEFAULT_QUEUE_ID,
+    MAX_QUEUE_CONCURRENCY,
+    MAX_REFS,
+    CONCURRENCY_RECOVERY_SUCCESSES,
+    WORKER_IDLE_POLL_MS
+} from './config.js';
 import { generateSingleImage, showImageResult } from './generation.js';
-import { saveQueueRefsMultiple, loadQueueRefsMultiple, deleteQueueRefsMultiple, clearAllQueueRefs, saveHistoryEntry, pruneHistory } from './history.js';
-import { saveImageToFilesystem, getDirectoryInfo } from './filesystem.js';
+import {
+    saveQueueRefsMultiple, loadQueueRefsMultiple, deleteQueueRefsMultiple,
+    saveQueueItems, loadQueueItems, deleteQueueItems, replaceQueueItems,
+    saveHistoryEntry, pruneHistory
+} from './history.js';
+import {
+    saveImageToFilesystem, getDirectoryInfo, restoreQueueDirectoryHandles, clearQueueOutputDirectory
+} from './filesystem.js';
 import { showToast, haptic, playNotificationSound, showConfirmDialog } from './ui.js';
+import { estimateCost, sumUsage, addUsage, formatCost } from './usage.js';
+import { checkBudget, recordBudgetUsage } from './budget.js';
+import { getProvider } from './providers.js';
+import { RetryKind, classifyError, getRetryDelayMs } from './retry.js';
+import { ErrorClass, DependencyError, serializeError, getItemErrorClass } from './errors.js';
+import { hasWildcards, expandWildcards, createWildcardSeed } from './wildcards.js';
+import { enhancePrompt } from './enhance.js';
+import { applyPresetText } from './presets.js';
+import { applyAvoid } from './avoid.js';
+import { storeRefs, releaseRefs, resolveRefs } from './blobs.js';
+import { compressImage } from './references.js';
 
 // Queue item statuses
 export const QueueStatus = {
@@ -18,21 +51,75 @@ export const QueueStatus = {
     CANCELLED: 'cancelled'
 };
 
-// Queue state
-let queueState = {
-    items: [],
-    isRunning: false,
-    isPaused: false,
-    delayBetweenMs: DEFAULT_QUEUE_DELAY_MS,
-    completedCount: 0,
-    failedCount: 0,
-    startedAt: null,
-    generationTimes: [] // Track generation times for ETA calculation
+// Queue item priorities (higher ones start first)
+export const QueuePriority = {
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low'
 };
 
-let abortController = null;
+const PRIORITY_RANK = {
+    [QueuePriority.HIGH]: 2,
+    [QueuePriority.NORMAL]: 1,
+    [QueuePriority.LOW]: 0
+};
+
+// How the scheduler picks between running queues
+export const QueueSchedule = {
+    ROUND_ROBIN: 'round_robin', // Running queues take turns, one item each
+    IN_ORDER: 'in_order' // The first queue in the list with pending items runs, the others wait
+};
+
+/**
+ * State of one named queue (everything but `items` is saved under the queue's localStorage key)
+ */
+function newQueueState(id, name) {
+    return {
+        id,
+        name,
+        items: [],
+        isRunning: false,
+        isPaused: false,
+        pauseReason: null, // Set when the queue pauses itself (e.g. budget reached)
+        delayBetweenMs: DEFAULT_QUEUE_DELAY_MS,
+        maxItems: DEFAULT_MAX_QUEUE_ITEMS, // Most items the queue may hold
+        configOverrides: null, // Settings that replace each item's own when it starts
+        completedCount: 0,
+        failedCount: 0,
+        startedAt: null,
+        generationTimes: [] // Track generation times for ETA calculation
+    };
+}
+
+// Named queues in switcher order (the main queue always exists)
+let queues = [newQueueState(DEFAULT_QUEUE_ID, 'Main')];
+let activeQueueId = DEFAULT_QUEUE_ID; // Queue the panel shows; new items go here unless told otherwise
+
+// Worker pool shared by every queue
+const scheduler = {
+    concurrency: 1, // Max simultaneous generations (1 = serial)
+    activeConcurrency: 1, // Current limit, reduced while rate limited
+    maxRequestsPerMinute: 0, // Generation starts per rolling minute (0 = unlimited)
+    mode: QueueSchedule.ROUND_ROBIN
+};
+
+// Per-queue run state that isn't saved: {abortController, preRateLimitDelay, readyAt, lastTurn}
+const queueRuntimes = new Map();
+
 let onProgressCallback = null;
-let preRateLimitDelay = null; // Tracks original delay before rate-limit backoff
+let activeWorkers = 0;
+let successStreak = 0; // Consecutive completions since the last rate limit
+let lastShrinkAt = 0; // When rate limiting last reduced activeConcurrency
+// Provider id -> time before which no new items for it start (server retry hint after a 429),
+// so a rate limit on one backend doesn't hold up queues running on another
+const rateLimitHolds = new Map();
+const requestStartTimes = []; // Generation start times within the last minute (RPM ceiling)
+const dirtyItems = new Map(); // Items changed since the last write to the queueItems store, by id
+let itemFlushScheduled = false;
+let nextSeq = 0; // Queue order of the next added item (item.seq)
+const batchTurns = new Map(); // batchId -> when an item of that batch last started (startCount), for fair interleaving
+let startCount = 0; // Also orders queue turns (runtime.lastTurn)
+const MAX_ATTEMPT_ERRORS = 10;
 
 /**
  * Generate unique ID
@@ -41,11 +128,174 @@ function generateId() {
     return 'qi_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+function generateQueueId() {
+    return 'q_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
 /**
- * Get current queue state
+ * A queue by id (the panel's queue when omitted or unknown)
  */
-export function getQueueState() {
-    return { ...queueState };
+function getQueue(queueId = activeQueueId) {
+    return queues.find(queue => queue.id === queueId) ||
+        queues.find(queue => queue.id === activeQueueId) ||
+        queues[0];
+}
+
+function getRuntime(queue) {
+    if (!queueRuntimes.has(queue.id)) {
+        queueRuntimes.set(queue.id, { abortController: null, preRateLimitDelay: null, readyAt: 0, lastTurn: 0 });
+    }
+    return queueRuntimes.get(queue.id);
+}
+
+/**
+ * Find an item in any queue
+ * @returns {{queue: Object, item: Object}|null}
+ */
+function findQueueItem(id) {
+    for (const queue of queues) {
+        const item = queue.items.find(i => i.id === id);
+        if (item) return { queue, item };
+    }
+    return null;
+}
+
+/**
+ * Get a queue's state (the panel's queue by default), with the shared worker settings
+ */
+export function getQueueState(queueId = activeQueueId) {
+    return {
+        ...getQueue(queueId),
+        concurrency: scheduler.concurrency,
+        activeConcurrency: scheduler.activeConcurrency,
+        maxRequestsPerMinute: scheduler.maxRequestsPerMinute,
+        scheduleMode: scheduler.mode
+    };
+}
+
+/**
+ * Items of every queue
+ */
+export function getAllQueueItems() {
+    return queues.flatMap(queue => queue.items);
+}
+
+/**
+ * Every queue in switcher order, with its counts
+ * @returns {Object[]} {id, name, isRunning, isPaused, pauseReason, stats}
+ */
+export function listQueues() {
+    return queues.map(queue => ({
+        id: queue.id,
+        name: queue.name,
+        isRunning: queue.isRunning,
+        isPaused: queue.isPaused,
+        pauseReason: queue.pauseReason,
+        stats: getQueueStats(queue.id)
+    }));
+}
+
+/**
+ * Id of the queue the panel shows
+ */
+export function getActiveQueueId() {
+    return activeQueueId;
+}
+
+/**
+ * Show another queue in the panel (new items go there too)
+ */
+export function setActiveQueue(queueId) {
+    if (!queues.some(queue => queue.id === queueId)) return;
+    activeQueueId = queueId;
+    persistQueueList();
+    notifyProgress();
+}
+
+/**
+ * Add an empty queue at the end of the list
+ * @returns {string} The new queue's id
+ */
+export function createQueue(name = '') {
+    const queue = newQueueState(generateQueueId(), name.trim() || `Queue ${queues.length + 1}`);
+    queues.push(queue);
+    persistQueueState([], queue);
+    persistQueueList();
+    notifyProgress();
+    return queue.id;
+}
+
+/**
+ * Rename a queue (blank names are ignored)
+ */
+export function renameQueue(queueId, name) {
+    const queue = queues.find(q => q.id === queueId);
+    if (!queue || !name.trim()) return;
+    queue.name = name.trim();
+    persistQueueState([], queue);
+    notifyProgress();
+}
+
+/**
+ * Delete a queue with its items (with confirmation when it has any); the main queue can't be deleted
+ * @returns {Promise<boolean>} Whether it was deleted
+ */
+export async function deleteQueue(queueId) {
+    const queue = queues.find(q => q.id === queueId);
+    if (!queue || queue.id === DEFAULT_QUEUE_ID) return false;
+
+    if (queue.items.length > 0) {
+        const confirmed = await showConfirmDialog({
+            title: 'Delete Queue',
+            message: `Delete "${queue.name}" and its ${queue.items.length} items?`,
+            warning: 'Other queues are not affected. This cannot be undone.',
+            confirmText: 'Delete Queue',
+            danger: true
+        });
+        if (!confirmed) return false;
+    }
+
+    if (queue.isRunning) {
+        cancelQueue(queue.id);
+    }
+    discardItems(queue.items);
+    queues = queues.filter(q => q !== queue);
+    queueRuntimes.delete(queue.id);
+    if (activeQueueId === queue.id) activeQueueId = DEFAULT_QUEUE_ID;
+    try {
+        localStorage.removeItem(getQueueStorageKey(queue.id));
+    } catch (e) {
+        console.error('Failed to remove queue state:', e);
+    }
+    clearQueueOutputDirectory(queue.id).catch(e => {
+        console.error('[Queue] Failed to clear queue output folder:', e);
+    });
+    persistQueueList();
+    notifyProgress();
+    showToast(`Queue "${queue.name}" deleted`);
+    return true;
+}
+
+/**
+ * Settings that replace each item's own when it starts, for items queued now and later
+ * (matrix items keep the values they sweep)
+ * @param {Object|null} overrides - Partial config; null or empty clears them
+ */
+export function setQueueConfigOverrides(overrides, queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    queue.configOverrides = overrides && Object.keys(overrides).length > 0 ? { ...overrides } : null;
+    persistQueueState([], queue);
+    notifyProgress();
+}
+
+/**
+ * Choose how running queues share the workers (see QueueSchedule)
+ */
+export function setQueueSchedule(mode) {
+    if (!Object.values(QueueSchedule).includes(mode)) return;
+    scheduler.mode = mode;
+    persistScheduler();
+    notifyProgress();
 }
 
 /**
@@ -63,11 +313,31 @@ export function setOnProgress(callback) {
  * @param {Array} refImagesSnapshot - Reference images to use
  * @param {string} batchName - Optional batch name for filename prefix
  * @param {string[]} names - Optional per-prompt names for filename labels
+ * @param {Object} options - Optional: session {id, parentTurnId} to continue an edit session;
+ *   inpaint {feather, blend} for masked edits (the mask travels as a ref with role 'mask');
+ *   derivedFrom {historyId, operation, ...} when the result is derived from an earlier image;
+ *   template {source, values} when the prompt was filled from a {{variable}} template;
+ *   wildcardSeed to reuse a recorded expansion seed (variation N gets seed + N);
+ *   matrix {id, axes, promptIndex} when the item is one cell of a parameter sweep;
+ *   enhance to have the text model rewrite each prompt before it is generated;
+ *   preset {name, prefix, suffix, systemInstruction} to wrap each resolved prompt and replace
+ *   the config's system instruction with the preset's (when it has one);
+ *   avoid {items, mode, template} (see createAvoid) to merge an avoid list into each request;
+ *   dependsOn [[itemId, ...], ...] to use the outputs of earlier items as references, one group per
+ *   upstream prompt: variation N waits for item N of each group (wrapping when the group is shorter);
+ *   priority (see QueuePriority, default normal);
+ *   batchId to add to an existing batch (each call starts its own otherwise; batches take turns);
+ *   queueId of the queue to add to (default: the one the panel shows)
  * @returns {Object[]} - Created queue items
  */
-export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapshot = [], batchName = '', names = []) {
+export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapshot = [], batchName = '', names = [], options = {}) {
+    const queue = getQueue(options.queueId);
     const newItems = [];
     const timestamp = Date.now();
+    const batchId = options.batchId || 'qb_' + timestamp + '_' + Math.random().toString(36).slice(2, 8);
+    const priority = PRIORITY_RANK[options.priority] !== undefined ? options.priority : QueuePriority.NORMAL;
+    const missingWildcards = new Set();
+    let limitReached = false;
 
     // Debug: log what refs we're receiving
     console.log('[Queue] addToQueue called with', refImagesSnapshot?.length || 0, 'refs, batchName:', batchName);
@@ -76,8 +346,8 @@ export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapsh
         const promptGroupId = 'pg_' + timestamp + '_' + promptIndex;
 
         for (let v = 0; v < variationsPerPrompt; v++) {
-            if (queueState.items.length + newItems.length >= MAX_QUEUE_ITEMS) {
-                showToast(`Queue limit reached (${MAX_QUEUE_ITEMS})`);
+            if (queue.items.length + newItems.length >= queue.maxItems) {
+                limitReached = true;
                 break;
             }
 
@@ -86,9 +356,37 @@ export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapsh
                 ? [...refImagesSnapshot]
                 : [];
 
+            // Each variation resolves {a|b} choices and __wildcards__ with its own seed
+            const source = prompt.trim();
+            let resolvedPrompt = source;
+            let wildcards = null;
+            if (hasWildcards(source)) {
+                const seed = options.wildcardSeed !== undefined
+                    ? (options.wildcardSeed + v) >>> 0
+                    : createWildcardSeed();
+                const expansion = expandWildcards(source, seed);
+                expansion.missing.forEach(name => missingWildcards.add(name));
+                resolvedPrompt = expansion.prompt.trim();
+                wildcards = { source, seed };
+            }
+
+            // The unwrapped prompt is kept so Redo doesn't add the prefix and suffix twice
+            let preset = null;
+            if (options.preset) {
+                preset = {
+                    name: options.preset.name,
+                    prefix: options.preset.prefix || '',
+                    suffix: options.preset.suffix || '',
+                    prompt: resolvedPrompt
+                };
+                resolvedPrompt = applyPresetText(resolvedPrompt, options.preset);
+            }
+
             newItems.push({
                 id: generateId(),
-                prompt: prompt.trim(),
+                queueId: queue.id,
+                seq: nextSeq++,
+                prompt: resolvedPrompt,
                 variationIndex: v,
                 totalVariations: variationsPerPrompt,
                 promptGroupId,
@@ -98,17 +396,41 @@ export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapsh
                 completedAt: null,
                 error: null,
                 filename: null,
-                config: { ...config },
+                config: options.preset?.systemInstruction
+                    ? { ...config, systemInstruction: options.preset.systemInstruction }
+                    : { ...config },
                 refImages: itemRefs,
                 batchName: batchName || '',
-                name: (names[promptIndex] || '').trim()
+                name: (names[promptIndex] || '').trim(),
+                session: options.session ? { ...options.session } : null,
+                inpaint: options.inpaint ? { ...options.inpaint } : null,
+                derivedFrom: options.derivedFrom ? { ...options.derivedFrom } : null,
+                template: options.template ? { source: options.template.source, values: { ...options.template.values } } : null,
+                wildcards,
+                matrix: options.matrix ? { ...options.matrix, axes: { ...options.matrix.axes } } : null,
+                // model is set once the rewrite has replaced item.prompt
+                enhance: options.enhance ? { original: resolvedPrompt, model: null } : null,
+                preset,
+                avoid: options.avoid ? { ...options.avoid, items: [...options.avoid.items] } : null,
+                dependsOn: options.dependsOn?.length ? options.dependsOn.map(ids => ids[v % ids.length]) : null,
+                outputRefs: null, // Set on completion when other items use the result
+                batchId,
+                priority,
+                pinned: false // Run next: ahead of every unpinned item
             });
 
             console.log(`[Queue] Created item v${v + 1}/${variationsPerPrompt} with ${itemRefs.length} refs`);
         }
     });
 
-    queueState.items.push(...newItems);
+    if (limitReached) {
+        showToast(`Queue limit reached (${queue.maxItems})`);
+    }
+    if (missingWildcards.size > 0) {
+        showToast('Unknown wildcard: ' + [...missingWildcards].map(name => `__${name}__`).join(', '));
+    }
+
+    queue.items.push(...newItems);
 
     // Save refs to IndexedDB for persistence
     const refsToSave = newItems
@@ -121,7 +443,7 @@ export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapsh
         });
     }
 
-    persistQueueState();
+    persistQueueState(newItems, queue);
     notifyProgress();
 
     return newItems;
@@ -131,18 +453,14 @@ export function addToQueue(prompts, variationsPerPrompt, config, refImagesSnapsh
  * Remove item from queue
  */
 export function removeQueueItem(id) {
-    const index = queueState.items.findIndex(item => item.id === id);
-    if (index !== -1) {
-        const item = queueState.items[index];
-        if (item.status === QueueStatus.PENDING) {
-            queueState.items.splice(index, 1);
-            // Also remove refs from IndexedDB
-            deleteQueueRefsMultiple([id]).catch(e => {
-                console.error('[Queue] Failed to delete refs:', e);
-            });
-            persistQueueState();
-            notifyProgress();
-        }
+    const found = findQueueItem(id);
+    if (found && found.item.status === QueueStatus.PENDING) {
+        const { queue, item } = found;
+        queue.items.splice(queue.items.indexOf(item), 1);
+        // Also removes refs from IndexedDB
+        discardItems([item]);
+        persistQueueState([], queue);
+        notifyProgress();
     }
 }
 
@@ -151,58 +469,221 @@ export function removeQueueItem(id) {
  * Note: Refs are NOT deleted here - they're kept in IndexedDB for potential retry
  */
 export function skipQueueItem(id) {
-    const item = queueState.items.find(i => i.id === id);
+    const item = findQueueItem(id)?.item;
     if (item && item.status === QueueStatus.PENDING) {
         item.status = QueueStatus.CANCELLED;
         item.error = 'Skipped by user';
         item.completedAt = Date.now();
         // Don't delete refs - user might want to retry later
-        persistQueueState();
+        persistQueueState([item]);
         notifyProgress();
         showToast('Item skipped');
     }
 }
 
+/**
+ * Set a pending item's priority
+ */
+export function setQueueItemPriority(id, priority) {
+    const item = findQueueItem(id)?.item;
+    if (item && item.status === QueueStatus.PENDING && PRIORITY_RANK[priority] !== undefined) {
+        item.priority = priority;
+        persistQueueState([item]);
+        notifyProgress();
+    }
+}
+
+/**
+ * Move a pending item to the front of the queue and pin it there, so it starts as soon as a worker is free
+ * (items waiting on an upstream item still wait for it)
+ */
+export function runQueueItemNext(id) {
+    const found = findQueueItem(id);
+    if (!found || found.item.status !== QueueStatus.PENDING) return;
+
+    const { queue, item } = found;
+    const firstPending = queue.items.find(i => i.status === QueueStatus.PENDING && i !== item);
+    const changed = firstPending ? placeItem(queue, item, firstPending) : [item];
+    item.pinned = true;
+    persistQueueState(changed);
+    notifyProgress();
+    showToast('Item will run next');
+}
+
+/**
+ * Move a pending item behind every other item (and unpin it)
+ */
+export function moveQueueItemToEnd(id) {
+    const found = findQueueItem(id);
+    if (!found || found.item.status !== QueueStatus.PENDING) return;
+
+    const { queue, item } = found;
+    placeItem(queue, item, null);
+    item.pinned = false;
+    persistQueueState([item]);
+    notifyProgress();
+    showToast('Moved to end');
+}
+
+/**
+ * Move a pending item next to another item (drag and drop in the queue panel)
+ * @param {boolean} placeAfter - Drop below the target instead of above it
+ */
+export function moveQueueItem(id, targetId, placeAfter = false) {
+    const found = findQueueItem(id);
+    if (!found) return;
+    const { queue, item } = found;
+    const target = queue.items.find(i => i.id === targetId);
+    if (!target || item === target || item.status !== QueueStatus.PENDING) return;
+
+    const targetIndex = queue.items.indexOf(target);
+    const before = placeAfter ? queue.items[targetIndex + 1] || null : target;
+    if (before === item) return;
+
+    const changed = placeItem(queue, item, before);
+    item.pinned = false;
+    persistQueueState(changed);
+    notifyProgress();
+}
+
+/**
+ * Move an item to sit just before another in queue order (null = at the end)
+ * Orders are fractional, so only the moved item changes; when two orders get too close to split,
+ * every item of the queue is renumbered
+ * @returns {Object[]} Items whose order changed
+ */
+function placeItem(queue, item, before) {
+    const items = queue.items;
+    items.splice(items.indexOf(item), 1);
+
+    if (!before) {
+        item.seq = nextSeq++;
+        items.push(item);
+        return [item];
+    }
+
+    const index = items.indexOf(before);
+    const prevSeq = index > 0 ? items[index - 1].seq : before.seq - 1;
+    const seq = (prevSeq + before.seq) / 2;
+    items.splice(index, 0, item);
+    if (seq > prevSeq && seq < before.seq) {
+        item.seq = seq;
+        return [item];
+    }
+
+    items.forEach((other, i) => { other.seq = i; });
+    nextSeq = Math.max(nextSeq, items.length);
+    return items;
+}
+
 /**
  * Retry a failed or cancelled queue item
  * Restores refs from IndexedDB if they were lost (e.g., after page refresh)
  */
 export async function retryQueueItem(id) {
-    const item = queueState.items.find(i => i.id === id);
-    if (item && (item.status === QueueStatus.FAILED || item.status === QueueStatus.CANCELLED)) {
-        // Restore refs from IndexedDB if missing (e.g., after page refresh)
-        if (!item.refImages || item.refImages.length === 0) {
-            try {
-                const refsMap = await loadQueueRefsMultiple([id]);
-                if (refsMap.has(id)) {
-                    item.refImages = refsMap.get(id);
+    const found = findQueueItem(id);
+    if (found && (found.item.status === QueueStatus.FAILED || found.item.status === QueueStatus.CANCELLED)) {
+        const { queue, item } = found;
+        // Items skipped because this one didn't complete go back to waiting for it
+        const dependents = getSkippedDependents(queue, item);
+        await resetItemsForRetry([item, ...dependents]);
+        persistQueueState([item, ...dependents]);
+        notifyProgress();
+        showToast(dependents.length > 0
+            ? `Item queued for retry with ${dependents.length} dependent item${dependents.length > 1 ? 's' : ''}`
+            : 'Item queued for retry');
+
+        // Auto-start if queue is not running
+        if (!queue.isRunning) {
+            startQueue(queue.id);
+        }
+    }
+}
+
+/**
+ * Retry every failed/cancelled item of the given error classes (see errors.js)
+ * @param {string[]} errorClasses
+ * @returns {Promise<number>} Number of items queued
+ */
+export async function retryQueueItemsByClass(errorClasses, queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    const items = queue.items.filter(item =>
+        (item.status === QueueStatus.FAILED || item.status === QueueStatus.CANCELLED) &&
+        errorClasses.includes(getItemErrorClass(item))
+    );
+    if (items.length === 0) {
+        showToast('No matching items to retry');
+        return 0;
+    }
+
+    await resetItemsForRetry(items);
+    persistQueueState(items);
+    notifyProgress();
+    showToast(`${items.length} item${items.length > 1 ? 's' : ''} queued for retry`);
+
+    if (!queue.isRunning) {
+        startQueue(queue.id);
+    }
+    return items.length;
+}
+
+/**
+ * Items skipped (directly or down the chain) because the given item didn't complete
+ */
+function getSkippedDependents(queue, item) {
+    const dependents = [];
+    const pending = [item.id];
+    while (pending.length > 0) {
+        const id = pending.pop();
+        queue.items.forEach(other => {
+            if (other.dependsOn?.includes(id) && other.status === QueueStatus.CANCELLED &&
+                getItemErrorClass(other) === ErrorClass.DEPENDENCY && !dependents.includes(other)) {
+                dependents.push(other);
+                pending.push(other.id);
+            }
+        });
+    }
+    return dependents;
+}
+
+/**
+ * Return items to pending, restoring refs from IndexedDB if they were lost (e.g., after page refresh)
+ */
+async function resetItemsForRetry(items) {
+    const missingRefIds = items
+        .filter(item => !item.refImages || item.refImages.length === 0)
+        .map(item => item.id);
+
+    if (missingRefIds.length > 0) {
+        try {
+            const refsMap = await loadQueueRefsMultiple(missingRefIds);
+            items.forEach(item => {
+                if (refsMap.has(item.id)) {
+                    item.refImages = refsMap.get(item.id);
                     console.log(`[Queue] Restored ${item.refImages.length} refs for retry`);
                 }
-            } catch (e) {
-                console.error('[Queue] Failed to restore refs for retry:', e);
-            }
+            });
+        } catch (e) {
+            console.error('[Queue] Failed to restore refs for retry:', e);
         }
+    }
 
+    items.forEach(item => {
         item.status = QueueStatus.PENDING;
         item.error = null;
+        item.errorInfo = null;
         item.startedAt = null;
         item.completedAt = null;
-        persistQueueState();
-        notifyProgress();
-        showToast('Item queued for retry');
-
-        // Auto-start if queue is not running
-        if (!queueState.isRunning) {
-            startQueue();
-        }
-    }
+        item.retryAt = null;
+    });
 }
 
 /**
- * Clear all queue items (with confirmation)
+ * Clear all items of a queue (with confirmation); other queues keep theirs
  */
-export async function clearQueue() {
-    const itemCount = queueState.items.length;
+export async function clearQueue(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    const itemCount = queue.items.length;
     if (itemCount === 0) {
         showToast('Queue is already empty');
         return;
@@ -210,7 +691,9 @@ export async function clearQueue() {
 
     const confirmed = await showConfirmDialog({
         title: 'Clear Queue',
-        message: `Clear all ${itemCount} items from the queue?`,
+        message: queues.length > 1
+            ? `Clear all ${itemCount} items from "${queue.name}"?`
+            : `Clear all ${itemCount} items from the queue?`,
         warning: 'This cannot be undone.',
         confirmText: 'Clear All',
         danger: true
@@ -218,266 +701,800 @@ export async function clearQueue() {
 
     if (!confirmed) return;
 
-    if (queueState.isRunning) {
-        cancelQueue();
+    if (queue.isRunning) {
+        cancelQueue(queue.id);
     }
-    queueState.items = [];
-    queueState.completedCount = 0;
-    queueState.failedCount = 0;
-    queueState.generationTimes = [];
-    // Clear all refs from IndexedDB
-    clearAllQueueRefs().catch(e => {
-        console.error('[Queue] Failed to clear refs:', e);
-    });
-    persistQueueState();
+    const clearedItems = queue.items;
+    queue.items = [];
+    queue.completedCount = 0;
+    queue.failedCount = 0;
+    queue.generationTimes = [];
+    // Also removes their refs from IndexedDB
+    discardItems(clearedItems);
+    persistQueueState([], queue);
     notifyProgress();
     showToast('Queue cleared');
 }
 
 /**
- * Start queue processing
+ * Start processing a queue (the panel's by default)
+ * Workers already serving other queues pick its items up as well
  */
-export async function startQueue() {
-    if (queueState.isRunning) return;
-    if (queueState.items.filter(i => i.status === QueueStatus.PENDING).length === 0) {
+export async function startQueue(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    if (queue.isRunning) return;
+    if (queue.items.filter(i => i.status === QueueStatus.PENDING).length === 0) {
         showToast('No pending items in queue');
         return;
     }
 
-    queueState.isRunning = true;
-    queueState.isPaused = false;
-    queueState.startedAt = Date.now();
-    abortController = new AbortController();
+    queue.isRunning = true;
+    queue.isPaused = false;
+    queue.pauseReason = null;
+    queue.startedAt = Date.now();
+    getRuntime(queue).abortController = new AbortController();
+    getRuntime(queue).readyAt = 0;
+    // A fresh run gets the full pool back, unless another queue is still rate limited
+    if (!queues.some(other => other !== queue && other.isRunning)) {
+        scheduler.activeConcurrency = scheduler.concurrency;
+        successStreak = 0;
+    }
 
-    persistQueueState();
+    persistQueueState([], queue);
     notifyProgress();
 
     await processQueue();
 }
 
 /**
- * Pause queue processing
+ * Pause a queue (items it already started finish; other queues keep running)
  */
-export function pauseQueue() {
-    if (!queueState.isRunning) return;
-    queueState.isPaused = true;
-    persistQueueState();
+export function pauseQueue(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    if (!queue.isRunning) return;
+    queue.isPaused = true;
+    queue.pauseReason = null;
+    persistQueueState([], queue);
     notifyProgress();
     showToast('Queue paused');
 }
 
 /**
- * Resume queue processing
+ * Resume a paused queue
  */
-export async function resumeQueue() {
-    if (!queueState.isRunning || !queueState.isPaused) return;
-    queueState.isPaused = false;
-    abortController = new AbortController();
-    persistQueueState();
+export async function resumeQueue(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    if (!queue.isRunning || !queue.isPaused) return;
+    queue.isPaused = false;
+    queue.pauseReason = null;
+    // Items still finishing from before the pause keep the same signal, so Cancel reaches them
+    const runtime = getRuntime(queue);
+    if (!runtime.abortController || runtime.abortController.signal.aborted) {
+        runtime.abortController = new AbortController();
+    }
+    persistQueueState([], queue);
     notifyProgress();
     showToast('Queue resumed');
     await processQueue();
 }
 
 /**
- * Cancel queue processing
+ * Cancel a queue (its generating items are aborted; other queues keep running)
  */
-export function cancelQueue() {
-    if (abortController) {
-        abortController.abort();
-    }
-    queueState.isRunning = false;
-    queueState.isPaused = false;
+export function cancelQueue(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    getRuntime(queue).abortController?.abort();
+    queue.isRunning = false;
+    queue.isPaused = false;
 
     // Mark any generating items as cancelled
-    queueState.items.forEach(item => {
-        if (item.status === QueueStatus.GENERATING) {
-            item.status = QueueStatus.CANCELLED;
-            item.error = 'Cancelled by user';
-        }
+    const cancelled = queue.items.filter(item => item.status === QueueStatus.GENERATING);
+    cancelled.forEach(item => {
+        item.status = QueueStatus.CANCELLED;
+        item.error = 'Cancelled by user';
+        item.errorInfo = { class: ErrorClass.ABORTED, message: item.error };
     });
 
-    persistQueueState();
+    persistQueueState(cancelled, queue);
     notifyProgress();
     showToast('Queue cancelled');
 }
 
 /**
- * Set delay between generations
+ * Set a queue's delay between generations
+ */
+export function setQueueDelay(ms, queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    queue.delayBetweenMs = ms;
+    getRuntime(queue).preRateLimitDelay = null;
+    persistQueueState([], queue);
+}
+
+/**
+ * Set the number of simultaneous generations across all queues (1 = serial)
+ * Extra workers start immediately if a queue is running
+ */
+export function setQueueConcurrency(count) {
+    const concurrency = Math.min(MAX_QUEUE_CONCURRENCY, Math.max(1, parseInt(count) || 1));
+    scheduler.concurrency = concurrency;
+    scheduler.activeConcurrency = concurrency;
+    successStreak = 0;
+    persistScheduler();
+    notifyProgress();
+
+    if (hasRunnableQueues()) {
+        processQueue();
+    }
+}
+
+/**
+ * Set the requests-per-minute ceiling across all queues (0 = unlimited)
+ */
+export function setQueueRateLimit(requestsPerMinute) {
+    scheduler.maxRequestsPerMinute = Math.max(0, parseInt(requestsPerMinute) || 0);
+    persistScheduler();
+}
+
+/**
+ * Set the most items a queue may hold (empty or invalid = DEFAULT_MAX_QUEUE_ITEMS)
+ * Items already queued are kept when the cap is lowered below the queue size
+ */
+export function setQueueMaxItems(count, queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    queue.maxItems = normalizeMaxItems(count);
+    persistQueueState([], queue);
+}
+
+function normalizeMaxItems(count) {
+    const maxItems = parseInt(count);
+    return maxItems > 0 ? Math.min(MAX_QUEUE_ITEMS_LIMIT, maxItems) : DEFAULT_MAX_QUEUE_ITEMS;
+}
+
+/**
+ * Reserve a generation start within maxRequestsPerMinute
+ * @returns {number} 0 if reserved, else milliseconds until a slot frees up
  */
-export function setQueueDelay(ms) {
-    queueState.delayBetweenMs = ms;
-    persistQueueState();
+function reserveRateSlot() {
+    const limit = scheduler.maxRequestsPerMinute;
+    const now = Date.now();
+    while (requestStartTimes.length > 0 && now - requestStartTimes[0] >= 60000) {
+        requestStartTimes.shift();
+    }
+    if (limit && requestStartTimes.length >= limit) {
+        return requestStartTimes[0] + 60000 - now;
+    }
+    requestStartTimes.push(now);
+    return 0;
+}
+
+function countGenerating() {
+    return queues.reduce((count, queue) =>
+        count + queue.items.filter(item => item.status === QueueStatus.GENERATING).length, 0);
+}
+
+function hasRunnableQueues() {
+    return queues.some(queue => queue.isRunning && !queue.isPaused);
 }
 
 /**
- * Main queue processing loop
+ * Main queue processing: runs up to `concurrency` workers that pull pending items from every running queue
  */
 async function processQueue() {
-    while (queueState.isRunning && !queueState.isPaused) {
-        const item = getNextPendingItem();
-        if (!item) {
-            // Queue complete
-            queueState.isRunning = false;
-            onQueueComplete();
-            break;
-        }
+    const workerCount = Math.max(0, scheduler.concurrency - activeWorkers);
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(runWorker());
+    }
+    await Promise.all(workers);
+}
 
-        // Debug: log refs for this item
-        console.log(`[Queue] Processing item ${item.id}, variation ${item.variationIndex + 1}/${item.totalVariations}`);
-        console.log(`[Queue] Item has ${item.refImages?.length || 0} refs`);
+/**
+ * Worker loop: claim the next scheduled item, generate it, repeat while any queue is running
+ */
+async function runWorker() {
+    activeWorkers++;
+    try {
+        while (hasRunnableQueues()) {
+            const inProgress = countGenerating();
 
-        // Process this item
-        item.status = QueueStatus.GENERATING;
-        item.startedAt = Date.now();
-        persistQueueState();
-        notifyProgress();
+            // Rate limiting shrank the pool (or the limit was lowered): idle until a slot frees up
+            if (inProgress >= scheduler.activeConcurrency) {
+                await delay(WORKER_IDLE_POLL_MS);
+                continue;
+            }
 
-        try {
-            // Generate image
-            console.log(`[Queue] Calling generateSingleImage with ${item.refImages?.length || 0} refs`);
-            const result = await generateSingleImage(
-                item.prompt,
-                item.config,
-                item.refImages,
-                abortController.signal
-            );
-
-            // Save to filesystem
-            const dirInfo = getDirectoryInfo();
-            let filename = null;
-
-            if (dirInfo.isSet) {
-                try {
-                    const saveResult = await saveImageToFilesystem(
-                        result.imageData,
-                        item.prompt,
-                        item.variationIndex,
-                        item.batchName,
-                        item.name
-                    );
-                    filename = saveResult.filename;
-                } catch (e) {
-                    console.error('Filesystem save failed:', e);
+            const next = getNextScheduledItem();
+            if (!next) {
+                // In-flight items may still be requeued, scheduled retries become ready later,
+                // items waiting on an upstream item start once it completes and queues wait out their delay
+                completeFinishedQueues();
+                if (hasRunnableQueues()) {
+                    await delay(getIdleWaitMs());
                 }
+                continue;
             }
 
-            // Mark completed
-            item.status = QueueStatus.COMPLETED;
-            item.completedAt = Date.now();
-            item.filename = filename;
-            queueState.completedCount++;
+            // Requests-per-minute ceiling
+            const rateWaitMs = reserveRateSlot();
+            if (rateWaitMs > 0) {
+                await delay(Math.min(WORKER_IDLE_POLL_MS, rateWaitMs));
+                continue;
+            }
 
-            // Reset delay if it was increased by rate limiting
-            if (preRateLimitDelay !== null) {
-                queueState.delayBetweenMs = preRateLimitDelay;
-                preRateLimitDelay = null;
+            // Claim before any await so other workers skip this item
+            const { queue, item } = next;
+            item.status = QueueStatus.GENERATING;
+            item.startedAt = Date.now();
+            item.retryAt = null;
+            item.pinned = false;
+            batchTurns.set(item.batchId, ++startCount);
+            getRuntime(queue).lastTurn = startCount;
+            if (queue.configOverrides) {
+                // Matrix items keep the values they sweep
+                item.config = { ...item.config, ...queue.configOverrides, ...(item.matrix?.axes || {}) };
             }
 
-            // Show the last generated image in the right panel
-            showImageResult(result.imageData, filename);
+            // Debug: log refs for this item
+            console.log(`[Queue] Processing item ${item.id} of "${queue.name}", variation ${item.variationIndex + 1}/${item.totalVariations}`);
+            console.log(`[Queue] Item has ${item.refImages?.length || 0} refs`);
 
-            // Save generation history entry (before ref cleanup)
-            const generationTime = item.completedAt - item.startedAt;
-            const historyId = 'gh_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+            // Pause instead of exceeding a daily/monthly budget (in-flight items count against it too)
+            const budgetBlock = await checkBudget(item, inProgress);
+            if (item.status !== QueueStatus.GENERATING) {
+                // Cancelled or removed while the check was pending
+                continue;
+            }
+            if (budgetBlock) {
+                item.status = QueueStatus.PENDING;
+                item.startedAt = null;
+                queue.isPaused = true;
+                queue.pauseReason = budgetBlock.message;
+                persistQueueState([item], queue);
+                notifyProgress();
+                showToast(budgetBlock.message);
+                continue;
+            }
+            if (!queue.isRunning || queue.isPaused) {
+                item.status = QueueStatus.PENDING;
+                item.startedAt = null;
+                continue;
+            }
+
+            const outcome = await processItem(queue, item);
+            if (!queues.includes(queue)) {
+                // The queue was deleted while this item was finishing
+                discardItems([item]);
+                continue;
+            }
+            if (outcome !== 'done') continue;
+
+            persistQueueState([item], queue);
+            notifyProgress();
+
+            // Delay before this queue's next generation (other queues may start items meanwhile)
+            if (getNextPendingItem(queue)) {
+                getRuntime(queue).readyAt = Date.now() + queue.delayBetweenMs;
+            }
+            completeFinishedQueues();
+        }
+    } finally {
+        activeWorkers--;
+    }
+}
+
+/**
+ * Pick the item to start next across running queues, or null if none is ready
+ * Round robin: the queue that started an item least recently goes first.
+ * In order: only the first queue in the list that still has pending items runs.
+ * Within a queue, getNextPendingItem decides.
+ * @returns {{queue: Object, item: Object}|null}
+ */
+function getNextScheduledItem() {
+    const now = Date.now();
+    let running = queues.filter(queue => queue.isRunning && !queue.isPaused);
+    running.forEach(skipBlockedItems);
+    if (scheduler.mode === QueueSchedule.IN_ORDER) {
+        running = running.filter(hasPendingItems).slice(0, 1);
+    }
+
+    let next = null;
+    for (const queue of running) {
+        if (getRuntime(queue).readyAt > now) continue;
+        const item = getNextPendingItem(queue);
+        // Its backend is holding off after a rate limit; queues on other backends go ahead
+        if (item && getRateLimitHold(item) > now) continue;
+        if (item && (!next || getRuntime(queue).lastTurn < getRuntime(next.queue).lastTurn)) {
+            next = { queue, item };
+        }
+    }
+    return next;
+}
+
+/**
+ * When an item's backend may take new requests again after a rate limit (0 = now)
+ */
+function getRateLimitHold(item) {
+    return rateLimitHolds.get(getProvider(item.config.provider).id) || 0;
+}
+
+/**
+ * How long an idle worker waits before looking again: until the next queue delay or rate-limit hold
+ * runs out, at most one poll
+ */
+function getIdleWaitMs() {
+    const now = Date.now();
+    const waits = queues
+        .filter(queue => queue.isRunning && !queue.isPaused && getRuntime(queue).readyAt > now)
+        .map(queue => getRuntime(queue).readyAt - now);
+    rateLimitHolds.forEach(until => {
+        if (until > now) waits.push(until - now);
+    });
+    return Math.min(WORKER_IDLE_POLL_MS, ...waits);
+}
+
+/**
+ * Stop running queues that have nothing left to generate
+ */
+function completeFinishedQueues() {
+    queues.forEach(queue => {
+        if (!queue.isRunning || queue.isPaused || hasPendingItems(queue)) return;
+        if (queue.items.some(item => item.status === QueueStatus.GENERATING)) return;
+        queue.isRunning = false;
+        persistQueueState([], queue);
+        onQueueComplete(queue);
+    });
+}
+
+/**
+ * Generate a single claimed item
+ * @returns {Promise<string>} 'done' (completed or failed), 'requeued' (rate limited) or 'aborted'
+ */
+async function processItem(queue, item) {
+    const runtime = getRuntime(queue);
+    persistQueueState([item], queue);
+    notifyProgress();
+
+    try {
+        // Edit session turns carry the conversation up to the turn they continue from
+        let history = [];
+        if (item.session) {
+            const { getSessionHistory } = await import('./sessions.js');
+            history = await getSessionHistory(item.session.id, item.session.parentTurnId);
+        }
+
+        // Surface in-request retry waits as a countdown on the item
+        const onRetryWait = (delayMs, kind) => {
+            item.retryAt = Date.now() + delayMs;
+            item.retryKind = kind;
+            notifyProgress();
+        };
+
+        // Enhanced items swap in the text model's rewrite first (once; requeues keep it)
+        if (item.enhance && !item.enhance.model) {
+            const enhanced = await enhancePrompt(item.enhance.original, {
+                provider: item.config.provider,
+                signal: runtime.abortController.signal,
+                onRetryWait
+            });
+            item.prompt = enhanced.prompt;
+            item.enhance.model = enhanced.model;
+            // Already counted against budgets; added to the item's totals once it completes
+            item.enhance.usage = enhanced.usage;
+            item.enhance.cost = enhanced.cost;
+            item.retryAt = null;
+            persistQueueState([item]);
+            notifyProgress();
+        }
+
+        // The avoid list joins the request here, so item.prompt (and history) stays without it
+        const request = applyAvoid(item.prompt, item.config, item.avoid);
+
+        // Outputs of upstream items lead the refs (the item's own refs fill what's left)
+        const refImages = item.dependsOn?.length
+            ? [...await getUpstreamRefs(item), ...(item.refImages || [])].slice(0, MAX_REFS)
+            : item.refImages;
+
+        // Generate image
+        console.log(`[Queue] Calling generateSingleImage with ${refImages?.length || 0} refs`);
+        const result = await generateSingleImage(
+            request.prompt,
+            request.config,
+            refImages,
+            runtime.abortController.signal,
+            { history, onRetryWait }
+        );
+        item.retryAt = null;
+
+        // Masked edit: keep the original pixels outside the mask
+        if (item.inpaint?.blend) {
+            try {
+                const { blendMaskedResult } = await import('./inpaint.js');
+                result.imageData = await blendMaskedResult(result.imageData, item.refImages);
+            } catch (e) {
+                console.error('[Queue] Failed to blend inpaint result:', e);
+            }
+        }
+
+        // Save to filesystem (the queue's own folder when it has one)
+        const dirInfo = getDirectoryInfo(queue.id);
+        let filename = null;
+
+        if (dirInfo.isSet) {
+            try {
+                const saveResult = await saveImageToFilesystem(
+                    result.imageData,
+                    item.prompt,
+                    item.variationIndex,
+                    item.batchName,
+                    item.name,
+                    queue.id
+                );
+                filename = saveResult.filename;
+            } catch (e) {
+                console.error('Filesystem save failed:', e);
+            }
+        }
+
+        // Items that use this result as a reference read it from the blob store
+        // (stored before the item counts as completed, so they never start without it)
+        if (queue.items.some(other => other.dependsOn?.includes(item.id))) {
+            try {
+                item.outputRefs = await storeRefs([{ id: 'out_' + item.id, data: await compressImage(result.imageData) }]);
+            } catch (e) {
+                console.error('[Queue] Failed to store output for dependent items:', e);
+            }
+        }
+
+        // Mark completed
+        item.status = QueueStatus.COMPLETED;
+        item.completedAt = Date.now();
+        item.filename = filename;
+        item.usage = result.usage || null;
+        item.keyAlias = result.keyAlias || null;
+        item.cost = estimateCost(item.config.model, item.usage);
+        queue.completedCount++;
+
+        // Count against budgets before the next item's budget check
+        await recordBudgetUsage(item.config, item.usage, item.cost);
+
+        // The item's totals include its prompt rewrite
+        if (item.enhance?.usage) {
+            item.usage = addUsage(item.usage, item.enhance.usage);
+            item.cost = item.cost === null ? null : item.cost + (item.enhance.cost || 0);
+        }
+
+        // Reset delay if it was increased by rate limiting
+        if (runtime.preRateLimitDelay !== null) {
+            queue.delayBetweenMs = runtime.preRateLimitDelay;
+            runtime.preRateLimitDelay = null;
+        }
+
+        // Add a worker back after a run of successes following a rate-limit shrink
+        successStreak++;
+        if (scheduler.activeConcurrency < scheduler.concurrency && successStreak >= CONCURRENCY_RECOVERY_SUCCESSES) {
+            scheduler.activeConcurrency++;
+            successStreak = 0;
+        }
+
+        // Show the last generated image in the right panel
+        showImageResult(result.imageData, filename);
+
+        // Parameter sweep results keep a thumbnail for the grid viewer
+        let thumbnail = null;
+        if (item.matrix) {
+            try {
+                const { createThumbnail } = await import('./matrix.js');
+                thumbnail = await createThumbnail(result.imageData);
+            } catch (e) {
+                console.error('[Queue] Failed to create matrix thumbnail:', e);
+            }
+        }
+
+        // Save generation history entry (before ref cleanup)
+        const generationTime = item.completedAt - item.startedAt;
+        const historyId = 'gh_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+        try {
+            await saveHistoryEntry({
+                id: historyId,
+                prompt: item.prompt,
+                config: {
+                    provider: item.config.provider,
+                    model: item.config.model,
+                    ratio: item.config.ratio,
+                    resolution: item.config.resolution,
+                    thinkingBudget: item.config.thinkingBudget,
+                    searchEnabled: item.config.searchEnabled,
+                    systemInstruction: item.config.systemInstruction || ''
+                },
+                refImages: refImages || [],
+                filename: filename,
+                batchName: item.batchName || '',
+                name: item.name || '',
+                createdAt: Date.now(),
+                generationTimeMs: generationTime,
+                usage: item.usage,
+                cost: item.cost,
+                keyAlias: item.keyAlias,
+                attemptErrors: item.attemptErrors || [],
+                sessionId: item.session?.id || null,
+                inpaint: item.inpaint || null,
+                derivedFrom: item.derivedFrom || null,
+                template: item.template || null,
+                wildcards: item.wildcards || null,
+                matrix: item.matrix ? { ...item.matrix, variationIndex: item.variationIndex } : null,
+                thumbnail,
+                enhance: item.enhance || null,
+                preset: item.preset || null,
+                avoid: item.avoid || null
+            });
+            item.historyId = historyId;
+            // Prune every 50 completions
+            if (queue.completedCount % 50 === 0) {
+                pruneHistory().catch(() => {});
+            }
+        } catch (e) {
+            console.error('[Queue] Failed to save history entry:', e);
+        }
+
+        // Update image panel with history ID
+        const { setCurrentHistoryId } = await import('./generation.js');
+        setCurrentHistoryId(historyId);
+
+        // Add the result to its edit session as a new turn
+        if (item.session) {
             try {
-                await saveHistoryEntry({
-                    id: historyId,
+                const { appendSessionTurn } = await import('./sessions.js');
+                await appendSessionTurn(item.session.id, {
+                    parentId: item.session.parentTurnId,
                     prompt: item.prompt,
-                    config: {
-                        model: item.config.model,
-                        ratio: item.config.ratio,
-                        resolution: item.config.resolution,
-                        thinkingBudget: item.config.thinkingBudget,
-                        searchEnabled: item.config.searchEnabled
-                    },
-                    refImages: item.refImages || [],
-                    filename: filename,
-                    batchName: item.batchName || '',
-                    name: item.name || '',
-                    createdAt: Date.now(),
-                    generationTimeMs: generationTime
+                    refImages: refImages || [],
+                    content: result.modelContent,
+                    historyId,
+                    filename
                 });
-                item.historyId = historyId;
-                // Prune every 50 completions
-                if (queueState.completedCount % 50 === 0) {
-                    pruneHistory().catch(() => {});
-                }
             } catch (e) {
-                console.error('[Queue] Failed to save history entry:', e);
+                console.error('[Queue] Failed to save edit session turn:', e);
             }
+        }
 
-            // Update image panel with history ID
-            const { setCurrentHistoryId } = await import('./generation.js');
-            setCurrentHistoryId(historyId);
+        // Track generation time for ETA calculation
+        queue.generationTimes.push(generationTime);
+        // Keep only last 20 times to avoid memory bloat
+        if (queue.generationTimes.length > 20) {
+            queue.generationTimes.shift();
+        }
 
-            // Track generation time for ETA calculation
-            queueState.generationTimes.push(generationTime);
-            // Keep only last 20 times to avoid memory bloat
-            if (queueState.generationTimes.length > 20) {
-                queueState.generationTimes.shift();
+        // Clean up refs from IndexedDB (no longer needed)
+        deleteQueueRefsMultiple([item.id]).catch(e => {
+            console.error('[Queue] Failed to clean up refs:', e);
+        });
+
+    } catch (e) {
+        item.retryAt = null;
+        if (e.name === 'AbortError') {
+            item.status = QueueStatus.CANCELLED;
+            item.error = 'Cancelled';
+            item.errorInfo = { class: ErrorClass.ABORTED, message: item.error };
+            return 'aborted';
+        }
+
+        // The prompt rewrite would exceed a budget: pause as the pre-item check does
+        if (e.name === 'BudgetExceededError') {
+            item.status = QueueStatus.PENDING;
+            item.startedAt = null;
+            queue.isPaused = true;
+            queue.pauseReason = e.message;
+            persistQueueState([item], queue);
+            notifyProgress();
+            showToast(e.message);
+            return 'requeued';
+        }
+
+        item.keyAlias = e.keyAlias || null;
+        const { kind } = classifyError(e);
+        const errorInfo = serializeError(e);
+
+        // Handle rate limits: shrink the worker pool first, then back off exponentially
+        if (kind === RetryKind.RATE_LIMIT || kind === RetryKind.QUOTA_EXHAUSTED) {
+            const startedAt = item.startedAt;
+            item.status = QueueStatus.PENDING;
+            item.startedAt = null;
+            successStreak = 0;
+            recordAttemptError(item, errorInfo);
+
+            // Another pooled key is ready: route the item to it without backing off
+            if (getProvider(item.config.provider).hasAvailableCredential?.()) {
+                persistQueueState([item], queue);
+                notifyProgress();
+                return 'requeued';
             }
 
-            // Clean up refs from IndexedDB (no longer needed)
-            deleteQueueRefsMultiple([item.id]).catch(e => {
-                console.error('[Queue] Failed to clean up refs:', e);
-            });
+            // Daily quota is gone: waiting minutes won't help, so stop and let the user decide
+            if (kind === RetryKind.QUOTA_EXHAUSTED) {
+                queue.isPaused = true;
+                queue.pauseReason = 'Quota exhausted — ' + (e.message || 'daily limit reached');
+                persistQueueState([item], queue);
+                notifyProgress();
+                showToast('Quota exhausted. Queue paused');
+                return 'requeued';
+            }
 
-        } catch (e) {
-            if (e.name === 'AbortError') {
-                item.status = QueueStatus.CANCELLED;
-                item.error = 'Cancelled';
-                break;
+            if (startedAt < lastShrinkAt) {
+                // Request was already in flight when the pool last shrank; don't shrink again for it
+            } else if (scheduler.activeConcurrency > 1) {
+                scheduler.activeConcurrency = Math.max(1, Math.floor(scheduler.activeConcurrency / 2));
+                lastShrinkAt = Date.now();
+                showToast(`Rate limited. Parallel requests reduced to ${scheduler.activeConcurrency}`);
+            } else {
+                if (runtime.preRateLimitDelay === null) runtime.preRateLimitDelay = queue.delayBetweenMs;
+                queue.delayBetweenMs = Math.min(queue.delayBetweenMs * 2, 60000);
+                showToast(`Rate limited. Delay increased to ${queue.delayBetweenMs / 1000}s`);
             }
 
-            // Handle rate limits with exponential backoff
-            if (e.message?.includes('429') || e.message?.toLowerCase().includes('rate limit')) {
-                item.status = QueueStatus.PENDING;
-                item.startedAt = null;
-                if (preRateLimitDelay === null) preRateLimitDelay = queueState.delayBetweenMs;
-                queueState.delayBetweenMs = Math.min(queueState.delayBetweenMs * 2, 60000);
-                showToast(`Rate limited. Delay increased to ${queueState.delayBetweenMs / 1000}s`);
-                await delay(queueState.delayBetweenMs);
-                continue;
+            // Schedule the retry: server hint (or jittered backoff), never sooner than the queue delay
+            const waitMs = Math.max(getRetryDelayMs(e, 1), queue.delayBetweenMs);
+            item.retryAt = Date.now() + waitMs;
+            item.retryKind = kind;
+            const providerId = getProvider(item.config.provider).id;
+            rateLimitHolds.set(providerId, Math.max(rateLimitHolds.get(providerId) || 0, item.retryAt));
+            persistQueueState([item], queue);
+            notifyProgress();
+            return 'requeued';
+        }
+
+        item.status = QueueStatus.FAILED;
+        item.error = e.message || 'Unknown error';
+        item.errorInfo = errorInfo;
+        item.completedAt = Date.now();
+        queue.failedCount++;
+        recordAttemptError(item, errorInfo);
+    }
+
+    return 'done';
+}
+
+/**
+ * Get a queue's next pending item (items waiting on an upstream item are passed over until it completes)
+ * Pinned items go first, then higher priorities; within a priority, batches take turns
+ * (the batch that started an item least recently goes next) and each batch runs in queue order
+ */
+function getNextPendingItem(queue) {
+    const now = Date.now();
+    let itemsById = null;
+    let next = null;
+    for (const item of queue.items) {
+        if (item.status !== QueueStatus.PENDING || item.retryAt > now) continue;
+        if (item.dependsOn?.length) {
+            itemsById = itemsById || new Map(queue.items.map(other => [other.id, other]));
+            if (!item.dependsOn.every(id => itemsById.get(id)?.status === QueueStatus.COMPLETED)) continue;
+        }
+        if (!next || compareForNext(item, next) < 0) next = item;
+    }
+    return next;
+}
+
+/**
+ * Which of two ready items should start first (negative = a)
+ */
+function compareForNext(a, b) {
+    if (a.pinned || b.pinned) {
+        return a.pinned && b.pinned ? a.seq - b.seq : (a.pinned ? -1 : 1);
+    }
+    const rankA = PRIORITY_RANK[a.priority] ?? PRIORITY_RANK[QueuePriority.NORMAL];
+    const rankB = PRIORITY_RANK[b.priority] ?? PRIORITY_RANK[QueuePriority.NORMAL];
+    if (rankA !== rankB) return rankB - rankA;
+    const turnA = batchTurns.get(a.batchId) || 0;
+    const turnB = batchTurns.get(b.batchId) || 0;
+    if (turnA !== turnB) return turnA - turnB;
+    return a.seq - b.seq;
+}
+
+/**
+ * Upstream items of an item (the ones whose output it uses), in dependsOn order
+ * Items no longer in the queue are left out
+ */
+export function getUpstreamItems(item) {
+    if (!item.dependsOn?.length) return [];
+    return item.dependsOn.map(id => findQueueItem(id)?.item).filter(Boolean);
+}
+
+function getItemLabel(item) {
+    if (item.name) return item.name;
+    return item.prompt.length > 30 ? item.prompt.slice(0, 30) + '…' : item.prompt;
+}
+
+/**
+ * Skip pending items whose upstream item failed, was cancelled or skipped, or left the queue
+ * Repeats until nothing changes, so items further down the chain are skipped too
+ */
+function skipBlockedItems(queue) {
+    if (!queue.items.some(item => item.dependsOn?.length && item.status === QueueStatus.PENDING)) return;
+
+    const itemsById = new Map(queue.items.map(item => [item.id, item]));
+    const skipped = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        queue.items.forEach(item => {
+            if (item.status !== QueueStatus.PENDING || !item.dependsOn?.length) return;
+
+            let reason = null;
+            for (const id of item.dependsOn) {
+                const upstream = itemsById.get(id);
+                if (!upstream) {
+                    reason = 'Skipped: upstream item was removed from the queue';
+                } else if (upstream.status === QueueStatus.FAILED || upstream.status === QueueStatus.CANCELLED) {
+                    const outcome = upstream.status === QueueStatus.FAILED ? 'failed' : 'did not run';
+                    reason = `Skipped: upstream "${getItemLabel(upstream)}" ${outcome}`;
+                }
+                if (reason) break;
             }
+            if (!reason) return;
 
-            item.status = QueueStatus.FAILED;
-            item.error = e.message || 'Unknown error';
+            item.status = QueueStatus.CANCELLED;
+            item.error = reason;
+            item.errorInfo = { class: ErrorClass.DEPENDENCY, message: reason };
             item.completedAt = Date.now();
-            queueState.failedCount++;
-        }
+            skipped.push(item);
+            changed = true;
+        });
+    }
 
-        persistQueueState();
+    if (skipped.length > 0) {
+        console.log(`[Queue] Skipped ${skipped.length} items whose upstream item did not complete`);
+        persistQueueState(skipped, queue);
         notifyProgress();
+    }
+}
 
-        // Delay before next generation
-        if (getNextPendingItem() && queueState.isRunning && !queueState.isPaused) {
-            await delay(queueState.delayBetweenMs);
+/**
+ * Resolve the stored outputs of an item's upstream items into refs
+ */
+async function getUpstreamRefs(item) {
+    const refs = [];
+    for (const upstream of item.dependsOn.map(id => findQueueItem(id)?.item)) {
+        const [output] = upstream?.outputRefs?.length ? await resolveRefs(upstream.outputRefs) : [];
+        if (!output) {
+            throw new DependencyError(`Output of upstream "${upstream ? getItemLabel(upstream) : 'item'}" is not available`);
         }
+        refs.push({ id: 'dep_' + upstream.id, data: output.data, hash: output.hash });
     }
+    return refs;
 }
 
 /**
- * Get next pending item
+ * Remember an earlier failed attempt (class + message only) so history shows what it took to succeed
  */
-function getNextPendingItem() {
-    return queueState.items.find(item => item.status === QueueStatus.PENDING);
+function recordAttemptError(item, errorInfo) {
+    item.attemptErrors = [...(item.attemptErrors || []), {
+        class: errorInfo.class,
+        message: errorInfo.message,
+        status: errorInfo.status,
+        at: Date.now()
+    }].slice(-MAX_ATTEMPT_ERRORS);
+}
+
+function hasPendingItems(queue) {
+    return queue.items.some(item => item.status === QueueStatus.PENDING);
 }
 
 /**
- * Called when queue completes
+ * Called when a queue completes
  */
-function onQueueComplete() {
-    const completed = queueState.completedCount;
-    const failed = queueState.failedCount;
+function onQueueComplete(queue) {
+    const completed = queue.completedCount;
+    const failed = queue.failedCount;
+    const usage = getQueueUsage(queue.id).total;
+    const costText = usage.count > usage.unpriced ? ` (~${formatCost(usage.cost)})` : '';
+    const label = queues.length > 1 ? `"${queue.name}"` : 'Queue';
 
     playNotificationSound();
     haptic(300);
 
     if (failed === 0) {
-        showToast(`Queue complete! ${completed} images generated`);
+        showToast(`${label} complete! ${completed} images generated${costText}`);
     } else {
-        showToast(`Queue complete: ${completed} success, ${failed} failed`);
+        showToast(`${label} complete: ${completed} success, ${failed} failed${costText}`);
     }
 
     notifyProgress();
@@ -485,22 +1502,23 @@ function onQueueComplete() {
     // Auto-clear completed items after delay so FAB hides (keep failed for retry)
     const clearDelay = failed === 0 ? 5000 : 15000;
     setTimeout(() => {
-        // Guard: don't clear if user started a new queue or added new items
-        if (queueState.isRunning) return;
-        if (queueState.items.some(i => i.status === QueueStatus.PENDING)) return;
+        // Guard: don't clear if the queue was deleted, restarted or got new items
+        if (!queues.includes(queue) || queue.isRunning) return;
+        if (queue.items.some(i => i.status === QueueStatus.PENDING)) return;
 
         // Keep failed/cancelled items so the user can inspect and retry them
-        const retainedItems = queueState.items.filter(i =>
+        const retainedItems = queue.items.filter(i =>
             i.status === QueueStatus.FAILED || i.status === QueueStatus.CANCELLED
         );
-        queueState.items = retainedItems;
-        queueState.completedCount = 0;
-        queueState.generationTimes = [];
+        const clearedItems = queue.items.filter(i => !retainedItems.includes(i));
+        queue.items = retainedItems;
+        queue.completedCount = 0;
+        queue.generationTimes = [];
         if (retainedItems.length === 0) {
-            queueState.failedCount = 0;
-            clearAllQueueRefs().catch(() => {});
+            queue.failedCount = 0;
         }
-        persistQueueState();
+        discardItems(clearedItems);
+        persistQueueState([], queue);
         notifyProgress();
     }, clearDelay);
 }
@@ -514,51 +1532,185 @@ function notifyProgress() {
     }
 }
 
+function getQueueStorageKey(queueId) {
+    // The main queue keeps the key used before there were several queues
+    return queueId === DEFAULT_QUEUE_ID ? QUEUE_STORAGE_KEY : `${QUEUE_STORAGE_KEY}_${queueId}`;
+}
+
+/**
+ * Persist queue state
+ * Each queue's run settings and counters go to its own localStorage key; items live in the queueItems
+ * store (IndexedDB, tagged with their queueId) and only the ones passed in are written,
+ * batched into one transaction per tick
+ * @param {Object[]} changedItems - Items added or changed since the last call
+ * @param {Object} queue - Queue whose settings changed (default: the queues of the changed items,
+ *   or the panel's queue when there are none)
+ */
+export function persistQueueState(changedItems = [], queue = null) {
+    // Items still finishing when their queue was deleted must not write it (or themselves) back
+    if (queue && !queues.includes(queue)) return;
+    const items = changedItems.filter(item => queues.some(q => q.id === item.queueId));
+    if (!queue && changedItems.length > 0 && items.length === 0) return;
+
+    const owners = queue
+        ? [queue]
+        : [...new Set(items.length > 0 ? items.map(item => getQueue(item.queueId)) : [getQueue()])];
+    owners.forEach(owner => {
+        try {
+            const meta = { ...owner };
+            delete meta.items;
+            localStorage.setItem(getQueueStorageKey(owner.id), JSON.stringify(meta));
+        } catch (e) {
+            console.error('Failed to persist queue state:', e);
+        }
+    });
+
+    if (items.length === 0) return;
+    items.forEach(item => dirtyItems.set(item.id, item));
+    if (!itemFlushScheduled) {
+        itemFlushScheduled = true;
+        queueMicrotask(flushDirtyItems);
+    }
+}
+
 /**
- * Persist queue state to localStorage
+ * Persist the queue list (ids in switcher order) and the panel's queue
  */
-export function persistQueueState() {
+function persistQueueList() {
     try {
-        // Don't persist reference images (too large)
-        const stateToSave = {
-            ...queueState,
-            items: queueState.items.map(item => ({
-                ...item,
-                refImages: [] // Don't persist ref images
-            }))
-        };
-        localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(stateToSave));
+        localStorage.setItem(QUEUE_LIST_STORAGE_KEY, JSON.stringify({
+            ids: queues.map(queue => queue.id),
+            activeId: activeQueueId
+        }));
     } catch (e) {
-        console.error('Failed to persist queue state:', e);
+        console.error('Failed to persist queue list:', e);
     }
 }
 
 /**
- * Restore queue state from localStorage
+ * Persist the shared worker settings
+ */
+function persistScheduler() {
+    try {
+        localStorage.setItem(QUEUE_SCHEDULER_STORAGE_KEY, JSON.stringify({
+            concurrency: scheduler.concurrency,
+            maxRequestsPerMinute: scheduler.maxRequestsPerMinute,
+            mode: scheduler.mode
+        }));
+    } catch (e) {
+        console.error('Failed to persist queue scheduler:', e);
+    }
+}
+
+/**
+ * Queue item as stored in IndexedDB (ref images are kept in queueRefs)
+ */
+function toItemRecord(item) {
+    return { ...item, refImages: [] };
+}
+
+function flushDirtyItems() {
+    itemFlushScheduled = false;
+    const records = [...dirtyItems.values()].map(toItemRecord);
+    dirtyItems.clear();
+    saveQueueItems(records).catch(e => {
+        console.error('[Queue] Failed to save queue items:', e);
+    });
+}
+
+/**
+ * Delete removed items from the queueItems store (pending writes for them are dropped),
+ * their refs from queueRefs, and release the outputs they kept for dependent items
+ * Only the given items are touched, so clearing one queue leaves the others' records alone
+ */
+function discardItems(items) {
+    if (items.length === 0) return;
+    const ids = items.map(item => item.id);
+    ids.forEach(id => dirtyItems.delete(id));
+    deleteQueueRefsMultiple(ids).catch(e => {
+        console.error('[Queue] Failed to delete refs:', e);
+    });
+    releaseRefs(items.flatMap(item => item.outputRefs || [])).catch(e => {
+        console.error('[Queue] Failed to release item outputs:', e);
+    });
+    deleteQueueItems(ids).catch(e => {
+        console.error('[Queue] Failed to delete queue items:', e);
+    });
+}
+
+function readStoredJson(key) {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Restore every queue from localStorage and the queueItems store
  * Also restores refs from IndexedDB
+ * @returns {Promise<Object|null>} The panel's queue state, or null if nothing was saved
  */
 export async function restoreQueueState() {
     try {
-        const saved = localStorage.getItem(QUEUE_STORAGE_KEY);
-        if (!saved) return null;
-
-        const state = JSON.parse(saved);
+        const list = readStoredJson(QUEUE_LIST_STORAGE_KEY);
+        const mainMeta = readStoredJson(QUEUE_STORAGE_KEY);
+
+        // Queues saved before the queueItems store kept every item in localStorage: move them over
+        const legacyItems = Array.isArray(mainMeta?.items);
+        let items;
+        if (legacyItems) {
+            items = mainMeta.items;
+            items.forEach((item, index) => { item.seq = index; });
+            delete mainMeta.items;
+            await replaceQueueItems(items.map(toItemRecord));
+        } else {
+            items = await loadQueueItems();
+        }
+        if (!list && !mainMeta && items.length === 0) return null;
+
+        // Worker settings were saved with the single queue before there were several
+        const savedScheduler = readStoredJson(QUEUE_SCHEDULER_STORAGE_KEY) || mainMeta || {};
+        scheduler.concurrency = Math.min(MAX_QUEUE_CONCURRENCY, Math.max(1, savedScheduler.concurrency || 1));
+        scheduler.activeConcurrency = scheduler.concurrency;
+        scheduler.maxRequestsPerMinute = savedScheduler.maxRequestsPerMinute || 0;
+        scheduler.mode = Object.values(QueueSchedule).includes(savedScheduler.mode)
+            ? savedScheduler.mode
+            : QueueSchedule.ROUND_ROBIN;
+
+        const ids = [DEFAULT_QUEUE_ID, ...(list?.ids || []).filter(id => id !== DEFAULT_QUEUE_ID)];
+        const restored = ids.map(id => {
+            const meta = id === DEFAULT_QUEUE_ID ? mainMeta : readStoredJson(getQueueStorageKey(id));
+            const state = { ...newQueueState(id, id === DEFAULT_QUEUE_ID ? 'Main' : 'Queue'), ...meta, id, items: [] };
+            delete state.concurrency;
+            delete state.activeConcurrency;
+            delete state.maxRequestsPerMinute;
+            state.maxItems = normalizeMaxItems(state.maxItems);
+            // Mark as paused if was running
+            if (state.isRunning) {
+                state.isPaused = true;
+            }
+            return state;
+        });
 
-        // Reset any "generating" items to "pending" (interrupted)
-        state.items.forEach(item => {
-            if (item.status === QueueStatus.GENERATING) {
-                item.status = QueueStatus.PENDING;
-                item.startedAt = null;
+        // Items saved before there were several queues (or whose queue is gone) belong to the main queue
+        const byId = new Map(restored.map(queue => [queue.id, queue]));
+        const reassigned = [];
+        items.forEach(item => {
+            if (!byId.has(item.queueId)) {
+                item.queueId = DEFAULT_QUEUE_ID;
+                reassigned.push(item);
             }
+            byId.get(item.queueId).items.push(item);
         });
+        nextSeq = items.reduce((max, item) => Math.max(max, Math.floor(item.seq || 0) + 1), 0);
 
-        // Mark as paused if was running
-        if (state.isRunning) {
-            state.isPaused = true;
-        }
+        // Reset any "generating" items to "pending" (interrupted)
+        const interrupted = items.filter(item => item.status === QueueStatus.GENERATING);
+        interrupted.forEach(item => {
+            item.status = QueueStatus.PENDING;
+            item.startedAt = null;
+        });
 
         // Restore refs from IndexedDB for all retryable items (PENDING, FAILED, CANCELLED)
-        const retryableItemIds = state.items
+        const retryableItemIds = items
             .filter(item =>
                 item.status === QueueStatus.PENDING ||
                 item.status === QueueStatus.FAILED ||
@@ -569,7 +1721,7 @@ export async function restoreQueueState() {
         if (retryableItemIds.length > 0) {
             try {
                 const refsMap = await loadQueueRefsMultiple(retryableItemIds);
-                state.items.forEach(item => {
+                items.forEach(item => {
                     if (refsMap.has(item.id)) {
                         item.refImages = refsMap.get(item.id);
                         console.log(`[Queue] Restored ${item.refImages.length} refs for item ${item.id}`);
@@ -580,8 +1732,22 @@ export async function restoreQueueState() {
             }
         }
 
-        queueState = state;
-        return state;
+        await restoreQueueDirectoryHandles(ids);
+
+        queues = restored;
+        queueRuntimes.clear();
+        activeQueueId = byId.has(list?.activeId) ? list.activeId : DEFAULT_QUEUE_ID;
+        // Rewrites the localStorage entries without items or worker settings after a migration
+        if (!list) {
+            persistQueueList();
+            persistScheduler();
+            persistQueueState([], getQueue(DEFAULT_QUEUE_ID));
+        }
+        const changed = [...new Set([...reassigned, ...interrupted])];
+        if (changed.length > 0) {
+            persistQueueState(changed);
+        }
+        return getQueueState();
     } catch (e) {
         console.error('Failed to restore queue state:', e);
         return null;
@@ -589,17 +1755,17 @@ export async function restoreQueueState() {
 }
 
 /**
- * Check if queue has pending items from previous session
+ * Check if any queue has pending items from previous session
  */
 export function hasResumableQueue() {
-    return queueState.items.some(item => item.status === QueueStatus.PENDING);
+    return queues.some(hasPendingItems);
 }
 
 /**
- * Get queue statistics
+ * Get a queue's statistics (the panel's queue by default)
  */
-export function getQueueStats() {
-    const items = queueState.items;
+export function getQueueStats(queueId = activeQueueId) {
+    const items = getQueue(queueId).items;
     const total = items.length;
     const pending = items.filter(i => i.status === QueueStatus.PENDING).length;
     const completed = items.filter(i => i.status === QueueStatus.COMPLETED).length;
@@ -618,12 +1784,31 @@ export function getQueueStats() {
     };
 }
 
+/**
+ * Sum token usage and estimated cost over completed items, overall and per batch
+ * @returns {Object} { total, byBatch: [{ batchName, ...totals }] }
+ */
+export function getQueueUsage(queueId = activeQueueId) {
+    const completed = getQueue(queueId).items.filter(i => i.status === QueueStatus.COMPLETED && i.usage);
+    const batches = new Map();
+    completed.forEach(item => {
+        const name = item.batchName || '';
+        if (!batches.has(name)) batches.set(name, []);
+        batches.get(name).push(item);
+    });
+
+    return {
+        total: sumUsage(completed),
+        byBatch: [...batches.entries()].map(([batchName, items]) => ({ batchName, ...sumUsage(items) }))
+    };
+}
+
 /**
  * Get average generation time from recent completions
  * @returns {number} Average time in milliseconds
  */
-export function getAverageGenerationTime() {
-    const times = queueState.generationTimes;
+export function getAverageGenerationTime(queueId = activeQueueId) {
+    const times = getQueue(queueId).generationTimes;
     if (times.length === 0) {
         return 30000; // Default 30s estimate
     }
@@ -634,30 +1819,39 @@ export function getAverageGenerationTime() {
 }
 
 /**
- * Get estimated time remaining for queue
+ * Get estimated time remaining for a queue (as if it had the workers to itself)
  * @returns {Object} ETA info with totalMs and formatted string
  */
-export function getQueueETA() {
-    const pending = queueState.items.filter(i => i.status === QueueStatus.PENDING).length;
-    const inProgress = queueState.items.filter(i => i.status === QueueStatus.GENERATING).length;
+export function getQueueETA(queueId = activeQueueId) {
+    const queue = getQueue(queueId);
+    const pending = queue.items.filter(i => i.status === QueueStatus.PENDING).length;
+    const inProgress = queue.items.filter(i => i.status === QueueStatus.GENERATING).length;
 
     if (pending === 0 && inProgress === 0) {
         return { totalMs: 0, formatted: 'Complete' };
     }
 
-    const avgTime = getAverageGenerationTime();
-    const delayTime = queueState.delayBetweenMs;
+    const avgTime = getAverageGenerationTime(queue.id);
+    const delayTime = queue.delayBetweenMs;
 
     // Calculate remaining time
-    // Current item (if generating) + pending items + delays between them
+    // Items run in waves of `parallel` (generating + pending), each wave followed by a delay
     const remainingItems = pending + inProgress;
-    const totalMs = remainingItems * avgTime + Math.max(0, remainingItems - 1) * delayTime;
+    const parallel = Math.max(1, Math.min(scheduler.activeConcurrency || 1, remainingItems));
+    const waves = Math.ceil(remainingItems / parallel);
+    let totalMs = waves * avgTime + Math.max(0, waves - 1) * delayTime;
+
+    // The requests-per-minute ceiling can be the tighter bound
+    if (scheduler.maxRequestsPerMinute > 0) {
+        totalMs = Math.max(totalMs, (pending / scheduler.maxRequestsPerMinute) * 60000 + avgTime);
+    }
 
     return {
         totalMs,
         formatted: formatDuration(totalMs),
         avgGenerationTime: avgTime,
-        isEstimate: queueState.generationTimes.length < 3 // Less confident with few samples
+        parallel,
+        isEstimate: queue.generationTimes.length < 3 // Less confident with few samples
     };
 }
 
@@ -692,24 +1886,22 @@ function delay(ms) {
 }
 
 /**
- * Update config for all PENDING queue items
+ * Update config for all PENDING items of a queue
  * Used to change generation settings mid-batch while paused
  * @param {Object} newConfig - Partial or full config to apply
  * @returns {number} Number of items updated
  */
-export function updateQueueItemConfig(newConfig) {
-    let count = 0;
-    queueState.items.forEach(item => {
-        if (item.status === QueueStatus.PENDING) {
-            item.config = { ...item.config, ...newConfig };
-            count++;
-        }
+export function updateQueueItemConfig(newConfig, queueId = activeQueueId) {
+    const updated = getQueue(queueId).items.filter(item => item.status === QueueStatus.PENDING);
+    updated.forEach(item => {
+        // Matrix items keep the values they sweep
+        item.config = { ...item.config, ...newConfig, ...(item.matrix?.axes || {}) };
     });
-    if (count > 0) {
-        persistQueueState();
+    if (updated.length > 0) {
+        persistQueueState(updated);
         notifyProgress();
     }
-    return count;
+    return updated.length;
 }
 
 // Make functions globally available
@@ -721,3 +1913,5 @@ window.clearQueue = clearQueue;
 window.removeQueueItem = removeQueueItem;
 window.skipQueueItem = skipQueueItem;
 window.retryQueueItem = retryQueueItem;
+window.runQueueItemNext = runQueueItemNext;
+window.moveQueueItemToEnd = moveQueueItemToEnd;
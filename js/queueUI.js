@@ -3,7 +3,7 @@
  * Prompt boxes management, rendering, import/export
  */
 
-import { $, showToast } from './ui.js';
+import { $, showToast, escapeHtml } from './ui.js';
 import {
     getQueueState,
     getQueueStats,
@@ -11,20 +11,58 @@ import {
     addToQueue,
     setOnProgress,
     setQueueDelay,
+    setQueueConcurrency,
+    setQueueRateLimit,
+    setQueueMaxItems,
     QueueStatus,
-    updateQueueItemConfig
+    updateQueueItemConfig,
+    getQueueUsage,
+    retryQueueItemsByClass,
+    getUpstreamItems,
+    QueuePriority,
+    setQueueItemPriority,
+    moveQueueItem,
+    QueueSchedule,
+    listQueues,
+    getActiveQueueId,
+    setActiveQueue,
+    createQueue,
+    renameQueue,
+    deleteQueue,
+    setQueueConfigOverrides,
+    setQueueSchedule
 } from './queue.js';
 import { getCurrentConfig } from './generation.js';
-import { getDirectoryInfo, selectOutputDirectory } from './filesystem.js';
+import {
+    getDirectoryInfo, selectOutputDirectory, selectQueueOutputDirectory, clearQueueOutputDirectory
+} from './filesystem.js';
 import { refImages, compressImage } from './references.js';
 import { getSavedPrompts } from './prompts.js';
-import { MAX_REFS, DEFAULT_QUEUE_DELAY_MS } from './config.js';
-import { loadHistoryEntry, loadRecentHistory, deleteHistoryEntry } from './history.js';
+import { MAX_REFS, DEFAULT_QUEUE_DELAY_MS, DEFAULT_QUEUE_ID, QUEUE_ROW_HEIGHT, QUEUE_ROW_OVERSCAN } from './config.js';
+import { loadHistoryEntry, loadRecentHistory, deleteHistoryEntry, clearGenerationHistory } from './history.js';
+import { hasProvider, getProvider, getActiveProviderId, setActiveProvider } from './providers.js';
+import { renderSessionPending } from './sessions.js';
+import { sumUsage, formatTokens, formatCost } from './usage.js';
+import { ERROR_CLASS_LABELS, getItemErrorClass } from './errors.js';
+import { isTemplate, expandTemplate, getMissingVariables, openTemplateForm, rememberTemplateValues } from './templates.js';
+import { expandWildcards } from './wildcards.js';
+import { getMatrixCombinations, renderMatrixBuilder, formatMatrixAxes, refreshMatrixGrid } from './matrix.js';
+import { isEnhanceEnabled } from './enhance.js';
+import { getPreset, getSelectedPreset, renderPresetOptions, describePreset, serializePresets, importPresets } from './presets.js';
+import { parseAvoidList, mergeAvoidLists, createAvoid, formatAvoidText, AvoidMode } from './avoid.js';
+import { resolveDependencies, getDownstreamIds } from './dependencies.js';
 
 // Prompt boxes state
 let promptBoxes = [];
 let currentBoxForRefs = null;
 let bulkRefMode = false;  // When true, file input adds to selected boxes
+let retryCountdownTimer = null;
+let errorClassFilter = new Set(); // Error classes shown in the queue list (empty = all items)
+let queueListItems = []; // Items the queue list shows; only the rows in view are in the DOM
+let queueListFrame = null; // Pending scroll re-render
+let draggedQueueItemId = null; // Pending item being dragged in the queue list (list re-renders wait for the drop)
+let queueSwitcherHtml = ''; // Last switcher options, so progress updates don't rebuild an open dropdown
+const NEW_QUEUE_OPTION = '__new__'; // Batch setup target that creates a queue
 let lastFocusedBoxId = null;  // Track last-focused box for clipboard paste
 let activeDropTargetId = null;  // Track active drop target for paste/drop
 
@@ -45,6 +83,8 @@ export function initQueueUI() {
     setOnProgress(() => {
         renderQueuePanel();
         updateQueueFab();
+        renderSessionPending();
+        refreshMatrixGrid();
     });
 
     // Initial FAB state
@@ -172,15 +212,23 @@ function generateBoxId() {
 /**
  * Add a new prompt box
  * When called with no explicit variations/refs, uses sticky defaults from last box
+ * @param {Object|null} template - {source, values} when the prompt was filled from a template
+ * Boxes start without a preset of their own (preset: null) and follow the main form's,
+ * with an empty avoid list (the batch's list applies to every box),
+ * and without inputs (ids of boxes whose output this box uses as a reference).
  */
-export function addPromptBox(prompt = '', variations = null, boxRefImages = undefined) {
+export function addPromptBox(prompt = '', variations = null, boxRefImages = undefined, template = null) {
     const box = {
         id: generateBoxId(),
         prompt: prompt,
         name: '',
         variations: variations !== null ? variations : stickyDefaults.variations,
         refImages: boxRefImages !== undefined ? boxRefImages :
-            (stickyDefaults.refImages ? stickyDefaults.refImages.map(r => ({ ...r, id: Date.now() + Math.random() })) : null)
+            (stickyDefaults.refImages ? stickyDefaults.refImages.map(r => ({ ...r, id: Date.now() + Math.random() })) : null),
+        template,
+        preset: null,
+        avoid: '',
+        inputs: []
     };
     promptBoxes.push(box);
     renderPromptBoxes();
@@ -198,6 +246,10 @@ export function addPromptBox(prompt = '', variations = null, boxRefImages = unde
  */
 export function removePromptBox(id) {
     promptBoxes = promptBoxes.filter(box => box.id !== id);
+    // Boxes that used its output lose that input
+    promptBoxes.forEach(box => {
+        if (box.inputs?.includes(id)) box.inputs = box.inputs.filter(inputId => inputId !== id);
+    });
     renderPromptBoxes();
     updateTotalCount();
 }
@@ -214,7 +266,11 @@ export function duplicatePromptBox(id) {
         prompt: source.prompt,
         name: source.name || '',
         variations: source.variations,
-        refImages: source.refImages ? source.refImages.map(r => ({ ...r, id: Date.now() + Math.random() })) : null
+        refImages: source.refImages ? source.refImages.map(r => ({ ...r, id: Date.now() + Math.random() })) : null,
+        template: source.template ? { ...source.template } : null,
+        preset: source.preset || null,
+        avoid: source.avoid || '',
+        inputs: [...(source.inputs || [])]
     };
 
     // Insert after source box
@@ -226,6 +282,69 @@ export function duplicatePromptBox(id) {
     showToast('Prompt duplicated');
 }
 
+/**
+ * Fill a box's {{variables}}; value lists add more boxes right after it
+ */
+export async function fillBoxTemplate(id) {
+    const box = promptBoxes.find(b => b.id === id);
+    if (!box) return;
+
+    // A box filled earlier can be refilled from its source
+    const source = box.template?.source || box.prompt;
+    if (!isTemplate(source)) {
+        showToast('No {{variables}} in this prompt');
+        return;
+    }
+
+    const filled = await openTemplateForm(source, { submitLabel: 'Apply' });
+    if (!filled || !promptBoxes.includes(box)) return;
+
+    const [first, ...rest] = filled;
+    box.prompt = first.prompt;
+    box.template = { source, values: first.values };
+    const added = rest.map(combination => ({
+        id: generateBoxId(),
+        prompt: combination.prompt,
+        name: box.name || '',
+        variations: box.variations,
+        refImages: box.refImages ? box.refImages.map(r => ({ ...r, id: Date.now() + Math.random() })) : null,
+        template: { source, values: combination.values },
+        preset: box.preset || null,
+        avoid: box.avoid || '',
+        inputs: [...(box.inputs || [])]
+    }));
+    promptBoxes.splice(promptBoxes.indexOf(box) + 1, 0, ...added);
+
+    renderPromptBoxes();
+    updateTotalCount();
+    if (added.length > 0) showToast(`Expanded into ${filled.length} prompts`);
+}
+
+/**
+ * Open batch setup with one prompt box per template combination (from the main prompt's fill form)
+ * @param {string} source - Template text
+ * @param {{prompt: string, values: Object}[]} combinations - From expandTemplate / openTemplateForm
+ * @param {number|null} variations - Variations per box (null = sticky default)
+ */
+export function expandTemplateToBoxes(source, combinations, variations = null) {
+    // Drop the blank box a fresh batch setup starts with
+    promptBoxes = promptBoxes.filter(box => box.prompt.trim().length > 0);
+    combinations.forEach(combination => {
+        addPromptBox(combination.prompt, variations, undefined, { source, values: combination.values });
+    });
+    openQueueSetup();
+    showToast(`Added ${combinations.length} prompt boxes`);
+}
+
+/**
+ * Add a prompt box with the given text and open batch setup (the blank starter box is dropped)
+ */
+export function openQueueSetupWithPrompt(prompt) {
+    promptBoxes = promptBoxes.filter(box => box.prompt.trim().length > 0);
+    addPromptBox(prompt);
+    openQueueSetup();
+}
+
 /**
  * Update a prompt box
  */
@@ -630,9 +749,11 @@ export function closeBulkSavedPromptPicker() {
  */
 function updateTotalCount() {
     const promptCount = promptBoxes.filter(b => b.prompt.trim().length > 0).length;
+    // Each prompt runs once per matrix combination
+    const combinations = getMatrixCombinations(getCurrentConfig()).length;
     const totalImages = promptBoxes.reduce((sum, box) => {
         return sum + (box.prompt.trim().length > 0 ? box.variations : 0);
-    }, 0);
+    }, 0) * combinations;
 
     const promptCountEl = $('promptBoxCount');
     const totalImagesEl = $('totalImagesCount');
@@ -679,6 +800,7 @@ function renderPromptBoxes() {
                     </label>
                     <div class="prompt-box-header-actions">
                         <button class="prompt-box-action" onclick="openBoxSavedPromptPicker('${box.id}')" title="Load saved prompt">&#x1F516;</button>
+                        <button class="prompt-box-action ${box.template || isTemplate(box.prompt) ? 'has-template' : ''}" onclick="fillBoxTemplate('${box.id}')" title="Fill template variables">{ }</button>
                         <button class="prompt-box-action" onclick="duplicatePromptBox('${box.id}')" title="Duplicate">⧉</button>
                         <button class="prompt-box-remove" onclick="removePromptBox('${box.id}')" title="Remove">×</button>
                     </div>
@@ -689,6 +811,10 @@ function renderPromptBoxes() {
                         value="${escapeHtml(box.name || '')}"
                         maxlength="50"
                         oninput="updateBoxName('${box.id}', this.value)">
+                    <input type="text" class="prompt-box-avoid" data-box-id="${box.id}"
+                        placeholder="Avoid (added to the batch list)"
+                        spellcheck="false"
+                        oninput="updateBoxAvoid('${box.id}', this.value)">
                     <textarea class="prompt-box-textarea"
                         placeholder="Enter your prompt..."
                         onfocus="setActiveDropTarget('${box.id}')"
@@ -707,6 +833,17 @@ function renderPromptBoxes() {
                             <span class="box-drop-zone-placeholder">Drop, paste, or click to add reference images</span>
                         `}
                     </div>
+                    ${promptBoxes.length > 1 ? `
+                        <div class="prompt-box-inputs">
+                            ${(box.inputs || []).map(inputId => `
+                                <span class="prompt-box-input-chip" title="Uses this prompt's output as a reference">
+                                    &#x2937; ${escapeHtml(getBoxLabel(promptBoxes.find(b => b.id === inputId)))}
+                                    <button onclick="removeBoxInput('${box.id}', '${inputId}')" title="Remove">&times;</button>
+                                </span>
+                            `).join('')}
+                            <select class="prompt-box-input-select" data-box-id="${box.id}" onchange="addBoxInput('${box.id}', this.value)"></select>
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="prompt-box-footer">
                     <div class="prompt-box-variations">
@@ -719,13 +856,41 @@ function renderPromptBoxes() {
                             `).join('')}
                         </div>
                     </div>
-                    ${!hasCustomRefs ? `<span class="prompt-box-refs-info">Using global refs if enabled</span>` : ''}
+                    <select class="prompt-box-preset" data-box-id="${box.id}" onchange="setBoxPreset('${box.id}', this.value)"></select>
+                    ${!hasCustomRefs ? `<span class="prompt-box-refs-info">Using ${box.preset && getPreset(box.preset)?.refImages.length ? 'preset' : 'global'} refs if enabled</span>` : ''}
                 </div>
             </div>
         `;
     }).join('');
 
+    // Set as values rather than markup so quotes survive
+    container.querySelectorAll('.prompt-box-avoid').forEach(input => {
+        input.value = promptBoxes.find(b => b.id === input.dataset.boxId)?.avoid || '';
+    });
+
+    // Options are filled after render so each select can take its box's preset as its value
+    container.querySelectorAll('.prompt-box-preset').forEach(select => {
+        const box = promptBoxes.find(b => b.id === select.dataset.boxId);
+        select.innerHTML = renderPresetOptions('Main preset');
+        select.value = box?.preset && getPreset(box.preset) ? box.preset : '';
+        select.title = select.value ? describePreset(getPreset(select.value)) : 'Uses the preset selected on the main form';
+    });
+
+    // Boxes downstream of this one are left out, so a pick can't close a cycle
+    container.querySelectorAll('.prompt-box-input-select').forEach(select => {
+        const box = promptBoxes.find(b => b.id === select.dataset.boxId);
+        const inputs = box.inputs || [];
+        const downstream = getDownstreamIds(promptBoxes, box.id);
+        const options = promptBoxes.filter(other =>
+            other !== box && !inputs.includes(other.id) && !downstream.has(other.id)
+        );
+        select.innerHTML = `<option value="">+ Use output of…</option>` +
+            options.map(other => `<option value="${other.id}">${escapeHtml(getBoxLabel(other))}</option>`).join('');
+        select.disabled = options.length === 0 || inputs.length >= MAX_REFS;
+    });
+
     renderBulkActionsBar();
+    renderDependencyGraph();
 
     // Setup drag reorder if not already done
     if (needsDragSetup) {
@@ -743,10 +908,112 @@ export function updateBoxPrompt(id, value) {
     const box = promptBoxes.find(b => b.id === id);
     if (box) {
         box.prompt = value;
+        // Hand edits mean the text no longer matches the recorded template fill
+        box.template = null;
         updateTotalCount();
     }
 }
 
+/**
+ * Use another box's output as one of this box's refs
+ */
+export function addBoxInput(id, inputId) {
+    const box = promptBoxes.find(b => b.id === id);
+    if (!box || !inputId || !promptBoxes.some(b => b.id === inputId)) return;
+    if (getDownstreamIds(promptBoxes, id).has(inputId)) {
+        showToast('That prompt already uses this one\'s output');
+        renderPromptBoxes();
+        return;
+    }
+    box.inputs = [...(box.inputs || []).filter(existing => existing !== inputId), inputId];
+    renderPromptBoxes();
+}
+
+/**
+ * Stop using another box's output
+ */
+export function removeBoxInput(id, inputId) {
+    const box = promptBoxes.find(b => b.id === id);
+    if (box) {
+        box.inputs = (box.inputs || []).filter(existing => existing !== inputId);
+        renderPromptBoxes();
+    }
+}
+
+/**
+ * "Prompt 3 · name" (the number follows the box order)
+ */
+function getBoxLabel(box) {
+    if (!box) return 'Removed prompt';
+    const number = `Prompt ${promptBoxes.indexOf(box) + 1}`;
+    return box.name?.trim() ? `${number} · ${box.name.trim()}` : number;
+}
+
+/**
+ * Show which prompts feed which, stage by stage (hidden while no box uses another's output)
+ */
+function renderDependencyGraph() {
+    const graph = $('queueDependencyGraph');
+    if (!graph) return;
+
+    // Only boxes that take part in a dependency
+    const linked = promptBoxes.filter(box =>
+        box.inputs?.length > 0 || promptBoxes.some(other => other.inputs?.includes(box.id))
+    );
+    graph.classList.toggle('hidden', linked.length === 0);
+    if (linked.length === 0) {
+        graph.innerHTML = '';
+        return;
+    }
+
+    const { stages, cycle } = resolveDependencies(linked);
+    if (cycle) {
+        graph.innerHTML = `
+            <div class="dependency-graph-title">Pipeline</div>
+            <div class="dependency-graph-error">Cycle: ${[...cycle, cycle[0]].map(box => escapeHtml(getBoxLabel(box))).join(' → ')}</div>
+        `;
+        return;
+    }
+
+    graph.innerHTML = `
+        <div class="dependency-graph-title">Pipeline</div>
+        ${stages.map((stage, index) => `
+            <div class="dependency-stage">
+                <span class="dependency-stage-label">Stage ${index + 1}</span>
+                <div class="dependency-stage-nodes">
+                    ${stage.map(box => `
+                        <span class="dependency-node">
+                            ${escapeHtml(getBoxLabel(box))}
+                            ${box.inputs?.length ? `<span class="dependency-node-inputs">&larr; ${box.inputs.map(id => escapeHtml(getBoxLabel(promptBoxes.find(b => b.id === id)))).join(', ')}</span>` : ''}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Update box avoid list from input
+ */
+export function updateBoxAvoid(id, value) {
+    const box = promptBoxes.find(b => b.id === id);
+    if (box) {
+        box.avoid = value;
+    }
+}
+
+/**
+ * Set a box's own style preset ('' follows the main form's preset)
+ */
+export function setBoxPreset(id, name) {
+    const box = promptBoxes.find(b => b.id === id);
+    if (box) {
+        box.preset = name || null;
+        renderPromptBoxes();
+    }
+}
+
 /**
  * Update box name from input
  */
@@ -754,6 +1021,7 @@ export function updateBoxName(id, value) {
     const box = promptBoxes.find(b => b.id === id);
     if (box) {
         box.name = value;
+        renderDependencyGraph();
     }
 }
 
@@ -782,11 +1050,42 @@ export function openQueueSetup() {
             useGlobalRefs.checked = hasRefs;
         }
 
+        // Batches go to the queue the panel shows unless another one is picked
+        const targetSelect = $('queueTargetSelect');
+        if (targetSelect) {
+            targetSelect.innerHTML = listQueues()
+                .map(queue => `<option value="${queue.id}">${escapeHtml(queue.name)}</option>`)
+                .join('') + `<option value="${NEW_QUEUE_OPTION}">+ New queue</option>`;
+            targetSelect.value = getActiveQueueId();
+        }
+
+        // Show the current worker settings
+        const state = getQueueState();
+        if ($('queueConcurrencySelect')) $('queueConcurrencySelect').value = String(state.concurrency);
+        if ($('queueRpmInput')) $('queueRpmInput').value = state.maxRequestsPerMinute || '';
+        if ($('queueMaxItemsInput')) $('queueMaxItemsInput').value = state.maxItems;
+        // Per-batch enhancement starts from the main form's toggle
+        if ($('queueEnhanceToggle')) $('queueEnhanceToggle').checked = isEnhanceEnabled();
+        // The batch avoid list starts from the main form's
+        if ($('queueAvoidInput')) $('queueAvoidInput').value = $('avoidList')?.value || '';
+
         updateDirectoryDisplay();
+        renderMatrixBuilder(updateTotalCount);
         updateTotalCount();
     }
 }
 
+/**
+ * Batch setup's target queue changed: show that queue's cap and output folder
+ */
+export function onQueueTargetChange() {
+    const target = $('queueTargetSelect')?.value;
+    if (target && target !== NEW_QUEUE_OPTION && $('queueMaxItemsInput')) {
+        $('queueMaxItemsInput').value = getQueueState(target).maxItems;
+    }
+    updateDirectoryDisplay();
+}
+
 /**
  * Close queue setup modal
  */
@@ -822,25 +1121,72 @@ export function confirmAndStartQueue() {
         return;
     }
 
+    // Unfilled templates use their defaults, so every variable needs one
+    for (const box of validBoxes) {
+        const missing = box.template ? [] : getMissingVariables(box.prompt);
+        if (missing.length > 0) {
+            showToast(`Prompt ${promptBoxes.indexOf(box) + 1}: fill in ${missing.join(', ')}`);
+            return;
+        }
+    }
+
+    // Upstream boxes are queued first so their items exist when downstream items point at them
+    for (const box of validBoxes) {
+        if ((box.inputs || []).some(id => !validBoxes.some(b => b.id === id))) {
+            showToast(`Prompt ${promptBoxes.indexOf(box) + 1} uses the output of an empty prompt`);
+            return;
+        }
+    }
+    const { order, cycle } = resolveDependencies(validBoxes);
+    if (cycle) {
+        showToast(`Prompts use each other's output: ${[...cycle, cycle[0]].map(getBoxLabel).join(' → ')}`);
+        return;
+    }
+
     const delayMs = parseInt(delaySelect?.value) || DEFAULT_QUEUE_DELAY_MS;
     const shouldUseGlobalRefs = useGlobalRefs?.checked && refImages.length > 0;
     const batchName = batchNameInput?.value?.trim() || '';
 
     console.log(`[QueueUI] Starting batch: ${validBoxes.length} prompts, globalRefs: ${shouldUseGlobalRefs}, global ref count: ${refImages.length}, batchName: "${batchName}"`);
 
-    // Get current config from main page
+    // Get current config from main page; a parameter matrix multiplies it into one config per combination
     const config = getCurrentConfig();
+    const combinations = getMatrixCombinations(config);
+    const matrixId = combinations[0].axes ? 'mx_' + Date.now() : null;
+    const enhance = !!$('queueEnhanceToggle')?.checked;
+    const priority = $('queuePrioritySelect')?.value || QueuePriority.NORMAL;
+    // All of this setup's items form one batch, which takes turns with batches already queued
+    const batchId = 'qb_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+    const mainPreset = getSelectedPreset();
+    const batchAvoid = parseAvoidList($('queueAvoidInput')?.value);
+
+    // Target queue ("+ New queue" is named after the batch)
+    let queueId = $('queueTargetSelect')?.value || getActiveQueueId();
+    if (queueId === NEW_QUEUE_OPTION) {
+        queueId = createQueue(batchName);
+    }
+
+    // Set the queue's delay and cap, and the shared worker settings
+    setQueueDelay(delayMs, queueId);
+    setQueueRateLimit($('queueRpmInput')?.value);
+    setQueueMaxItems($('queueMaxItemsInput')?.value, queueId);
+
+    // Add each box to queue; item ids per box and matrix combination, for the boxes that use its output
+    const itemIdsByBox = new Map();
+    for (const box of order) {
+        // A box's own preset replaces the main one; its defaults stand in for the form's
+        // (the main preset's defaults were already loaded into the form when it was picked)
+        const boxPreset = box.preset ? getPreset(box.preset) : null;
+        const preset = boxPreset || mainPreset;
 
-    // Set delay
-    setQueueDelay(delayMs);
-
-    // Add each box to queue
-    for (const box of validBoxes) {
         // Determine which refs to use
         let boxRefs = [];
         if (box.refImages && box.refImages.length > 0) {
             boxRefs = [...box.refImages];
             console.log(`[QueueUI] Box "${box.prompt.slice(0, 20)}..." has ${box.refImages.length} custom refs`);
+        } else if (boxPreset?.refImages.length > 0) {
+            boxRefs = [...boxPreset.refImages];
+            console.log(`[QueueUI] Box "${box.prompt.slice(0, 20)}..." using ${boxPreset.refImages.length} preset refs`);
         } else if (shouldUseGlobalRefs) {
             boxRefs = [...refImages];
             console.log(`[QueueUI] Box "${box.prompt.slice(0, 20)}..." using ${refImages.length} global refs`);
@@ -848,8 +1194,47 @@ export function confirmAndStartQueue() {
             console.log(`[QueueUI] Box "${box.prompt.slice(0, 20)}..." has NO refs`);
         }
 
+        let prompt = box.prompt;
+        let template = box.template;
+        if (!template && isTemplate(prompt)) {
+            const [filled] = expandTemplate(prompt);
+            prompt = filled.prompt;
+            template = { source: box.prompt, values: filled.values };
+        }
+
         // Add to queue with batch name and per-prompt name
-        addToQueue([box.prompt], box.variations, config, boxRefs, batchName, [box.name || '']);
+        const promptIndex = validBoxes.indexOf(box);
+        const itemIds = [];
+        itemIdsByBox.set(box.id, itemIds);
+        for (const [combinationIndex, combination] of combinations.entries()) {
+            // Each combination uses the upstream items generated with the same combination
+            const dependsOn = (box.inputs || []).map(id => itemIdsByBox.get(id)[combinationIndex] || []);
+            if (dependsOn.some(ids => ids.length === 0)) {
+                // The upstream items didn't fit in the queue
+                itemIds.push([]);
+                continue;
+            }
+
+            // Swept values win over the preset's defaults
+            const boxConfig = { ...combination.config };
+            ['ratio', 'resolution'].forEach(key => {
+                if (boxPreset && boxPreset[key] !== null && !(combination.axes && key in combination.axes)) {
+                    boxConfig[key] = boxPreset[key];
+                }
+            });
+            const items = addToQueue([prompt], box.variations, boxConfig, boxRefs, batchName, [box.name || ''], {
+                template,
+                matrix: matrixId ? { id: matrixId, axes: combination.axes, promptIndex } : null,
+                enhance,
+                preset,
+                avoid: createAvoid(mergeAvoidLists(batchAvoid, parseAvoidList(box.avoid))),
+                dependsOn,
+                priority,
+                batchId,
+                queueId
+            });
+            itemIds.push(items.map(item => item.id));
+        }
     }
 
     // Close modal
@@ -858,11 +1243,15 @@ export function confirmAndStartQueue() {
     // Clear prompt boxes for next time
     promptBoxes = [];
 
-    // Open queue panel
+    // Open queue panel on the batch's queue
+    setActiveQueue(queueId);
     toggleQueuePanel(true);
 
+    // Applied after items are added so extra workers of a running queue find them
+    setQueueConcurrency($('queueConcurrencySelect')?.value);
+
     // Auto-start
-    import('./queue.js').then(m => m.startQueue());
+    import('./queue.js').then(m => m.startQueue(queueId));
 }
 
 /**
@@ -900,6 +1289,8 @@ export function renderQueuePanel() {
     const stats = getQueueStats();
     const eta = getQueueETA();
 
+    renderQueueSwitcher();
+
     // Update progress bar
     const progressBar = $('queueProgressBar');
     if (progressBar) {
@@ -924,16 +1315,26 @@ export function renderQueuePanel() {
         }
     }
 
+    // Update token usage / cost totals
+    renderQueueUsage();
+
     // Update status
     const statusEl = $('queueStatus');
     if (statusEl) {
-        const currentItem = state.items.find(i => i.status === QueueStatus.GENERATING);
+        const generatingItems = state.items.filter(i => i.status === QueueStatus.GENERATING);
+        const currentItem = generatingItems[0];
 
         if (state.isRunning && !state.isPaused && currentItem) {
             const promptSnippet = currentItem.prompt.slice(0, 30);
-            statusEl.textContent = `Generating: "${promptSnippet}..." (${currentItem.variationIndex + 1}/${currentItem.totalVariations})`;
+            let text = generatingItems.length > 1
+                ? `Generating ${generatingItems.length} in parallel: "${promptSnippet}..." +${generatingItems.length - 1} more`
+                : `Generating: "${promptSnippet}..." (${currentItem.variationIndex + 1}/${currentItem.totalVariations})`;
+            if (state.activeConcurrency < state.concurrency) {
+                text += ` • limited to ${state.activeConcurrency}/${state.concurrency} by rate limits`;
+            }
+            statusEl.textContent = text;
         } else if (state.isPaused) {
-            statusEl.textContent = 'Paused';
+            statusEl.textContent = state.pauseReason ? `Paused: ${state.pauseReason}` : 'Paused';
         } else if (stats.pending > 0) {
             statusEl.textContent = `${stats.pending} items pending`;
         } else if (stats.total > 0) {
@@ -941,6 +1342,7 @@ export function renderQueuePanel() {
         } else {
             statusEl.textContent = 'Queue empty';
         }
+        statusEl.classList.toggle('warning', !!(state.isPaused && state.pauseReason));
     }
 
     // Update control buttons
@@ -954,36 +1356,438 @@ export function renderQueuePanel() {
     if (resumeBtn) resumeBtn.classList.toggle('hidden', !state.isPaused);
     if (cancelBtn) cancelBtn.disabled = !state.isRunning && stats.total === 0;
 
-    // Show "Edit Settings" button only when paused with pending items
+    // Show "Edit Settings" button only when the queue isn't generating and has pending items
+    const isGenerating = state.isRunning && !state.isPaused;
     const editSettingsBtn = $('queueEditSettingsBtn');
     if (editSettingsBtn) {
-        editSettingsBtn.classList.toggle('hidden', !(state.isPaused && stats.pending > 0));
+        editSettingsBtn.classList.toggle('hidden', isGenerating || stats.pending === 0);
     }
 
-    // Hide settings panel if queue is no longer paused
-    if (!state.isPaused) {
+    // Grid viewer for parameter sweeps
+    const gridBtn = $('queueGridBtn');
+    if (gridBtn) {
+        gridBtn.classList.toggle('hidden', !state.items.some(item => item.matrix));
+    }
+
+    // Hide settings panel once the queue generates again
+    if (isGenerating) {
         const settingsPanel = $('queueSettingsOverride');
         if (settingsPanel) settingsPanel.classList.add('hidden');
     }
 
-    // Render item list
-    renderQueueItemList(state.items);
+    // Render error class filter and item list
+    renderQueueErrorFilter(state.items);
+    renderQueueItemList(errorClassFilter.size > 0
+        ? state.items.filter(item => isRetryableStatus(item.status) && errorClassFilter.has(getItemErrorClass(item)))
+        : state.items);
+}
+
+// ============================================
+// Named queues
+// ============================================
+
+/**
+ * Fill the queue switcher (one option per queue, with its progress and run state)
+ */
+function renderQueueSwitcher() {
+    const select = $('queueSwitcher');
+    if (!select) return;
+
+    const html = listQueues().map(queue => {
+        const { completed, total } = queue.stats;
+        const progress = total > 0 ? ` (${completed}/${total})` : '';
+        const runState = queue.isPaused ? ' ⏸' : queue.isRunning ? ' ▶' : '';
+        return `<option value="${queue.id}">${escapeHtml(queue.name)}${progress}${runState}</option>`;
+    }).join('');
+    if (html !== queueSwitcherHtml) {
+        queueSwitcherHtml = html;
+        select.innerHTML = html;
+    }
+    select.value = getActiveQueueId();
+}
+
+/**
+ * Show another queue in the panel
+ */
+export function switchQueue(queueId) {
+    errorClassFilter.clear();
+    $('queueSettingsOverride')?.classList.add('hidden');
+    const list = $('queueItemList');
+    if (list) list.scrollTop = 0;
+    setActiveQueue(queueId);
+    if (!$('queueOptionsPanel')?.classList.contains('hidden')) renderQueueOptions();
+}
+
+/**
+ * Create a queue, switch to it and open its options to name it
+ */
+export function addQueue() {
+    switchQueue(createQueue());
+    toggleQueueOptions(true);
+    const nameInput = $('queueNameInput');
+    if (nameInput) {
+        nameInput.focus();
+        nameInput.select();
+    }
+}
+
+/**
+ * Toggle the options of the panel's queue
+ */
+export function toggleQueueOptions(forceOpen = null) {
+    const panel = $('queueOptionsPanel');
+    if (!panel) return;
+
+    const open = forceOpen !== null ? forceOpen : panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !open);
+    if (open) renderQueueOptions();
+}
+
+/**
+ * Short description of a queue's settings override
+ */
+function describeConfigOverrides(overrides) {
+    const parts = [];
+    if ('ratio' in overrides) parts.push(overrides.ratio || 'Auto ratio');
+    if ('resolution' in overrides) parts.push(overrides.resolution);
+    if ('thinkingBudget' in overrides) {
+        const budget = overrides.thinkingBudget;
+        parts.push(budget === -1 ? 'auto thinking' : budget === 0 ? 'no thinking' : `${budget} thinking tokens`);
+    }
+    if ('searchEnabled' in overrides) parts.push(overrides.searchEnabled ? 'search on' : 'search off');
+    if (overrides.safetySettings?.length) parts.push('safety overrides');
+    return parts.join(' · ');
+}
+
+/**
+ * Render name, delay, output folder, settings override and scheduling of the panel's queue
+ */
+function renderQueueOptions() {
+    const panel = $('queueOptionsPanel');
+    if (!panel) return;
+
+    const state = getQueueState();
+    const mainDir = getDirectoryInfo();
+    const queueDir = getDirectoryInfo(state.id);
+    const delays = [2000, 3000, 5000, 10000];
+    if (!delays.includes(state.delayBetweenMs)) {
+        delays.push(state.delayBetweenMs);
+        delays.sort((a, b) => a - b);
+    }
+
+    panel.innerHTML = `
+        <div class="queue-settings-grid">
+            <div class="queue-settings-row">
+                <label>Name</label>
+                <input type="text" id="queueNameInput" maxlength="40" onchange="renameActiveQueue(this.value)">
+            </div>
+            <div class="queue-settings-row">
+                <label>Delay</label>
+                <select id="queueOptionsDelay" onchange="setActiveQueueDelay(this.value)">
+                    ${delays.map(ms => `<option value="${ms}">${ms / 1000} seconds</option>`).join('')}
+                </select>
+            </div>
+        </div>
+        <div class="queue-options-line">
+            <label>Output</label>
+            <span class="dir-name ${queueDir.isSet ? 'selected' : ''}">${queueDir.isQueueFolder
+                ? escapeHtml(queueDir.name)
+                : `Main folder (${mainDir.isSet ? escapeHtml(mainDir.name) : 'not set'})`}</span>
+            <button class="btn-secondary btn-sm" onclick="selectActiveQueueOutputDir()">${queueDir.isQueueFolder ? 'Change' : 'Own folder'}</button>
+            ${queueDir.isQueueFolder ? '<button class="btn-secondary btn-sm" onclick="useMainOutputDir()">Use main</button>' : ''}
+        </div>
+        <div class="queue-options-line">
+            <label>Settings</label>
+            <span class="queue-options-value">${state.configOverrides
+                ? escapeHtml(describeConfigOverrides(state.configOverrides))
+                : 'Each item\'s own (set with ⚙ Edit Settings)'}</span>
+            ${state.configOverrides ? '<button class="btn-secondary btn-sm" onclick="clearActiveQueueOverrides()">Clear</button>' : ''}
+        </div>
+        <div class="queue-settings-row">
+            <label>When several queues run</label>
+            <select id="queueScheduleSelect" onchange="setQueueSchedule(this.value)">
+                <option value="${QueueSchedule.ROUND_ROBIN}">Take turns</option>
+                <option value="${QueueSchedule.IN_ORDER}">One at a time, in list order</option>
+            </select>
+        </div>
+        ${state.id !== DEFAULT_QUEUE_ID
+            ? '<button class="btn-cancel" onclick="deleteActiveQueue()" style="width:100%;margin-top:8px;">Delete Queue</button>'
+            : ''}
+    `;
+
+    // Set after render: escapeHtml leaves quotes alone
+    $('queueNameInput').value = state.name;
+    $('queueOptionsDelay').value = String(state.delayBetweenMs);
+    $('queueScheduleSelect').value = state.scheduleMode;
+}
+
+function renameActiveQueue(name) {
+    renameQueue(getActiveQueueId(), name);
+}
+
+function setActiveQueueDelay(ms) {
+    setQueueDelay(parseInt(ms) || DEFAULT_QUEUE_DELAY_MS);
+}
+
+async function selectActiveQueueOutputDir() {
+    if (await selectQueueOutputDirectory(getActiveQueueId())) {
+        renderQueueOptions();
+    }
+}
+
+async function useMainOutputDir() {
+    await clearQueueOutputDirectory(getActiveQueueId());
+    renderQueueOptions();
+    showToast('Queue saves to the main folder');
+}
+
+function clearActiveQueueOverrides() {
+    setQueueConfigOverrides(null);
+    renderQueueOptions();
+}
+
+async function deleteActiveQueue() {
+    if (await deleteQueue(getActiveQueueId())) {
+        errorClassFilter.clear();
+        toggleQueueOptions(false);
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === QueueStatus.FAILED || status === QueueStatus.CANCELLED;
+}
+
+/**
+ * Render failure counts per error class; selecting classes filters the list and enables bulk retry
+ */
+function renderQueueErrorFilter(items) {
+    const filterEl = $('queueErrorFilter');
+    if (!filterEl) return;
+
+    const counts = new Map();
+    items.filter(item => isRetryableStatus(item.status)).forEach(item => {
+        const errorClass = getItemErrorClass(item);
+        counts.set(errorClass, (counts.get(errorClass) || 0) + 1);
+    });
+
+    // Drop selections whose items are gone (retried, removed or cleared)
+    errorClassFilter.forEach(errorClass => {
+        if (!counts.has(errorClass)) errorClassFilter.delete(errorClass);
+    });
+
+    if (counts.size === 0) {
+        filterEl.classList.add('hidden');
+        filterEl.innerHTML = '';
+        return;
+    }
+
+    const selectedCount = [...errorClassFilter].reduce((sum, errorClass) => sum + counts.get(errorClass), 0);
+    filterEl.innerHTML = `
+        ${[...counts.entries()].map(([errorClass, count]) => `
+            <button class="queue-error-chip${errorClassFilter.has(errorClass) ? ' active' : ''}"
+                onclick="toggleQueueErrorFilter('${errorClass}')">${ERROR_CLASS_LABELS[errorClass] || errorClass} (${count})</button>
+        `).join('')}
+        ${selectedCount > 0 ? `
+            <button class="btn-secondary btn-sm" onclick="retryFilteredQueueItems()">Retry ${selectedCount}</button>
+        ` : ''}
+    `;
+    filterEl.classList.remove('hidden');
+}
+
+/**
+ * Toggle an error class in the queue list filter
+ */
+function toggleQueueErrorFilter(errorClass) {
+    if (errorClassFilter.has(errorClass)) {
+        errorClassFilter.delete(errorClass);
+    } else {
+        errorClassFilter.add(errorClass);
+    }
+    renderQueuePanel();
+}
+
+/**
+ * Retry all failed/cancelled items in the selected error classes
+ */
+async function retryFilteredQueueItems() {
+    if (errorClassFilter.size === 0) return;
+    const classes = [...errorClassFilter];
+    errorClassFilter.clear();
+    await retryQueueItemsByClass(classes);
+}
+
+/**
+ * Render token usage and estimated cost for completed items (per batch when mixed)
+ */
+function renderQueueUsage() {
+    const usageEl = $('queueUsage');
+    if (!usageEl) return;
+
+    const { total, byBatch } = getQueueUsage();
+    if (total.count === 0) {
+        usageEl.classList.add('hidden');
+        return;
+    }
+
+    const formatTotals = totals => {
+        let text = `${formatTokens(totals.totalTokens)} tokens`;
+        if (totals.count > totals.unpriced) text += ` • ~${formatCost(totals.cost)}`;
+        return text;
+    };
+
+    let html = `<div class="queue-usage-total">${formatTotals(total)}${total.unpriced > 0 ? ` <span class="queue-usage-note">(${total.unpriced} unpriced)</span>` : ''}</div>`;
+    if (byBatch.length > 1) {
+        html += byBatch.map(batch => `
+            <div class="queue-usage-batch">
+                <span>${escapeHtml(batch.batchName || 'Unnamed')} (${batch.count})</span>
+                <span>${formatTotals(batch)}</span>
+            </div>
+        `).join('');
+    }
+
+    usageEl.innerHTML = html;
+    usageEl.classList.remove('hidden');
 }
 
 /**
  * Render queue item list
+ * Rows have a fixed height, so only those in view (plus overscan) are built; spacers keep the scroll height
  */
 function renderQueueItemList(items) {
     const list = $('queueItemList');
     if (!list) return;
+    queueListItems = items;
 
     if (items.length === 0) {
         list.innerHTML = '<div class="queue-empty">No items in queue</div>';
         return;
     }
 
-    list.innerHTML = items.map(item => `
-        <div class="queue-item queue-item-${item.status}" data-id="${item.id}">
+    if (!list.dataset.virtualized) {
+        list.dataset.virtualized = 'true';
+        list.addEventListener('scroll', () => {
+            if (queueListFrame) return;
+            queueListFrame = requestAnimationFrame(() => {
+                queueListFrame = null;
+                renderQueueItemWindow(list);
+            });
+        });
+        setupQueueListDrag(list);
+    }
+    // Rebuilding rows mid-drag would drop the dragged row; the drop re-renders
+    if (draggedQueueItemId) return;
+    renderQueueItemWindow(list);
+
+    if (items.some(item => item.retryAt > Date.now())) {
+        startRetryCountdownTicker();
+    }
+}
+
+/**
+ * Build the rows currently scrolled into view
+ */
+function renderQueueItemWindow(list) {
+    const items = queueListItems;
+    if (items.length === 0) return;
+
+    // Hidden panels report no height; a screenful is built until the list is shown
+    const viewHeight = list.clientHeight || QUEUE_ROW_HEIGHT * 20;
+    const first = Math.max(0, Math.floor(list.scrollTop / QUEUE_ROW_HEIGHT) - QUEUE_ROW_OVERSCAN);
+    const last = Math.min(items.length, Math.ceil((list.scrollTop + viewHeight) / QUEUE_ROW_HEIGHT) + QUEUE_ROW_OVERSCAN);
+
+    list.innerHTML = `
+        <div class="queue-item-spacer" style="height:${first * QUEUE_ROW_HEIGHT}px"></div>
+        ${items.slice(first, last).map(renderQueueItemRow).join('')}
+        <div class="queue-item-spacer" style="height:${(items.length - last) * QUEUE_ROW_HEIGHT}px"></div>
+    `;
+}
+
+/**
+ * Drag pending rows to reorder the queue (rows in view are replaced on scroll, so listeners live on the list)
+ */
+function setupQueueListDrag(list) {
+    const clearIndicators = () => {
+        list.querySelectorAll('.queue-item').forEach(row => {
+            row.classList.remove('drag-over-top', 'drag-over-bottom');
+        });
+    };
+    const isBelowMiddle = (row, e) => {
+        const rect = row.getBoundingClientRect();
+        return e.clientY >= rect.top + rect.height / 2;
+    };
+    const endDrag = () => {
+        draggedQueueItemId = null;
+        renderQueueItemWindow(list);
+    };
+
+    list.addEventListener('dragstart', e => {
+        const row = e.target.closest('.queue-item[draggable="true"]');
+        if (!row) return;
+        draggedQueueItemId = row.dataset.id;
+        row.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedQueueItemId);
+    });
+
+    list.addEventListener('dragover', e => {
+        const row = e.target.closest('.queue-item[draggable="true"]');
+        if (!draggedQueueItemId || !row || row.dataset.id === draggedQueueItemId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        clearIndicators();
+        row.classList.add(isBelowMiddle(row, e) ? 'drag-over-bottom' : 'drag-over-top');
+    });
+
+    list.addEventListener('dragleave', e => {
+        const row = e.target.closest('.queue-item');
+        if (row) row.classList.remove('drag-over-top', 'drag-over-bottom');
+    });
+
+    list.addEventListener('drop', e => {
+        e.preventDefault();
+        const row = e.target.closest('.queue-item[draggable="true"]');
+        const id = draggedQueueItemId;
+        draggedQueueItemId = null;
+        if (row && id && row.dataset.id !== id) {
+            moveQueueItem(id, row.dataset.id, isBelowMiddle(row, e));
+        }
+        renderQueuePanel();
+    });
+
+    list.addEventListener('dragend', () => {
+        if (draggedQueueItemId) endDrag();
+    });
+}
+
+const PRIORITY_LABELS = {
+    [QueuePriority.HIGH]: 'High',
+    [QueuePriority.NORMAL]: 'Normal',
+    [QueuePriority.LOW]: 'Low'
+};
+const PRIORITY_ICONS = {
+    [QueuePriority.HIGH]: '&#x25B2;',
+    [QueuePriority.NORMAL]: '&#x25CF;',
+    [QueuePriority.LOW]: '&#x25BC;'
+};
+
+/**
+ * Step a pending item's priority: normal → high → low → normal
+ */
+export function cycleQueueItemPriority(id) {
+    const item = getQueueState().items.find(i => i.id === id);
+    if (!item) return;
+    const order = [QueuePriority.NORMAL, QueuePriority.HIGH, QueuePriority.LOW];
+    const current = order.indexOf(item.priority || QueuePriority.NORMAL);
+    setQueueItemPriority(id, order[(current + 1) % order.length]);
+}
+
+function renderQueueItemRow(item) {
+    const upstream = getUpstreamItems(item);
+    const isWaiting = item.status === QueueStatus.PENDING && upstream.some(u => u.status !== QueueStatus.COMPLETED);
+    const priority = item.priority || QueuePriority.NORMAL;
+    const isPending = item.status === QueueStatus.PENDING;
+    return `
+        <div class="queue-item queue-item-${item.status}" data-id="${item.id}"${isPending ? ' draggable="true"' : ''}>
             <div class="queue-item-status">
                 ${getStatusIcon(item.status)}
             </div>
@@ -991,11 +1795,22 @@ function renderQueueItemList(items) {
                 <div class="queue-item-prompt">${escapeHtml(item.prompt.slice(0, 40))}${item.prompt.length > 40 ? '...' : ''}</div>
                 <div class="queue-item-meta">
                     v${item.variationIndex + 1}/${item.totalVariations}
+                    ${isPending && item.pinned ? `<span class="queue-pinned">· next</span>` : ''}
+                    ${priority !== QueuePriority.NORMAL ? `<span class="queue-priority queue-priority-${priority}">· ${PRIORITY_LABELS[priority].toLowerCase()}</span>` : ''}
+                    ${item.matrix ? `<span class="queue-matrix-axes">· ${escapeHtml(formatMatrixAxes(item.matrix.axes))}</span>` : ''}
+                    ${upstream.length > 0 ? `<span class="queue-dependency" title="Uses the output of: ${escapeHtml(upstream.map(u => u.name || u.prompt.slice(0, 40)).join(', '))}">· ${isWaiting ? 'waiting for' : '&#x2937;'} ${escapeHtml(upstream[0].name || upstream[0].prompt.slice(0, 20))}${upstream.length > 1 ? ` +${upstream.length - 1}` : ''}</span>` : ''}
+                    ${item.enhance ? `<span class="queue-enhance" title="${escapeHtml(item.enhance.original)}">· ${item.enhance.model ? 'enhanced' : item.status === 'generating' ? 'enhancing…' : 'enhance'}</span>` : ''}
+                    ${item.keyAlias ? `<span class="queue-key-alias">· ${escapeHtml(item.keyAlias)}</span>` : ''}
+                    ${item.retryAt > Date.now() ? `<span class="queue-retry-countdown" data-retry-at="${item.retryAt}" data-status="${item.status}">${formatRetryCountdown(item.retryAt, item.status)}</span>` : ''}
+                    ${item.error && isRetryableStatus(item.status) ? `<span class="queue-error-class">${ERROR_CLASS_LABELS[getItemErrorClass(item)]}</span>` : ''}
                     ${item.error ? `<span class="queue-error-text">${escapeHtml(item.error)}</span>` : ''}
                 </div>
             </div>
             <div class="queue-item-actions">
                 ${item.status === 'pending' ? `
+                    <button class="queue-item-btn priority-btn priority-${priority}" onclick="cycleQueueItemPriority('${item.id}')" title="Priority: ${PRIORITY_LABELS[priority]} (click to change)">${PRIORITY_ICONS[priority]}</button>
+                    <button class="queue-item-btn" onclick="runQueueItemNext('${item.id}')" title="Run next">&#x2912;</button>
+                    <button class="queue-item-btn" onclick="moveQueueItemToEnd('${item.id}')" title="Move to end">&#x2913;</button>
                     <button class="queue-item-btn skip-btn" onclick="skipQueueItem('${item.id}')" title="Skip this item">Skip</button>
                     <button class="queue-item-remove" onclick="removeQueueItem('${item.id}')" title="Remove from queue">×</button>
                 ` : ''}
@@ -1007,7 +1822,36 @@ function renderQueueItemList(items) {
                 ` : ''}
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+function formatRetryCountdown(retryAt, status) {
+    const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    return status === QueueStatus.GENERATING ? `retrying in ${seconds}s` : `retry in ${seconds}s`;
+}
+
+/**
+ * Tick retry countdowns once a second until none are left
+ */
+function startRetryCountdownTicker() {
+    if (retryCountdownTimer) return;
+    retryCountdownTimer = setInterval(() => {
+        const els = document.querySelectorAll('#queueItemList .queue-retry-countdown');
+        let active = 0;
+        els.forEach(el => {
+            const retryAt = parseInt(el.dataset.retryAt);
+            if (retryAt > Date.now()) {
+                el.textContent = formatRetryCountdown(retryAt, el.dataset.status);
+                active++;
+            } else {
+                el.remove();
+            }
+        });
+        if (active === 0) {
+            clearInterval(retryCountdownTimer);
+            retryCountdownTimer = null;
+        }
+    }, 1000);
 }
 
 /**
@@ -1053,11 +1897,15 @@ export function updateDirectoryDisplay() {
         selectBtn.textContent = dirInfo.isSet ? 'Change' : 'Select Folder';
     }
 
-    // Update modal folder display
+    // Update modal folder display (the target queue's own folder when it has one)
     const modalDirName = $('queueDirName');
     if (modalDirName) {
-        modalDirName.textContent = dirInfo.isSet ? dirInfo.name : 'Not set';
-        modalDirName.classList.toggle('selected', dirInfo.isSet);
+        const target = $('queueTargetSelect')?.value;
+        const targetInfo = target && target !== NEW_QUEUE_OPTION ? getDirectoryInfo(target) : dirInfo;
+        modalDirName.textContent = targetInfo.isQueueFolder
+            ? `${targetInfo.name} (queue folder)`
+            : targetInfo.isSet ? targetInfo.name : 'Not set';
+        modalDirName.classList.toggle('selected', targetInfo.isSet);
     }
 }
 
@@ -1233,11 +2081,18 @@ async function processBatchJson(jsonFile, dirHandle) {
         return;
     }
 
+    // Presets the batch refers to; ones that exist here keep their local definition
+    const addedPresets = await importPresets(batch.presets).catch(e => {
+        console.error('[QueueUI] Failed to import presets:', e);
+        return 0;
+    });
+
     // Clear existing prompt boxes
     promptBoxes = [];
+    const boxByPromptIndex = new Map(); // Position in batch.prompts -> box (for inputs)
 
     // Process each prompt
-    for (const item of batch.prompts) {
+    for (const [promptIndex, item] of batch.prompts.entries()) {
         if (!item.prompt) continue;
 
         const box = {
@@ -1245,8 +2100,13 @@ async function processBatchJson(jsonFile, dirHandle) {
             prompt: item.prompt,
             name: item.name || '',
             variations: item.variations || 1,
-            refImages: null
+            refImages: null,
+            template: item.template?.source ? { source: item.template.source, values: item.template.values || {} } : null,
+            preset: typeof item.preset === 'string' && item.preset ? item.preset : null,
+            avoid: Array.isArray(item.avoid) ? item.avoid.join(', ') : (item.avoid || ''),
+            inputs: []
         };
+        boxByPromptIndex.set(promptIndex, box);
 
         // Load refs if specified AND we have a directory handle
         if (item.refs && Array.isArray(item.refs) && item.refs.length > 0 && dirHandle) {
@@ -1278,17 +2138,57 @@ async function processBatchJson(jsonFile, dirHandle) {
         promptBoxes.push(box);
     }
 
+    // Inputs name other prompts by their name or their number in the file (1 = first prompt)
+    const unresolvedInputs = [];
+    batch.prompts.forEach((item, promptIndex) => {
+        const box = boxByPromptIndex.get(promptIndex);
+        if (!box || item.inputs === undefined) return;
+
+        (Array.isArray(item.inputs) ? item.inputs : [item.inputs]).forEach(input => {
+            const upstream = typeof input === 'number'
+                ? boxByPromptIndex.get(input - 1)
+                : promptBoxes.find(b => b.name && b.name.toLowerCase() === String(input).trim().toLowerCase());
+            if (upstream && upstream !== box && !box.inputs.includes(upstream.id)) {
+                box.inputs.push(upstream.id);
+            } else if (!upstream) {
+                unresolvedInputs.push(input);
+            }
+        });
+    });
+    if (unresolvedInputs.length > 0) {
+        console.warn('[QueueUI] Unknown batch inputs:', unresolvedInputs);
+    }
+
     // Set delay if specified
     if (batch.delay && $('queueDelaySelect')) {
         $('queueDelaySelect').value = batch.delay.toString();
     }
 
+    // Set worker settings if specified
+    if (batch.concurrency && $('queueConcurrencySelect')) {
+        $('queueConcurrencySelect').value = batch.concurrency.toString();
+    }
+    if (batch.maxRequestsPerMinute !== undefined && $('queueRpmInput')) {
+        $('queueRpmInput').value = batch.maxRequestsPerMinute || '';
+    }
+    if (batch.enhance !== undefined && $('queueEnhanceToggle')) {
+        $('queueEnhanceToggle').checked = !!batch.enhance;
+    }
+    if (batch.priority && $('queuePrioritySelect') && Object.values(QueuePriority).includes(batch.priority)) {
+        $('queuePrioritySelect').value = batch.priority;
+    }
+    if (batch.avoid !== undefined && $('queueAvoidInput')) {
+        $('queueAvoidInput').value = Array.isArray(batch.avoid) ? batch.avoid.join(', ') : (batch.avoid || '');
+    }
+
     renderPromptBoxes();
     updateTotalCount();
 
     const totalImages = promptBoxes.reduce((sum, b) => sum + b.variations, 0);
     const refsNote = dirHandle ? '' : ' (refs ignored - use Import Folder for refs)';
-    showToast(`Imported ${promptBoxes.length} prompts (${totalImages} images)${refsNote}`);
+    const presetsNote = addedPresets > 0 ? `, ${addedPresets} new preset${addedPresets > 1 ? 's' : ''}` : '';
+    const inputsNote = unresolvedInputs.length > 0 ? `, unknown inputs: ${unresolvedInputs.join(', ')}` : '';
+    showToast(`Imported ${promptBoxes.length} prompts (${totalImages} images)${presetsNote}${inputsNote}${refsNote}`);
 }
 
 /**
@@ -1300,8 +2200,25 @@ export async function exportBatchJson() {
         return;
     }
 
+    // Boxes following the main form get its preset written out, so the file runs the same anywhere
+    const mainPresetName = getSelectedPreset()?.name || null;
+    const boxPresetName = box => (box.preset && getPreset(box.preset) ? box.preset : mainPresetName);
+
+    // Inputs are written as the upstream prompt's name when no other prompt shares it, else its number
+    const inputRef = id => {
+        const upstream = promptBoxes.find(b => b.id === id);
+        const name = upstream.name?.trim();
+        const isUnique = name && promptBoxes.filter(b => b.name?.trim().toLowerCase() === name.toLowerCase()).length === 1;
+        return isUnique ? name : promptBoxes.indexOf(upstream) + 1;
+    };
+
     const batch = {
         delay: parseInt($('queueDelaySelect')?.value) || DEFAULT_QUEUE_DELAY_MS,
+        concurrency: parseInt($('queueConcurrencySelect')?.value) || 1,
+        maxRequestsPerMinute: parseInt($('queueRpmInput')?.value) || 0,
+        enhance: !!$('queueEnhanceToggle')?.checked,
+        priority: $('queuePrioritySelect')?.value || QueuePriority.NORMAL,
+        avoid: parseAvoidList($('queueAvoidInput')?.value).join(', '),
         prompts: promptBoxes.map(box => {
             const item = {
                 prompt: box.prompt,
@@ -1310,6 +2227,18 @@ export async function exportBatchJson() {
             if (box.name && box.name.trim()) {
                 item.name = box.name.trim();
             }
+            if (box.template) {
+                item.template = box.template;
+            }
+            if (boxPresetName(box)) {
+                item.preset = boxPresetName(box);
+            }
+            if (parseAvoidList(box.avoid).length > 0) {
+                item.avoid = parseAvoidList(box.avoid).join(', ');
+            }
+            if (box.inputs?.length > 0) {
+                item.inputs = box.inputs.map(inputRef);
+            }
             // Note: We don't export ref image data, just indicate if custom refs were set
             if (box.refImages && box.refImages.length > 0) {
                 item.refs = box.refImages.map((_, i) => `refs/prompt_${box.id}_ref_${i}.png`);
@@ -1317,6 +2246,10 @@ export async function exportBatchJson() {
             return item;
         })
     };
+    const presets = serializePresets(promptBoxes.map(boxPresetName).filter(Boolean));
+    if (presets.length > 0) {
+        batch.presets = presets;
+    }
 
     const jsonStr = JSON.stringify(batch, null, 2);
     const blob = new Blob([jsonStr], { type: 'application/json' });
@@ -1362,10 +2295,24 @@ export function exportQueueResults() {
                     thinkingBudget: item.config?.thinkingBudget
                 },
                 generationTimeMs: item.completedAt - item.startedAt,
-                completedAt: new Date(item.completedAt).toISOString()
+                completedAt: new Date(item.completedAt).toISOString(),
+                usage: item.usage || null,
+                estimatedCostUsd: item.cost ?? null,
+                keyAlias: item.keyAlias || null
             }))
         };
 
+        const totals = sumUsage(completedItems);
+        if (totals.count > 0) {
+            successReport.usage = {
+                totalTokens: totals.totalTokens,
+                promptTokens: totals.promptTokens,
+                outputTokens: totals.outputTokens,
+                estimatedCostUsd: totals.cost,
+                unpricedItems: totals.unpriced
+            };
+        }
+
         downloadJson(successReport, `batch_success_${timestamp}.json`);
     }
 
@@ -1378,6 +2325,9 @@ export function exportQueueResults() {
             items: failedItems.map(item => ({
                 prompt: item.prompt,
                 error: item.error,
+                errorClass: getItemErrorClass(item),
+                errorInfo: item.errorInfo || null,
+                keyAlias: item.keyAlias || null,
                 model: item.config?.model,
                 config: {
                     ratio: item.config?.ratio,
@@ -1429,15 +2379,6 @@ function fileToDataUrl(file) {
     });
 }
 
-/**
- * Escape HTML for safe rendering
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 /**
  * Download a sample batch.json template
  */
@@ -1446,6 +2387,7 @@ export function downloadBatchTemplate() {
         _comment: 'Batch import template for NBPI',
         _instructions: 'Place this file in a folder with a refs/ subfolder containing your reference images',
         delay: 3000,
+        avoid: 'text, watermark',
         prompts: [
             {
                 prompt: 'Your first prompt goes here...',
@@ -1456,6 +2398,11 @@ export function downloadBatchTemplate() {
             {
                 prompt: 'Second prompt (no custom refs - uses global)',
                 variations: 1
+            },
+            {
+                prompt: 'Third prompt - gets the elf-archer output as a reference',
+                variations: 2,
+                inputs: ['elf-archer']
             }
         ]
     };
@@ -1475,9 +2422,7 @@ export function downloadBatchTemplate() {
  * Smart batch button handler - opens progress panel if queue active, setup modal if idle
  */
 export function handleBatchButtonClick() {
-    const state = getQueueState();
-    const hasItems = state.items && state.items.length > 0;
-    const isActive = state.isRunning || hasItems;
+    const isActive = listQueues().some(queue => queue.isRunning || queue.stats.total > 0);
 
     if (isActive) {
         toggleQueuePanel(true);
@@ -1487,7 +2432,7 @@ export function handleBatchButtonClick() {
 }
 
 /**
- * Update the floating queue indicator (FAB)
+ * Update the floating queue indicator (FAB), which sums up every queue
  */
 export function updateQueueFab() {
     const fab = $('queueFab');
@@ -1496,17 +2441,21 @@ export function updateQueueFab() {
 
     if (!fab) return;
 
-    const state = getQueueState();
-    const stats = getQueueStats();
+    const queues = listQueues();
+    const stats = { total: 0, completed: 0, failed: 0, pending: 0, inProgress: 0 };
+    queues.forEach(queue => Object.keys(stats).forEach(key => { stats[key] += queue.stats[key]; }));
+    stats.percentComplete = stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+    const isRunning = queues.some(queue => queue.isRunning);
+    const isGenerating = queues.some(queue => queue.isRunning && !queue.isPaused);
 
     // Show/hide FAB based on queue state
-    const shouldShow = state.isRunning || stats.total > 0;
+    const shouldShow = isRunning || stats.total > 0;
     fab.classList.toggle('hidden', !shouldShow);
 
     if (!shouldShow) return;
 
-    // Determine if queue just finished (not running, nothing pending/generating)
-    const isComplete = !state.isRunning && !state.isPaused && stats.pending === 0 && stats.inProgress === 0;
+    // Determine if the queues just finished (not running, nothing pending/generating)
+    const isComplete = !isRunning && stats.pending === 0 && stats.inProgress === 0;
 
     // Update text — show checkmark when done, failure count if only failures remain, counter when active
     if (fabText) {
@@ -1525,7 +2474,7 @@ export function updateQueueFab() {
     }
 
     // Add/remove generating animation
-    fab.classList.toggle('generating', state.isRunning && !state.isPaused);
+    fab.classList.toggle('generating', isGenerating);
     fab.classList.toggle('complete', isComplete);
 }
 
@@ -1569,6 +2518,7 @@ export function toggleQueueSettings() {
                 if (el) el.value = '';
             });
         }
+        if ($('queueKeepOverrides')) $('queueKeepOverrides').checked = !!state.configOverrides;
     }
 }
 
@@ -1627,11 +2577,17 @@ export function applySettingsToRemaining() {
 
     const count = updateQueueItemConfig(newConfig);
 
+    // Kept on the queue, the settings also replace those of items added to it later
+    const keep = !!$('queueKeepOverrides')?.checked;
+    if (keep) {
+        setQueueConfigOverrides(newConfig);
+    }
+
     // Hide the settings panel
     const panel = $('queueSettingsOverride');
     if (panel) panel.classList.add('hidden');
 
-    showToast(`Settings applied to ${count} remaining item${count !== 1 ? 's' : ''}`);
+    showToast(`Settings applied to ${count} remaining item${count !== 1 ? 's' : ''}${keep ? ' and later ones' : ''}`);
 }
 
 /**
@@ -1867,7 +2823,7 @@ export async function openGenerationDetails(historyId) {
             <div class="generation-details-refs">
                 ${entry.refImages.map((ref, i) => `
                     <div class="generation-details-ref-item">
-                        <img src="${ref.data}" alt="Ref ${i + 1}">
+                        <img src="${ref.data}" alt="${ref.role === 'mask' ? 'Mask' : 'Ref ' + (i + 1)}" title="${ref.role === 'mask' ? 'Inpaint mask' : 'Ref ' + (i + 1)}">
                         <button class="generation-details-ref-save" onclick="downloadGenerationRef(${i})" title="Save">Save</button>
                     </div>
                 `).join('')}
@@ -1879,6 +2835,144 @@ export async function openGenerationDetails(historyId) {
         ? `${(entry.generationTimeMs / 1000).toFixed(1)}s`
         : '';
 
+    const usageHtml = entry.usage ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Usage</span>
+            </div>
+            <div class="generation-details-config">
+                <span class="config-badge" title="Prompt tokens (text + reference images)">In: ${entry.usage.promptTokens.toLocaleString()}</span>
+                <span class="config-badge" title="Output tokens">Out: ${entry.usage.candidatesTokens.toLocaleString()}</span>
+                ${entry.usage.imageTokens ? `<span class="config-badge">Image: ${entry.usage.imageTokens.toLocaleString()}</span>` : ''}
+                ${entry.usage.thoughtsTokens ? `<span class="config-badge">Thinking: ${entry.usage.thoughtsTokens.toLocaleString()}</span>` : ''}
+                <span class="config-badge">Total: ${entry.usage.totalTokens.toLocaleString()}</span>
+                ${typeof entry.cost === 'number' ? `<span class="config-badge" title="Estimated from MODEL_PRICING">~${formatCost(entry.cost)}</span>` : ''}
+            </div>
+        </div>
+    ` : '';
+
+    // Failed attempts before this generation succeeded, grouped by error class
+    const attemptCounts = new Map();
+    (entry.attemptErrors || []).forEach(err => {
+        attemptCounts.set(err.class, (attemptCounts.get(err.class) || 0) + 1);
+    });
+    const attemptsHtml = attemptCounts.size > 0 ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Retried after</span>
+            </div>
+            <div class="generation-details-config">
+                ${[...attemptCounts.entries()].map(([errorClass, count]) => {
+                    const last = entry.attemptErrors.filter(err => err.class === errorClass).pop();
+                    return `<span class="config-badge" title="${escapeHtml(last.message || '')}">${ERROR_CLASS_LABELS[errorClass] || escapeHtml(errorClass)}${count > 1 ? ` ×${count}` : ''}</span>`;
+                }).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    // Image this one was made from (inpaint, canvas extension)
+    const derived = entry.derivedFrom;
+    const derivedLabel = derived?.operation === 'extend'
+        ? `Extended to ${escapeHtml(derived.ratio || '?')} (anchor ${escapeHtml(derived.anchor || 'center')})`
+        : derived?.operation === 'inpaint' ? 'Inpainted' : escapeHtml(derived?.operation || '');
+    const derivedHtml = derived ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Derived from</span>
+                ${derived.historyId ? `<button class="btn-secondary btn-sm" onclick="openGenerationDetails('${escapeHtml(derived.historyId)}')">Open source</button>` : ''}
+            </div>
+            <div class="generation-details-config">
+                <span class="config-badge">${derivedLabel}</span>
+            </div>
+        </div>
+    ` : '';
+
+    const templateHtml = entry.template ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Template</span>
+            </div>
+            <div class="generation-details-prompt">${escapeHtml(entry.template.source)}</div>
+            <div class="generation-details-config">
+                ${Object.entries(entry.template.values || {}).map(([name, value]) => `<span class="config-badge">${escapeHtml(name)} = ${escapeHtml(value)}</span>`).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    const wildcardsHtml = entry.wildcards ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Wildcards</span>
+                <button class="btn-secondary btn-sm" onclick="rerunWildcardSeed('${entry.id}')" title="Queue the same choices again">Rerun with seed</button>
+            </div>
+            <div class="generation-details-prompt">${escapeHtml(entry.wildcards.source)}</div>
+            <div class="generation-details-config">
+                <span class="config-badge">Seed: ${entry.wildcards.seed}</span>
+            </div>
+        </div>
+    ` : '';
+
+    const enhanceHtml = entry.enhance ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Original prompt</span>
+            </div>
+            <div class="generation-details-prompt">${escapeHtml(entry.enhance.original)}</div>
+            <div class="generation-details-config">
+                <span class="config-badge" title="Text model that rewrote the prompt">Enhanced by ${escapeHtml(entry.enhance.model || '?')}</span>
+            </div>
+        </div>
+    ` : '';
+
+    const systemInstruction = entry.config.systemInstruction;
+    const styleHtml = entry.preset || systemInstruction ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>${systemInstruction ? 'System instruction' : 'Style preset'}</span>
+            </div>
+            ${systemInstruction ? `<div class="generation-details-prompt">${escapeHtml(systemInstruction)}</div>` : ''}
+            ${entry.preset ? `
+                <div class="generation-details-config">
+                    <span class="config-badge">Preset: ${escapeHtml(entry.preset.name)}</span>
+                    ${entry.preset.prefix ? `<span class="config-badge" title="Prompt prefix">${escapeHtml(entry.preset.prefix)} …</span>` : ''}
+                    ${entry.preset.suffix ? `<span class="config-badge" title="Prompt suffix">… ${escapeHtml(entry.preset.suffix)}</span>` : ''}
+                </div>
+            ` : ''}
+        </div>
+    ` : '';
+
+    const avoidHtml = entry.avoid?.items?.length ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Avoid</span>
+            </div>
+            <div class="generation-details-config">
+                ${entry.avoid.items.map(item => `<span class="config-badge">${escapeHtml(item)}</span>`).join('')}
+            </div>
+            <div class="generation-details-avoid-note">
+                ${entry.avoid.mode === AvoidMode.SYSTEM ? 'Added to the system instruction' : 'Added after the prompt'}: ${escapeHtml(formatAvoidText(entry.avoid))}
+            </div>
+        </div>
+    ` : '';
+
+    const matrixHtml = entry.matrix ? `
+        <div class="generation-details-section">
+            <div class="generation-details-section-header">
+                <span>Matrix</span>
+                <button class="btn-secondary btn-sm" onclick="closeGenerationDetails(); openMatrixGrid('${escapeHtml(entry.matrix.id)}')">Open grid</button>
+            </div>
+            <div class="generation-details-config">
+                <span class="config-badge">${escapeHtml(formatMatrixAxes(entry.matrix.axes))}</span>
+                <span class="config-badge">Prompt ${(entry.matrix.promptIndex || 0) + 1}</span>
+            </div>
+        </div>
+    ` : '';
+
+    const providerId = entry.config.provider;
+    const providerLabel = providerId
+        ? (hasProvider(providerId) ? getProvider(providerId).label : providerId)
+        : '';
+
     overlay.innerHTML = `
         <div class="generation-details-panel">
             <div class="generation-details-header">
@@ -1888,24 +2982,40 @@ export async function openGenerationDetails(historyId) {
             <div class="generation-details-body">
                 <div class="generation-details-section">
                     <div class="generation-details-section-header">
-                        <span>Prompt</span>
+                        <span>${entry.enhance ? 'Enhanced prompt' : 'Prompt'}</span>
                         <button class="btn-secondary btn-sm" onclick="copyGenerationPrompt()">Copy</button>
                     </div>
                     <div class="generation-details-prompt">${escapeHtml(entry.prompt)}</div>
                 </div>
                 <div class="generation-details-config">
+                    ${providerLabel ? `<span class="config-badge">${escapeHtml(providerLabel)}</span>` : ''}
+                    ${entry.keyAlias ? `<span class="config-badge" title="API key alias">Key: ${escapeHtml(entry.keyAlias)}</span>` : ''}
                     ${entry.config.model ? `<span class="config-badge">${escapeHtml(entry.config.model)}</span>` : ''}
                     ${entry.config.ratio ? `<span class="config-badge">${entry.config.ratio}</span>` : ''}
                     ${entry.config.resolution ? `<span class="config-badge">${entry.config.resolution}</span>` : ''}
                     ${entry.config.thinkingBudget ? `<span class="config-badge">Think: ${entry.config.thinkingBudget}</span>` : ''}
                     ${entry.config.searchEnabled ? `<span class="config-badge">Search</span>` : ''}
+                    ${entry.compare ? `<span class="config-badge" title="Generated in a side-by-side comparison">Compare: ${escapeHtml(entry.compare.label)}</span>` : ''}
+                    ${entry.inpaint ? `<span class="config-badge" title="Masked edit">Inpaint${entry.inpaint.feather ? ` · feather ${entry.inpaint.feather}px` : ''}${entry.inpaint.blend ? ' · blended' : ''}</span>` : ''}
                     ${timeStr ? `<span class="config-badge">${timeStr}</span>` : ''}
                     ${entry.filename ? `<span class="config-badge" title="${escapeHtml(entry.filename)}">${escapeHtml(entry.filename)}</span>` : ''}
                 </div>
+                ${avoidHtml}
+                ${styleHtml}
+                ${enhanceHtml}
+                ${templateHtml}
+                ${wildcardsHtml}
+                ${matrixHtml}
+                ${derivedHtml}
+                ${usageHtml}
+                ${attemptsHtml}
                 ${refsHtml}
             </div>
             <div class="generation-details-footer">
-                <button class="btn-primary" onclick="redoFromHistory('${entry.id}')">Redo</button>
+                ${entry.enhance ? `
+                    <button class="btn-secondary" onclick="redoFromHistory('${entry.id}')" title="Load the original prompt with Enhance on">Redo original</button>
+                    <button class="btn-primary" onclick="redoFromHistory('${entry.id}', true)" title="Load the rewritten prompt with Enhance off">Redo enhanced</button>
+                ` : `<button class="btn-primary" onclick="redoFromHistory('${entry.id}')">Redo</button>`}
             </div>
         </div>
     `;
@@ -1975,9 +3085,11 @@ function downloadAllGenerationRefs() {
 }
 
 /**
- * Redo a generation from history — loads prompt + refs into main UI
+ * Redo a generation from history — loads prompt + refs, provider and model into main UI
+ * (masked edits reopen the mask editor with the same image, mask and instruction)
+ * @param {boolean} useEnhanced - For enhanced entries: reuse the rewrite as-is instead of the original prompt
  */
-async function redoFromHistory(historyId) {
+async function redoFromHistory(historyId, useEnhanced = false) {
     const entry = await loadHistoryEntry(historyId);
     if (!entry) {
         showToast('History entry not found');
@@ -1985,16 +3097,78 @@ async function redoFromHistory(historyId) {
     }
 
     const { setRefImages, renderRefs } = await import('./references.js');
-    const { persistAllInputs } = await import('./persistence.js');
+    const { persistAllInputs, restoreLastModel } = await import('./persistence.js');
     const { $: getEl } = await import('./ui.js');
 
+    // Restore the backend and model that produced this image
+    if (entry.config?.model) {
+        localStorage.setItem('last_model', entry.config.model);
+    }
+    const providerId = entry.config?.provider;
+    if (providerId && providerId !== getActiveProviderId()) {
+        if (hasProvider(providerId)) {
+            setActiveProvider(providerId); // Model list refresh restores last_model
+        } else {
+            showToast(`Backend "${providerId}" is not available`);
+        }
+    } else if (entry.config?.model) {
+        restoreLastModel();
+    }
+
+    const mask = entry.refImages?.find(ref => ref.role === 'mask');
+    if (mask) {
+        const { openMaskEditor } = await import('./inpaint.js');
+        closeGenerationDetails();
+        toggleQueuePanel(false);
+        openMaskEditor({
+            source: entry.refImages.find(ref => ref !== mask)?.data,
+            mask: mask.data,
+            prompt: entry.prompt,
+            feather: entry.inpaint?.feather,
+            blend: entry.inpaint?.blend,
+            derivedFrom: entry.derivedFrom
+        });
+        return;
+    }
+
+    // Templated prompts come back as the template, with the form prefilled from the recorded values;
+    // wildcard prompts come back unresolved so the next run picks again
+    const reuseEnhanced = useEnhanced && !!entry.enhance;
+    if (entry.template && !reuseEnhanced) {
+        rememberTemplateValues(entry.template.values || {});
+    }
+
+    // The preset comes back selected and the prompt without its prefix and suffix, which the next run adds again;
+    // without the preset, its system instruction moves into the form's field
+    const { getPreset: findPreset, selectPreset } = await import('./presets.js');
+    const preset = !reuseEnhanced && entry.preset ? findPreset(entry.preset.name) : null;
+    selectPreset(preset ? preset.name : '', false);
+    const systemEl = getEl('systemInstruction');
+    if (systemEl && !preset?.systemInstruction) {
+        systemEl.value = entry.config?.systemInstruction || '';
+    }
+
+    // The avoid list comes back in its own field
+    const avoidEl = getEl('avoidList');
+    if (avoidEl) {
+        avoidEl.value = entry.avoid?.items?.join(', ') || '';
+    }
+
     // Load prompt
     const promptEl = getEl('prompt');
     if (promptEl) {
-        promptEl.value = entry.prompt;
+        promptEl.value = reuseEnhanced
+            ? entry.prompt
+            : entry.template?.source || entry.wildcards?.source || (preset && entry.preset.prompt) || entry.enhance?.original || entry.prompt;
         promptEl.dispatchEvent(new Event('input'));
     }
 
+    // The original goes through enhancement again; the rewrite is used as it is
+    const enhanceToggle = getEl('enhanceToggle');
+    if (entry.enhance && enhanceToggle) {
+        enhanceToggle.checked = !reuseEnhanced;
+    }
+
     // Load refs
     if (entry.refImages?.length > 0) {
         const newRefs = entry.refImages.map((ref, i) => ({
@@ -2011,6 +3185,43 @@ async function redoFromHistory(historyId) {
     showToast('Loaded prompt & refs from history');
 }
 
+/**
+ * Queue a wildcard generation again with its recorded seed, so every choice comes out the same
+ */
+async function rerunWildcardSeed(historyId) {
+    const entry = await loadHistoryEntry(historyId);
+    if (!entry?.wildcards) {
+        showToast('History entry not found');
+        return;
+    }
+
+    const { source, seed } = entry.wildcards;
+    // Same seed, different lists: the picks can only match if the lists haven't changed
+    if (expandWildcards(source, seed).prompt.trim() !== (entry.preset?.prompt ?? entry.enhance?.original ?? entry.prompt)) {
+        showToast('Wildcard lists changed since — the prompt will differ');
+    }
+
+    const { startQueue } = await import('./queue.js');
+    // Recorded settings win; safety settings (not recorded) come from the current form
+    const config = getCurrentConfig();
+    Object.entries(entry.config || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) config[key] = value;
+    });
+    addToQueue([source], 1, config, entry.refImages || [], entry.batchName || '', [entry.name || ''], {
+        inpaint: entry.inpaint,
+        derivedFrom: entry.derivedFrom,
+        template: entry.template,
+        wildcardSeed: seed,
+        enhance: !!entry.enhance,
+        // The recorded prefix and suffix; the system instruction is already in the recorded config
+        preset: entry.preset ? { name: entry.preset.name, prefix: entry.preset.prefix, suffix: entry.preset.suffix } : null,
+        avoid: entry.avoid
+    });
+    startQueue();
+    closeGenerationDetails();
+    toggleQueuePanel(true);
+}
+
 // ============================================
 // History Panel
 // ============================================
@@ -2096,20 +3307,13 @@ async function clearAllHistory() {
     });
     if (!confirmed) return;
 
-    const { getDB } = await import('./history.js');
-    const db = getDB();
-    if (!db) return;
-
-    return new Promise(resolve => {
-        const tx = db.transaction('generationHistory', 'readwrite');
-        tx.objectStore('generationHistory').clear();
-        tx.oncomplete = () => {
-            renderHistoryPanel();
-            showToast('History cleared');
-            resolve();
-        };
-        tx.onerror = () => resolve();
-    });
+    try {
+        await clearGenerationHistory();
+        renderHistoryPanel();
+        showToast('History cleared');
+    } catch (e) {
+        console.error('[History] Failed to clear:', e);
+    }
 }
 
 /**
@@ -2132,11 +3336,27 @@ window.openQueueSetup = openQueueSetup;
 window.closeQueueSetup = closeQueueSetup;
 window.confirmAndStartQueue = confirmAndStartQueue;
 window.toggleQueuePanel = toggleQueuePanel;
+window.switchQueue = switchQueue;
+window.addQueue = addQueue;
+window.toggleQueueOptions = toggleQueueOptions;
+window.renameActiveQueue = renameActiveQueue;
+window.setActiveQueueDelay = setActiveQueueDelay;
+window.selectActiveQueueOutputDir = selectActiveQueueOutputDir;
+window.useMainOutputDir = useMainOutputDir;
+window.clearActiveQueueOverrides = clearActiveQueueOverrides;
+window.deleteActiveQueue = deleteActiveQueue;
+window.setQueueSchedule = setQueueSchedule;
+window.onQueueTargetChange = onQueueTargetChange;
 window.selectQueueOutputDir = selectQueueOutputDir;
 window.addPromptBox = addPromptBox;
 window.removePromptBox = removePromptBox;
 window.updateBoxPrompt = updateBoxPrompt;
 window.updateBoxName = updateBoxName;
+window.setBoxPreset = setBoxPreset;
+window.updateBoxAvoid = updateBoxAvoid;
+window.cycleQueueItemPriority = cycleQueueItemPriority;
+window.addBoxInput = addBoxInput;
+window.removeBoxInput = removeBoxInput;
 window.setBoxVariations = setBoxVariations;
 window.openBoxRefPicker = openBoxRefPicker;
 window.clearBoxRefs = clearBoxRefs;
@@ -2163,11 +3383,15 @@ window.openBulkSavedPromptPicker = openBulkSavedPromptPicker;
 window.confirmBulkSavedPrompts = confirmBulkSavedPrompts;
 window.closeBulkSavedPromptPicker = closeBulkSavedPromptPicker;
 window.openGenerationDetails = openGenerationDetails;
+window.toggleQueueErrorFilter = toggleQueueErrorFilter;
+window.retryFilteredQueueItems = retryFilteredQueueItems;
 window.closeGenerationDetails = closeGenerationDetails;
 window.copyGenerationPrompt = copyGenerationPrompt;
 window.downloadGenerationRef = downloadGenerationRef;
 window.downloadAllGenerationRefs = downloadAllGenerationRefs;
 window.redoFromHistory = redoFromHistory;
+window.rerunWildcardSeed = rerunWildcardSeed;
+window.fillBoxTemplate = fillBoxTemplate;
 window.toggleHistoryPanel = toggleHistoryPanel;
 window.deleteHistoryItem = deleteHistoryItem;
 window.clearAllHistory = clearAllHistory;
@@ -7,6 +7,7 @@ import { MAX_REF_IMAGE_SIZE, MAX_REFS } from './config.js';
 import { $, showToast } from './ui.js';
 import { getDB } from './history.js';
 import { loadPersistedInput } from './persistence.js';
+import { storeRefs, releaseRefs, resolveRefs } from './blobs.js';
 
 // Reference images state
 export let refImages = [];
@@ -26,44 +27,51 @@ export async function loadRefImages() {
         return;
     }
 
-    return new Promise((resolve) => {
+    const result = await new Promise((resolve) => {
         const tx = db.transaction('refImages', 'readonly');
-        tx.objectStore('refImages').get('current').onsuccess = e => {
-            const result = e.target.result;
-            if (result && result.images) {
-                refImages = result.images;
-                renderRefs();
-                resolve();
-            } else {
-                // Migrate from localStorage if exists
-                const oldData = loadPersistedInput('refImages', []);
-                if (oldData.length > 0) {
-                    refImages = oldData;
-                    renderRefs();
-                    saveRefImages().then(() => {
-                        // Clear old localStorage data after migration
-                        localStorage.removeItem('input_refImages');
-                        console.log('Migrated refImages from localStorage to IndexedDB');
-                    });
-                } else {
-                    refImages = [];
-                    renderRefs();
-                }
-                resolve();
-            }
-        };
+        tx.objectStore('refImages').get('current').onsuccess = e => resolve(e.target.result);
     });
+
+    if (result && result.images) {
+        // Stored by hash in the blob store
+        refImages = await resolveRefs(result.images);
+        renderRefs();
+    } else {
+        // Migrate from localStorage if exists
+        const oldData = loadPersistedInput('refImages', []);
+        if (oldData.length > 0) {
+            refImages = oldData;
+            renderRefs();
+            saveRefImages().then(() => {
+                // Clear old localStorage data after migration
+                localStorage.removeItem('input_refImages');
+                console.log('Migrated refImages from localStorage to IndexedDB');
+            });
+        } else {
+            refImages = [];
+            renderRefs();
+        }
+    }
 }
 
-// Save ref images to IndexedDB
+// Save ref images to IndexedDB (by hash; the set it replaces gives up its references)
 export async function saveRefImages() {
     const db = getDB();
     if (!db) return;
 
+    const images = await storeRefs(refImages);
     return new Promise((resolve, reject) => {
+        let previous = [];
         const tx = db.transaction('refImages', 'readwrite');
-        tx.objectStore('refImages').put({ id: 'current', images: refImages });
-        tx.oncomplete = resolve;
+        const store = tx.objectStore('refImages');
+        store.get('current').onsuccess = e => {
+            previous = e.target.result?.images || [];
+            store.put({ id: 'current', images });
+        };
+        tx.oncomplete = () => {
+            releaseRefs(previous).catch(e => console.error('Failed to release ref images:', e));
+            resolve();
+        };
         tx.onerror = () => reject(tx.error);
     });
 }
@@ -137,6 +145,7 @@ export function renderRefs() {
         '<span class="ref-order-badge">' + (idx + 1) + '</span>' +
         '<img src="' + img.data + '" class="ref-thumb" onclick="viewRefImage(' + img.id + ')">' +
         '<button class="ref-remove" onclick="removeRef(' + img.id + ')">×</button>' +
+        '<button class="ref-describe" onclick="describeRef(' + img.id + ')" title="Describe as a prompt">Aa</button>' +
         '</div>'
     ).join('') + addBtn;
 
@@ -0,0 +1,129 @@
+/**
+ * Retry Module
+ * Structured retry policy — server retry hints (Retry-After, google.rpc.RetryInfo), quota vs. per-minute
+ * rate limits, jittered exponential backoff and a per-request retry budget
+ */
+
+import {
+    MAX_RETRIES,
+    RETRY_BASE_DELAY_MS,
+    RETRY_MAX_DELAY_MS,
+    RETRY_BUDGET_MS,
+    QUOTA_EXHAUSTED_COOLDOWN_MS,
+    KEY_COOLDOWN_DEFAULT_MS
+} from './config.js';
+import { ErrorClass, toGenerationError } from './errors.js';
+
+export const RetryKind = {
+    RATE_LIMIT: 'rate_limit',           // Per-minute limit: retry after the hinted delay
+    QUOTA_EXHAUSTED: 'quota_exhausted', // Daily/project quota used up: retrying soon is pointless
+    TRANSIENT: 'transient',             // 5xx / network errors: exponential backoff
+    FATAL: 'fatal'                      // Bad request, auth, safety, abort: don't retry
+};
+
+const RETRY_INFO_TYPE = 'type.googleapis.com/google.rpc.RetryInfo';
+
+// Retry kind per error class (any other class is fatal)
+const KIND_BY_CLASS = {
+    [ErrorClass.RATE_LIMIT]: RetryKind.RATE_LIMIT,
+    [ErrorClass.QUOTA]: RetryKind.QUOTA_EXHAUSTED,
+    [ErrorClass.NETWORK]: RetryKind.TRANSIENT,
+    [ErrorClass.TIMEOUT]: RetryKind.TRANSIENT,
+    [ErrorClass.SERVER]: RetryKind.TRANSIENT
+};
+
+/**
+ * Parse a protobuf Duration string like "37s" or "1.5s"
+ */
+function parseDuration(value) {
+    const match = String(value || '').match(/^(\d+(?:\.\d+)?)s$/);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Server-suggested wait: Retry-After header, then RetryInfo, then "retry in N seconds" in the message
+ * @returns {number|null} Milliseconds, or null if the server gave no hint
+ */
+export function getServerRetryDelayMs(err) {
+    if (typeof err.retryAfterMs === 'number') return err.retryAfterMs;
+
+    const retryInfo = err.details?.find(d => d['@type'] === RETRY_INFO_TYPE);
+    const fromInfo = parseDuration(retryInfo?.retryDelay);
+    if (fromInfo !== null) return fromInfo;
+
+    // Older responses (and the mock backend) only put the hint in the message
+    const match = (err.message || '').match(/retry in (\d+(?:\.\d+)?)\s*(?:s\b|seconds?)/i);
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Classify an error for retrying (see errors.js for the error classes)
+ * @returns {{kind: string, retryable: boolean, serverDelayMs: number|null}}
+ */
+export function classifyError(err) {
+    const kind = KIND_BY_CLASS[toGenerationError(err).errorClass] || RetryKind.FATAL;
+    return {
+        kind,
+        retryable: kind === RetryKind.RATE_LIMIT || kind === RetryKind.TRANSIENT,
+        serverDelayMs: kind === RetryKind.FATAL ? null : getServerRetryDelayMs(err)
+    };
+}
+
+/**
+ * Exponential backoff with jitter: half fixed, half random, so parallel workers don't retry in lockstep
+ */
+export function getBackoffMs(attempt) {
+    const base = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Wait before retrying: the server hint (plus up to 10% jitter) when given, else backoff
+ */
+export function getRetryDelayMs(err, attempt) {
+    const { serverDelayMs } = classifyError(err);
+    if (serverDelayMs !== null) {
+        return Math.round(serverDelayMs + Math.random() * serverDelayMs * 0.1);
+    }
+    return getBackoffMs(attempt);
+}
+
+/**
+ * Cooldown for a credential after a rate limit (used by the key pool)
+ */
+export function getCooldownMs(err) {
+    const { kind, serverDelayMs } = classifyError(err);
+    if (kind === RetryKind.QUOTA_EXHAUSTED) {
+        return Math.max(serverDelayMs || 0, QUOTA_EXHAUSTED_COOLDOWN_MS);
+    }
+    return serverDelayMs ?? KEY_COOLDOWN_DEFAULT_MS;
+}
+
+/**
+ * Per-request retry state: attempt count and total time spent waiting
+ */
+export function createRetryBudget() {
+    return { attempts: 0, waitedMs: 0 };
+}
+
+/**
+ * Decide whether and how long to wait before the next attempt
+ * @returns {{retry: boolean, delayMs: number, kind: string}} retry=false means give up
+ */
+export function planRetry(err, budget) {
+    const { kind, retryable } = classifyError(err);
+    budget.attempts++;
+
+    if (!retryable || budget.attempts >= MAX_RETRIES) {
+        return { retry: false, delayMs: 0, kind };
+    }
+
+    const delayMs = getRetryDelayMs(err, budget.attempts);
+    // Long waits are handed back to the caller (the queue schedules the item instead of blocking a worker)
+    if (budget.waitedMs + delayMs > RETRY_BUDGET_MS) {
+        return { retry: false, delayMs, kind };
+    }
+
+    budget.waitedMs += delayMs;
+    return { retry: true, delayMs, kind };
+}
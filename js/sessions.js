@@ -0,0 +1,534 @@
+/**
+ * Sessions Module
+ * Multi-turn edit sessions — each instruction refines the last output, with the earlier turns
+ * (model images and thought signatures included) sent as context. Turns form a tree: continuing
+ * from an earlier turn starts a new branch.
+ */
+
+import { $, showToast, showConfirmDialog, escapeHtml } from './ui.js';
+import { getDB, loadHistoryEntry, requestToPromise } from './history.js';
+import { addToQueue, startQueue, getAllQueueItems, QueueStatus } from './queue.js';
+import { buildUserContent, getCurrentConfig, getCurrentHistoryId, setCurrentHistoryId, showImageResult } from './generation.js';
+import { refImages, compressImage } from './references.js';
+import { getCurrentImg } from './zoom.js';
+import { getProvider } from './providers.js';
+
+let activeSessionId = null;
+let sessionPanelOpen = false;
+
+function generateId(prefix) {
+    return prefix + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/**
+ * All edit sessions, most recently updated first
+ */
+export async function listSessions() {
+    const db = getDB();
+    if (!db) return [];
+
+    const tx = db.transaction('editSessions', 'readonly');
+    const sessions = await requestToPromise(tx.objectStore('editSessions').index('updatedAt').getAll());
+    return sessions.reverse();
+}
+
+/**
+ * Load a session by ID (null if it was deleted)
+ */
+export async function loadSession(id) {
+    const db = getDB();
+    if (!db || !id) return null;
+
+    const tx = db.transaction('editSessions', 'readonly');
+    return (await requestToPromise(tx.objectStore('editSessions').get(id))) || null;
+}
+
+/**
+ * Read-modify-write a session in one transaction (turns from parallel queue workers can land together)
+ * @param {string} id
+ * @param {(session: Object) => void} mutate
+ * @returns {Promise<Object|null>} The updated session, or null if it no longer exists
+ */
+function updateSession(id, mutate) {
+    const db = getDB();
+    if (!db) return Promise.reject(new Error('Database not ready'));
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('editSessions', 'readwrite');
+        const store = tx.objectStore('editSessions');
+        let updated = null;
+
+        store.get(id).onsuccess = e => {
+            const session = e.target.result;
+            if (!session) return;
+            mutate(session);
+            session.updatedAt = Date.now();
+            store.put(session);
+            updated = session;
+        };
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Create a session
+ * @param {Object} config - Generation config used for every turn
+ * @param {Object|null} seed - Starting image {imageData, prompt, historyId}; null starts from text
+ */
+export async function createSession(config, seed = null) {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const session = {
+        id: generateId('es_'),
+        title: seed?.prompt ? seed.prompt.slice(0, 80) : '',
+        config: { ...config },
+        seed,
+        turns: [],
+        headTurnId: null, // Turn the next instruction continues from (null = session start)
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+
+    const tx = db.transaction('editSessions', 'readwrite');
+    await requestToPromise(tx.objectStore('editSessions').put(session));
+    return session;
+}
+
+/**
+ * Delete a session and all of its turns
+ */
+export async function deleteSession(id) {
+    const db = getDB();
+    if (!db) return;
+
+    const tx = db.transaction('editSessions', 'readwrite');
+    await requestToPromise(tx.objectStore('editSessions').delete(id));
+}
+
+// ============================================
+// Turn tree
+// ============================================
+
+function getTurn(session, turnId) {
+    return session.turns.find(t => t.id === turnId) || null;
+}
+
+/**
+ * Turns from the session start down to (and including) the given turn
+ */
+export function getTurnPath(session, turnId) {
+    const path = [];
+    let turn = getTurn(session, turnId);
+    while (turn) {
+        path.unshift(turn);
+        turn = getTurn(session, turn.parentId);
+    }
+    return path;
+}
+
+/**
+ * Output image of a turn as a data URL
+ */
+export function getTurnImage(turn) {
+    const part = turn.content?.parts?.find(p => p.inlineData && !p.thought);
+    return part ? 'data:' + (part.inlineData.mimeType || 'image/png') + ';base64,' + part.inlineData.data : null;
+}
+
+// Interim thought parts only need to go back to the model when they carry a signature
+function trimModelContent(content) {
+    return {
+        role: 'model',
+        parts: (content?.parts || []).filter(p => !p.thought || p.thoughtSignature)
+    };
+}
+
+/**
+ * Conversation sent ahead of a new instruction: alternating user/model turns along the path to parentTurnId
+ * (model turns go back unchanged so their thought signatures stay valid)
+ */
+export async function getSessionHistory(sessionId, parentTurnId) {
+    const session = await loadSession(sessionId);
+    if (!session) throw new Error('Edit session no longer exists');
+    if (parentTurnId && !getTurn(session, parentTurnId)) throw new Error('Edit session turn no longer exists');
+
+    return getTurnPath(session, parentTurnId).flatMap(turn => [
+        buildUserContent(turn.prompt, turn.refImages),
+        turn.content
+    ]);
+}
+
+/**
+ * Record a completed turn (called by the queue) and make it the head
+ * @param {string} sessionId
+ * @param {Object} turn - {parentId, prompt, refImages, content, historyId, filename}
+ */
+export async function appendSessionTurn(sessionId, turn) {
+    const newTurn = {
+        id: generateId('et_'),
+        parentId: turn.parentId || null,
+        prompt: turn.prompt,
+        refImages: turn.refImages || [],
+        content: trimModelContent(turn.content),
+        historyId: turn.historyId || null,
+        filename: turn.filename || null,
+        createdAt: Date.now()
+    };
+
+    const session = await updateSession(sessionId, s => {
+        s.turns.push(newTurn);
+        s.headTurnId = newTurn.id;
+        if (!s.title) s.title = turn.prompt.slice(0, 80);
+    });
+
+    if (session && sessionPanelOpen && activeSessionId === sessionId) {
+        renderSessionPanel();
+    }
+    return session ? newTurn : null;
+}
+
+// ============================================
+// Actions
+// ============================================
+
+/**
+ * Start a session that edits the image currently shown
+ */
+async function startEditSession() {
+    const imageData = getCurrentImg();
+    if (!imageData) return showToast('Generate or select an image first');
+
+    const config = getCurrentConfig();
+    if (!config.model) return showToast('Select model');
+
+    try {
+        const historyId = getCurrentHistoryId();
+        const entry = historyId ? await loadHistoryEntry(historyId) : null;
+        const session = await createSession(config, {
+            imageData: await compressImage(imageData),
+            prompt: entry?.prompt || '',
+            historyId: historyId || null
+        });
+        activeSessionId = session.id;
+        await renderSessionPanel();
+        $('sessionInstruction')?.focus();
+    } catch (e) {
+        console.error('[Sessions] Failed to start session:', e);
+        showToast('Failed to start edit session');
+    }
+}
+
+/**
+ * Start a session from text only (the first instruction generates the starting image)
+ */
+async function startBlankEditSession() {
+    const config = getCurrentConfig();
+    if (!config.model) return showToast('Select model');
+
+    try {
+        const session = await createSession(config);
+        activeSessionId = session.id;
+        await renderSessionPanel();
+        $('sessionInstruction')?.focus();
+    } catch (e) {
+        console.error('[Sessions] Failed to start session:', e);
+        showToast('Failed to start edit session');
+    }
+}
+
+/**
+ * Queue the instruction in the composer as the next turn after the head
+ */
+async function sendSessionInstruction() {
+    const input = $('sessionInstruction');
+    const prompt = input?.value.trim();
+    if (!prompt) return showToast('Describe the change');
+
+    const session = await loadSession(activeSessionId);
+    if (!session) return showToast('Start an edit session first');
+
+    const missingCredential = getProvider(session.config.provider).getMissingConfigMessage();
+    if (missingCredential) return showToast(missingCredential);
+
+    // Turns from the session start edit the seed image; later turns see it through the history
+    const refs = [];
+    if (!session.headTurnId && session.seed) {
+        refs.push({ id: 'seed_' + session.id, data: session.seed.imageData });
+    }
+    if ($('sessionAttachRefs')?.checked) {
+        refs.push(...refImages);
+    }
+
+    const prefix = $('filenamePrefix')?.value?.trim() || '';
+    const items = addToQueue([prompt], 1, session.config, refs, prefix, [], {
+        session: { id: session.id, parentTurnId: session.headTurnId }
+    });
+    if (items.length === 0) return;
+
+    startQueue();
+    input.value = '';
+    renderSessionPending();
+}
+
+/**
+ * Make a turn the head (null = session start) and show its image
+ */
+async function selectSessionTurn(turnId) {
+    const session = await updateSession(activeSessionId, s => {
+        s.headTurnId = turnId && getTurn(s, turnId) ? turnId : null;
+    });
+    if (!session) return;
+
+    const turn = getTurn(session, session.headTurnId);
+    const imageData = turn ? getTurnImage(turn) : session.seed?.imageData;
+    if (imageData) {
+        showImageResult(imageData, turn?.filename || null);
+        setCurrentHistoryId(turn ? turn.historyId : session.seed?.historyId || null);
+    }
+    renderSessionPanel();
+}
+
+/**
+ * Remove a turn and every branch below it
+ */
+async function deleteSessionTurn(turnId) {
+    const session = await loadSession(activeSessionId);
+    if (!session) return;
+
+    const removed = new Set([turnId]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        session.turns.forEach(t => {
+            if (!removed.has(t.id) && removed.has(t.parentId)) {
+                removed.add(t.id);
+                grew = true;
+            }
+        });
+    }
+
+    if (removed.size > 1) {
+        const confirmed = await showConfirmDialog({
+            title: 'Delete Turn',
+            message: `Delete this turn and the ${removed.size - 1} turn${removed.size > 2 ? 's' : ''} after it?`,
+            confirmText: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+    }
+
+    const parentId = getTurn(session, turnId)?.parentId || null;
+    await updateSession(activeSessionId, s => {
+        s.turns = s.turns.filter(t => !removed.has(t.id));
+        if (removed.has(s.headTurnId)) s.headTurnId = parentId;
+    });
+    renderSessionPanel();
+}
+
+async function switchEditSession(id) {
+    activeSessionId = id;
+    await renderSessionPanel();
+}
+
+async function deleteActiveEditSession() {
+    if (!activeSessionId) return;
+
+    const confirmed = await showConfirmDialog({
+        title: 'Delete Session',
+        message: 'Delete this edit session and all of its turns? Saved images and history are kept.',
+        confirmText: 'Delete',
+        danger: true
+    });
+    if (!confirmed) return;
+
+    await deleteSession(activeSessionId);
+    activeSessionId = null;
+    await renderSessionPanel();
+    showToast('Session deleted');
+}
+
+// ============================================
+// Session Panel UI
+// ============================================
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Toggle the edit session panel
+ */
+export function toggleSessionPanel(forceOpen = null) {
+    const panel = $('sessionPanel');
+    const overlay = $('sessionOverlay');
+    if (!panel) return;
+
+    sessionPanelOpen = forceOpen !== null ? forceOpen : !sessionPanelOpen;
+    panel.classList.toggle('open', sessionPanelOpen);
+    if (overlay) overlay.classList.toggle('open', sessionPanelOpen);
+
+    if (sessionPanelOpen) renderSessionPanel();
+}
+
+/**
+ * Depth-first rows for the timeline; a turn's subtree is indented only where the tree branches
+ */
+function flattenTurns(session) {
+    const children = new Map();
+    session.turns.forEach(turn => {
+        const key = turn.parentId || null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(turn);
+    });
+
+    const rows = [];
+    const visit = (parentId, indent, depth) => {
+        const kids = children.get(parentId) || [];
+        kids.forEach(turn => {
+            const childIndent = kids.length > 1 ? indent + 1 : indent;
+            rows.push({ turn, indent: childIndent, depth, branches: (children.get(turn.id) || []).length });
+            visit(turn.id, childIndent, depth + 1);
+        });
+    };
+    visit(null, 0, 1);
+    return rows;
+}
+
+/**
+ * Render the session picker, turn timeline and queued turns
+ */
+export async function renderSessionPanel() {
+    const header = $('sessionHeader');
+    const timeline = $('sessionTimeline');
+    if (!header || !timeline) return;
+
+    const sessions = await listSessions();
+    if (!sessions.some(s => s.id === activeSessionId)) {
+        activeSessionId = sessions[0]?.id || null;
+    }
+    const session = sessions.find(s => s.id === activeSessionId);
+    const canStartFromImage = !!getCurrentImg();
+
+    header.innerHTML = `
+        <div class="session-actions">
+            <button class="btn-secondary btn-sm" onclick="startEditSession()" ${canStartFromImage ? '' : 'disabled'} title="Edit the image currently shown">New from image</button>
+            <button class="btn-secondary btn-sm" onclick="startBlankEditSession()" title="Start from text only">New blank</button>
+            ${session ? '<button class="btn-cancel btn-sm" onclick="deleteActiveEditSession()" title="Delete session">Delete</button>' : ''}
+        </div>
+        ${sessions.length > 0 ? `
+            <select class="session-select" onchange="switchEditSession(this.value)">
+                ${sessions.map(s => `<option value="${s.id}" ${s.id === activeSessionId ? 'selected' : ''}>${escapeHtml(s.title || 'Untitled session')} (${s.turns.length})</option>`).join('')}
+            </select>
+        ` : ''}
+    `;
+
+    $('sessionComposer')?.classList.toggle('hidden', !session);
+
+    if (!session) {
+        timeline.innerHTML = `<div class="session-empty">${canStartFromImage
+            ? 'Start a session from the image shown, or from text only'
+            : 'Generate an image to edit, or start a blank session'}</div>`;
+        renderSessionPending();
+        return;
+    }
+
+    const headPath = new Set(getTurnPath(session, session.headTurnId).map(t => t.id));
+    const rootBranches = session.turns.filter(t => !t.parentId).length;
+    const startRow = `
+        <div class="session-turn${session.headTurnId === null ? ' head' : ''}" onclick="selectSessionTurn(null)">
+            ${session.seed ? `<img class="session-turn-thumb" src="${session.seed.imageData}" alt="">` : '<div class="session-turn-thumb empty">T</div>'}
+            <div class="session-turn-body">
+                <div class="session-turn-prompt">${session.seed ? 'Start image' : 'Start (text only)'}</div>
+                <div class="session-turn-meta">
+                    <span>${escapeHtml(session.config.model?.replace('gemini-', '').replace('-image-preview', '') || '?')}</span>
+                    ${rootBranches > 1 ? `<span>${rootBranches} branches</span>` : ''}
+                </div>
+            </div>
+        </div>
+    `;
+
+    timeline.innerHTML = startRow + flattenTurns(session).map(({ turn, indent, depth, branches }) => {
+        const image = getTurnImage(turn);
+        const refCount = turn.refImages.filter(r => !String(r.id).startsWith('seed_')).length;
+        const classes = ['session-turn'];
+        if (turn.id === session.headTurnId) classes.push('head');
+        else if (headPath.has(turn.id)) classes.push('in-context');
+
+        return `
+            <div class="${classes.join(' ')}" style="margin-left:${Math.min(indent, 6) * 14}px" onclick="selectSessionTurn('${turn.id}')">
+                ${image ? `<img class="session-turn-thumb" src="${image}" alt="">` : '<div class="session-turn-thumb empty">?</div>'}
+                <div class="session-turn-body">
+                    <div class="session-turn-prompt">${depth}. ${escapeHtml(turn.prompt)}</div>
+                    <div class="session-turn-meta">
+                        <span>${formatTime(turn.createdAt)}</span>
+                        ${refCount > 0 ? `<span>${refCount} ref${refCount > 1 ? 's' : ''}</span>` : ''}
+                        ${branches > 1 ? `<span>${branches} branches</span>` : ''}
+                    </div>
+                </div>
+                <button class="session-turn-delete" onclick="event.stopPropagation(); deleteSessionTurn('${turn.id}')" title="Delete turn and what follows">&times;</button>
+            </div>
+        `;
+    }).join('');
+
+    const headTurn = getTurn(session, session.headTurnId);
+    const hint = $('sessionHeadHint');
+    if (hint) {
+        const isLeaf = !session.turns.some(t => (t.parentId || null) === session.headTurnId);
+        hint.textContent = (headTurn ? `Continuing from turn ${headPath.size}` : 'Continuing from the start') +
+            (isLeaf ? '' : ' — sending starts a new branch');
+    }
+
+    const attachLabel = $('sessionAttachRefsLabel');
+    if (attachLabel) attachLabel.textContent = `Attach current references (${refImages.length})`;
+
+    renderSessionPending();
+}
+
+/**
+ * Show queued/failed turns of the active session (called on every queue progress update)
+ */
+export function renderSessionPending() {
+    const container = $('sessionPending');
+    if (!container || !sessionPanelOpen) return;
+
+    const items = getAllQueueItems().filter(item =>
+        item.session?.id === activeSessionId &&
+        [QueueStatus.PENDING, QueueStatus.GENERATING, QueueStatus.FAILED].includes(item.status)
+    );
+
+    container.innerHTML = items.map(item => `
+        <div class="session-pending-item ${item.status}">
+            <span class="session-pending-status">${item.status === QueueStatus.FAILED ? 'Failed' : item.status === QueueStatus.GENERATING ? 'Generating…' : 'Queued'}</span>
+            <span class="session-pending-prompt">${escapeHtml(item.prompt)}</span>
+            ${item.error ? `<span class="session-pending-error">${escapeHtml(item.error)}</span>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Wire up the composer (Ctrl+Enter sends)
+ */
+export function setupSessionUI() {
+    $('sessionInstruction')?.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.ctrlKey) {
+            e.preventDefault();
+            sendSessionInstruction();
+        }
+    });
+}
+
+// Make functions globally available for HTML onclick handlers
+window.toggleSessionPanel = toggleSessionPanel;
+window.startEditSession = startEditSession;
+window.startBlankEditSession = startBlankEditSession;
+window.sendSessionInstruction = sendSessionInstruction;
+window.selectSessionTurn = selectSessionTurn;
+window.deleteSessionTurn = deleteSessionTurn;
+window.switchEditSession = switchEditSession;
+window.deleteActiveEditSession = deleteActiveEditSession;
@@ -0,0 +1,244 @@
+/**
+ * Templates Module
+ * {{variable}} / {{variable|default}} placeholders in prompts — parsing, filling, list expansion and the fill form
+ */
+
+import { MAX_TEMPLATE_EXPANSION } from './config.js';
+import { $, showToast, escapeHtml } from './ui.js';
+
+export const ExpandMode = {
+    PRODUCT: 'product', // Every combination of the lists
+    ZIP: 'zip'          // Line N of each list together
+};
+
+// localStorage key for the last values typed per variable name
+const TEMPLATE_VALUES_KEY = 'template_values';
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Whether a prompt contains any {{variable}} placeholders
+ */
+export function isTemplate(text) {
+    return parseTemplate(text).length > 0;
+}
+
+/**
+ * Variables in order of first appearance (the first default given for a name wins)
+ * @returns {{name: string, defaultValue: string|null}[]}
+ */
+export function parseTemplate(text) {
+    const vars = new Map();
+    for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+        const [, name, defaultValue] = match;
+        if (!vars.has(name)) {
+            vars.set(name, { name, defaultValue: defaultValue !== undefined ? defaultValue.trim() : null });
+        } else if (vars.get(name).defaultValue === null && defaultValue !== undefined) {
+            vars.get(name).defaultValue = defaultValue.trim();
+        }
+    }
+    return [...vars.values()];
+}
+
+/**
+ * Replace placeholders with values, falling back to each placeholder's default
+ * @param {string} text - Template source
+ * @param {Object<string, string>} values - Value per variable name
+ */
+export function fillTemplate(text, values = {}) {
+    const defaults = Object.fromEntries(parseTemplate(text).map(v => [v.name, v.defaultValue]));
+    return (text || '').replace(VARIABLE_PATTERN, (_, name) => values[name] ?? defaults[name] ?? '');
+}
+
+/**
+ * Variables that have neither a value nor a default
+ */
+export function getMissingVariables(text, values = {}) {
+    return parseTemplate(text)
+        .filter(v => !values[v.name]?.length && v.defaultValue === null)
+        .map(v => v.name);
+}
+
+/**
+ * Expand value lists into concrete prompts
+ * @param {string} text - Template source
+ * @param {Object<string, string[]>} lists - Values per variable (empty list = default)
+ * @param {string} mode - ExpandMode
+ * @returns {{prompt: string, values: Object<string, string>}[]}
+ * @throws {Error} If zipped lists differ in length or the expansion is too large
+ */
+export function expandTemplate(text, lists = {}, mode = ExpandMode.PRODUCT) {
+    const vars = parseTemplate(text);
+    const columns = vars.map(v => {
+        const list = (lists[v.name] || []).filter(value => value.length > 0);
+        return { name: v.name, values: list.length > 0 ? list : [v.defaultValue ?? ''] };
+    });
+
+    let rows;
+    if (mode === ExpandMode.ZIP) {
+        // Single values repeat on every row; longer lists must line up
+        const lengths = [...new Set(columns.map(c => c.values.length).filter(n => n > 1))];
+        if (lengths.length > 1) {
+            throw new Error('Zipped lists must have the same number of lines (' + lengths.join(' vs ') + ')');
+        }
+        const count = lengths[0] || 1;
+        rows = Array.from({ length: count }, (_, i) =>
+            Object.fromEntries(columns.map(c => [c.name, c.values.length > 1 ? c.values[i] : c.values[0]]))
+        );
+    } else {
+        const total = columns.reduce((n, c) => n * c.values.length, 1);
+        if (total > MAX_TEMPLATE_EXPANSION) {
+            throw new Error(`${total} combinations — the limit is ${MAX_TEMPLATE_EXPANSION}`);
+        }
+        rows = columns.reduce(
+            (acc, c) => acc.flatMap(row => c.values.map(value => ({ ...row, [c.name]: value }))),
+            [{}]
+        );
+    }
+
+    if (rows.length > MAX_TEMPLATE_EXPANSION) {
+        throw new Error(`${rows.length} prompts — the limit is ${MAX_TEMPLATE_EXPANSION}`);
+    }
+    return rows.map(values => ({ prompt: fillTemplate(text, values), values }));
+}
+
+// ============================================
+// Remembered values
+// ============================================
+
+function loadLastValues() {
+    try {
+        return JSON.parse(localStorage.getItem(TEMPLATE_VALUES_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Remember values per variable name so the form comes back prefilled (used by Redo too)
+ * @param {Object<string, string>} values - Raw field text per variable
+ */
+export function rememberTemplateValues(values) {
+    localStorage.setItem(TEMPLATE_VALUES_KEY, JSON.stringify({ ...loadLastValues(), ...values }));
+}
+
+// ============================================
+// Fill form
+// ============================================
+
+// One value per line
+function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Show the fill form for a template
+ * @param {string} source - Template text
+ * @param {Object} [options]
+ * @param {string} [options.title] - Dialog title
+ * @param {string} [options.submitLabel] - Submit button text when the fill gives a single prompt
+ * @returns {Promise<{prompt: string, values: Object}[]|null>} Expanded prompts, or null if cancelled
+ */
+export function openTemplateForm(source, options = {}) {
+    const vars = parseTemplate(source);
+    const lastValues = loadLastValues();
+
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'confirm-dialog-overlay';
+        overlay.id = 'templateFormOverlay';
+
+        overlay.innerHTML = `
+            <div class="confirm-dialog template-form">
+                <div class="confirm-dialog-title">${escapeHtml(options.title || 'Fill Template')}</div>
+                <div class="template-form-fields">
+                    ${vars.map(v => `
+                        <label class="template-form-field">
+                            <span>${escapeHtml(v.name)}</span>
+                            <textarea rows="1" data-var="${escapeHtml(v.name)}"
+                                placeholder="${v.defaultValue !== null ? escapeHtml(v.defaultValue) + ' (default)' : 'Required'}">${escapeHtml(lastValues[v.name] || '')}</textarea>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="template-form-hint">One value per line expands into several prompt boxes</div>
+                <div class="template-form-mode">
+                    <label><input type="radio" name="templateMode" value="${ExpandMode.PRODUCT}" checked> All combinations</label>
+                    <label><input type="radio" name="templateMode" value="${ExpandMode.ZIP}"> Zip line by line</label>
+                </div>
+                <div class="template-form-preview" id="templateFormPreview"></div>
+                <div class="confirm-dialog-actions">
+                    <button class="btn-secondary template-form-cancel">Cancel</button>
+                    <button class="btn-primary template-form-submit">Generate</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const fields = [...overlay.querySelectorAll('textarea[data-var]')];
+        const submitBtn = overlay.querySelector('.template-form-submit');
+        let expanded = null;
+
+        const readLists = () => Object.fromEntries(fields.map(f => [f.dataset.var, splitLines(f.value)]));
+        const getMode = () => overlay.querySelector('input[name="templateMode"]:checked').value;
+
+        const update = () => {
+            const preview = $('templateFormPreview');
+            fields.forEach(f => { f.rows = Math.min(6, Math.max(1, f.value.split('\n').length)); });
+            try {
+                expanded = expandTemplate(source, readLists(), getMode());
+                preview.classList.remove('error');
+                preview.textContent = expanded.length > 1
+                    ? `${expanded.length} prompts — first: ${expanded[0].prompt}`
+                    : expanded[0].prompt;
+                submitBtn.textContent = expanded.length > 1 ? `Add ${expanded.length} prompt boxes` : (options.submitLabel || 'Generate');
+                submitBtn.disabled = false;
+            } catch (e) {
+                expanded = null;
+                preview.classList.add('error');
+                preview.textContent = e.message;
+                submitBtn.disabled = true;
+            }
+        };
+
+        const close = result => {
+            document.removeEventListener('keydown', handleKeydown, true);
+            overlay.remove();
+            resolve(result);
+        };
+
+        const submit = () => {
+            if (!expanded) return;
+            const lists = readLists();
+            const missing = vars
+                .filter(v => v.defaultValue === null && lists[v.name].length === 0)
+                .map(v => v.name);
+            if (missing.length > 0) {
+                showToast('Fill in: ' + missing.join(', '));
+                return;
+            }
+            rememberTemplateValues(Object.fromEntries(fields.map(f => [f.dataset.var, f.value.trim()])));
+            close(expanded);
+        };
+
+        const handleKeydown = e => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close(null);
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                submit();
+            }
+        };
+
+        fields.forEach(f => f.addEventListener('input', update));
+        overlay.querySelectorAll('input[name="templateMode"]').forEach(r => r.addEventListener('change', update));
+        overlay.querySelector('.template-form-cancel').onclick = () => close(null);
+        submitBtn.onclick = submit;
+        overlay.onclick = e => { if (e.target === overlay) close(null); };
+        // Capture phase, so Escape doesn't also reach the app-wide handler and close the modal underneath
+        document.addEventListener('keydown', handleKeydown, true);
+
+        update();
+        fields[0]?.focus();
+    });
+}
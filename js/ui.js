@@ -6,6 +6,15 @@
 // DOM helper
 export const $ = id => document.getElementById(id);
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML, quotes included so it is also safe inside attribute values
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
 // Toast notification
 let toastTimeout = null;
 export function showToast(msg) {
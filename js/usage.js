@@ -0,0 +1,108 @@
+/**
+ * Usage Module
+ * Token usage extraction from usageMetadata and per-model cost estimates
+ */
+
+import { MODEL_PRICING } from './config.js';
+
+function sumModality(details, modality) {
+    if (!Array.isArray(details)) return 0;
+    return details
+        .filter(d => d.modality === modality)
+        .reduce((sum, d) => sum + (d.tokenCount || 0), 0);
+}
+
+/**
+ * Normalize a generateContent usageMetadata block
+ * @returns {Object|null} Token counts, or null if the response had no usage data
+ */
+export function extractUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const candidatesTokens = usageMetadata.candidatesTokenCount || 0;
+    const thoughtsTokens = usageMetadata.thoughtsTokenCount || 0;
+
+    return {
+        promptTokens,
+        candidatesTokens,
+        thoughtsTokens,
+        imageTokens: sumModality(usageMetadata.candidatesTokensDetails, 'IMAGE'),
+        cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+        totalTokens: usageMetadata.totalTokenCount || (promptTokens + candidatesTokens + thoughtsTokens)
+    };
+}
+
+/**
+ * Get pricing for a model id (longest matching prefix in MODEL_PRICING)
+ * @returns {Object|null} { input, output, imageOutput } in USD per 1M tokens
+ */
+export function getModelPricing(model) {
+    if (!model) return null;
+    const id = model.replace(/^models\//, '');
+    const key = Object.keys(MODEL_PRICING)
+        .filter(prefix => id.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? MODEL_PRICING[key] : null;
+}
+
+/**
+ * Estimate cost in USD for a usage record, or null if the model has no pricing entry
+ */
+export function estimateCost(model, usage) {
+    const pricing = getModelPricing(model);
+    if (!pricing || !usage) return null;
+
+    // Thinking tokens are billed as text output
+    const textOutputTokens = Math.max(0, usage.candidatesTokens - usage.imageTokens) + usage.thoughtsTokens;
+
+    return (
+        usage.promptTokens * pricing.input +
+        textOutputTokens * pricing.output +
+        usage.imageTokens * pricing.imageOutput
+    ) / 1e6;
+}
+
+/**
+ * Add two usage blocks (either may be null)
+ */
+export function addUsage(a, b) {
+    if (!a || !b) return a || b || null;
+    return Object.fromEntries(Object.keys(a).map(key => [key, (a[key] || 0) + (b[key] || 0)]));
+}
+
+/**
+ * Sum usage and cost over records shaped like { usage, cost }
+ */
+export function sumUsage(records) {
+    return records.reduce((acc, record) => {
+        if (!record.usage) return acc;
+        acc.count++;
+        acc.promptTokens += record.usage.promptTokens;
+        acc.outputTokens += record.usage.candidatesTokens + record.usage.thoughtsTokens;
+        acc.totalTokens += record.usage.totalTokens;
+        if (typeof record.cost === 'number') {
+            acc.cost += record.cost;
+        } else {
+            acc.unpriced++;
+        }
+        return acc;
+    }, { count: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 });
+}
+
+/**
+ * Format a token count (e.g. 950, 12.3k, 1.2M)
+ */
+export function formatTokens(count) {
+    if (count >= 1e6) return (count / 1e6).toFixed(1) + 'M';
+    if (count >= 1e4) return (count / 1e3).toFixed(1) + 'k';
+    return count.toLocaleString();
+}
+
+/**
+ * Format a USD estimate (sub-cent precision for single generations)
+ */
+export function formatCost(usd) {
+    if (typeof usd !== 'number') return '';
+    return '$' + (usd < 1 ? usd.toFixed(4) : usd.toFixed(2));
+}
@@ -0,0 +1,375 @@
+/**
+ * Wildcards Module
+ * {red|green|blue} inline choices and __name__ wildcard lists, expanded with a recorded seed
+ * so the exact prompt can be rebuilt later
+ */
+
+import { WILDCARD_MAX_DEPTH } from './config.js';
+import { $, showToast, showConfirmDialog, escapeHtml } from './ui.js';
+import { getDB, requestToPromise } from './history.js';
+import { isFileSystemSupported, readTextFilesFromDirectory } from './filesystem.js';
+
+// Innermost {a|b} group first, so nested choices resolve from the inside out.
+// {{variable}} templates are filled before wildcards expand, so they never reach this.
+const CHOICE_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+const WILDCARD_PATTERN = /__([A-Za-z0-9][\w\-/]*?)__/g;
+
+// name -> values, loaded at startup so queueing can expand synchronously
+const wildcardCache = new Map();
+
+let managerState = null; // {selected: string|null}
+
+/**
+ * Normalize a wildcard name (lowercase, forward slashes, no surrounding underscores)
+ */
+export function normalizeWildcardName(name) {
+    return String(name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/\\/g, '/')
+        .replace(/^_+|_+$/g, '')
+        .replace(/\s+/g, '-');
+}
+
+/**
+ * One value per line; blank lines and # comments are skipped
+ */
+export function parseWildcardText(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// ============================================
+// Expansion
+// ============================================
+
+/**
+ * New random 32-bit expansion seed
+ */
+export function createWildcardSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// mulberry32 — small, fast and identical in every browser
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Whether a prompt contains {a|b} choices or __name__ wildcards
+ */
+export function hasWildcards(text) {
+    return CHOICE_PATTERN.test(text || '') || (text || '').search(WILDCARD_PATTERN) !== -1;
+}
+
+/**
+ * Resolve choices and wildcards. The same text, seed and wildcard lists always give the same prompt.
+ * @param {string} text - Prompt with {a|b} and __name__ syntax
+ * @param {number} seed - Expansion seed
+ * @returns {{prompt: string, missing: string[]}} Resolved prompt and wildcard names that have no list
+ */
+export function expandWildcards(text, seed) {
+    const random = createRandom(seed);
+    const pick = values => values[Math.floor(random() * values.length)];
+    const missing = new Set();
+    let result = text || '';
+
+    // Picked values can contain more syntax; stop once nothing changes (or at the depth limit)
+    for (let depth = 0; depth < WILDCARD_MAX_DEPTH; depth++) {
+        let match;
+        while ((match = result.match(CHOICE_PATTERN))) {
+            result = result.slice(0, match.index) + pick(match[1].split('|')) + result.slice(match.index + match[0].length);
+        }
+
+        let replaced = false;
+        result = result.replace(WILDCARD_PATTERN, (token, name) => {
+            const values = wildcardCache.get(normalizeWildcardName(name));
+            if (!values?.length) {
+                missing.add(name);
+                return token;
+            }
+            replaced = true;
+            return pick(values);
+        });
+        if (!replaced) break;
+    }
+
+    return { prompt: result, missing: [...missing] };
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/**
+ * Load all wildcard lists into memory (call after initDB)
+ */
+export async function loadWildcards() {
+    const db = getDB();
+    if (!db) return;
+
+    try {
+        const tx = db.transaction('wildcards', 'readonly');
+        const records = await requestToPromise(tx.objectStore('wildcards').getAll());
+        wildcardCache.clear();
+        records.forEach(record => wildcardCache.set(record.name, record.values || []));
+    } catch (e) {
+        console.error('[Wildcards] Failed to load:', e);
+    }
+}
+
+/**
+ * Wildcard names and sizes, sorted by name
+ * @returns {{name: string, count: number}[]}
+ */
+export function listWildcards() {
+    return [...wildcardCache.entries()]
+        .map(([name, values]) => ({ name, count: values.length }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Values of one wildcard (empty if it doesn't exist)
+ */
+export function getWildcardValues(name) {
+    return wildcardCache.get(normalizeWildcardName(name)) || [];
+}
+
+/**
+ * Create or replace wildcard lists
+ * @param {{name: string, values: string[]}[]} lists
+ */
+export async function saveWildcards(lists) {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const records = lists.map(list => ({
+        name: normalizeWildcardName(list.name),
+        values: list.values,
+        updatedAt: Date.now()
+    }));
+
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('wildcards', 'readwrite');
+        const store = tx.objectStore('wildcards');
+        records.forEach(record => store.put(record));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+    records.forEach(record => wildcardCache.set(record.name, record.values));
+}
+
+/**
+ * Delete a wildcard list
+ */
+export async function deleteWildcard(name) {
+    const db = getDB();
+    if (!db) throw new Error('Database not ready');
+
+    const key = normalizeWildcardName(name);
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('wildcards', 'readwrite');
+        tx.objectStore('wildcards').delete(key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+    wildcardCache.delete(key);
+}
+
+/**
+ * Pick a folder of .txt files and import each as a wildcard list (same names are replaced)
+ * @returns {Promise<number>} Number of lists imported
+ */
+export async function importWildcardFolder() {
+    if (!isFileSystemSupported()) {
+        showToast('Folder import needs the File System Access API (Chrome/Edge)');
+        return 0;
+    }
+
+    try {
+        const dirHandle = await window.showDirectoryPicker();
+        // "colors/warm.txt" becomes __colors/warm__
+        const lists = (await readTextFilesFromDirectory(dirHandle, '.txt'))
+            .map(file => ({ name: file.path, values: parseWildcardText(file.text) }))
+            .filter(list => list.values.length > 0);
+        if (lists.length === 0) {
+            showToast('No .txt files with values found');
+            return 0;
+        }
+        await saveWildcards(lists);
+        showToast(`Imported ${lists.length} wildcard${lists.length > 1 ? 's' : ''}`);
+        return lists.length;
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            console.error('[Wildcards] Import error:', err);
+            showToast('Import failed: ' + err.message);
+        }
+        return 0;
+    }
+}
+
+// ============================================
+// Wildcard manager
+// ============================================
+
+/**
+ * Open the wildcard manager
+ */
+export function openWildcardManager() {
+    closeWildcardManager();
+    managerState = { selected: listWildcards()[0]?.name || null };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-dialog-overlay';
+    overlay.id = 'wildcardManagerOverlay';
+    overlay.onclick = e => { if (e.target === overlay) closeWildcardManager(); };
+
+    overlay.innerHTML = `
+        <div class="confirm-dialog wildcard-manager">
+            <div class="confirm-dialog-title">Wildcards</div>
+            <div class="confirm-dialog-message">
+                Use <code>__name__</code> for a random line from a list and <code>{a|b|c}</code> for an inline choice.
+                Each variation picks independently.
+            </div>
+            <div class="wildcard-manager-body">
+                <div class="wildcard-list" id="wildcardList"></div>
+                <div class="wildcard-editor">
+                    <input type="text" id="wildcardName" placeholder="Name (e.g. colors or styles/painters)">
+                    <textarea id="wildcardValues" rows="10" placeholder="One value per line — # starts a comment"></textarea>
+                    <div class="wildcard-preview" id="wildcardPreview"></div>
+                </div>
+            </div>
+            <div class="confirm-dialog-actions">
+                <button class="btn-secondary" onclick="importWildcardFolderFromManager()" title="Import a folder of .txt files">Import Folder</button>
+                <button class="btn-secondary" onclick="newWildcard()">New</button>
+                <button class="btn-secondary" id="wildcardDeleteBtn" onclick="deleteSelectedWildcard()">Delete</button>
+                <button class="btn-primary" onclick="saveWildcardFromManager()">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    $('wildcardValues').addEventListener('input', renderWildcardPreview);
+    renderWildcardManager();
+}
+
+/**
+ * Close the wildcard manager
+ */
+export function closeWildcardManager() {
+    $('wildcardManagerOverlay')?.remove();
+    managerState = null;
+}
+
+function renderWildcardManager() {
+    const list = $('wildcardList');
+    if (!list || !managerState) return;
+
+    const wildcards = listWildcards();
+    list.innerHTML = wildcards.length > 0
+        ? wildcards.map(w => `
+            <button class="wildcard-list-item ${w.name === managerState.selected ? 'active' : ''}" data-name="${escapeHtml(w.name)}">
+                <span>__${escapeHtml(w.name)}__</span>
+                <span class="wildcard-count">${w.count}</span>
+            </button>
+        `).join('')
+        : '<div class="dropdown-empty">No wildcards yet</div>';
+    list.querySelectorAll('.wildcard-list-item').forEach(btn => {
+        btn.onclick = () => {
+            managerState.selected = btn.dataset.name;
+            renderWildcardManager();
+        };
+    });
+
+    $('wildcardName').value = managerState.selected || '';
+    $('wildcardValues').value = managerState.selected ? getWildcardValues(managerState.selected).join('\n') : '';
+    $('wildcardDeleteBtn').disabled = !managerState.selected;
+    renderWildcardPreview();
+}
+
+// Value count of the list being edited
+function renderWildcardPreview() {
+    const preview = $('wildcardPreview');
+    if (!preview) return;
+    const values = parseWildcardText($('wildcardValues').value);
+    preview.textContent = values.length > 0
+        ? `${values.length} value${values.length > 1 ? 's' : ''}`
+        : '';
+}
+
+function newWildcard() {
+    if (!managerState) return;
+    managerState.selected = null;
+    renderWildcardManager();
+    $('wildcardName').focus();
+}
+
+async function saveWildcardFromManager() {
+    if (!managerState) return;
+    const name = normalizeWildcardName($('wildcardName').value);
+    const values = parseWildcardText($('wildcardValues').value);
+    if (!name) return showToast('Enter a name');
+    if (!/^[A-Za-z0-9][\w\-/]*$/.test(name)) return showToast('Use letters, numbers, - _ and / in names');
+    if (values.length === 0) return showToast('Add at least one value');
+
+    try {
+        // Saving under a new name renames the list
+        if (managerState.selected && managerState.selected !== name) {
+            await deleteWildcard(managerState.selected);
+        }
+        await saveWildcards([{ name, values }]);
+        managerState.selected = name;
+        renderWildcardManager();
+        showToast(`Saved __${name}__`);
+    } catch (e) {
+        console.error('[Wildcards] Save failed:', e);
+        showToast('Failed to save wildcard');
+    }
+}
+
+async function deleteSelectedWildcard() {
+    const name = managerState?.selected;
+    if (!name) return;
+
+    const confirmed = await showConfirmDialog({
+        title: 'Delete Wildcard',
+        message: `Delete __${name}__?`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+        danger: true
+    });
+    if (!confirmed || !managerState) return;
+
+    try {
+        await deleteWildcard(name);
+        managerState.selected = listWildcards()[0]?.name || null;
+        renderWildcardManager();
+    } catch (e) {
+        console.error('[Wildcards] Delete failed:', e);
+        showToast('Failed to delete wildcard');
+    }
+}
+
+async function importWildcardFolderFromManager() {
+    if (await importWildcardFolder() > 0 && managerState) {
+        managerState.selected = managerState.selected || listWildcards()[0]?.name || null;
+        renderWildcardManager();
+    }
+}
+
+// Make functions globally available for HTML onclick handlers
+window.openWildcardManager = openWildcardManager;
+window.closeWildcardManager = closeWildcardManager;
+window.newWildcard = newWildcard;
+window.saveWildcardFromManager = saveWildcardFromManager;
+window.deleteSelectedWildcard = deleteSelectedWildcard;
+window.importWildcardFolderFromManager = importWildcardFolderFromManager;
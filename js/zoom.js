@@ -1,6 +1,6 @@
 /**
  * Zoom Module
- * Pinch-to-zoom for fullscreen modal only
+ * Pinch-to-zoom for fullscreen modal only (also hosts overlays such as the inpaint mask editor)
  */
 
 import { FS_MAX_ZOOM, FS_MIN_ZOOM, DOUBLE_TAP_THRESHOLD } from './config.js';
@@ -15,6 +15,11 @@ let fsMouseDown = false, fsMouseStartX = 0, fsMouseStartY = 0;
 // Current image reference (set externally)
 let currentImg = null;
 
+// Element kept on top of the fullscreen image with the same box and zoom/pan (e.g. the mask canvas)
+let fsOverlay = null;
+let fsPanEnabled = true; // false while an overlay takes single-pointer input (painting)
+let fsOnClose = null;
+
 export function setCurrentImgRef(img) {
     currentImg = img;
 }
@@ -51,9 +56,42 @@ function updateFullscreenZoom() {
     const fs = getFsElements();
     fs.img.style.transform = 'translate(' + fsPosX + 'px,' + fsPosY + 'px) scale(' + fsScale + ')';
     fs.modal.classList.toggle('zoomed', fsScale > 1.05);
+    syncFullscreenOverlay();
     showZoomLevel();
 }
 
+/**
+ * Match the overlay to the image's untransformed box, then apply the same transform
+ */
+export function syncFullscreenOverlay() {
+    if (!fsOverlay) return;
+    const img = getFsElements().img;
+    fsOverlay.style.left = img.offsetLeft + 'px';
+    fsOverlay.style.top = img.offsetTop + 'px';
+    fsOverlay.style.width = img.offsetWidth + 'px';
+    fsOverlay.style.height = img.offsetHeight + 'px';
+    fsOverlay.style.transform = img.style.transform;
+}
+
+/**
+ * Attach an overlay to the fullscreen image (null detaches)
+ * @param {HTMLElement|null} el - Absolutely positioned element inside the fullscreen container
+ * @param {Function} onClose - Called once when the fullscreen modal closes
+ */
+export function setFullscreenOverlay(el, onClose = null) {
+    fsOverlay = el;
+    fsOnClose = onClose;
+    fsPanEnabled = !el;
+    syncFullscreenOverlay();
+}
+
+/**
+ * Allow or block single-pointer panning (pinch, wheel and middle-button drag always work)
+ */
+export function setFullscreenPanEnabled(enabled) {
+    fsPanEnabled = enabled;
+}
+
 function showZoomLevel() {
     const zoomEl = getFsElements().zoomLevel;
     zoomEl.textContent = Math.round(fsScale * 100) + '%';
@@ -99,17 +137,20 @@ function fsClampPos() {
     fsPosY = Math.max(-maxY, Math.min(maxY, fsPosY));
 }
 
-// Open fullscreen modal
-export function openFullscreen() {
-    if (!currentImg) return;
+// Open fullscreen modal (defaults to the current image)
+export function openFullscreen(src = currentImg) {
+    if (!src) return;
     const fs = getFsElements();
-    fs.img.src = currentImg;
+    fs.img.src = src;
     fs.modal.classList.add('open');
     fsResetZoom();
 }
 
 export function closeFullscreen() {
     getFsElements().modal.classList.remove('open');
+    const onClose = fsOnClose;
+    fsOnClose = null;
+    onClose?.();
 }
 
 // Setup all zoom event handlers
@@ -129,15 +170,20 @@ export function setupZoomHandlers() {
     // Image load reset
     resultImg.addEventListener('load', resetZoom);
 
+    // Keep an attached overlay on the image when the layout changes
+    fs.img.addEventListener('load', syncFullscreenOverlay);
+    window.addEventListener('resize', syncFullscreenOverlay);
+
     // Fullscreen container handlers
     fsContainer.addEventListener('click', e => {
-        if (fsScale <= 1.05 && !fsDragging && e.target === fsContainer) {
+        if (fsScale <= 1.05 && !fsDragging && !fsOverlay && e.target === fsContainer) {
             closeFullscreen();
         }
     });
 
     fsContainer.addEventListener('dblclick', e => {
         e.preventDefault();
+        if (!fsPanEnabled) return;
         if (fsScale > 1.05) {
             fsResetZoom();
         } else {
@@ -170,7 +216,8 @@ export function setupZoomHandlers() {
 
     // Mouse drag for fullscreen panning
     fsContainer.addEventListener('mousedown', e => {
-        if (e.button !== 0) return;
+        // Middle button pans even while an overlay is painting
+        if (!(e.button === 0 && fsPanEnabled) && e.button !== 1) return;
         fsMouseDown = true;
         fsDragging = false;
         fsMouseStartX = e.clientX;
@@ -203,6 +250,10 @@ export function setupZoomHandlers() {
     // Touch handlers for fullscreen
     fsContainer.addEventListener('touchstart', e => {
         const now = Date.now();
+        if (e.touches.length === 1 && !fsPanEnabled) {
+            fsLastTap = 0;
+            return;
+        }
         if (e.touches.length === 1 && now - fsLastTap < DOUBLE_TAP_THRESHOLD) {
             e.preventDefault();
             if (fsScale > 1.05) {